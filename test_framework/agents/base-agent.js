@@ -1,61 +1,214 @@
-import Anthropic from '@anthropic-ai/sdk';
-import { AI_CONFIG } from '../config/constants.js';
+import { createProvider, recordFixture } from '../providers/index.js';
+import { AI_CONFIG, AI_PROVIDERS, TIMEOUTS, isOfflineMode, isResponseCacheEnabled } from '../config/constants.js';
+import { validateSchema, parseJsonResponse } from '../schemas/index.js';
+import { ResponseCache, responseCacheKey } from '../cache/response-cache.js';
+import { isTransientError, withRetry } from '../resilience/retry.js';
 
 /**
  * Base Agent Class
  *
  * Parent class for all AI agents in the test framework.
- * Handles Claude API communication and conversation management.
+ * Handles LLM communication (through the provider chosen by AI_PROVIDER)
+ * and conversation management.
+ * Responses are served from the on-disk response cache when the same system
+ * prompt, user prompt and model were answered before (disable with AI_CACHE=off).
+ * Rate limits, server errors and timeouts are retried with backoff; an agent
+ * that still gets no answer can fall back to its rule-based logic (withFallback),
+ * which is recorded in `degradations` for the report.
+ * In offline mode (AI_PROVIDER=none) no provider is created and subclasses
+ * use their rule-based logic instead of calling sendMessage.
  */
 export class BaseAgent {
   constructor(name, systemPrompt) {
     this.name = name;
     this.systemPrompt = systemPrompt;
     this.conversationHistory = [];
+    this.offline = isOfflineMode();
+    this.provider = null;
+    this.cache = null;
+    this.schemaWarnings = [];
+    this.usage = [];
+    this.degradations = [];
 
-    // Initialize Anthropic client with API key from environment
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    if (!apiKey) {
-      throw new Error('ANTHROPIC_API_KEY environment variable is required');
+    if (this.offline) {
+      return;
+    }
+
+    // Initialize the configured provider (throws if its API key is missing)
+    this.provider = createProvider(undefined, { timeout: TIMEOUTS.apiRequest });
+
+    // Replayed fixtures are already local, caching them would only hide fixture edits
+    if (isResponseCacheEnabled() && this.provider.name !== AI_PROVIDERS.REPLAY) {
+      this.cache = new ResponseCache();
     }
-    this.client = new Anthropic({ apiKey });
   }
 
   /**
-   * Send a message to Claude and get a response
+   * Send a message to the LLM and get a response
+   *
+   * Options: model, maxTokens, cache (false skips the response cache) and
+   * cacheKey (stable stand-in for a prompt that embeds per-run values).
    */
   async sendMessage(userMessage, options = {}) {
+    if (this.offline) {
+      throw new Error(`${this.name} cannot call the AI provider in offline mode`);
+    }
+
     this.conversationHistory.push({
       role: 'user',
       content: userMessage,
     });
 
     try {
-      const response = await this.client.messages.create({
-        model: options.model || AI_CONFIG.defaultModel,
-        max_tokens: options.maxTokens || AI_CONFIG.maxTokens,
+      const request = {
+        agent: this.name,
         system: this.systemPrompt,
-        messages: this.conversationHistory,
+        messages: [...this.conversationHistory],
+      };
+
+      const model = options.model || this.provider.defaultModel;
+      const cacheKey = this.cache && options.cache !== false
+        ? responseCacheKey({ system: this.systemPrompt, prompt: options.cacheKey ?? userMessage, model })
+        : null;
+
+      const startTime = Date.now();
+      const cached = cacheKey ? this.cache.get(cacheKey) : null;
+      const response = cached || await withRetry(() => this.provider.complete({
+        ...request,
+        model: options.model,
+        maxTokens: options.maxTokens || AI_CONFIG.maxTokens,
+      }), {
+        onRetry: (error, attempt, delay) => {
+          this.log(`Request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1})`, 'warning');
+        },
+      });
+
+      if (cached) {
+        this.log('Using cached response');
+      } else if (cacheKey) {
+        this.cache.set(cacheKey, response, { agent: this.name, model });
+      }
+
+      // Cached responses cost no tokens
+      this.usage.push({
+        agent: this.name,
+        provider: this.provider.name,
+        model: response.model || model,
+        inputTokens: cached ? 0 : response.usage?.input_tokens || 0,
+        outputTokens: cached ? 0 : response.usage?.output_tokens || 0,
+        latencyMs: Date.now() - startTime,
+        cached: !!cached,
+        timestamp: new Date().toISOString(),
       });
 
-      const assistantMessage = response.content[0].text;
+      const assistantMessage = response.content;
 
       this.conversationHistory.push({
         role: 'assistant',
         content: assistantMessage,
       });
 
+      // Record live responses as replay fixtures when requested
+      if (process.env.AI_RECORD_FIXTURES && !cached && this.provider.name !== AI_PROVIDERS.REPLAY) {
+        recordFixture(this.name, request, assistantMessage);
+      }
+
       return {
         content: assistantMessage,
         usage: response.usage,
-        stopReason: response.stop_reason,
+        stopReason: response.stopReason,
+        cached: !!cached,
+        cacheKey,
       };
     } catch (error) {
-      this.log(`Error: ${error.message}`);
+      this.log(`Error: ${error.message}`, 'error');
       throw error;
     }
   }
 
+  /**
+   * Send a message that expects a JSON response matching a schema.
+   * Invalid responses get up to AI_CONFIG.schemaRepairAttempts follow-up
+   * prompts quoting the validation errors. Returns { data, errors, content }
+   * where data is null if the response still fails validation.
+   */
+  async requestStructured(userMessage, schema, options = {}) {
+    let response = await this.sendMessage(userMessage, options);
+    const { cacheKey } = response;
+    let errors = [];
+
+    for (let attempt = 0; ; attempt++) {
+      let data = null;
+      try {
+        data = parseJsonResponse(response.content);
+        errors = validateSchema(data, schema);
+      } catch (e) {
+        errors = [`Response is not valid JSON: ${e.message}`];
+      }
+
+      if (errors.length === 0) {
+        // Store the repaired response under the original request
+        if (attempt > 0 && cacheKey) {
+          const { content, usage, stopReason } = response;
+          this.cache.set(cacheKey, { content, usage, stopReason }, { agent: this.name, repaired: true });
+        }
+        return { data, errors, content: response.content };
+      }
+
+      // Never serve an invalid response from the cache again
+      if (attempt === 0 && cacheKey) {
+        this.cache.delete(cacheKey);
+      }
+
+      if (attempt >= AI_CONFIG.schemaRepairAttempts) {
+        break;
+      }
+
+      this.log(`Response failed ${schema.title || 'schema'} validation (${errors.length} error(s)), requesting repair ${attempt + 1}/${AI_CONFIG.schemaRepairAttempts}`);
+      response = await this.sendMessage(`Your previous response does not match the required ${schema.title || 'JSON'} schema:
+
+${errors.map(e => `- ${e}`).join('\n')}
+
+Respond again with the complete corrected JSON only, no markdown formatting or explanation.`, { ...options, cache: false });
+    }
+
+    const warning = {
+      agent: this.name,
+      schema: schema.title || 'unknown',
+      attempts: AI_CONFIG.schemaRepairAttempts + 1,
+      errors,
+    };
+    this.schemaWarnings.push(warning);
+    this.log(`WARNING: ${warning.schema} response still invalid after ${warning.attempts} attempt(s):`, 'warning');
+    errors.forEach(e => this.log(`  - ${e}`, 'warning'));
+
+    return { data: null, errors, content: response.content };
+  }
+
+  /**
+   * Run an AI request, falling back to rule-based logic when it fails transiently
+   * Other errors (bad key, invalid request) are not hidden and are rethrown. The
+   * fallback is recorded in `degradations`, described as e.g. 'heuristic assessment'.
+   */
+  async withFallback(request, fallback, description) {
+    try {
+      return await request();
+    } catch (error) {
+      if (!isTransientError(error)) {
+        throw error;
+      }
+      const degradation = {
+        agent: this.name,
+        fallback: description,
+        attempts: error.attempts || 1,
+        error: error.message,
+      };
+      this.degradations.push(degradation);
+      this.log(`WARNING: using ${description} after ${degradation.attempts} failed attempt(s)`, 'warning');
+      return fallback();
+    }
+  }
+
   /**
    * Clear conversation history
    */
@@ -64,11 +217,18 @@ export class BaseAgent {
   }
 
   /**
-   * Log a message with timestamp and agent name
+   * Log a message with timestamp and agent name (level: info, warning or error)
    */
-  log(message) {
+  log(message, level = 'info') {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [${this.name}] ${message}`);
+    const line = `[${timestamp}] [${this.name}] ${message}`;
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warning') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
   }
 }
 
@@ -1,4 +1,8 @@
 import { BaseAgent } from './base-agent.js';
+import { AGENT_SCHEMAS } from '../schemas/index.js';
+import { hashContent } from '../cache/response-cache.js';
+import { buildDependencyGraph, findAffectedTemplates } from '../templates/dependency-graph.js';
+import { readGitChanges, overallCategory } from '../templates/git-changes.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -6,6 +10,12 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Diff text sent to the AI; hunks past the limit are listed without their lines
+const MAX_DIFF_PROMPT_CHARS = 20000;
+
+// Change event type of each git file status
+const GIT_EVENT_TYPES = { added: 'created', deleted: 'deleted', modified: 'modified', renamed: 'modified' };
+
 const SYSTEM_PROMPT = `You are the Change Analyzer Agent in a multi-agent email template QA system.
 
 Your responsibilities:
@@ -15,10 +25,14 @@ Your responsibilities:
 4. Prioritize testing order based on change impact
 
 When analyzing changes, you should:
-- Identify affected templates
+- Identify affected templates; a change to a shared partial affects every template that includes it
 - Determine if the change is significant enough to warrant full testing
 - Suggest which comparison tests need to run
 - Flag any potential issues (missing files, invalid structure)
+- When unified diffs are given, assess what each hunk changes for the reader; the
+  category in brackets (styling, content or structure) was assigned by rules and
+  may be refined, e.g. a styling change that hurts contrast or a content change
+  that breaks a link
 
 Always respond with structured JSON in this format:
 {
@@ -44,17 +58,37 @@ export class ChangeAnalyzerAgent extends BaseAgent {
       this.log(`Filtering to selected templates: ${selectedTemplates.join(', ')}`);
     }
 
+    // Which templates include which partials, to follow changes to shared files
+    const graph = buildDependencyGraph();
+
     // Get current state of templates (filtered if specified)
-    const templateState = await this.getTemplateState(selectedTemplates);
+    const templateState = await this.getTemplateState(selectedTemplates, graph);
+    const graphAffected = this.findAffectedTemplates(changeEvents, graph);
+
+    if (this.offline) {
+      return this.analyzeChangesOffline(changeEvents, templateState, graph);
+    }
+
+    // With real diffs the model reads the hunks instead of file previews
+    const changes = this.describeChanges(changeEvents);
+    const promptState = changes.length > 0
+      ? { ...templateState, templates: templateState.templates.map(({ preview, ...template }) => template) }
+      : templateState;
 
     const prompt = `Analyze the following file system changes and template state:
 
 ## Change Events
-${JSON.stringify(changeEvents, null, 2)}
+${JSON.stringify(changeEvents.map(({ hunks, ...event }) => (hunks ? { ...event, hunks: hunks.length } : event)), null, 2)}
 
 ## Current Template State
-${JSON.stringify(templateState, null, 2)}
+${JSON.stringify(promptState, null, 2)}
 
+## Templates Reached by the Changes (from the include graph)
+${graphAffected ? JSON.stringify(graphAffected) : 'All templates (full scan)'}
+${changes.length > 0 ? `
+## Diffs
+${this.renderDiffs(changeEvents)}
+` : ''}
 Based on this information:
 1. Identify which templates are affected
 2. Determine the type of changes
@@ -63,32 +97,176 @@ Based on this information:
 
 Respond with your analysis in JSON format.`;
 
-    const response = await this.sendMessage(prompt);
+    const response = await this.withFallback(
+      () => this.requestStructured(prompt, AGENT_SCHEMAS.changeAnalysis),
+      () => null,
+      'rule-based analysis'
+    );
+    if (!response) {
+      return this.analyzeChangesOffline(changeEvents, templateState, graph);
+    }
 
-    try {
-      // Extract JSON from response
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        return JSON.parse(jsonMatch[0]);
-      }
-    } catch (e) {
-      this.log(`Failed to parse JSON response: ${e.message}`);
+    const { data, errors, content } = response;
+    if (data) {
+      return { ...data, ...(changes.length > 0 && { changes }) };
     }
 
     return {
+      ...(changes.length > 0 && { changes }),
       analysisComplete: true,
-      affectedTemplates: changeEvents.map(e => e.template).filter(Boolean),
+      affectedTemplates: graphAffected || templateState.templates.map(t => t.name),
       changeType: 'unknown',
       testingRequired: true,
       priority: 'medium',
-      recommendations: ['Run full test suite due to parsing error'],
-      warnings: ['Could not parse AI response'],
+      recommendations: ['Run full test suite due to invalid AI response'],
+      warnings: ['AI response failed schema validation', ...errors],
       summary: 'Change detected, running default analysis',
-      rawResponse: response.content
+      rawResponse: content
+    };
+  }
+
+  /**
+   * Templates the change events reach through the include graph
+   * Events with a path (relative to email_templates/) are followed through the
+   * graph; events that only name a template affect that template. Returns null
+   * for a full scan, or when no event says what changed.
+   */
+  findAffectedTemplates(changeEvents, graph) {
+    const affected = new Set();
+    let resolved = false;
+    for (const event of changeEvents) {
+      if (event.path) {
+        findAffectedTemplates(graph, event.path).forEach(template => affected.add(template));
+        resolved = true;
+      } else if (event.template) {
+        affected.add(event.template.replace('.mjml', ''));
+        resolved = true;
+      }
+    }
+    return resolved ? [...affected] : null;
+  }
+
+  /**
+   * Rule-based change analysis used in offline mode
+   */
+  analyzeChangesOffline(changeEvents, templateState, graph = buildDependencyGraph()) {
+    const affectedTemplates = this.findAffectedTemplates(changeEvents, graph) || templateState.templates.map(t => t.name);
+    const sharedChanges = changeEvents
+      .filter(e => e.path && !e.path.replace(/\\/g, '/').startsWith('emails/'))
+      .map(e => e.path);
+    const changes = this.describeChanges(changeEvents);
+
+    // chokidar reports add/unlink, the watcher and git created/deleted
+    const eventTypes = new Set(changeEvents.map(e => ({ add: 'created', unlink: 'deleted' })[e.type] || e.type));
+    let changeType = 'unknown';
+    if (eventTypes.size === 1 && eventTypes.has('created')) {
+      changeType = 'new';
+    } else if (eventTypes.size === 1 && eventTypes.has('deleted')) {
+      changeType = 'deleted';
+    } else if (changes.length > 0 && changes.length === changeEvents.length) {
+      changeType = overallCategory(changes);
+    } else if (sharedChanges.length > 0 && sharedChanges.length === changeEvents.length) {
+      changeType = 'structure';
+    }
+
+    const warnings = templateState.templates
+      .filter(t => !t.exists)
+      .map(t => `Template ${t.name} could not be read`);
+    if (templateState.totalFiles === 0) {
+      warnings.push('No templates found to test');
+    }
+    for (const { file, include } of graph.missing) {
+      warnings.push(`${file} includes ${include}, which does not exist`);
+    }
+
+    const fullScan = changeEvents.some(e => e.type === 'full_scan');
+
+    return {
+      analysisComplete: true,
+      affectedTemplates,
+      changeType,
+      testingRequired: affectedTemplates.length > 0,
+      priority: fullScan || affectedTemplates.length > 1 ? 'high' : 'medium',
+      recommendations: fullScan
+        ? ['Run full test suite across all selected templates']
+        : [
+          `Re-test changed templates: ${affectedTemplates.join(', ') || 'none'}`,
+          ...sharedChanges.map(file => `Shared file ${file} changed; it reaches ${findAffectedTemplates(graph, file).join(', ') || 'no templates'}`),
+          ...(changes.some(c => c.category === 'structure') ? ['Structural changes: check layout at every viewport and the generated tests'] : []),
+          ...(changes.some(c => c.category === 'styling') ? ['Styling changes: compare screenshots against the visual baselines'] : []),
+        ],
+      warnings,
+      ...(changes.length > 0 && { changes }),
+      summary: `${changeEvents.length} change event(s) affecting ${affectedTemplates.length} template(s) (rule-based analysis)`
     };
   }
 
-  async getTemplateState(selectedTemplates = null) {
+  /**
+   * Change events for everything under email_templates/ that differs from a git
+   * ref (committed on this branch, uncommitted or untracked), with the
+   * classified hunks of each file, and the templates they reach
+   * Throws when the ref does not exist or the templates are not in a git work tree.
+   */
+  collectGitChanges(since) {
+    const files = readGitChanges(since);
+    const changeEvents = files.map(file => ({
+      type: GIT_EVENT_TYPES[file.status],
+      path: file.path,
+      ...(file.previousPath && { previousPath: file.previousPath }),
+      ...(file.path.startsWith('emails/') && file.path.endsWith('.mjml') && { template: path.basename(file.path, '.mjml') }),
+      source: 'git',
+      since,
+      category: file.category,
+      ...(file.binary && { binary: true }),
+      hunks: file.hunks.map(({ header, category, lines }) => ({ header, category, lines })),
+    }));
+
+    const affectedTemplates = changeEvents.length > 0
+      ? this.findAffectedTemplates(changeEvents, buildDependencyGraph())
+      : [];
+    this.log(`${files.length} file(s) changed since ${since}, affecting ${affectedTemplates.length} template(s)`);
+    return { changeEvents, affectedTemplates };
+  }
+
+  /**
+   * Rule-based classification of the git change events, for the analysis result
+   */
+  describeChanges(changeEvents) {
+    return changeEvents
+      .filter(event => event.source === 'git')
+      .map(({ type, path: file, category, hunks }) => ({
+        path: file,
+        type,
+        category,
+        hunks: hunks.map(({ header, category: hunkCategory }) => ({ header, category: hunkCategory })),
+      }));
+  }
+
+  /**
+   * Unified diffs of the git change events for the prompt, hunk by hunk
+   */
+  renderDiffs(changeEvents) {
+    let budget = MAX_DIFF_PROMPT_CHARS;
+    const sections = [];
+    for (const event of changeEvents.filter(e => e.source === 'git')) {
+      sections.push(`### ${event.path} (${event.type}, ${event.category})`);
+      if (event.binary) {
+        sections.push('Binary file');
+      }
+      for (const hunk of event.hunks) {
+        const body = hunk.lines.join('\n');
+        if (body.length > budget) {
+          sections.push(`${hunk.header} [${hunk.category}] (${hunk.lines.length} lines omitted)`);
+          continue;
+        }
+        budget -= body.length;
+        sections.push(`${hunk.header} [${hunk.category}]\n\`\`\`diff\n${body}\n\`\`\``);
+      }
+    }
+    return sections.join('\n\n');
+  }
+
+  async getTemplateState(selectedTemplates = null, graph = null) {
     const state = {
       templates: [],
       totalFiles: 0
@@ -122,9 +300,10 @@ Respond with your analysis in JSON format.`;
               file,
               exists: true,
               size: stat.size,
-              modified: stat.mtime,
+              contentHash: hashContent(content),
               lineCount: content.split('\n').length,
               hasEjsVars: content.includes('<%='),
+              partials: graph?.templates[name]?.partials || [],
               preview: content.substring(0, 200) + '...'
             });
             state.totalFiles++;
@@ -138,7 +317,7 @@ Respond with your analysis in JSON format.`;
         }
       }
     } catch (error) {
-      this.log(`Error reading templates: ${error.message}`);
+      this.log(`Error reading templates: ${error.message}`, 'error');
     }
 
     return state;
@@ -6,10 +6,21 @@ import { TestGeneratorAgent } from './test-generator-agent.js';
 import {
   TEMPLATE_NAMES,
   PIPELINE_STEPS,
-  STEP_MARKERS,
+  PIPELINE_STEP_META,
   getStepMeta,
+  resolveTestMode,
+  isOfflineMode,
+  resolveAiProvider,
+  resolvePhaseTimeout,
   PATHS,
+  TIMEOUTS,
 } from '../config/constants.js';
+import { appendUsageLog, summarizeUsage } from '../config/pricing.js';
+import { RunStore, artifactPath } from '../runs/run-store.js';
+import { CheckpointStore } from '../runs/checkpoints.js';
+import { emitEvent, childStdio } from '../events/pipeline-events.js';
+import { TimeoutError, withRetry, withTimeout } from '../resilience/retry.js';
+import { isMissingBrowserError } from '../resilience/browser.js';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -24,6 +35,9 @@ const __dirname = path.dirname(__filename);
  *
  * Coordinates the execution of all agents in the test pipeline.
  * Manages the flow: Planning → Change Analysis → Diff Analysis → Reporting
+ * With AI_PROVIDER=none every agent runs its rule-based logic instead of calling Claude.
+ * Each phase is bounded by its PHASE_TIMEOUTS entry; phases whose agents fell
+ * back to rule-based logic are recorded as degraded in the run and its report.
  */
 export class AgentOrchestrator {
   constructor() {
@@ -32,25 +46,217 @@ export class AgentOrchestrator {
     this.testGenerator = new TestGeneratorAgent();
     this.diffAnalyzer = new DiffAnalyzerAgent();
     this.reportGenerator = new ReportGeneratorAgent();
+    this.offline = isOfflineMode();
+    this.runStore = new RunStore();
+    this.checkpoints = new CheckpointStore();
     this.isRunning = false;
+    this.activeRun = null;
+    this.children = new Set();
   }
 
   /**
-   * Log a message with timestamp
+   * Log a message with timestamp (level: info, warning or error)
    */
-  log(message) {
+  log(message, level = 'info') {
     const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] [Orchestrator] ${message}`);
+    const line = `[${timestamp}] [Orchestrator] ${message}`;
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warning') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  /**
+   * All agents of the pipeline
+   */
+  get agents() {
+    return [this.testPlanner, this.changeAnalyzer, this.diffAnalyzer, this.testGenerator, this.reportGenerator];
+  }
+
+  /**
+   * Schema validation warnings recorded by the agents during the current run
+   */
+  collectSchemaWarnings() {
+    return this.agents.flatMap(agent => agent.schemaWarnings);
+  }
+
+  /**
+   * Fallbacks the agents used during the current run
+   */
+  collectDegradations() {
+    return this.agents.flatMap(agent => agent.degradations);
+  }
+
+  /**
+   * Record that the current phase fell back to degraded results
+   */
+  noteDegradation(degradation) {
+    const phase = this.activeRun.phase;
+    const entry = { phase: phase?.id, ...degradation };
+    this.activeRun.degraded.push(entry);
+    if (phase) {
+      phase.degraded = true;
+    }
+  }
+
+  /**
+   * Attribute fallbacks the agents used since the last call to the current phase
+   */
+  noteAgentDegradations() {
+    const { notedDegradations } = this.activeRun;
+    for (const degradation of this.collectDegradations().filter(d => !notedDegradations.has(d))) {
+      notedDegradations.add(degradation);
+      this.noteDegradation(degradation);
+    }
+  }
+
+  /**
+   * LLM calls made by the agents during the current run
+   */
+  collectUsage() {
+    return this.agents.flatMap(agent => agent.usage);
+  }
+
+  /**
+   * Start a pipeline phase, ending the previous one
+   */
+  startPhase(stepId) {
+    this.endPhase('complete');
+    const { name, description, progress } = getStepMeta(stepId);
+    this.activeRun.phase = { id: stepId, startedAt: Date.now() };
+    emitEvent('phase:start', { phase: stepId, name, description, progress });
+  }
+
+  /**
+   * End the current phase (status: complete, failed or cancelled)
+   * A complete phase that used fallbacks ends as degraded.
+   */
+  endPhase(status) {
+    const phase = this.activeRun?.phase;
+    if (!phase) {
+      return;
+    }
+    this.activeRun.phase = null;
+    emitEvent('phase:end', {
+      phase: phase.id,
+      status: status === 'complete' && phase.degraded ? 'degraded' : status,
+      duration: Date.now() - phase.startedAt,
+    });
+  }
+
+  /**
+   * Run one phase's work within its time limit
+   * On timeout the phase's subprocesses are stopped and a TimeoutError is thrown.
+   */
+  async withPhaseTimeout(stepId, work) {
+    const timeout = resolvePhaseTimeout(stepId);
+    try {
+      return await withTimeout(work(), timeout, `${getStepMeta(stepId).name} timed out after ${timeout / 1000}s`);
+    } catch (error) {
+      if (error instanceof TimeoutError) {
+        this.stopChildren();
+      }
+      throw error;
+    } finally {
+      this.noteAgentDegradations();
+    }
+  }
+
+  /**
+   * Run a pipeline phase and checkpoint its output, or reuse the output
+   * checkpointed by the run being resumed
+   * A phase that returns nothing or throws is not checkpointed, so a resume runs
+   * it again; the run then ends as an error and keeps its checkpoints.
+   * A phase that runs over its time limit fails the run, which stays resumable.
+   */
+  async runPhase(stepId, title, run, restore = null) {
+    this.log('');
+    this.startPhase(stepId);
+    this.log(title);
+    this.log('─'.repeat(40));
+
+    const { run: { id: runId }, restored } = this.activeRun;
+    if (restored[stepId] !== undefined) {
+      this.log('  Reusing output checkpointed by the previous attempt');
+      this.activeRun.phase.degraded = this.activeRun.degraded.some(d => d.phase === stepId);
+      if (restore) {
+        await restore(restored[stepId]);
+      }
+      return restored[stepId];
+    }
+
+    this.activeRun.unfinished.add(stepId);
+    const output = await this.withPhaseTimeout(stepId, run);
+    if (output != null) {
+      this.activeRun.unfinished.delete(stepId);
+    }
+    if (output != null && !this.activeRun.cancelled) {
+      try {
+        this.checkpoints.save(runId, stepId, output);
+      } catch (error) {
+        this.log(`Warning: Could not checkpoint ${stepId}: ${error.message}`, 'warning');
+      }
+    }
+    return output;
   }
 
   /**
-   * Emit a step marker for UI progress tracking
+   * Resume a failed or cancelled run from its first incomplete phase
+   * The run keeps its id, options and the phase outputs checkpointed before it stopped.
    */
-  emitStepMarker(stepId) {
-    const marker = STEP_MARKERS[stepId];
-    if (marker) {
-      console.log(marker);
+  async resumeRun(runId) {
+    const checkpoint = this.checkpoints.load(runId);
+    if (!checkpoint) {
+      this.log(`Cannot resume run ${runId}: no checkpoints found`, 'error');
+      return { status: 'error', error: `No checkpoints to resume run ${runId} from` };
     }
+    return this.runTests({ ...checkpoint.options, resumed: checkpoint });
+  }
+
+  /**
+   * What to test for the changes under email_templates/ since a git ref
+   * Returns the git change events and the templates they reach, narrowed to
+   * `templates` when given. Throws when the ref cannot be read.
+   */
+  changesSince(since, templates = null) {
+    const { changeEvents, affectedTemplates } = this.changeAnalyzer.collectGitChanges(since);
+    const selected = templates && templates.length > 0 ? new Set(templates.map(t => t.replace('.mjml', ''))) : null;
+    return {
+      changeEvents,
+      templates: selected ? affectedTemplates.filter(t => selected.has(t)) : affectedTemplates,
+    };
+  }
+
+  /**
+   * Note an artifact written by the run, so a cancelled run can still link it
+   */
+  noteArtifact(kind, filePath) {
+    const artifact = artifactPath(filePath);
+    if (!artifact) {
+      return;
+    }
+    this.activeRun.artifacts[kind] = artifact;
+    emitEvent('artifact', { kind, path: artifact });
+  }
+
+  /**
+   * Forward a subprocess stream line by line, so its output reaches the run log
+   */
+  forwardLines(stream, write) {
+    let partial = '';
+    stream.on('data', (data) => {
+      const lines = (partial + data.toString()).split('\n');
+      partial = lines.pop();
+      lines.forEach(line => write(line));
+    });
+    stream.on('end', () => {
+      if (partial) {
+        write(partial);
+      }
+    });
   }
 
   /**
@@ -69,37 +275,45 @@ export class AgentOrchestrator {
         env.TEST_TEMPLATES = templates.join(',');
       }
 
-      const compileProcess = spawn('node', [scriptPath], {
+      const compileProcess = this.trackChild(spawn('node', [scriptPath], {
         cwd: path.resolve(__dirname, '..'),
         env,
-        stdio: 'pipe',
-      });
+        stdio: childStdio(),
+      }));
 
       let output = '';
+      let timedOut = false;
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        compileProcess.kill('SIGTERM');
+      }, TIMEOUTS.compilation);
 
       compileProcess.stdout.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        // Forward compilation output
-        process.stdout.write(text);
+        output += data.toString();
       });
 
-      compileProcess.stderr.on('data', (data) => {
-        process.stderr.write(data.toString());
-      });
+      // Forward compilation output
+      this.forwardLines(compileProcess.stdout, line => console.log(line));
+      this.forwardLines(compileProcess.stderr, line => console.error(line));
 
       compileProcess.on('close', (code) => {
-        if (code === 0) {
+        clearTimeout(timer);
+        if (timedOut) {
+          this.log(`Template compilation timed out after ${TIMEOUTS.compilation / 1000}s`, 'error');
+          resolve({ success: false, output, timedOut: true });
+        } else if (code === 0) {
           this.log('Template compilation complete');
           resolve({ success: true, output });
         } else {
-          this.log(`Template compilation failed with code ${code}`);
+          this.log(`Template compilation failed with code ${code}`, 'error');
           resolve({ success: false, output, exitCode: code });
         }
       });
 
       compileProcess.on('error', (error) => {
-        this.log(`Compilation error: ${error.message}`);
+        clearTimeout(timer);
+        this.log(`Compilation error: ${error.message}`, 'error');
         resolve({ success: false, error: error.message });
       });
     });
@@ -127,9 +341,9 @@ export class AgentOrchestrator {
   /**
    * Generate test cases using AI based on test plan
    */
-  async generateTestCases(testPlan, templates) {
-    this.log('Generating test cases with AI...');
-    return await this.testGenerator.generateTests(testPlan, templates);
+  async generateTestCases(testPlan, templates, mode) {
+    this.log(this.offline ? 'Generating rule-based test cases...' : 'Generating test cases with AI...');
+    return await this.testGenerator.generateTests(testPlan, templates, mode);
   }
 
   /**
@@ -141,36 +355,38 @@ export class AgentOrchestrator {
       this.log('Running AI-generated Playwright tests...');
 
       const scriptPath = path.resolve(__dirname, '../scripts/run-dynamic-tests.js');
+      const startedAt = Date.now();
 
-      const testProcess = spawn('node', [scriptPath], {
+      const testProcess = this.trackChild(spawn('node', [scriptPath], {
         cwd: path.resolve(__dirname, '..'),
         env: process.env,
-        stdio: 'pipe',
-      });
+        // The test runner reports each result on the event channel itself
+        stdio: childStdio(),
+      }));
 
       let output = '';
       let errorOutput = '';
 
       testProcess.stdout.on('data', (data) => {
-        const text = data.toString();
-        output += text;
-        // Forward to console
-        process.stdout.write(text);
+        output += data.toString();
       });
-
       testProcess.stderr.on('data', (data) => {
-        const text = data.toString();
-        errorOutput += text;
-        process.stderr.write(text);
+        errorOutput += data.toString();
       });
 
-      testProcess.on('close', async (code) => {
+      // Forward to console
+      this.forwardLines(testProcess.stdout, line => console.log(line));
+      this.forwardLines(testProcess.stderr, line => console.error(line));
+
+      testProcess.on('close', async (code, signal) => {
         // Try to read the results file
         try {
-          const resultsDir = path.resolve(__dirname, '../output/test-results');
+          const resultsDir = PATHS.OUTPUT_TEST_RESULTS;
           const files = await fs.readdir(resultsDir);
+          // Only a results file written by this run (named playwright-results-<ms>.json)
           const latestResult = files
             .filter(f => f.startsWith('playwright-results-'))
+            .filter(f => parseInt(f.replace('playwright-results-', ''), 10) >= startedAt)
             .sort()
             .pop();
 
@@ -179,21 +395,28 @@ export class AgentOrchestrator {
             const results = JSON.parse(await fs.readFile(resultsPath, 'utf-8'));
             resolve({
               exitCode: code,
+              signal,
               results,
+              resultsPath,
               output,
+              errorOutput,
             });
           } else {
             resolve({
               exitCode: code,
+              signal,
               results: null,
               output,
+              errorOutput,
             });
           }
         } catch (error) {
           resolve({
             exitCode: code,
+            signal,
             results: null,
             output,
+            errorOutput,
             error: error.message,
           });
         }
@@ -205,6 +428,100 @@ export class AgentOrchestrator {
     });
   }
 
+  /**
+   * Run the Playwright tests, retrying a runner that exits with an error before
+   * writing its results (e.g. Chromium failed to launch)
+   * Throws once the retries are used up. A missing browser install or a runner
+   * stopped by a timeout or cancel fails at once.
+   */
+  async runPlaywrightWithRetry() {
+    return withRetry(async () => {
+      const { exitCode, signal, results, resultsPath, errorOutput } = await this.runPlaywrightTests();
+      if (!results && exitCode !== 0) {
+        const reason = errorOutput.split('\n').map(line => line.trim()).find(Boolean)?.replace(/^Fatal error:\s*/, '');
+        const error = new Error(`Playwright runner ${signal ? `stopped by ${signal}` : `exited with code ${exitCode}`} without results${reason ? `: ${reason}` : ''}`);
+        error.signal = signal;
+        throw error;
+      }
+      return results ? { results, resultsPath } : null;
+    }, {
+      retryOn: error => !error.signal && !isMissingBrowserError(error),
+      onRetry: (error, attempt, delay) => {
+        this.log(`  ${error.message}, retrying in ${delay}ms (attempt ${attempt + 1})`, 'warning');
+      },
+    });
+  }
+
+  /**
+   * Keep track of a subprocess so a cancelled run can stop it
+   */
+  trackChild(child) {
+    this.children.add(child);
+    child.on('close', () => this.children.delete(child));
+    return child;
+  }
+
+  /**
+   * Stop the subprocesses of the active run
+   */
+  stopChildren() {
+    for (const child of this.children) {
+      child.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Cancel the active run: stop its subprocesses and record it as cancelled.
+   * Artifacts written so far are kept and the record is marked partial.
+   * Returns false when no run is active.
+   */
+  cancel(reason = 'Cancelled by user') {
+    if (!this.activeRun || this.activeRun.cancelled) {
+      return false;
+    }
+
+    this.activeRun.cancelled = true;
+    this.log(`Cancelling run: ${reason}`);
+    this.stopChildren();
+
+    const { run, startTime, artifacts, degraded } = this.activeRun;
+    this.endPhase('cancelled');
+    emitEvent('run:end', { runId: run.id, status: 'cancelled', duration: Date.now() - startTime });
+    this.recordRun({
+      ...run,
+      status: 'cancelled',
+      partial: true,
+      error: reason,
+      completedAt: new Date().toISOString(),
+      duration: Date.now() - startTime,
+      usage: summarizeUsage(this.collectUsage()).totals,
+      artifacts,
+      degraded,
+    });
+    return true;
+  }
+
+  /**
+   * Stop the pipeline between phases once the run was cancelled
+   */
+  checkCancelled() {
+    if (this.activeRun?.cancelled) {
+      throw new Error('Run cancelled');
+    }
+  }
+
+  /**
+   * Add or update this run's record in the run history
+   * A failure to write the index is logged but never fails the run.
+   */
+  recordRun(run) {
+    try {
+      this.runStore.record(run);
+    } catch (error) {
+      this.log(`Warning: Could not record run ${run.id}: ${error.message}`, 'warning');
+    }
+  }
+
   /**
    * Run the full test pipeline
    */
@@ -215,6 +532,9 @@ export class AgentOrchestrator {
       forceFullTest = false,
       skipPlanning = false,
       templates = null,
+      mode = resolveTestMode(),
+      since = null,
+      resumed = null,
     } = options;
 
     if (this.isRunning) {
@@ -224,12 +544,66 @@ export class AgentOrchestrator {
 
     this.isRunning = true;
     const startTime = Date.now();
-    // Use a single timestamp for all artifacts in this run (from env if available)
-    const runTimestamp = process.env.RUN_TIMESTAMP || new Date().toISOString().replace(/[:.]/g, '-');
+    this.agents.forEach(agent => {
+      agent.schemaWarnings = [];
+      agent.usage = [];
+      agent.degradations = [];
+    });
+    // Use a single timestamp for all artifacts in this run (from env if available);
+    // a resumed run keeps its original one
+    const runTimestamp = resumed?.runId || process.env.RUN_TIMESTAMP || new Date().toISOString().replace(/[:.]/g, '-');
+
+    // The run timestamp doubles as the run id in the run history
+    const run = {
+      id: runTimestamp,
+      trigger,
+      mode,
+      provider: this.offline ? 'none' : resolveAiProvider(),
+      templates: templates && templates.length > 0 ? templates.map(t => t.replace('.mjml', '')) : [...TEMPLATE_NAMES],
+      ...(since && { since }),
+      startedAt: resumed?.options.startedAt || new Date(startTime).toISOString(),
+    };
+    this.recordRun({ ...run, status: 'running', ...(resumed && { resumedAt: new Date(startTime).toISOString() }) });
+    if (!resumed) {
+      try {
+        this.checkpoints.begin(run.id, { trigger, changeEvents, forceFullTest, skipPlanning, templates, mode, since, startedAt: run.startedAt });
+      } catch (error) {
+        this.log(`Warning: Could not start checkpoints for run ${run.id}: ${error.message}`, 'warning');
+      }
+    }
+    // Artifacts are noted as they are written, so a cancelled run can still link them
+    // Fallbacks behind the reused phases still shape this run's results
+    // Phases that ran without output keep the run resumable
+    const restored = resumed?.phases || {};
+    const degraded = resumed
+      ? (this.runStore.get(run.id)?.degraded || []).filter(d => restored[d.phase] !== undefined)
+      : [];
+    this.activeRun = { run, startTime, artifacts: {}, phase: null, restored, degraded, notedDegradations: new Set(), unfinished: new Set(), cancelled: false };
+    emitEvent('run:start', {
+      runId: run.id,
+      trigger,
+      mode,
+      provider: run.provider,
+      templates: run.templates,
+      phases: PIPELINE_STEP_META
+        .filter(step => ![PIPELINE_STEPS.COMPLETE, PIPELINE_STEPS.ERROR].includes(step.id))
+        .map(({ id, name, progress }) => ({ id, name, progress })),
+    });
 
     this.log('═'.repeat(60));
     this.log('Starting Multi-Agent QA Test');
     this.log(`Trigger: ${trigger}`);
+    if (since) {
+      this.log(`Changes since: ${since}`);
+    }
+    if (resumed) {
+      const reused = Object.keys(resumed.phases);
+      this.log(`Resuming run ${run.id}${reused.length > 0 ? ` (checkpointed: ${reused.join(', ')})` : ''}`);
+    }
+    this.log(`Mode: ${mode}`);
+    this.log(this.offline
+      ? 'AI Provider: none (offline, rule-based agents)'
+      : `AI Provider: ${resolveAiProvider()}`);
     this.log('═'.repeat(60));
 
     try {
@@ -253,18 +627,18 @@ export class AgentOrchestrator {
       // Compile selected templates to ensure HTML is up-to-date
       const compileResult = await this.compileTemplates(templatesToTest);
       if (!compileResult.success) {
-        this.log('Warning: Some templates may not have compiled successfully');
+        this.log('Warning: Some templates may not have compiled successfully', 'warning');
       }
+      this.checkCancelled();
 
       // Phase 0: Test Planning (only for selected templates)
       let testPlanResult = null;
       if (!skipPlanning) {
-        this.log('');
-        this.emitStepMarker(PIPELINE_STEPS.PLANNER);
-        this.log('Phase 0: Test Planning');
-        this.log('─'.repeat(40));
-
-        testPlanResult = await this.testPlanner.createTestPlan(templatesToTest);
+        testPlanResult = await this.runPhase(PIPELINE_STEPS.PLANNER, 'Phase 0: Test Planning', () =>
+          this.testPlanner.createTestPlan(templatesToTest)
+        );
+        this.noteArtifact('testPlan', testPlanResult.planPath);
+        this.checkCancelled();
 
         this.log('Test Plan Created');
         this.log(`  Plan ID: ${testPlanResult.testPlan.testPlanId || 'generated'}`);
@@ -280,66 +654,63 @@ export class AgentOrchestrator {
       }
 
       // Phase 1: Change Analysis (only for selected templates)
-      this.log('');
-      this.emitStepMarker(PIPELINE_STEPS.ANALYZER);
-      this.log('Phase 1: Change Analysis');
-      this.log('─'.repeat(40));
-
-      let changeAnalysis;
-      if (changeEvents.length > 0) {
-        changeAnalysis = await this.changeAnalyzer.analyzeChanges(changeEvents, templatesToTest);
-      } else {
-        changeAnalysis = await this.changeAnalyzer.analyzeChanges([
+      const changeAnalysis = await this.runPhase(PIPELINE_STEPS.ANALYZER, 'Phase 1: Change Analysis', () =>
+        this.changeAnalyzer.analyzeChanges(changeEvents.length > 0 ? changeEvents : [
           { type: 'full_scan', reason: forceFullTest ? 'forced' : 'manual_trigger' },
-        ], templatesToTest);
-      }
+        ], templatesToTest)
+      );
+
+      this.checkCancelled();
 
       this.log('Change Analysis Complete');
       this.log(`  Affected Templates: ${changeAnalysis.affectedTemplates?.join(', ') || 'all'}`);
       this.log(`  Testing Required: ${changeAnalysis.testingRequired}`);
 
       // Phase 2: Diff Analysis (only for selected templates)
-      this.log('');
-      this.emitStepMarker(PIPELINE_STEPS.DIFF);
-      this.log('Phase 2: Diff Analysis');
-      this.log('─'.repeat(40));
-
-      const diffAnalysis = await this.diffAnalyzer.analyzeTemplates(templatesToTest);
+      const diffAnalysis = await this.runPhase(PIPELINE_STEPS.DIFF, 'Phase 2: Diff Analysis', () =>
+        this.diffAnalyzer.analyzeTemplates(templatesToTest, mode, { runId: runTimestamp })
+      );
+      this.checkCancelled();
 
       this.log('Diff Analysis Complete');
       this.log(`  Overall Assessment: ${diffAnalysis.overallAssessment}`);
       this.log(`  Comparisons Made: ${diffAnalysis.comparisons?.length || 0}`);
+      const baselineChecks = diffAnalysis.baselineChecks || [];
+      this.log(`  Baseline Checks: ${baselineChecks.filter(c => c.status === 'FAIL').length} failed, ${baselineChecks.filter(c => c.status === 'MISSING').length} without baseline, of ${baselineChecks.length}`);
 
       // Phase 2.5: AI Test Generation (REQUIRED - generates all test cases)
-      this.log('');
-      this.emitStepMarker(PIPELINE_STEPS.GENERATOR);
-      this.log('Phase 2.5: AI Test Generation');
-      this.log('─'.repeat(40));
-
       let generatedTests = null;
       try {
-        generatedTests = await this.generateTestCases(
-          testPlanResult?.testPlan || { testPlanId: 'auto-generated' },
-          templatesToTest
+        generatedTests = await this.runPhase(
+          PIPELINE_STEPS.GENERATOR,
+          'Phase 2.5: AI Test Generation',
+          () => this.generateTestCases(
+            testPlanResult?.testPlan || { testPlanId: 'auto-generated' },
+            templatesToTest,
+            mode
+          ),
+          // The Playwright runner reads the tests from test-cases.json
+          tests => this.testGenerator.saveTests(tests)
         );
         this.log(`  Generated ${generatedTests.testCases?.length || 0} test cases dynamically`);
-        this.log(`  Mode: ${generatedTests.mode || 'regression'}`);
+        this.log(`  Mode: ${generatedTests.mode || mode}`);
       } catch (error) {
-        this.log(`  ERROR: Test generation failed: ${error.message}`);
+        this.log(`  ERROR: Test generation failed: ${error.message}`, 'error');
         throw new Error(`Test generation failed: ${error.message}`);
       }
+      this.checkCancelled();
 
       // Phase 3: Execute AI-Generated Tests with Playwright
-      this.log('');
-      this.emitStepMarker(PIPELINE_STEPS.PLAYWRIGHT);
-      this.log('Phase 3: Playwright Tests (AI-Generated)');
-      this.log('─'.repeat(40));
-
       let playwrightResults = null;
+      let playwrightResultsPath = null;
       try {
         // Always use dynamic runner - tests are generated by AI
-        const pwResults = await this.runPlaywrightTests();
-        playwrightResults = pwResults.results;
+        const pwResults = await this.runPhase(PIPELINE_STEPS.PLAYWRIGHT, 'Phase 3: Playwright Tests (AI-Generated)', () =>
+          this.runPlaywrightWithRetry()
+        );
+        playwrightResults = pwResults?.results || null;
+        playwrightResultsPath = pwResults?.resultsPath || null;
+        this.noteArtifact('playwrightResults', playwrightResultsPath);
 
         if (playwrightResults) {
           this.log(`  Total Tests: ${playwrightResults.totalTests}`);
@@ -347,48 +718,137 @@ export class AgentOrchestrator {
           this.log(`  Failed: ${playwrightResults.failed}`);
         }
       } catch (error) {
-        this.log(`  Playwright tests failed: ${error.message}`);
+        this.log(`  Playwright tests failed: ${error.message}`, 'error');
+        this.noteDegradation({ agent: 'Orchestrator', fallback: 'a report without browser test results', attempts: error.attempts || 1, error: error.message });
       }
+      this.checkCancelled();
 
       // Phase 4: Report Generation
       this.log('');
-      this.emitStepMarker(PIPELINE_STEPS.REPORTER);
+      this.startPhase(PIPELINE_STEPS.REPORTER);
       this.log('Phase 4: Report Generation');
       this.log('─'.repeat(40));
 
-      const report = await this.reportGenerator.generateReport(changeAnalysis, diffAnalysis, {
+      const schemaWarnings = this.collectSchemaWarnings();
+      if (schemaWarnings.length > 0) {
+        this.log(`  WARNING: ${schemaWarnings.length} agent response(s) failed schema validation`, 'warning');
+        schemaWarnings.forEach(w => this.log(`    - ${w.agent} (${w.schema}): ${w.errors.length} error(s)`, 'warning'));
+      }
+
+      const report = await this.withPhaseTimeout(PIPELINE_STEPS.REPORTER, () => this.reportGenerator.generateReport(changeAnalysis, diffAnalysis, {
         trigger,
+        mode,
         timestamp: runTimestamp,
         templatesCount: templatesToTest.length,
         templatesTested: templatesToTest,
         duration: Date.now() - startTime,
         testPlan: testPlanResult?.testPlan,
         playwrightResults: playwrightResults,
-      });
+        schemaWarnings,
+        degradations: [...this.activeRun.degraded],
+        llmCalls: this.collectUsage(),
+      }));
 
       this.log(`Report Generated: ${report.reportPath}`);
+      this.noteArtifact('report', report.htmlReportPath);
+      this.noteArtifact('markdownReport', report.reportPath);
+
+      const usage = report.summary.usage;
+      if (usage.totals.calls > 0) {
+        const cachedCalls = usage.calls.filter(call => call.cached).length;
+        this.log(`LLM Usage: ${usage.totals.calls} call(s) (${cachedCalls} cached), ${usage.totals.inputTokens} input / ${usage.totals.outputTokens} output tokens, ~${usage.totals.cost} ${usage.currency}`);
+        appendUsageLog({
+          timestamp: new Date(startTime).toISOString(),
+          runTimestamp,
+          trigger,
+          mode,
+          provider: resolveAiProvider(),
+          totals: usage.totals,
+          byAgent: usage.byAgent,
+          byModel: usage.byModel,
+        });
+      }
 
       // Final Summary
+      this.endPhase('complete');
       const duration = Date.now() - startTime;
+      const unfinished = [...this.activeRun.unfinished].map(stepId => getStepMeta(stepId).name);
+      const runError = unfinished.length > 0
+        ? `${unfinished.join(', ')} produced no output; resume the run to retry`
+        : null;
+      const status = runError ? 'error' : report.summary.status;
       this.log('');
       this.log('═'.repeat(60));
       this.log(`Test Complete in ${duration}ms`);
-      this.log(`Status: ${report.summary.status.toUpperCase()}`);
+      this.log(`Status: ${status.toUpperCase()}`);
+      if (runError) {
+        this.log(runError, 'warning');
+      }
       this.log('═'.repeat(60));
+      emitEvent('run:end', { runId: run.id, status, duration });
+
+      this.recordRun({
+        ...run,
+        status,
+        ...(runError && { error: runError }),
+        completedAt: new Date().toISOString(),
+        duration,
+        usage: usage.totals,
+        artifacts: {
+          testPlan: artifactPath(testPlanResult?.planPath),
+          report: artifactPath(report.htmlReportPath),
+          markdownReport: artifactPath(report.reportPath),
+          playwrightResults: artifactPath(playwrightResultsPath),
+        },
+        degraded: this.activeRun.degraded,
+      });
+      // Nothing left to resume
+      if (!runError) {
+        this.checkpoints.remove(run.id);
+      }
 
       return {
-        status: 'complete',
+        status: runError ? 'error' : 'complete',
+        ...(runError && { error: runError }),
         trigger,
+        mode,
+        offline: this.offline,
         duration,
         testPlan: testPlanResult?.testPlan,
         changeAnalysis,
         diffAnalysis,
         report: report.summary,
         reportPath: report.reportPath,
+        schemaWarnings,
+        degraded: this.activeRun.degraded,
       };
     } catch (error) {
-      this.log(`Error during test execution: ${error.message}`);
+      // cancel() has already recorded the run
+      if (this.activeRun.cancelled) {
+        this.log('Test cancelled');
+        return {
+          status: 'cancelled',
+          trigger,
+          mode,
+          duration: Date.now() - startTime,
+        };
+      }
+
+      this.log(`Error during test execution: ${error.message}`, 'error');
       console.error(error);
+      this.endPhase('failed');
+      emitEvent('run:end', { runId: run.id, status: 'error', duration: Date.now() - startTime });
+
+      this.recordRun({
+        ...run,
+        status: 'error',
+        error: error.message,
+        completedAt: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        usage: summarizeUsage(this.collectUsage()).totals,
+        artifacts: this.activeRun.artifacts,
+        degraded: this.activeRun.degraded,
+      });
 
       return {
         status: 'error',
@@ -398,6 +858,7 @@ export class AgentOrchestrator {
       };
     } finally {
       this.isRunning = false;
+      this.activeRun = null;
     }
   }
 }
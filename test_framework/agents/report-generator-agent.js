@@ -2,6 +2,17 @@ import { BaseAgent } from './base-agent.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  BASE_TEMPLATE,
+  PATHS,
+  TEMPLATE_META,
+  TEST_MODES,
+  DEFAULT_TEST_MODE,
+  PIPELINE_STEPS,
+  getTemplateMeta,
+  getStepMeta,
+} from '../config/constants.js';
+import { summarizeUsage } from '../config/pricing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -56,29 +67,30 @@ Priority: [priority] | Tests: X passed, X failed
 
 IMPORTANT: Include ALL test cases from Playwright results with their actual status and assertions.
 
-## AI Analysis Results (REGRESSION MODE)
+## AI Analysis Results ([MODE] MODE)
 
 ### Template Comparison Analysis
 
+Write the active mode (REGRESSION or VARIATION) given in the request in place of [MODE].
+
 **REGRESSION MODE:** All templates must match the base template exactly. ANY difference = FAILURE.
+**VARIATION MODE:** Each template may differ from the base only in its declared expected difference (styling or content). A matching difference = PASS, an undeclared difference category = FAILURE, a declared difference that is missing = WARNING.
 
 #### Partner A vs Base Template
-**Regression Test:** Must be identical to base (no styling differences allowed)
+**Expected:** Regression - identical to base. Variation - styling differences only.
 
-If Partner A has ANY differences (e.g., green vs blue colors): Partner A comparison ❌ FAILED
-If Partner A is identical to base: Partner A comparison ✅ PASSED
+Partner A comparison ✅ PASSED / ⚠️ WARNING / ❌ FAILED according to the active mode rules.
 
 Key findings as bullet points.
 
 #### Partner B vs Base Template
-**Regression Test:** Must be identical to base (no content differences allowed)
+**Expected:** Regression - identical to base. Variation - content differences only.
 
-If Partner B has ANY differences (e.g., different text content): Partner B comparison ❌ FAILED
-If Partner B is identical to base: Partner B comparison ✅ PASSED
+Partner B comparison ✅ PASSED / ⚠️ WARNING / ❌ FAILED according to the active mode rules.
 
 Key findings as bullet points.
 
-IMPORTANT: In regression mode, use ❌ FAILED for ANY template with differences. Use ✅ PASSED only when template is identical to base.
+IMPORTANT: Use the "status" field of each comparison (PASS/WARNING/FAIL), which already applies the active mode rules.
 IMPORTANT: Always write "Partner A" or "Partner B" followed by status emoji (✅/❌/⚠️) on the same line for clickable links.
 
 ## Issues Found
@@ -128,7 +140,7 @@ export class ReportGeneratorAgent extends BaseAgent {
     this.reportsDir = path.resolve(__dirname, '../../test_reports');
     this.webArtifactsDir = path.resolve(__dirname, '../../web/artifacts');
     this.webLogsDir = path.resolve(__dirname, '../../web/logs');
-    this.testPlansDir = path.resolve(__dirname, '../output/test-plans');
+    this.testPlansDir = PATHS.OUTPUT_TEST_PLANS;
   }
 
   /**
@@ -206,20 +218,32 @@ export class ReportGeneratorAgent extends BaseAgent {
       return `<a href="${screenshotPath}" class="screenshot-link" target="_blank" title="Click to view screenshot">${linkText}</a>`;
     });
 
-    htmlBody = htmlBody.replace(/(Partner [AB])[^<]*?(✅|❌|⚠️)/g, (match, partner, statusEmoji) => {
-      const linkStatus = statusEmoji === '✅' ? 'pass' : statusEmoji === '❌' ? 'fail' : 'warning';
-      const compareTemplate = partner === 'Partner A' ? 'site_visitor_welcome_partner_a' : 'site_visitor_welcome_partner_b';
-      const expectedDiff = partner === 'Partner A' ? 'styling' : 'content';
-      const issueData = JSON.stringify({
-        title: `${partner} Comparison`,
-        baseTemplate: 'site_visitor_welcome',
-        compareTemplate,
-        expectedDifference: expectedDiff,
-        status: linkStatus,
-        severity: linkStatus === 'fail' ? 'high' : linkStatus === 'warning' ? 'medium' : 'low'
-      }).replace(/"/g, '&quot;');
-      return `<a href="#" class="issue-link status-${linkStatus}" data-issue="${issueData}">${match}</a>`;
-    });
+    // Issue links on the comparison results, found by the registry name each template is reported under
+    const comparedTemplates = new Map(
+      Object.entries(TEMPLATE_META)
+        .filter(([, meta]) => !meta.isBase)
+        .map(([id, meta]) => [meta.name || id, id])
+    );
+    if (comparedTemplates.size > 0) {
+      const names = [...comparedTemplates.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const comparisonRegex = new RegExp(`(${names.join('|')})[^<]*?(✅|❌|⚠️)`, 'g');
+      htmlBody = htmlBody.replace(comparisonRegex, (match, name, statusEmoji) => {
+        const linkStatus = statusEmoji === '✅' ? 'pass' : statusEmoji === '❌' ? 'fail' : 'warning';
+        const compareTemplate = comparedTemplates.get(name);
+        const meta = TEMPLATE_META[compareTemplate];
+        const issueData = JSON.stringify({
+          title: `${name} Comparison`,
+          baseTemplate: meta.baseTemplate || BASE_TEMPLATE,
+          compareTemplate,
+          expectedDifference: meta.expectedDifference,
+          status: linkStatus,
+          severity: linkStatus === 'fail' ? 'high' : linkStatus === 'warning' ? 'medium' : 'low'
+        }).replace(/"/g, '&quot;');
+        return `<a href="#" class="issue-link status-${linkStatus}" data-issue="${issueData}">${match}</a>`;
+      });
+    }
 
     // Paragraphs
     htmlBody = htmlBody.replace(/^([^<\n].+)$/gm, '<p>$1</p>');
@@ -317,7 +341,7 @@ export class ReportGeneratorAgent extends BaseAgent {
   <div class="report-container">
     ${htmlBody}
     <div class="report-footer">
-      <p>Generated by Email Template QA System • Powered by Claude AI</p>
+      <p>Generated by Email Template QA System • ${this.offline ? 'Rule-based offline report' : 'Powered by Claude AI'}</p>
     </div>
   </div>
 </body>
@@ -375,72 +399,31 @@ ${data.tests.map(tc => {
 `;
     }
 
-    // Get the list of templates being tested
-    const templatesList = metadata.templatesTested || [];
-    const templatesListStr = templatesList.length > 0 ? templatesList.join(', ') : 'all';
-
-    const prompt = `Generate a professional QA report using the EXACT structure from your system prompt. This report MUST combine both Playwright automated test results AND AI analysis results.
-
-## INPUT DATA
-
-### Test Metadata
-- Trigger: ${metadata.trigger || 'manual'}
-- Timestamp: ${metadata.timestamp || new Date().toISOString()}
-- Templates Tested: ${templatesListStr} (${metadata.templatesCount || templatesList.length} total)
-- Duration: ${metadata.duration || 'N/A'}ms
-
-### TEMPLATES BEING TESTED (ONLY INCLUDE THESE IN REPORT)
-${templatesListStr}
-
-### PLAYWRIGHT AUTOMATED TEST RESULTS (CRITICAL - MUST INCLUDE IN REPORT)
-${playwrightSection}
-
-### Test Plan
-${metadata.testPlan ? JSON.stringify(metadata.testPlan, null, 2).substring(0, 2000) : 'No test plan data'}
-
-### AI Change Analysis Results
-${JSON.stringify(changeAnalysis, null, 2)}
-
-### AI Diff Analysis Results
-${JSON.stringify(diffAnalysis, null, 2)}
-
-## REQUIREMENTS
-
-**REGRESSION MODE IS ACTIVE**: This is a regression test where ALL templates MUST be identical to the base template.
-- If a template has ANY difference (colors, content, structure), it FAILS
-- Check the "regressionStatus" and "isAsExpected" fields in diffAnalysis comparisons
-- Partner A has styling differences (green vs blue) = ❌ FAILED
-- Partner B has content differences = ❌ FAILED
-
-1. Follow the EXACT report structure from your system prompt
-2. **CRITICAL**: ONLY include results for the templates listed above: ${templatesListStr}
-3. Do NOT include any templates that are not in the tested list
-4. **REGRESSION STATUS**: Use the "regressionStatus" field from each comparison to determine PASS/FAIL
-5. **TEST PLAN ALIGNMENT**: Tests use IDs TC001-TC023 matching the test plan. Group by suite:
-   - Template Compilation (TC001-TC004): Verify MJML compiles to valid HTML
-   - EJS Variable Rendering (TC005-TC008): Verify EJS variables render correctly
-   - Color Scheme Validation (TC009-TC012): Verify correct colors per template
-   - Content Validation (TC013-TC016): Verify text content
-   - Structure Validation (TC017-TC020): Verify HTML structure per template
-   - Cross-Template Comparison (TC021-TC023): Compare templates visually
-6. Include the "Automated Test Results" section organized by test suite
-7. Create a table for EACH SUITE showing test cases with ID, name, status, duration, and key findings
-8. Use proper markdown tables (with header separator row using dashes)
-9. Include metrics with actual values from both Playwright and AI analysis
-10. Include "AI Analysis Results" section with comparisons for tested templates only
-11. List specific issues found with severity levels AND source (Playwright/AI)
-12. Provide actionable recommendations based on BOTH Playwright and AI findings
-13. Use emoji indicators: ✅ pass, ❌ fail, ⚠️ warning, ⏭️ skipped
-14. Keep the report professional and scannable
-15. The Executive Summary should reflect COMBINED results from both Playwright and AI
-16. **IMPORTANT FOR FAILED TESTS**: When a test has screenshots available, include diff links
+    const mode = metadata.mode || diffAnalysis.mode || DEFAULT_TEST_MODE;
 
-Generate the complete markdown report now:`;
+    // Determine overall status (considering Playwright results)
+    const overallStatus = this.determineOverallStatus(changeAnalysis, diffAnalysis, metadata.playwrightResults);
 
-    const response = await this.sendMessage(prompt, { maxTokens: 8192 });
+    const schemaWarnings = metadata.schemaWarnings || [];
+    const reportBody = this.offline
+      ? this.renderOfflineReport(changeAnalysis, diffAnalysis, metadata, mode, overallStatus, playwrightSection)
+      : await this.withFallback(
+        () => this.requestReport(changeAnalysis, diffAnalysis, metadata, mode, playwrightSection),
+        () => this.renderOfflineReport(changeAnalysis, diffAnalysis, metadata, mode, overallStatus, playwrightSection),
+        'offline report template'
+      );
+    // The report request itself may have degraded
+    const degradedPhases = [
+      ...(metadata.degradations || []),
+      ...this.degradations.map(d => ({ phase: PIPELINE_STEPS.REPORTER, ...d })),
+    ];
+    const reportContent = reportBody
+      + this.renderChangedFiles(changeAnalysis.changes || [])
+      + this.renderBaselineChecks(diffAnalysis.baselineChecks || [])
+      + this.renderSchemaWarnings(schemaWarnings)
+      + this.renderDegradedPhases(degradedPhases);
 
     // Save the report - use provided timestamp or generate one
-    const reportContent = response.content;
     const timestamp = metadata.timestamp || new Date().toISOString().replace(/[:.]/g, '-');
     const reportPath = path.join(this.reportsDir, `qa-report-${timestamp}.md`);
 
@@ -451,9 +434,6 @@ Generate the complete markdown report now:`;
     const mainReportPath = path.join(this.reportsDir, 'comparison-report.md');
     await fs.writeFile(mainReportPath, reportContent, 'utf-8');
 
-    // Determine overall status (considering Playwright results)
-    const overallStatus = this.determineOverallStatus(changeAnalysis, diffAnalysis, metadata.playwrightResults);
-
     // Generate and save HTML report to web/artifacts
     await fs.mkdir(this.webArtifactsDir, { recursive: true });
     const htmlContent = this.convertMarkdownToHtml(reportContent, timestamp, overallStatus);
@@ -463,10 +443,15 @@ Generate the complete markdown report now:`;
 
     // Note: Test plan is already saved by TestPlannerAgent, no need to duplicate
 
+    // Roll up the LLM calls of this run, including the report request itself
+    const usage = summarizeUsage([...(metadata.llmCalls || []), ...this.usage]);
+
     // Generate JSON summary
     const jsonSummary = {
       timestamp: metadata.timestamp || new Date().toISOString(),
       trigger: metadata.trigger || 'manual',
+      mode,
+      offline: this.offline,
       duration: metadata.duration,
       testPlan: metadata.testPlan ? {
         id: metadata.testPlan.testPlanId,
@@ -487,12 +472,16 @@ Generate the complete markdown report now:`;
       changeAnalysis: {
         affectedTemplates: changeAnalysis.affectedTemplates || [],
         changeType: changeAnalysis.changeType || 'unknown',
-        testingRequired: changeAnalysis.testingRequired
+        testingRequired: changeAnalysis.testingRequired,
+        ...(changeAnalysis.changes && { changes: changeAnalysis.changes })
       },
       diffAnalysis: {
         overallAssessment: diffAnalysis.overallAssessment || 'unknown',
         comparisonsCount: diffAnalysis.comparisons?.length || 0
       },
+      schemaWarnings,
+      degradedPhases,
+      usage,
       reportPath,
       htmlReportPath,
       status: overallStatus
@@ -512,6 +501,299 @@ Generate the complete markdown report now:`;
     };
   }
 
+  /**
+   * Ask the AI provider to write the markdown report
+   */
+  async requestReport(changeAnalysis, diffAnalysis, metadata, mode, playwrightSection) {
+    // Mode-specific rules for the comparison section
+    const modeRequirements = mode === TEST_MODES.VARIATION
+      ? `**VARIATION MODE IS ACTIVE**: Templates may differ from the base template ONLY in their declared expected difference.
+- A template whose actual difference matches its declared one PASSES
+- A template with an undeclared difference category (e.g. content changes when only styling is declared) FAILS
+- A template missing its declared difference gets a WARNING
+- Check the "status", "expectedDifferenceType" and "actualDifferenceType" fields in diffAnalysis comparisons`
+      : `**REGRESSION MODE IS ACTIVE**: This is a regression test where ALL templates MUST be identical to the base template.
+- If a template has ANY difference (colors, content, structure), it FAILS
+- Check the "status" and "isAsExpected" fields in diffAnalysis comparisons
+- Partner A has styling differences (green vs blue) = ❌ FAILED
+- Partner B has content differences = ❌ FAILED`;
+
+    // Get the list of templates being tested
+    const templatesList = metadata.templatesTested || [];
+    const templatesListStr = templatesList.length > 0 ? templatesList.join(', ') : 'all';
+
+    const prompt = `Generate a professional QA report using the EXACT structure from your system prompt. This report MUST combine both Playwright automated test results AND AI analysis results.
+
+## INPUT DATA
+
+### Test Metadata
+- Trigger: ${metadata.trigger || 'manual'}
+- Mode: ${mode}
+- Timestamp: ${metadata.timestamp || new Date().toISOString()}
+- Templates Tested: ${templatesListStr} (${metadata.templatesCount || templatesList.length} total)
+- Duration: ${metadata.duration || 'N/A'}ms
+
+### TEMPLATES BEING TESTED (ONLY INCLUDE THESE IN REPORT)
+${templatesListStr}
+
+### PLAYWRIGHT AUTOMATED TEST RESULTS (CRITICAL - MUST INCLUDE IN REPORT)
+${playwrightSection}
+
+### Test Plan
+${metadata.testPlan ? JSON.stringify(metadata.testPlan, null, 2).substring(0, 2000) : 'No test plan data'}
+
+### AI Change Analysis Results
+${JSON.stringify(changeAnalysis, null, 2)}
+
+### AI Diff Analysis Results
+${JSON.stringify(diffAnalysis, null, 2)}
+
+## REQUIREMENTS
+
+${modeRequirements}
+
+1. Follow the EXACT report structure from your system prompt
+2. **CRITICAL**: ONLY include results for the templates listed above: ${templatesListStr}
+3. Do NOT include any templates that are not in the tested list
+4. **COMPARISON STATUS**: Use the "status" field from each comparison to determine PASS/WARNING/FAIL
+5. **TEST PLAN ALIGNMENT**: Tests use IDs TC001-TC023 matching the test plan. Group by suite:
+   - Template Compilation (TC001-TC004): Verify MJML compiles to valid HTML
+   - EJS Variable Rendering (TC005-TC008): Verify EJS variables render correctly
+   - Color Scheme Validation (TC009-TC012): Verify correct colors per template
+   - Content Validation (TC013-TC016): Verify text content
+   - Structure Validation (TC017-TC020): Verify HTML structure per template
+   - Cross-Template Comparison (TC021-TC023): Compare templates visually
+6. Include the "Automated Test Results" section organized by test suite
+7. Create a table for EACH SUITE showing test cases with ID, name, status, duration, and key findings
+8. Use proper markdown tables (with header separator row using dashes)
+9. Include metrics with actual values from both Playwright and AI analysis
+10. Include "AI Analysis Results" section with comparisons for tested templates only
+11. List specific issues found with severity levels AND source (Playwright/AI)
+12. Provide actionable recommendations based on BOTH Playwright and AI findings
+13. Use emoji indicators: ✅ pass, ❌ fail, ⚠️ warning, ⏭️ skipped
+14. Keep the report professional and scannable
+15. The Executive Summary should reflect COMBINED results from both Playwright and AI
+16. **IMPORTANT FOR FAILED TESTS**: When a test has screenshots available, include diff links
+
+Generate the complete markdown report now:`;
+
+    // The prompt embeds per-run values (timestamp, durations), so the cache is keyed on the results only
+    const cacheKey = JSON.stringify({
+      mode,
+      templates: templatesList,
+      testPlanId: metadata.testPlan?.testPlanId,
+      changeAnalysis,
+      diffAnalysis,
+      playwright: metadata.playwrightResults?.testCases?.map(tc => ({
+        id: tc.id,
+        status: tc.status,
+        assertions: tc.assertions?.map(a => ({ passed: a.passed, message: a.message }))
+      }))
+    });
+
+    const response = await this.sendMessage(prompt, { maxTokens: 8192, cacheKey });
+    return response.content;
+  }
+
+  /**
+   * Render the markdown report from a fixed template (offline mode)
+   */
+  renderOfflineReport(changeAnalysis, diffAnalysis, metadata, mode, overallStatus, playwrightSection) {
+    const STATUS_LABELS = {
+      passed: '✅ PASSED',
+      warning: '⚠️ WARNING',
+      failed: '❌ FAILED'
+    };
+    const COMPARISON_EMOJI = { PASS: '✅', WARNING: '⚠️', FAIL: '❌' };
+
+    const pw = metadata.playwrightResults;
+    const comparisons = diffAnalysis.comparisons || [];
+    const templatesList = metadata.templatesTested || [];
+
+    // Collect issues from Playwright and the diff analysis
+    const criticalIssues = [];
+    const warningIssues = [];
+    for (const tc of pw?.testCases || []) {
+      const failedAssertions = tc.assertions?.filter(a => !a.passed).map(a => a.message).join('; ');
+      const issue = `Issue: ${tc.id} ${tc.name}${failedAssertions ? ` - ${failedAssertions}` : ''}`;
+      if (tc.status === 'failed' && !tc.hasWarnings) {
+        criticalIssues.push(`${issue} - ${tc.priority === 'critical' ? 'Critical' : 'High'} - Source: Playwright`);
+      } else if (tc.hasWarnings) {
+        warningIssues.push(`${issue} - Medium - Source: Playwright`);
+      }
+    }
+    for (const c of comparisons) {
+      const description = c.error ||
+        `\`${c.compareTemplate}\` differs from base by ${c.actualDifferenceType}, declared ${c.expectedDifferenceType}`;
+      if (c.status === 'FAIL') {
+        criticalIssues.push(`Issue: ${description} - High - Source: Diff Analysis`);
+      } else if (c.status === 'WARNING') {
+        warningIssues.push(`Issue: ${description} - Medium - Source: Diff Analysis`);
+      }
+    }
+    for (const warning of changeAnalysis.warnings || []) {
+      warningIssues.push(`Issue: ${warning} - Low - Source: Change Analysis`);
+    }
+
+    const comparisonSections = comparisons.map(c => {
+      const meta = getTemplateMeta(c.compareTemplate);
+      const lines = [
+        `#### ${meta.name || c.compareTemplate} vs Base Template`,
+        `**Expected:** \`${c.expectedDifferenceType}\` | **Actual:** \`${c.actualDifferenceType}\``,
+        '',
+        `${meta.name || c.compareTemplate} comparison: ${COMPARISON_EMOJI[c.status] || '❌'} ${c.status}`,
+        ''
+      ];
+      if (c.error) {
+        lines.push(`- ${c.error}`);
+      } else {
+        lines.push(`- Colors added: ${c.stylingDifferences.addedColors?.map(color => `\`${color}\``).join(', ') || 'none'}`);
+        lines.push(`- Colors removed: ${c.stylingDifferences.removedColors?.map(color => `\`${color}\``).join(', ') || 'none'}`);
+        lines.push(`- Text changes: ${c.contentDifferences.textChanges || 0}`);
+        lines.push(`- Structure changes: ${c.structuralDifferences.map(d => `${d.element} ${d.base} → ${d.compare}`).join(', ') || 'none'}`);
+      }
+      if (c.screenshots) {
+        lines.push(`- Visual diff: ${c.screenshots.diffPercentage}% [Side-by-Side](/screenshots/diffs/${c.screenshots.sideBySidePath})`);
+      }
+      return lines.join('\n');
+    });
+
+    const recommendations = [
+      ...(diffAnalysis.recommendations || []),
+      ...(changeAnalysis.recommendations || [])
+    ];
+    if (criticalIssues.length > 0) {
+      recommendations.unshift('Fix the critical issues listed above before releasing these templates');
+    }
+
+    const pwSummary = pw ? `${pw.passed || 0} Passed / ${pw.failed || 0} Failed` : 'Not run';
+
+    return `# Executive Summary
+
+Rule-based QA report generated offline for ${templatesList.length} template(s) in ${mode} mode. Playwright: ${pwSummary}. Diff analysis: ${diffAnalysis.overallAssessment || 'unknown'}.
+
+**Overall Status:** ${STATUS_LABELS[overallStatus]}
+
+| Metric | Value |
+|--------|-------|
+| Templates Tested | ${templatesList.length} |
+| Playwright Tests | ${pwSummary} |
+| Diff Analysis | ${diffAnalysis.overallAssessment || 'unknown'} |
+| Issues Found | ${criticalIssues.length} Critical, ${warningIssues.length} Warning |
+| Duration | ${metadata.duration || 'N/A'}ms |
+
+## Automated Test Results (Playwright)
+${playwrightSection}
+
+## Comparison Results (${mode.toUpperCase()} MODE)
+
+${comparisonSections.join('\n\n') || 'No comparisons were made.'}
+
+## Issues Found
+
+### Critical Issues
+${criticalIssues.map(i => `- ${i}`).join('\n') || '- None'}
+
+### Warnings
+${warningIssues.map(i => `- ${i}`).join('\n') || '- None'}
+
+## Recommendations
+
+${recommendations.map((r, i) => `${i + 1}. ${r}`).join('\n') || '1. No action required'}
+
+## Technical Details
+
+- Generated by: rule-based report template (AI_PROVIDER=none)
+- Trigger: \`${metadata.trigger || 'manual'}\`
+- Test Plan ID: \`${metadata.testPlan?.testPlanId || 'N/A'}\`
+- Templates analyzed: ${templatesList.map(t => `\`${t}\``).join(', ') || 'all'}
+- Base template: \`${BASE_TEMPLATE}\`
+- Comparison method: color, text and structure diff against the base template
+`;
+  }
+
+  /**
+   * Markdown section with each template's diff against its approved baseline screenshots
+   */
+  renderBaselineChecks(baselineChecks) {
+    if (baselineChecks.length === 0) {
+      return '';
+    }
+
+    const STATUS_EMOJI = { PASS: '✅', FAIL: '❌', MISSING: '➖' };
+    const missing = baselineChecks.filter(c => c.status === 'MISSING').length;
+
+    return `
+
+## Visual Baselines
+
+Screenshots compared against the approved baseline of each template (threshold ${baselineChecks[0].threshold}%).
+
+| Template | Status | ${baselineChecks[0].viewports.map(v => v.viewport).join(' | ')} |
+|----------|--------|${baselineChecks[0].viewports.map(() => '------').join('|')}|
+${baselineChecks.map(c => `| ${c.template} | ${STATUS_EMOJI[c.status]} ${c.status} | ${c.viewports.map(v => (v.status === 'MISSING'
+    ? 'no baseline'
+    : `${v.diffPercentage}% [Side-by-Side](/screenshots/diffs/${v.sideBySidePath})`)).join(' | ')} |`).join('\n')}
+${missing > 0 ? `\n${missing} template(s) have no approved baseline yet. Approve this run's screenshots from the Reports page or with \`node scripts/run-agents.js --update-baselines\`.\n` : ''}`;
+  }
+
+  /**
+   * Markdown section listing agent responses that failed schema validation
+   */
+  renderSchemaWarnings(schemaWarnings) {
+    if (schemaWarnings.length === 0) {
+      return '';
+    }
+
+    return `
+
+## Schema Validation Warnings
+
+⚠️ ${schemaWarnings.length} agent response(s) did not match their schema and were replaced by rule-based fallbacks.
+
+${schemaWarnings.map(w => `### ${w.agent} (${w.schema})
+Invalid after ${w.attempts} attempt(s):
+${w.errors.map(e => `- \`${e}\``).join('\n')}`).join('\n\n')}
+`;
+  }
+
+  /**
+   * Markdown section listing the files changed since a git ref (--since) and the
+   * rule-based category of each hunk
+   */
+  renderChangedFiles(changes) {
+    if (changes.length === 0) {
+      return '';
+    }
+
+    return `
+
+## Changed Files
+
+| File | Change | Category | Hunks |
+|------|--------|----------|-------|
+${changes.map(c => `| \`${c.path}\` | ${c.type} | ${c.category} | ${c.hunks.map(h => `\`${h.header.match(/^@@ [^@]+ @@/)?.[0] || h.header}\` ${h.category}`).join('<br>') || '-'} |`).join('\n')}
+`;
+  }
+
+  /**
+   * Markdown section listing phases that fell back to rule-based logic after failed attempts
+   */
+  renderDegradedPhases(degradedPhases) {
+    if (degradedPhases.length === 0) {
+      return '';
+    }
+
+    return `
+
+## Degraded Phases
+
+⚠️ ${degradedPhases.length} phase(s) could not complete as planned; their results come from fallbacks.
+
+${degradedPhases.map(d => `- **${getStepMeta(d.phase).name}** used ${d.fallback} after ${d.attempts} failed attempt(s): \`${d.error}\``).join('\n')}
+`;
+  }
+
   determineOverallStatus(changeAnalysis, diffAnalysis, playwrightResults = null) {
     // Check Playwright results for actual failures (not warnings)
     if (playwrightResults) {
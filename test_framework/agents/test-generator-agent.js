@@ -1,10 +1,8 @@
 import { BaseAgent } from './base-agent.js';
+import { AGENT_SCHEMAS } from '../schemas/index.js';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { BASE_TEMPLATE, PATHS, TEST_MODES, getTemplateMeta, resolveTestMode } from '../config/constants.js';
 
 const SYSTEM_PROMPT = `You are the Test Generator Agent in a multi-agent email template QA system. You generate executable Playwright test cases based on test plans.
 
@@ -12,15 +10,15 @@ Your responsibilities:
 1. Parse the test plan and generate corresponding test case definitions
 2. Create test cases that can be dynamically executed by Playwright
 3. Define assertions, expected values, and test logic for each test case
-4. Ensure tests are in REGRESSION MODE - all templates must match the base template
+4. Ensure tests follow the requested mode - REGRESSION (all templates must match the base template) or VARIATION (templates may differ from base only as declared)
 
 OUTPUT FORMAT - Generate a JSON array of test cases with this structure:
 
 {
   "generatedAt": "ISO timestamp",
   "testPlanId": "from test plan",
-  "mode": "regression",
-  "baseTemplate": "site_visitor_welcome",
+  "mode": "regression|variation",
+  "baseTemplate": "${BASE_TEMPLATE}",
   "testCases": [
     {
       "id": "TC001",
@@ -61,7 +59,7 @@ OUTPUT FORMAT - Generate a JSON array of test cases with this structure:
         },
         {
           "type": "visual_match",
-          "baseTemplate": "site_visitor_welcome",
+          "baseTemplate": "${BASE_TEMPLATE}",
           "threshold": 2,
           "description": "Visually matches base within 2%"
         }
@@ -81,8 +79,11 @@ ASSERTION TYPES:
 - content_contains: Check rendered text contains expected string (case-insensitive)
 - content_absent: Check rendered text does NOT contain forbidden string
 - visual_match: Compare screenshots, pass if diff <= threshold %
-- size_under: Check file size under limit in KB
+- size_under: Check HTML size under maxKb (default: the template's size budget) and under Gmail's ~102KB clipping point
 - structure_valid: Check valid HTML structure
+- text_contains: Check the plain-text alternative contains expected string (case-insensitive)
+- text_has_unsubscribe: Check the plain-text alternative contains the unsubscribe URL
+- no_relative_image_urls: Check every image URL in the compiled HTML is absolute
 
 REGRESSION MODE RULES:
 1. ALL templates must match base template colors (#2563eb blue)
@@ -90,6 +91,13 @@ REGRESSION MODE RULES:
 3. ANY deviation from base is a FAILURE
 4. Visual comparison threshold is 2% - anything above FAILS
 
+VARIATION MODE RULES:
+1. Each template declares an expected difference from base: none, styling or content
+2. Templates declaring "styling" may change colors but MUST keep base content ("Hello", "Get Started Now")
+3. Templates declaring "content" may change text but MUST keep base colors (#2563eb, no #16a34a)
+4. Templates declaring "none" follow the regression rules
+5. Do NOT add visual_match assertions for templates that declare a difference
+
 CRITICAL - DO NOT INVENT CONTENT:
 - ONLY use content_contains for: "Hello", "Get Started Now"
 - ONLY use content_absent for: "Greetings", "Begin Your Journey"
@@ -103,35 +111,82 @@ Respond with ONLY the JSON, no markdown formatting or explanation.`;
 export class TestGeneratorAgent extends BaseAgent {
   constructor() {
     super('TestGenerator', SYSTEM_PROMPT);
-    this.outputDir = path.resolve(__dirname, '../output/generated-tests');
-    this.testPlansDir = path.resolve(__dirname, '../output/test-plans');
+    this.outputDir = PATHS.OUTPUT_GENERATED_TESTS;
+    this.testPlansDir = PATHS.OUTPUT_TEST_PLANS;
   }
 
-  async generateTests(testPlan, templates) {
-    this.log('Generating dynamic test cases from test plan');
+  async generateTests(testPlan, templates, mode = resolveTestMode()) {
+    this.log(`Generating dynamic test cases from test plan (${mode} mode)`);
 
     await fs.mkdir(this.outputDir, { recursive: true });
 
-    // Prepare prompt with test plan and template info
-    const prompt = `Generate Playwright test cases for the following test plan.
+    const testCases = this.offline
+      ? this.generateFallbackTests(templates, mode)
+      : await this.requestTests(testPlan, templates, mode);
 
-## Test Plan
-${JSON.stringify(testPlan, null, 2)}
+    // Add metadata
+    testCases.mode = mode;
+    testCases.generatedAt = new Date().toISOString();
+    testCases.testPlanId = testPlan.testPlanId || 'unknown';
 
-## Templates to Test
-${templates.map(t => `- ${t}`).join('\n')}
+    this.log(`Generated ${testCases.testCases?.length || 0} test cases`);
+    await this.saveTests(testCases);
 
-## Base Template
-site_visitor_welcome
+    return testCases;
+  }
 
-## Requirements (REGRESSION MODE)
+  /**
+   * Write test cases where the Playwright runner reads them (test-cases.json)
+   */
+  async saveTests(testCases) {
+    await fs.mkdir(this.outputDir, { recursive: true });
+    const outputPath = path.join(this.outputDir, 'test-cases.json');
+    await fs.writeFile(outputPath, JSON.stringify(testCases, null, 2));
+    this.log(`Saved to: ${outputPath}`);
+  }
+
+  /**
+   * Ask the AI provider for test cases, falling back to rule-based tests when
+   * the response fails schema validation
+   */
+  async requestTests(testPlan, templates, mode) {
+    // Mode-specific requirements
+    const requirements = mode === TEST_MODES.VARIATION
+      ? `## Requirements (VARIATION MODE)
+- Base template uses blue color: #2563eb
+- Base template greeting text: "Hello"
+- Base template button text: "Get Started Now"
+- Each template may differ from base ONLY as declared below
+- Any undeclared color difference (like green #16a34a) is a FAILURE
+- Any undeclared content difference (like "Greetings" or "Begin Your Journey") is a FAILURE
+
+## Declared Differences
+${templates.map(t => `- ${t}: ${getTemplateMeta(t).expectedDifference || 'none'}`).join('\n')}
+`
+      : `## Requirements (REGRESSION MODE)
 - Base template uses blue color: #2563eb
 - Base template greeting text: "Hello"
 - Base template button text: "Get Started Now"
 - ALL other templates MUST match base exactly
 - Any color difference (like green #16a34a) is a FAILURE
 - Any content difference (like "Greetings" or "Begin Your Journey") is a FAILURE
+`;
+
+    // Prepare prompt with test plan and template info
+    // (createdAt is left out so an unchanged plan produces the same prompt and hits the response cache)
+    const { createdAt, ...planForPrompt } = testPlan;
+    const prompt = `Generate Playwright test cases for the following test plan.
+
+## Test Plan
+${JSON.stringify(planForPrompt, null, 2)}
 
+## Templates to Test
+${templates.map(t => `- ${t}`).join('\n')}
+
+## Base Template
+${BASE_TEMPLATE}
+
+${requirements}
 ## IMPORTANT RESTRICTIONS
 - ONLY check for content explicitly listed above: "Hello", "Get Started Now"
 - DO NOT invent or assume any other content like usernames, email addresses, or placeholder text
@@ -141,48 +196,37 @@ site_visitor_welcome
 
 Generate test cases for:
 1. Template Compilation (each template compiles to valid HTML with DOCTYPE, html, body tags)
-2. Color Regression (all templates use base blue #2563eb, must NOT have green #16a34a)
-3. Content Regression (all templates have "Hello" greeting, must NOT have "Greetings")
-4. Content Regression (all templates have "Get Started Now" button, must NOT have "Begin Your Journey")
-5. Visual Regression (all templates visually match base within 2% diff threshold)
-
-Generate the complete JSON test cases array now:`;
-
-    const response = await this.sendMessage(prompt, { maxTokens: 8192 });
+2. Color Regression (templates ${mode === TEST_MODES.VARIATION ? 'not declaring a styling difference' : 'all'} use base blue #2563eb, must NOT have green #16a34a)
+3. Content Regression (templates ${mode === TEST_MODES.VARIATION ? 'not declaring a content difference' : 'all'} have "Hello" greeting, must NOT have "Greetings")
+4. Content Regression (same templates as 3 have "Get Started Now" button, must NOT have "Begin Your Journey")
+5. Visual Regression (templates ${mode === TEST_MODES.VARIATION ? 'declaring no difference' : 'all'} visually match base within 2% diff threshold)
 
-    let testCases;
-    try {
-      // Clean response - remove markdown code blocks if present
-      let jsonContent = response.content.trim();
-      if (jsonContent.startsWith('```')) {
-        jsonContent = jsonContent.replace(/^```json?\n?/, '').replace(/\n?```$/, '');
-      }
-      testCases = JSON.parse(jsonContent);
-    } catch (error) {
-      this.log(`Failed to parse generated tests: ${error.message}`);
-      // Generate fallback test cases
-      testCases = this.generateFallbackTests(templates);
-    }
+Set "mode" to "${mode}". Generate the complete JSON test cases array now:`;
 
-    // Add metadata
-    testCases.generatedAt = new Date().toISOString();
-    testCases.testPlanId = testPlan.testPlanId || 'unknown';
+    const { data } = await this.withFallback(
+      () => this.requestStructured(prompt, AGENT_SCHEMAS.testCases, { maxTokens: 8192 }),
+      () => ({ data: null }),
+      'fallback test generation'
+    );
 
-    // Save generated tests
-    const outputPath = path.join(this.outputDir, 'test-cases.json');
-    await fs.writeFile(outputPath, JSON.stringify(testCases, null, 2));
-    this.log(`Generated ${testCases.testCases?.length || 0} test cases`);
-    this.log(`Saved to: ${outputPath}`);
+    return data || this.generateFallbackTests(templates, mode);
+  }
 
-    return testCases;
+  /**
+   * Whether a template may legitimately differ from base in a category ('styling' or 'content')
+   */
+  allowsDifference(template, category, mode) {
+    if (mode !== TEST_MODES.VARIATION) return false;
+    const expected = getTemplateMeta(template).expectedDifference;
+    return expected === category || expected === 'both';
   }
 
-  generateFallbackTests(templates) {
-    this.log('Using fallback test generation');
+  generateFallbackTests(templates, mode = resolveTestMode()) {
+    this.log(`Using fallback test generation (${mode} mode)`);
 
     const testCases = {
-      mode: 'regression',
-      baseTemplate: 'site_visitor_welcome',
+      mode,
+      baseTemplate: BASE_TEMPLATE,
       testCases: []
     };
 
@@ -203,14 +247,17 @@ Generate the complete JSON test cases array now:`;
           { type: 'has_doctype', description: 'Has DOCTYPE declaration' },
           { type: 'has_html_tag', description: 'Has HTML tag' },
           { type: 'has_body_tag', description: 'Has BODY tag' },
-          { type: 'no_ejs_tags', description: 'No unresolved EJS tags' }
+          { type: 'no_ejs_tags', description: 'No unresolved EJS tags' },
+          { type: 'no_relative_image_urls', description: 'Images load from the asset base' },
+          { type: 'size_under', description: 'Within its size budget and not clipped in Gmail' }
         ]
       });
     }
 
     // Generate color regression tests for non-base templates
+    // (variation mode skips templates that declare a styling difference)
     for (const template of templates) {
-      if (template !== 'site_visitor_welcome') {
+      if (template !== BASE_TEMPLATE && !this.allowsDifference(template, 'styling', mode)) {
         testCases.testCases.push({
           id: `TC${String(tcId++).padStart(3, '0')}`,
           name: `${template} Color Regression`,
@@ -228,8 +275,9 @@ Generate the complete JSON test cases array now:`;
     }
 
     // Generate content regression tests for non-base templates
+    // (variation mode skips templates that declare a content difference)
     for (const template of templates) {
-      if (template !== 'site_visitor_welcome') {
+      if (template !== BASE_TEMPLATE && !this.allowsDifference(template, 'content', mode)) {
         testCases.testCases.push({
           id: `TC${String(tcId++).padStart(3, '0')}`,
           name: `${template} Content Regression`,
@@ -248,9 +296,34 @@ Generate the complete JSON test cases array now:`;
       }
     }
 
+    // Generate plain-text alternative tests for every template
+    // (base content is only required where the content may not differ)
+    for (const template of templates) {
+      const keepsContent = !this.allowsDifference(template, 'content', mode);
+      testCases.testCases.push({
+        id: `TC${String(tcId++).padStart(3, '0')}`,
+        name: `${template} Plain Text`,
+        description: `Verify ${template} has a plain-text alternative with the unsubscribe link`,
+        suite: 'Plain Text Alternative',
+        priority: 'high',
+        type: 'plain_text',
+        template: template,
+        assertions: [
+          { type: 'text_has_unsubscribe', description: 'Plain text has the unsubscribe URL' },
+          ...(keepsContent ? [
+            { type: 'text_contains', expected: 'Hello', description: 'Plain text has base greeting "Hello"' },
+            { type: 'text_contains', expected: 'Get Started Now', description: 'Plain text has base button text' }
+          ] : [])
+        ]
+      });
+    }
+
     // Generate visual regression tests for non-base templates
+    // (variation mode only expects a pixel match when no difference is declared)
     for (const template of templates) {
-      if (template !== 'site_visitor_welcome') {
+      const declaresDifference = this.allowsDifference(template, 'styling', mode) ||
+        this.allowsDifference(template, 'content', mode);
+      if (template !== BASE_TEMPLATE && !declaresDifference) {
         testCases.testCases.push({
           id: `TC${String(tcId++).padStart(3, '0')}`,
           name: `${template} Visual Regression`,
@@ -260,7 +333,7 @@ Generate the complete JSON test cases array now:`;
           type: 'visual',
           template: template,
           assertions: [
-            { type: 'visual_match', baseTemplate: 'site_visitor_welcome', threshold: 2, description: 'Visual diff within 2%' }
+            { type: 'visual_match', baseTemplate: BASE_TEMPLATE, threshold: 2, description: 'Visual diff within 2%' }
           ]
         });
       }
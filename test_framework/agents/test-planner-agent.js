@@ -1,7 +1,10 @@
 import { BaseAgent } from './base-agent.js';
+import { AGENT_SCHEMAS } from '../schemas/index.js';
+import { hashContent } from '../cache/response-cache.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { BASE_TEMPLATE, PATHS, getTemplateMeta } from '../config/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,7 +73,7 @@ export class TestPlannerAgent extends BaseAgent {
   constructor() {
     super('TestPlanner', SYSTEM_PROMPT);
     this.templatesDir = path.resolve(__dirname, '../../email_templates/emails');
-    this.plansDir = path.resolve(__dirname, '../output/test-plans');
+    this.plansDir = PATHS.OUTPUT_TEST_PLANS;
   }
 
   async createTestPlan(selectedTemplates = null) {
@@ -82,6 +85,40 @@ export class TestPlannerAgent extends BaseAgent {
     const templateNames = Object.keys(templateDetails);
     this.log(`Planning tests for templates: ${templateNames.join(', ')}`);
 
+    // Use RUN_TIMESTAMP from environment for consistent naming across artifacts
+    const timestamp = process.env.RUN_TIMESTAMP || new Date().toISOString().replace(/[:.]/g, '-');
+    // Convert timestamp format (2026-02-04T20-54-17-861Z) back to ISO format for createdAt
+    const createdAtTimestamp = timestamp.replace(/-(\d{2})-(\d{2})-(\d{3})Z$/, ':$1:$2.$3Z');
+
+    const testPlan = this.offline
+      ? this.buildRuleBasedPlan(templateDetails, timestamp, createdAtTimestamp)
+      : await this.requestTestPlan(templateDetails, timestamp, createdAtTimestamp);
+
+    // Save test plan
+    await fs.mkdir(this.plansDir, { recursive: true });
+    const planPath = path.join(this.plansDir, `test-plan-${timestamp}.json`);
+    await fs.writeFile(planPath, JSON.stringify(testPlan, null, 2), 'utf-8');
+
+    // Also save as latest
+    const latestPath = path.join(this.plansDir, 'latest-test-plan.json');
+    await fs.writeFile(latestPath, JSON.stringify(testPlan, null, 2), 'utf-8');
+
+    this.log(`Test plan saved to: ${planPath}`);
+
+    return {
+      testPlan,
+      planPath,
+      templateDetails
+    };
+  }
+
+  /**
+   * Ask the AI provider for a test plan, falling back to the rule-based plan
+   * when the response fails schema validation
+   */
+  async requestTestPlan(templateDetails, timestamp, createdAtTimestamp) {
+    const templateNames = Object.keys(templateDetails);
+
     // Build dynamic requirements based on which templates are selected
     let requirementsSection = '';
     if (templateNames.length > 0) {
@@ -124,46 +161,101 @@ Only create test cases for: ${templateNames.join(', ')}
 
 Provide specific test cases with clear acceptance criteria.`;
 
-    const response = await this.sendMessage(prompt, { maxTokens: 8192 });
-
-    // Use RUN_TIMESTAMP from environment for consistent naming across artifacts
-    const timestamp = process.env.RUN_TIMESTAMP || new Date().toISOString().replace(/[:.]/g, '-');
-    // Convert timestamp format (2026-02-04T20-54-17-861Z) back to ISO format for createdAt
-    const createdAtTimestamp = timestamp.replace(/-(\d{2})-(\d{2})-(\d{3})Z$/, ':$1:$2.$3Z');
+    const response = await this.withFallback(
+      () => this.requestStructured(prompt, AGENT_SCHEMAS.testPlan, { maxTokens: 8192 }),
+      () => null,
+      'rule-based test plan'
+    );
+    if (!response) {
+      return this.buildRuleBasedPlan(templateDetails, timestamp, createdAtTimestamp);
+    }
 
-    let testPlan;
-    try {
-      const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        testPlan = JSON.parse(jsonMatch[0]);
-        // Override AI-generated createdAt with actual timestamp
-        testPlan.createdAt = createdAtTimestamp;
-      }
-    } catch (e) {
-      this.log(`Failed to parse JSON response: ${e.message}`);
-      testPlan = {
-        testPlanId: `plan-${Date.now()}`,
-        createdAt: createdAtTimestamp,
-        rawResponse: response.content,
-        parseError: true
+    const { data, errors, content } = response;
+    if (!data) {
+      return {
+        ...this.buildRuleBasedPlan(templateDetails, timestamp, createdAtTimestamp),
+        generatedBy: 'fallback',
+        schemaErrors: errors,
+        rawResponse: content
       };
     }
 
-    // Save test plan
-    await fs.mkdir(this.plansDir, { recursive: true });
-    const planPath = path.join(this.plansDir, `test-plan-${timestamp}.json`);
-    await fs.writeFile(planPath, JSON.stringify(testPlan, null, 2), 'utf-8');
+    // Override AI-generated createdAt with actual timestamp
+    data.createdAt = createdAtTimestamp;
+    return data;
+  }
 
-    // Also save as latest
-    const latestPath = path.join(this.plansDir, 'latest-test-plan.json');
-    await fs.writeFile(latestPath, JSON.stringify(testPlan, null, 2), 'utf-8');
+  /**
+   * Build a deterministic test plan from the template registry (offline mode)
+   */
+  buildRuleBasedPlan(templateDetails, timestamp, createdAtTimestamp) {
+    const templateNames = Object.keys(templateDetails).filter(name => templateDetails[name].exists);
+    const variations = templateNames.filter(name => name !== BASE_TEMPLATE);
 
-    this.log(`Test plan saved to: ${planPath}`);
+    let tcId = 1;
+    const nextId = () => `TC${String(tcId++).padStart(3, '0')}`;
+    const perTemplate = (build) => templateNames.map(name => ({ id: nextId(), ...build(name) }));
+
+    const expectedDifferences = {};
+    for (const name of variations) {
+      expectedDifferences[name] = getTemplateMeta(name).expectedDifference || 'none';
+    }
+
+    const testSuites = [
+      {
+        name: 'Template Compilation',
+        description: 'Verify each template compiles from MJML to HTML',
+        priority: 'critical',
+        testCases: perTemplate(name => ({
+          name: `${name} Compilation`,
+          description: `Verify ${name} compiles without errors`,
+          steps: ['Compile MJML source', 'Check compiled HTML'],
+          expectedResult: 'Valid HTML with DOCTYPE, html and body tags',
+          acceptanceCriteria: ['Compilation succeeds', 'HTML document is complete']
+        }))
+      },
+      {
+        name: 'EJS Variable Rendering',
+        description: 'Verify EJS variables are substituted with test data',
+        priority: 'high',
+        testCases: perTemplate(name => ({
+          name: `${name} Rendering`,
+          description: `Verify ${name} has no unresolved EJS tags`,
+          steps: ['Render template with test data', 'Search output for EJS tags'],
+          expectedResult: 'No <% %> tags remain in the output',
+          acceptanceCriteria: [`Variables: ${templateDetails[name].ejsVariables?.join(', ') || 'none'}`]
+        }))
+      },
+      {
+        name: 'Cross-Template Comparison',
+        description: 'Compare each variation with the base template',
+        priority: 'critical',
+        testCases: variations.map(name => ({
+          id: nextId(),
+          name: `${name} vs ${BASE_TEMPLATE}`,
+          description: `Verify ${name} differs from base only as declared (${expectedDifferences[name]})`,
+          steps: ['Compare colors', 'Compare text content', 'Compare structure'],
+          expectedResult: `Declared difference: ${expectedDifferences[name]}`,
+          acceptanceCriteria: ['Comparison status follows the active test mode']
+        }))
+      }
+    ];
 
     return {
-      testPlan,
-      planPath,
-      templateDetails
+      testPlanId: `plan-${timestamp}`,
+      createdAt: createdAtTimestamp,
+      generatedBy: 'rule-based',
+      templateContext: {
+        baseTemplate: BASE_TEMPLATE,
+        variations,
+        expectedDifferences
+      },
+      testSuites: testSuites.filter(suite => suite.testCases.length > 0),
+      riskAssessment: {
+        highRiskAreas: variations.length > 0 ? ['Divergence between variations and the base template'] : [],
+        mitigations: ['Compare every variation against the base template on each run']
+      },
+      summary: `Rule-based plan covering ${templateNames.length} template(s)`
     };
   }
 
@@ -194,7 +286,7 @@ Provide specific test cases with clear acceptance criteria.`;
             file,
             size: stats.size,
             lines: content.split('\n').length,
-            lastModified: stats.mtime,
+            contentHash: hashContent(content),
             hasEjsVariables: content.includes('<%='),
             ejsVariables: this.extractEjsVariables(content),
             colors: this.extractColors(content),
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { RESPONSE_CACHE } from '../config/constants.js';
+
+/**
+ * SHA-256 of a string or JSON-serializable value
+ */
+export function hashContent(value) {
+  return crypto
+    .createHash('sha256')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('hex');
+}
+
+/**
+ * Cache key for an agent request
+ */
+export function responseCacheKey({ system, prompt, model }) {
+  return hashContent({ system, prompt, model });
+}
+
+/**
+ * Response Cache
+ *
+ * Content-addressed store of LLM responses under output/cache, one JSON file
+ * per key. Entries older than the TTL are treated as misses and removed.
+ */
+export class ResponseCache {
+  constructor(options = {}) {
+    this.dir = options.dir || RESPONSE_CACHE.dir;
+    this.ttlMs = (options.ttlHours ?? RESPONSE_CACHE.ttlHours) * 60 * 60 * 1000;
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Cached response for a key, or null on a miss or expired entry
+   */
+  get(key) {
+    const filePath = this.entryPath(key);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (Date.now() - new Date(entry.createdAt).getTime() > this.ttlMs) {
+        this.delete(key);
+        return null;
+      }
+      return entry.response;
+    } catch {
+      this.delete(key);
+      return null;
+    }
+  }
+
+  set(key, response, meta = {}) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const entry = { key, ...meta, createdAt: new Date().toISOString(), response };
+    fs.writeFileSync(this.entryPath(key), JSON.stringify(entry, null, 2), 'utf-8');
+  }
+
+  delete(key) {
+    fs.rmSync(this.entryPath(key), { force: true });
+  }
+
+  entryFiles() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir).filter(f => f.endsWith('.json'));
+  }
+
+  /**
+   * Remove all entries, returning how many were removed
+   */
+  clear() {
+    const files = this.entryFiles();
+    files.forEach(f => fs.rmSync(path.join(this.dir, f), { force: true }));
+    return files.length;
+  }
+
+  /**
+   * Number of entries and their total size on disk
+   */
+  stats() {
+    const files = this.entryFiles();
+    const sizeBytes = files.reduce((sum, f) => sum + fs.statSync(path.join(this.dir, f)).size, 0);
+    return { entries: files.length, sizeBytes, ttlHours: this.ttlMs / (60 * 60 * 1000) };
+  }
+}
+
+export default ResponseCache;
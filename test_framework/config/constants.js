@@ -5,6 +5,7 @@
  * Import from this file to ensure consistency across agents and scripts.
  */
 
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -15,6 +16,11 @@ const __dirname = path.dirname(__filename);
 // PATHS
 // ============================================================================
 
+// QA_OUTPUT_DIR (email-qa --output) moves every generated file out of test_framework/output
+const OUTPUT_ROOT = process.env.QA_OUTPUT_DIR
+  ? path.resolve(process.env.QA_OUTPUT_DIR)
+  : path.resolve(__dirname, '../output');
+
 export const PATHS = {
   // Root directories
   TEST_FRAMEWORK: path.resolve(__dirname, '..'),
@@ -25,16 +31,40 @@ export const PATHS = {
   // Email template subdirectories
   EMAILS_DIR: path.resolve(__dirname, '../../email_templates/emails'),
   SHARED_DIR: path.resolve(__dirname, '../../email_templates/shared'),
+  TEMPLATE_REGISTRY: path.resolve(__dirname, '../../email_templates/templates.json'),
 
   // Output directories
-  OUTPUT: path.resolve(__dirname, '../output'),
-  OUTPUT_COMPILED: path.resolve(__dirname, '../output/compiled'),
-  OUTPUT_SCREENSHOTS: path.resolve(__dirname, '../output/screenshots'),
-  OUTPUT_TEST_PLANS: path.resolve(__dirname, '../output/test-plans'),
+  OUTPUT: OUTPUT_ROOT,
+  OUTPUT_COMPILED: path.join(OUTPUT_ROOT, 'compiled'),
+  OUTPUT_SCREENSHOTS: path.join(OUTPUT_ROOT, 'screenshots'),
+  OUTPUT_TEST_PLANS: path.join(OUTPUT_ROOT, 'test-plans'),
+  OUTPUT_GENERATED_TESTS: path.join(OUTPUT_ROOT, 'generated-tests'),
+  OUTPUT_CACHE: path.join(OUTPUT_ROOT, 'cache'),
+  OUTPUT_TEST_RESULTS: path.join(OUTPUT_ROOT, 'test-results'),
+  OUTPUT_DIFFS: path.join(OUTPUT_ROOT, 'diffs'),
+  OUTPUT_BASELINE_CAPTURES: path.join(OUTPUT_ROOT, 'baseline-captures'),
+  OUTPUT_CHECKPOINTS: path.join(OUTPUT_ROOT, 'checkpoints'),
+  OUTPUT_EML: path.join(OUTPUT_ROOT, 'eml'),
+  OUTPUT_ASSETS: path.join(OUTPUT_ROOT, 'assets'),
+
+  // Approved visual baselines (committed, one directory per template)
+  BASELINES: path.resolve(__dirname, '../baselines'),
 
   // Test data
   TEST_DATA: path.resolve(__dirname, '../test-data'),
   SAMPLE_CONTEXT: path.resolve(__dirname, '../test-data/sample-context.json'),
+  LLM_FIXTURES: path.resolve(__dirname, '../test-data/llm-fixtures'),
+
+  // Token usage and cost accounting
+  PRICING: path.resolve(__dirname, './pricing.json'),
+  USAGE_LOG: path.resolve(__dirname, '../../test_reports/usage-log.jsonl'),
+
+  // Run history index (one JSON record per line)
+  RUNS_INDEX: path.resolve(__dirname, '../../test_reports/runs.jsonl'),
+  RUN_QUEUE: path.resolve(__dirname, '../../test_reports/run-queue.json'),
+  // HTML size of every template per size analysis (one JSON record per line)
+  SIZE_HISTORY: path.resolve(__dirname, '../../test_reports/size-history.jsonl'),
+  TEST_SUMMARY: path.resolve(__dirname, '../../test_reports/test-summary.json'),
 
   // Web app directories
   WEB_ARTIFACTS: path.resolve(__dirname, '../../web/artifacts'),
@@ -45,92 +75,211 @@ export const PATHS = {
 // TEMPLATES
 // ============================================================================
 
+/**
+ * Template registry - single source of truth for template metadata.
+ * Adding a template only requires an entry in email_templates/templates.json.
+ */
+export const TEMPLATE_REGISTRY = JSON.parse(fs.readFileSync(PATHS.TEMPLATE_REGISTRY, 'utf-8'));
+
+/**
+ * Base template for comparisons
+ */
+export const BASE_TEMPLATE = TEMPLATE_REGISTRY.baseTemplate;
+
+/**
+ * Template metadata with expected variations
+ */
+export const TEMPLATE_META = Object.fromEntries(
+  Object.entries(TEMPLATE_REGISTRY.templates).map(([id, entry]) => [
+    id,
+    {
+      ...entry,
+      isBase: id === BASE_TEMPLATE,
+    },
+  ])
+);
+
 /**
  * List of template files to process
  */
-export const TEMPLATE_FILES = [
-  'site_visitor_welcome.mjml',
-  'site_visitor_welcome_copy.mjml',
-  'site_visitor_welcome_partner_a.mjml',
-  'site_visitor_welcome_partner_b.mjml',
-];
+export const TEMPLATE_FILES = Object.values(TEMPLATE_META).map(meta => meta.file);
 
 /**
  * Template names (without extension)
  */
-export const TEMPLATE_NAMES = TEMPLATE_FILES.map(f => f.replace('.mjml', ''));
+export const TEMPLATE_NAMES = Object.keys(TEMPLATE_META);
 
 /**
- * Base template for comparisons
+ * Template comparisons to perform - one per template that declares a base
  */
-export const BASE_TEMPLATE = 'site_visitor_welcome';
+export const TEMPLATE_COMPARISONS = Object.entries(TEMPLATE_META)
+  .filter(([, meta]) => meta.baseTemplate && meta.expectedDifference)
+  .map(([id, meta]) => ({
+    id: `${id}_vs_${meta.baseTemplate}`,
+    name: `${meta.name} vs Base`,
+    base: meta.baseTemplate,
+    compare: id,
+    expectedDifference: meta.expectedDifference,
+    description: meta.description,
+    owner: meta.owner,
+  }));
+
+// ============================================================================
+// AI CONFIGURATION
+// ============================================================================
+
+export const AI_CONFIG = {
+  defaultModel: 'claude-sonnet-4-20250514',
+  maxTokens: 4096,
+  temperature: 0,
+  // Follow-up repair prompts sent when a structured response fails schema validation
+  schemaRepairAttempts: parseInt(process.env.AI_SCHEMA_REPAIR_ATTEMPTS || '2', 10),
+};
 
 /**
- * Template metadata with expected variations
+ * AI providers selectable through the AI_PROVIDER environment variable.
+ * 'none' runs every agent with its rule-based logic and needs no API key.
  */
-export const TEMPLATE_META = {
-  site_visitor_welcome: {
-    name: 'Site Visitor Welcome',
-    description: 'Base template - Standard welcome email with blue color scheme',
-    type: 'base',
-    isBase: true,
+export const AI_PROVIDERS = {
+  ANTHROPIC: 'anthropic',
+  OPENAI: 'openai',
+  REPLAY: 'replay',
+  NONE: 'none',
+};
+
+export const DEFAULT_AI_PROVIDER = AI_PROVIDERS.ANTHROPIC;
+
+/**
+ * Per-provider settings: which environment variables hold the key, endpoint and model
+ */
+export const AI_PROVIDER_CONFIG = {
+  [AI_PROVIDERS.ANTHROPIC]: {
+    label: 'Anthropic',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseUrlEnv: 'ANTHROPIC_BASE_URL',
+    modelEnv: 'ANTHROPIC_MODEL',
+    defaultModel: AI_CONFIG.defaultModel,
   },
-  site_visitor_welcome_copy: {
-    name: 'Site Visitor Welcome Copy',
-    description: 'Copy of base template - Must be identical to base',
-    type: 'copy',
-    isBase: false,
-    expectedDifference: 'none',
-    baseTemplate: 'site_visitor_welcome',
+  [AI_PROVIDERS.OPENAI]: {
+    label: 'OpenAI-compatible',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    modelEnv: 'OPENAI_MODEL',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
   },
-  site_visitor_welcome_partner_a: {
-    name: 'Partner A Welcome',
-    description: 'Partner A variation - Same content, green color scheme',
-    type: 'partner_a',
-    isBase: false,
-    expectedDifference: 'styling',
-    baseTemplate: 'site_visitor_welcome',
+  [AI_PROVIDERS.REPLAY]: {
+    label: 'Replay fixtures',
+    fixturesEnv: 'AI_FIXTURES_DIR',
+    defaultModel: 'replay',
   },
-  site_visitor_welcome_partner_b: {
-    name: 'Partner B Welcome',
-    description: 'Partner B variation - Same colors, different content',
-    type: 'partner_b',
-    isBase: false,
-    expectedDifference: 'content',
-    baseTemplate: 'site_visitor_welcome',
+  [AI_PROVIDERS.NONE]: {
+    label: 'None (offline)',
   },
 };
 
 /**
- * Template comparisons to perform
+ * Normalize an AI provider name, falling back to the default for unknown values
  */
-export const TEMPLATE_COMPARISONS = [
-  {
-    id: 'partner_a_vs_base',
-    name: 'Partner A vs Base',
-    base: 'site_visitor_welcome',
-    compare: 'site_visitor_welcome_partner_a',
-    expectedDifference: 'styling',
-    description: 'Partner A should have different colors but same content',
-  },
-  {
-    id: 'partner_b_vs_base',
-    name: 'Partner B vs Base',
-    base: 'site_visitor_welcome',
-    compare: 'site_visitor_welcome_partner_b',
-    expectedDifference: 'content',
-    description: 'Partner B should have same colors but different content',
-  },
+export function resolveAiProvider(provider = process.env.AI_PROVIDER) {
+  const normalized = (provider || '').trim().toLowerCase();
+  return Object.values(AI_PROVIDERS).includes(normalized) ? normalized : DEFAULT_AI_PROVIDER;
+}
+
+/**
+ * Whether the pipeline runs offline (AI_PROVIDER=none)
+ */
+export function isOfflineMode(provider = process.env.AI_PROVIDER) {
+  return (provider || '').trim().toLowerCase() === AI_PROVIDERS.NONE;
+}
+
+/**
+ * On-disk cache of agent responses, keyed on system prompt, user prompt and model.
+ * Disabled with AI_CACHE=off (run-agents.js --no-cache).
+ */
+export const RESPONSE_CACHE = {
+  dir: PATHS.OUTPUT_CACHE,
+  ttlHours: parseInt(process.env.AI_CACHE_TTL_HOURS || '24', 10),
+};
+
+/**
+ * Whether agent responses are read from and written to the response cache
+ */
+export function isResponseCacheEnabled() {
+  return (process.env.AI_CACHE || '').trim().toLowerCase() !== 'off';
+}
+
+// ============================================================================
+// VISUAL BASELINES
+// ============================================================================
+
+/**
+ * Approved screenshots each template is compared against, one per viewport.
+ * Stored as baselines/<template>/<viewport>.png; the latest captures wait in
+ * output/baseline-captures until they are approved.
+ */
+export const VISUAL_BASELINES = {
+  dir: PATHS.BASELINES,
+  capturesDir: PATHS.OUTPUT_BASELINE_CAPTURES,
+  viewports: [
+    { name: 'desktop', width: 800, height: 600 },
+    { name: 'mobile', width: 375, height: 667 },
+  ],
+  // Maximum share of differing pixels (in %) before a viewport fails
+  threshold: parseFloat(process.env.VISUAL_BASELINE_THRESHOLD || '0.5'),
+};
+
+// ============================================================================
+// SCREENSHOTS
+// ============================================================================
+
+/**
+ * Viewports of the standalone screenshot capture (capture-screenshots.js).
+ * TEST_VIEWPORTS (email-qa --viewports) picks some of them by name or adds
+ * custom sizes, see resolveViewports().
+ */
+export const SCREENSHOT_VIEWPORTS = [
+  { name: 'desktop', width: 1200, height: 800 },
+  { name: 'mobile', width: 375, height: 667 },
 ];
 
 // ============================================================================
-// AI CONFIGURATION
+// ASSETS
 // ============================================================================
 
-export const AI_CONFIG = {
-  defaultModel: 'claude-sonnet-4-20250514',
-  maxTokens: 4096,
-  temperature: 0,
+/**
+ * Absolute base URL the compiled HTML loads its images from, per environment.
+ * Relative image URLs in the templates are rewritten to
+ * <base>/<path in email_templates>/<name>.<fingerprint>.<ext>, and the
+ * fingerprinted files are written to output/assets for upload.
+ * ASSET_ENV (email-qa --assets) picks the environment; ASSET_BASE_URL replaces
+ * its base. `local` is the admin app, which serves the assets under ASSET_URL_PATH.
+ */
+export const ASSET_URL_PATH = '/email-assets';
+
+export const ASSET_ENVIRONMENTS = {
+  local: `http://localhost:8080${ASSET_URL_PATH}`,
+  staging: 'https://cdn.staging.carebox.com/email',
+  production: 'https://cdn.carebox.com/email',
+};
+
+export const DEFAULT_ASSET_ENVIRONMENT = 'local';
+
+// ============================================================================
+// HTML SIZE
+// ============================================================================
+
+/**
+ * Gmail clips a message whose HTML is over ~102KB: the rest, footer and
+ * unsubscribe link included, hides behind "[Message clipped] View entire
+ * message". Every template has a size budget below that, `sizeBudgetKb` in
+ * its registry entry or budgetKb (SIZE_BUDGET_KB); within warningRatio of the
+ * budget the size analysis warns.
+ */
+export const HTML_SIZE = {
+  gmailClipBytes: 102 * 1024,
+  budgetKb: parseFloat(process.env.SIZE_BUDGET_KB || '100'),
+  warningRatio: 0.9,
 };
 
 // ============================================================================
@@ -144,8 +293,8 @@ export const PIPELINE_STEPS = {
   INIT: 'init',
   PLANNER: 'planner',
   ANALYZER: 'analyzer',
-  GENERATOR: 'generator',
   DIFF: 'diff',
+  GENERATOR: 'generator',
   PLAYWRIGHT: 'playwright',
   REPORTER: 'reporter',
   COMPLETE: 'complete',
@@ -153,19 +302,8 @@ export const PIPELINE_STEPS = {
 };
 
 /**
- * Step markers for console output (parsed by web UI)
- */
-export const STEP_MARKERS = {
-  [PIPELINE_STEPS.PLANNER]: '[STEP:planner]',
-  [PIPELINE_STEPS.ANALYZER]: '[STEP:analyzer]',
-  [PIPELINE_STEPS.GENERATOR]: '[STEP:generator]',
-  [PIPELINE_STEPS.DIFF]: '[STEP:diff]',
-  [PIPELINE_STEPS.PLAYWRIGHT]: '[STEP:playwright]',
-  [PIPELINE_STEPS.REPORTER]: '[STEP:reporter]',
-};
-
-/**
- * Pipeline step metadata
+ * Pipeline step metadata, in the order the orchestrator runs the phases
+ * Names, descriptions and progress are sent to the hosts in phase:start events.
  */
 export const PIPELINE_STEP_META = [
   {
@@ -189,18 +327,18 @@ export const PIPELINE_STEP_META = [
     icon: '🔍',
     progress: 30,
   },
-  {
-    id: PIPELINE_STEPS.GENERATOR,
-    name: 'Test Generator',
-    description: 'AI generating dynamic test cases from test plan',
-    icon: '🤖',
-    progress: 45,
-  },
   {
     id: PIPELINE_STEPS.DIFF,
     name: 'Diff Analyzer',
     description: 'Comparing templates and detecting differences',
     icon: '⚖️',
+    progress: 45,
+  },
+  {
+    id: PIPELINE_STEPS.GENERATOR,
+    name: 'Test Generator',
+    description: 'AI generating dynamic test cases from test plan',
+    icon: '🤖',
     progress: 60,
   },
   {
@@ -263,6 +401,41 @@ export const ANALYSIS = {
   },
 };
 
+// ============================================================================
+// TEST MODES
+// ============================================================================
+
+/**
+ * Comparison modes
+ * - regression: every template must be identical to its base template
+ * - variation: every template must differ from its base only in the way its
+ *   registry entry declares (expectedDifference)
+ */
+export const TEST_MODES = {
+  REGRESSION: 'regression',
+  VARIATION: 'variation',
+};
+
+export const DEFAULT_TEST_MODE = TEST_MODES.REGRESSION;
+
+/**
+ * Legacy settings values from earlier versions of the web server
+ */
+const LEGACY_TEST_MODES = {
+  strict: TEST_MODES.REGRESSION,
+  weak: TEST_MODES.VARIATION,
+};
+
+/**
+ * Difference categories that make up each difference type
+ */
+const DIFFERENCE_CATEGORIES = {
+  none: [],
+  styling: ['styling'],
+  content: ['content'],
+  both: ['styling', 'content'],
+};
+
 // ============================================================================
 // SERVER CONFIGURATION
 // ============================================================================
@@ -270,6 +443,7 @@ export const ANALYSIS = {
 export const SERVER = {
   port: parseInt(process.env.PORT) || 3001,
   host: process.env.HOST || 'localhost',
+  mockLlmPort: parseInt(process.env.MOCK_LLM_PORT) || 4010,
 };
 
 // ============================================================================
@@ -277,12 +451,37 @@ export const SERVER = {
 // ============================================================================
 
 export const TIMEOUTS = {
-  apiRequest: 30000,      // 30 seconds for API requests
+  apiRequest: 120000,     // 2 minutes per AI request (long responses take a while)
   compilation: 60000,     // 60 seconds for template compilation
   screenshot: 30000,      // 30 seconds per screenshot
+  browserLaunch: 30000,   // 30 seconds to launch Chromium
   testRun: 300000,        // 5 minutes for full test run
 };
 
+/**
+ * Time limit of each pipeline phase, including its retries
+ * PHASE_TIMEOUT_<PHASE> (e.g. PHASE_TIMEOUT_DIFF=900000) overrides one. A phase
+ * that runs over fails the run, which can then be resumed from its checkpoints.
+ */
+export const PHASE_TIMEOUTS = {
+  [PIPELINE_STEPS.PLANNER]: 600000,
+  [PIPELINE_STEPS.ANALYZER]: 300000,
+  [PIPELINE_STEPS.DIFF]: 600000,
+  [PIPELINE_STEPS.GENERATOR]: 600000,
+  [PIPELINE_STEPS.PLAYWRIGHT]: TIMEOUTS.testRun,
+  [PIPELINE_STEPS.REPORTER]: 600000,
+};
+
+/**
+ * Retries of transient failures (AI rate limits, server errors and timeouts,
+ * browser launches), with exponential backoff between attempts
+ */
+export const RETRY = {
+  attempts: 3,
+  baseDelay: 1000,
+  maxDelay: 15000,
+};
+
 // ============================================================================
 // FILE PATTERNS
 // ============================================================================
@@ -320,6 +519,79 @@ export function getStepMeta(stepId) {
   return PIPELINE_STEP_META.find(s => s.id === stepId) || PIPELINE_STEP_META[0];
 }
 
+/**
+ * Time limit of a pipeline phase in ms (PHASE_TIMEOUTS, or its PHASE_TIMEOUT_<PHASE> override)
+ */
+export function resolvePhaseTimeout(phase) {
+  const override = parseInt(process.env[`PHASE_TIMEOUT_${phase.toUpperCase()}`], 10);
+  return override > 0 ? override : PHASE_TIMEOUTS[phase];
+}
+
+/**
+ * Templates selected with TEST_TEMPLATES (comma separated, .mjml optional),
+ * or null when the variable selects none
+ */
+export function resolveTemplateSelection(value = process.env.TEST_TEMPLATES) {
+  const templates = (value || '')
+    .split(',')
+    .map(t => t.trim().replace(/\.mjml$/, ''))
+    .filter(Boolean);
+  return templates.length > 0 ? [...new Set(templates)] : null;
+}
+
+/**
+ * Asset environment selected with ASSET_ENV (default DEFAULT_ASSET_ENVIRONMENT)
+ */
+export function resolveAssetEnvironment(value = process.env.ASSET_ENV) {
+  const environment = (value || '').trim() || DEFAULT_ASSET_ENVIRONMENT;
+  if (!ASSET_ENVIRONMENTS[environment]) {
+    throw new Error(`Unknown asset environment "${environment}": use ${Object.keys(ASSET_ENVIRONMENTS).join(', ')}`);
+  }
+  return environment;
+}
+
+/**
+ * Absolute asset base URL: ASSET_BASE_URL, or the base of the asset environment
+ */
+export function resolveAssetBase(environment = process.env.ASSET_ENV, override = process.env.ASSET_BASE_URL) {
+  const base = (override || '').trim() || ASSET_ENVIRONMENTS[resolveAssetEnvironment(environment)];
+  if (!/^https?:\/\//i.test(base)) {
+    throw new Error(`Asset base "${base}" is not an absolute http(s) URL`);
+  }
+  return base.replace(/\/+$/, '');
+}
+
+/**
+ * Size budget of a template in bytes (`sizeBudgetKb` of its registry entry, or HTML_SIZE.budgetKb)
+ */
+export function resolveSizeBudget(templateName) {
+  const budgetKb = parseFloat(TEMPLATE_META[templateName]?.sizeBudgetKb);
+  return Math.round((budgetKb > 0 ? budgetKb : HTML_SIZE.budgetKb) * 1024);
+}
+
+/**
+ * Screenshot viewports selected with TEST_VIEWPORTS (default SCREENSHOT_VIEWPORTS)
+ * Entries are viewport names or sizes: <width>x<height> or <name>:<width>x<height>.
+ */
+export function resolveViewports(value = process.env.TEST_VIEWPORTS) {
+  const entries = (value || '').split(',').map(v => v.trim()).filter(Boolean);
+  if (entries.length === 0) {
+    return SCREENSHOT_VIEWPORTS;
+  }
+  return entries.map(entry => {
+    const known = SCREENSHOT_VIEWPORTS.find(v => v.name === entry);
+    if (known) {
+      return known;
+    }
+    const match = entry.match(/^(?:([\w-]+):)?(\d+)x(\d+)$/);
+    if (!match) {
+      throw new Error(`Unknown viewport "${entry}": use ${SCREENSHOT_VIEWPORTS.map(v => v.name).join(', ')} or <width>x<height>`);
+    }
+    const [, name, width, height] = match;
+    return { name: name || `${width}x${height}`, width: parseInt(width, 10), height: parseInt(height, 10) };
+  });
+}
+
 /**
  * Get comparison config for a template
  */
@@ -327,6 +599,32 @@ export function getComparisonConfig(templateName) {
   return TEMPLATE_COMPARISONS.find(c => c.compare === templateName);
 }
 
+/**
+ * Resolve a test mode value (defaults to the TEST_MODE environment variable)
+ */
+export function resolveTestMode(mode = process.env.TEST_MODE) {
+  const normalized = LEGACY_TEST_MODES[mode] || mode;
+  return Object.values(TEST_MODES).includes(normalized) ? normalized : DEFAULT_TEST_MODE;
+}
+
+/**
+ * Assess an actual difference type against the expected one for a test mode.
+ * Returns 'PASS', 'WARNING' (declared difference not present) or 'FAIL'.
+ */
+export function assessDifference(actualDifference, expectedDifference, mode = DEFAULT_TEST_MODE) {
+  if (mode === TEST_MODES.REGRESSION) {
+    return actualDifference === ANALYSIS.DIFFERENCE_TYPES.NONE ? 'PASS' : 'FAIL';
+  }
+
+  const expected = DIFFERENCE_CATEGORIES[expectedDifference] || [];
+  const actual = DIFFERENCE_CATEGORIES[actualDifference] || [];
+  const unexpected = actual.filter(category => !expected.includes(category));
+
+  if (unexpected.length > 0) return 'FAIL';
+  if (actual.length < expected.length) return 'WARNING';
+  return 'PASS';
+}
+
 /**
  * Extract timestamp from a filename using file patterns
  */
@@ -354,22 +652,47 @@ export function getLinkedFiles(timestamp) {
 
 export default {
   PATHS,
+  TEMPLATE_REGISTRY,
   TEMPLATE_FILES,
   TEMPLATE_NAMES,
   BASE_TEMPLATE,
   TEMPLATE_META,
   TEMPLATE_COMPARISONS,
   AI_CONFIG,
+  AI_PROVIDERS,
+  DEFAULT_AI_PROVIDER,
+  AI_PROVIDER_CONFIG,
+  RESPONSE_CACHE,
+  VISUAL_BASELINES,
+  SCREENSHOT_VIEWPORTS,
+  ASSET_URL_PATH,
+  ASSET_ENVIRONMENTS,
+  DEFAULT_ASSET_ENVIRONMENT,
+  HTML_SIZE,
   PIPELINE_STEPS,
-  STEP_MARKERS,
   PIPELINE_STEP_META,
   ANALYSIS,
+  TEST_MODES,
+  DEFAULT_TEST_MODE,
   SERVER,
   TIMEOUTS,
+  PHASE_TIMEOUTS,
+  RETRY,
   FILE_PATTERNS,
   getTemplateMeta,
   getStepMeta,
   getComparisonConfig,
+  resolvePhaseTimeout,
+  resolveTemplateSelection,
+  resolveViewports,
+  resolveAssetEnvironment,
+  resolveAssetBase,
+  resolveSizeBudget,
+  resolveTestMode,
+  assessDifference,
+  resolveAiProvider,
+  isOfflineMode,
+  isResponseCacheEnabled,
   extractTimestamp,
   getLinkedFiles,
 };
@@ -5,4 +5,5 @@
  */
 
 export * from './constants.js';
+export * from './pricing.js';
 export { default } from './constants.js';
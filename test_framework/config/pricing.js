@@ -0,0 +1,153 @@
+/**
+ * Token Pricing and Usage Accounting
+ *
+ * Prices come from config/pricing.json (or the file named by AI_PRICING_FILE)
+ * in currency units per million tokens. A model is priced by its exact entry,
+ * then by the longest entry it starts with (so dated model ids match their
+ * family), then by the default entry.
+ *
+ * The table is re-read on every call so price edits apply without a restart,
+ * including to runs already in the usage log.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PATHS } from './constants.js';
+
+const EMPTY_PRICING = { currency: 'USD', models: {}, default: { input: 0, output: 0 } };
+
+/**
+ * Read the price table
+ */
+export function loadPricing(file = process.env.AI_PRICING_FILE || PATHS.PRICING) {
+  try {
+    return { ...EMPTY_PRICING, ...JSON.parse(fs.readFileSync(file, 'utf-8')) };
+  } catch {
+    return EMPTY_PRICING;
+  }
+}
+
+/**
+ * Price entry ({ input, output }) for a model
+ */
+export function getModelPrice(pricing, model = '') {
+  if (pricing.models[model]) {
+    return pricing.models[model];
+  }
+  const family = Object.keys(pricing.models)
+    .filter(name => model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? pricing.models[family] : pricing.default;
+}
+
+/**
+ * Cost of a number of input/output tokens on a model
+ */
+export function estimateCost(pricing, model, inputTokens = 0, outputTokens = 0) {
+  const price = getModelPrice(pricing, model);
+  const cost = (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+  return Math.round(cost * 1_000_000) / 1_000_000;
+}
+
+function addUsage(bucket, usage, cost) {
+  bucket.calls += usage.calls ?? 1;
+  bucket.inputTokens += usage.inputTokens || 0;
+  bucket.outputTokens += usage.outputTokens || 0;
+  bucket.latencyMs += usage.latencyMs || 0;
+  bucket.cost = Math.round((bucket.cost + cost) * 1_000_000) / 1_000_000;
+  return bucket;
+}
+
+const emptyBucket = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, cost: 0 });
+
+/**
+ * Roll up the LLM calls of a run into totals per run, agent and model
+ */
+export function summarizeUsage(calls, pricing = loadPricing()) {
+  const summary = {
+    currency: pricing.currency,
+    totals: emptyBucket(),
+    byAgent: {},
+    byModel: {},
+    calls: [],
+  };
+
+  for (const call of calls) {
+    const cost = estimateCost(pricing, call.model, call.inputTokens, call.outputTokens);
+    summary.calls.push({ ...call, cost });
+    addUsage(summary.totals, call, cost);
+    addUsage(summary.byAgent[call.agent] ??= emptyBucket(), call, cost);
+    addUsage(summary.byModel[call.model] ??= emptyBucket(), call, cost);
+  }
+
+  return summary;
+}
+
+/**
+ * Append a run's usage to the usage log (one JSON object per line)
+ */
+export function appendUsageLog(entry, file = PATHS.USAGE_LOG) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * Read the usage log, skipping malformed lines
+ */
+export function readUsageLog(file = PATHS.USAGE_LOG) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Usage report for the Settings page: cost per run and per day, re-priced
+ * with the current price table
+ */
+export function buildUsageReport(entries = readUsageLog(), pricing = loadPricing()) {
+  const runs = entries.map(entry => {
+    const run = { timestamp: entry.timestamp, trigger: entry.trigger, provider: entry.provider, ...emptyBucket() };
+    for (const [model, usage] of Object.entries(entry.byModel || {})) {
+      addUsage(run, usage, estimateCost(pricing, model, usage.inputTokens, usage.outputTokens));
+    }
+    return run;
+  });
+
+  const days = {};
+  const totals = emptyBucket();
+  for (const run of runs) {
+    const date = run.timestamp.slice(0, 10);
+    const day = days[date] ??= { date, runs: 0, ...emptyBucket() };
+    day.runs++;
+    addUsage(day, run, run.cost);
+    addUsage(totals, run, run.cost);
+  }
+
+  return {
+    currency: pricing.currency,
+    pricing,
+    totals,
+    runs: runs.reverse(),
+    days: Object.values(days).sort((a, b) => b.date.localeCompare(a.date)),
+  };
+}
+
+export default {
+  loadPricing,
+  getModelPrice,
+  estimateCost,
+  summarizeUsage,
+  appendUsageLog,
+  readUsageLog,
+  buildUsageReport,
+};
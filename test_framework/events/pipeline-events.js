@@ -0,0 +1,77 @@
+import fs from 'fs';
+
+/**
+ * Pipeline Events
+ *
+ * Machine-readable events the pipeline writes for the process that hosts it
+ * (the Express server, the Vite middleware or the standalone API server), one
+ * JSON object per line on a dedicated file descriptor. Console output stays for
+ * humans and the run log; hosts read progress, log levels, test results and
+ * artifacts from this channel only.
+ *
+ * The host opens an extra pipe for the child and names it in PIPELINE_EVENTS_FD
+ * (usually 3). Without it, emitEvent() does nothing, so CLI runs are unchanged.
+ * Subprocesses of the pipeline inherit the descriptor (see childStdio()) and
+ * write to the same channel.
+ *
+ * Every event has `type` and `time` (ISO string):
+ *   run:start    { runId, trigger, mode, provider, templates, phases }
+ *   phase:start  { phase, name, description, progress }
+ *   phase:end    { phase, status: complete|degraded|failed|cancelled, duration }
+ *   log          { level: info|warning|error, message }
+ *   test:result  { id, name, suite, template, status, duration, assertions }
+ *   artifact     { kind, path }
+ *   run:end      { runId, status, duration }
+ */
+
+export const PIPELINE_EVENTS_FD_ENV = 'PIPELINE_EVENTS_FD';
+
+let disabled = false;
+
+/**
+ * Descriptor of the event channel, or null when the host did not open one
+ */
+export function eventsFd() {
+  const fd = parseInt(process.env[PIPELINE_EVENTS_FD_ENV], 10);
+  return Number.isInteger(fd) && fd > 2 ? fd : null;
+}
+
+/**
+ * Write one event to the channel
+ * A host that went away never fails the run: the channel is dropped instead.
+ */
+export function emitEvent(type, data = {}) {
+  const fd = eventsFd();
+  if (fd === null || disabled) {
+    return;
+  }
+  try {
+    fs.writeSync(fd, JSON.stringify({ type, time: new Date().toISOString(), ...data }) + '\n');
+  } catch {
+    disabled = true;
+  }
+}
+
+/**
+ * stdio option for a pipeline subprocess: its output is piped, and the event
+ * channel is passed through at the same descriptor number
+ */
+export function childStdio() {
+  const fd = eventsFd();
+  if (fd === null) {
+    return 'pipe';
+  }
+  const stdio = ['pipe', 'pipe', 'pipe'];
+  while (stdio.length < fd) {
+    stdio.push('ignore');
+  }
+  stdio.push(fd);
+  return stdio;
+}
+
+export default {
+  PIPELINE_EVENTS_FD_ENV,
+  eventsFd,
+  emitEvent,
+  childStdio,
+};
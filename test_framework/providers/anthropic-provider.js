@@ -0,0 +1,52 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { AI_PROVIDERS, AI_PROVIDER_CONFIG } from '../config/constants.js';
+
+const CONFIG = AI_PROVIDER_CONFIG[AI_PROVIDERS.ANTHROPIC];
+
+/**
+ * Anthropic Provider
+ *
+ * Sends agent conversations to the Claude Messages API through the official SDK.
+ * ANTHROPIC_BASE_URL points it at another endpoint, such as the mock LLM server.
+ */
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = AI_PROVIDERS.ANTHROPIC;
+    this.apiKey = options.apiKey || process.env[CONFIG.apiKeyEnv];
+    this.baseUrl = options.baseUrl || process.env[CONFIG.baseUrlEnv] || undefined;
+    this.defaultModel = options.model || process.env[CONFIG.modelEnv] || CONFIG.defaultModel;
+
+    if (!this.apiKey) {
+      throw new Error(`${CONFIG.apiKeyEnv} environment variable is required`);
+    }
+
+    this.client = new Anthropic({
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      timeout: options.timeout,
+      // BaseAgent retries transient failures itself, with the pipeline's backoff
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Run one completion and return the text, token usage and stop reason
+   */
+  async complete({ system, messages, model, maxTokens }) {
+    const response = await this.client.messages.create({
+      model: model || this.defaultModel,
+      max_tokens: maxTokens,
+      system,
+      messages,
+    });
+
+    return {
+      content: response.content[0].text,
+      usage: response.usage,
+      stopReason: response.stop_reason,
+      model: response.model,
+    };
+  }
+}
+
+export default AnthropicProvider;
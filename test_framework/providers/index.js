@@ -0,0 +1,51 @@
+/**
+ * LLM Providers
+ *
+ * Every provider exposes the same method:
+ *   complete({ agent, system, messages, model, maxTokens })
+ *     → { content, usage: { input_tokens, output_tokens }, stopReason, model }
+ *
+ * The provider is chosen with AI_PROVIDER (anthropic, openai, replay or none).
+ */
+
+import { AnthropicProvider } from './anthropic-provider.js';
+import { OpenAIProvider } from './openai-provider.js';
+import { ReplayProvider } from './replay-provider.js';
+import { AI_PROVIDERS, TIMEOUTS, resolveAiProvider } from '../config/constants.js';
+
+export { AnthropicProvider, OpenAIProvider, ReplayProvider };
+export { recordFixture, fixtureKey } from './replay-provider.js';
+
+const PROVIDER_CLASSES = {
+  [AI_PROVIDERS.ANTHROPIC]: AnthropicProvider,
+  [AI_PROVIDERS.OPENAI]: OpenAIProvider,
+  [AI_PROVIDERS.REPLAY]: ReplayProvider,
+};
+
+/**
+ * Create the provider for a name (defaults to AI_PROVIDER)
+ */
+export function createProvider(name = process.env.AI_PROVIDER, options = {}) {
+  const providerName = resolveAiProvider(name);
+  const ProviderClass = PROVIDER_CLASSES[providerName];
+  if (!ProviderClass) {
+    throw new Error(`AI provider "${providerName}" does not accept requests`);
+  }
+  return new ProviderClass(options);
+}
+
+/**
+ * Send a minimal request to check that a provider is reachable and the key works
+ */
+export async function testProviderConnection(name, options = {}) {
+  const provider = createProvider(name, { timeout: TIMEOUTS.apiRequest, ...options });
+  const response = await provider.complete({
+    agent: 'ConnectionTest',
+    system: 'Reply with OK.',
+    messages: [{ role: 'user', content: 'Hi' }],
+    maxTokens: 10,
+  });
+  return { success: true, provider: provider.name, model: response.model || provider.defaultModel };
+}
+
+export default createProvider;
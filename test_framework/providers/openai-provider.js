@@ -0,0 +1,74 @@
+import { AI_PROVIDERS, AI_PROVIDER_CONFIG } from '../config/constants.js';
+
+const CONFIG = AI_PROVIDER_CONFIG[AI_PROVIDERS.OPENAI];
+
+/**
+ * OpenAI-compatible Provider
+ *
+ * Talks to any endpoint implementing POST /chat/completions (OpenAI, Azure
+ * OpenAI, vLLM, Ollama, LM Studio, the mock LLM server, ...). The API key is
+ * optional because many self-hosted servers do not check it.
+ */
+export class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = AI_PROVIDERS.OPENAI;
+    this.apiKey = options.apiKey || process.env[CONFIG.apiKeyEnv] || null;
+    this.baseUrl = (options.baseUrl || process.env[CONFIG.baseUrlEnv] || CONFIG.defaultBaseUrl).replace(/\/+$/, '');
+    this.defaultModel = options.model || process.env[CONFIG.modelEnv] || CONFIG.defaultModel;
+    this.timeout = options.timeout || null;
+  }
+
+  /**
+   * Run one completion and return the text, token usage and stop reason
+   */
+  async complete({ system, messages, model, maxTokens }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: model || this.defaultModel,
+        max_tokens: maxTokens,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages,
+        ],
+      }),
+      signal: this.timeout ? AbortSignal.timeout(this.timeout) : undefined,
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // Non-JSON body, reported below
+    }
+
+    if (!response.ok) {
+      const error = new Error(data?.error?.message || `API request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    if (!data?.choices?.length) {
+      throw new Error('Invalid response from OpenAI-compatible endpoint: no choices returned');
+    }
+
+    const choice = data.choices[0];
+    return {
+      content: choice.message?.content || '',
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0,
+      },
+      stopReason: choice.finish_reason,
+      model: data.model || model || this.defaultModel,
+    };
+  }
+}
+
+export default OpenAIProvider;
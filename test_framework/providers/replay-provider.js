@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AI_PROVIDERS, AI_PROVIDER_CONFIG, PATHS } from '../config/constants.js';
+
+const CONFIG = AI_PROVIDER_CONFIG[AI_PROVIDERS.REPLAY];
+
+/**
+ * Fixture key for a request: a short hash of the system prompt and conversation
+ */
+export function fixtureKey(system, messages) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ system, messages }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function fixturePath(fixturesDir, agent) {
+  return path.join(fixturesDir, `${agent}.json`);
+}
+
+function readFixtureFile(fixturesDir, agent) {
+  const filePath = fixturePath(fixturesDir, agent);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+}
+
+/**
+ * Save a live response as a fixture so later runs can replay it (AI_RECORD_FIXTURES=1)
+ */
+export function recordFixture(agent, { system, messages }, content, fixturesDir = process.env[CONFIG.fixturesEnv] || PATHS.LLM_FIXTURES) {
+  const fixtures = readFixtureFile(fixturesDir, agent) || { agent, default: null, responses: {} };
+  fixtures.responses = fixtures.responses || {};
+  fixtures.responses[fixtureKey(system, messages)] = content;
+  if (fixtures.default === null || fixtures.default === undefined) {
+    fixtures.default = content;
+  }
+
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  fs.writeFileSync(fixturePath(fixturesDir, agent), JSON.stringify(fixtures, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Replay Provider
+ *
+ * Answers from recorded fixtures in test-data/llm-fixtures/<Agent>.json instead
+ * of calling a live service. A response recorded for the exact request is used
+ * when present, otherwise the agent's "default" response.
+ */
+export class ReplayProvider {
+  constructor(options = {}) {
+    this.name = AI_PROVIDERS.REPLAY;
+    this.fixturesDir = options.fixturesDir || process.env[CONFIG.fixturesEnv] || PATHS.LLM_FIXTURES;
+    this.defaultModel = CONFIG.defaultModel;
+    this.cache = new Map();
+  }
+
+  loadFixtures(agent) {
+    if (!this.cache.has(agent)) {
+      this.cache.set(agent, readFixtureFile(this.fixturesDir, agent));
+    }
+    return this.cache.get(agent);
+  }
+
+  /**
+   * Return the recorded response for this agent and request
+   */
+  async complete({ agent, system, messages }) {
+    const fixtures = agent ? this.loadFixtures(agent) : null;
+    if (!fixtures) {
+      throw new Error(`No replay fixtures for agent "${agent}" in ${this.fixturesDir}`);
+    }
+
+    const key = fixtureKey(system, messages);
+    const recorded = fixtures.responses?.[key] ?? fixtures.default;
+    if (recorded === null || recorded === undefined) {
+      throw new Error(`No replay fixture for agent "${agent}" (request ${key})`);
+    }
+
+    return {
+      content: typeof recorded === 'string' ? recorded : JSON.stringify(recorded, null, 2),
+      usage: { input_tokens: 0, output_tokens: 0 },
+      stopReason: 'end_turn',
+      model: this.defaultModel,
+    };
+  }
+}
+
+export default ReplayProvider;
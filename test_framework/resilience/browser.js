@@ -0,0 +1,37 @@
+import { chromium } from 'playwright';
+import { TIMEOUTS } from '../config/constants.js';
+import { withRetry } from './retry.js';
+
+/**
+ * Browser Launch
+ *
+ * Starts headless Chromium for the agents and scripts that take screenshots.
+ * A launch that hangs or crashes is retried with backoff; a missing browser
+ * install is reported at once since another attempt cannot fix it.
+ * PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH selects a system Chromium (Docker).
+ */
+
+const MISSING_BROWSER_REGEX = /Executable doesn't exist/i;
+
+/**
+ * Whether a launch failed because the browser is not installed
+ */
+export function isMissingBrowserError(error) {
+  return MISSING_BROWSER_REGEX.test(error.message);
+}
+
+/**
+ * Launch Chromium; onRetry(error, attempt, delay) is told about failed attempts
+ */
+export function launchChromium({ onRetry } = {}) {
+  const launchOptions = { headless: true, timeout: TIMEOUTS.browserLaunch };
+  if (process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH) {
+    launchOptions.executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
+  }
+  return withRetry(() => chromium.launch(launchOptions), {
+    retryOn: error => !isMissingBrowserError(error),
+    onRetry,
+  });
+}
+
+export default launchChromium;
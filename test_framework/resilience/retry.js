@@ -0,0 +1,97 @@
+import { RETRY } from '../config/constants.js';
+
+/**
+ * Retries and Timeouts
+ *
+ * Helpers the agents and the orchestrator use so a slow or flaky dependency
+ * cannot block the pipeline: withTimeout() bounds a promise, withRetry() runs a
+ * call again after a transient failure (AI rate limits, server errors, dropped
+ * connections, timeouts) with exponential backoff. Anything else, such as a bad
+ * API key or an invalid request, fails on the first attempt.
+ */
+
+const TRANSIENT_ERROR_NAMES = new Set([
+  'TimeoutError',
+  'AbortError',
+  'APIConnectionError',
+  'APIConnectionTimeoutError',
+]);
+
+const TRANSIENT_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+export class TimeoutError extends Error {
+  constructor(message, timeout) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Whether a failure is worth another attempt: HTTP 408, 429 and 5xx, timeouts
+ * and network errors
+ */
+export function isTransientError(error) {
+  if (!error) {
+    return false;
+  }
+  const status = error.status ?? error.statusCode;
+  if (status === 408 || status === 429 || status >= 500) {
+    return true;
+  }
+  if (TRANSIENT_ERROR_NAMES.has(error.name) || TRANSIENT_ERROR_NAMES.has(error.constructor?.name)) {
+    return true;
+  }
+  return TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_CODES.has(error.cause?.code);
+}
+
+/**
+ * Reject with a TimeoutError when a promise does not settle within `timeout` ms
+ * The underlying work is not stopped; callers that own it clean up themselves.
+ */
+export function withTimeout(promise, timeout, message = `Timed out after ${timeout}ms`) {
+  if (!timeout) {
+    return promise;
+  }
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(message, timeout)), timeout);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Call fn until it succeeds, retrying failures that retryOn accepts
+ * onRetry(error, attempt, delay) runs before each wait. The error that ends the
+ * loop carries the number of attempts made in `attempts`.
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    attempts = RETRY.attempts,
+    baseDelay = RETRY.baseDelay,
+    maxDelay = RETRY.maxDelay,
+    retryOn = isTransientError,
+    onRetry = null,
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !retryOn(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+      const delay = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+      onRetry?.(error, attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+export default {
+  TimeoutError,
+  isTransientError,
+  withTimeout,
+  withRetry,
+};
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { PATHS, PIPELINE_STEPS } from '../config/constants.js';
+
+/**
+ * Run Checkpoints
+ *
+ * The output of each completed pipeline phase, saved per run in
+ * output/checkpoints/<runId>/<phase>.json. A run that failed or was cancelled
+ * can be resumed from its first incomplete phase, reusing the test plan and
+ * analyses instead of paying for the agents again. run.json holds the options
+ * the run was started with, so a resume tests the same templates in the same mode.
+ *
+ * Checkpoints are removed when a run completes with output from every phase.
+ */
+
+const OPTIONS_FILE = 'run.json';
+const RUN_ID_REGEX = /^[\w-]+$/;
+
+/**
+ * Phases whose output is checkpointed, in pipeline order
+ */
+export const CHECKPOINT_PHASES = [
+  PIPELINE_STEPS.PLANNER,
+  PIPELINE_STEPS.ANALYZER,
+  PIPELINE_STEPS.DIFF,
+  PIPELINE_STEPS.GENERATOR,
+  PIPELINE_STEPS.PLAYWRIGHT,
+];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export class CheckpointStore {
+  constructor(options = {}) {
+    this.dir = options.dir || PATHS.OUTPUT_CHECKPOINTS;
+  }
+
+  runDir(runId) {
+    if (!RUN_ID_REGEX.test(runId || '')) {
+      throw new Error(`Invalid run id: ${runId}`);
+    }
+    return path.join(this.dir, runId);
+  }
+
+  /**
+   * Whether a run has checkpoints to resume from
+   */
+  has(runId) {
+    return RUN_ID_REGEX.test(runId || '') && fs.existsSync(path.join(this.runDir(runId), OPTIONS_FILE));
+  }
+
+  /**
+   * Start a run's checkpoints with the options it was started with
+   */
+  begin(runId, options) {
+    const dir = this.runDir(runId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, OPTIONS_FILE), JSON.stringify(options, null, 2), 'utf-8');
+  }
+
+  /**
+   * Save the output of a completed phase
+   */
+  save(runId, phase, output) {
+    const dir = this.runDir(runId);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${phase}.json`), JSON.stringify(output, null, 2), 'utf-8');
+  }
+
+  /**
+   * Options and phase outputs of a run (null when it has no checkpoints)
+   * Only the phases before the first missing one count: a later phase ran on
+   * outputs that are about to be recomputed.
+   */
+  load(runId) {
+    const options = this.has(runId) ? readJson(path.join(this.runDir(runId), OPTIONS_FILE)) : null;
+    if (!options) {
+      return null;
+    }
+    const dir = this.runDir(runId);
+    const phases = {};
+    for (const phase of CHECKPOINT_PHASES) {
+      const output = readJson(path.join(dir, `${phase}.json`));
+      if (output === null) {
+        // A skipped planner leaves no checkpoint but does not stop the chain
+        if (phase === PIPELINE_STEPS.PLANNER) {
+          continue;
+        }
+        break;
+      }
+      phases[phase] = output;
+    }
+    return { runId, options, phases };
+  }
+
+  remove(runId) {
+    fs.rmSync(this.runDir(runId), { recursive: true, force: true });
+  }
+}
+
+export default {
+  CHECKPOINT_PHASES,
+  CheckpointStore,
+};
@@ -0,0 +1,132 @@
+import fs from 'fs';
+import path from 'path';
+import { PATHS } from '../config/constants.js';
+
+/**
+ * Run Queue
+ *
+ * Pipeline runs requested while another run is in progress wait here, first in
+ * first out, in test_reports/run-queue.json so they survive a server restart.
+ *
+ * A request is coalesced into a pending job that already covers it: the same
+ * set of templates, or a job that tests all templates. Several saves of one
+ * template therefore add a single queued run. `requests` counts how many
+ * requests a job stands for.
+ *
+ * A job with no templates tests all templates. A job with `resume` continues
+ * that failed run from its checkpoints instead (its templates are the run's,
+ * for display); it only coalesces with a job resuming the same run.
+ */
+
+function sameTemplates(a, b) {
+  return a.length === b.length && a.every((template, i) => template === b[i]);
+}
+
+function createJobId() {
+  return `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export class RunQueue {
+  constructor(options = {}) {
+    this.file = options.file || PATHS.RUN_QUEUE;
+  }
+
+  read() {
+    try {
+      const { jobs } = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      return Array.isArray(jobs) ? jobs : [];
+    } catch {
+      return [];
+    }
+  }
+
+  write(jobs) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({ jobs }, null, 2), 'utf-8');
+  }
+
+  /**
+   * Pending jobs in the order they will run
+   */
+  list() {
+    return this.read();
+  }
+
+  /**
+   * Add a run request, or fold it into a pending job that already covers it
+   * Returns the job, whether it was coalesced and its 1-based queue position.
+   */
+  enqueue({ templates = [], trigger = 'manual', resume = null } = {}) {
+    const jobs = this.read();
+    const requested = [...new Set(templates)].sort();
+    const now = new Date().toISOString();
+
+    const index = jobs.findIndex(job => resume
+      ? job.resume === resume
+      : !job.resume && (job.templates.length === 0 || sameTemplates(job.templates, requested)));
+    if (index !== -1) {
+      const job = { ...jobs[index], requests: (jobs[index].requests || 1) + 1, updatedAt: now };
+      jobs[index] = job;
+      this.write(jobs);
+      return { job, coalesced: true, position: index + 1 };
+    }
+
+    const job = {
+      id: createJobId(),
+      templates: requested,
+      trigger,
+      ...(resume && { resume }),
+      requests: 1,
+      queuedAt: now,
+      updatedAt: now,
+    };
+    jobs.push(job);
+    this.write(jobs);
+    return { job, coalesced: false, position: jobs.length };
+  }
+
+  /**
+   * Take the next job off the queue (null when it is empty)
+   */
+  shift() {
+    const jobs = this.read();
+    const job = jobs.shift() || null;
+    if (job) {
+      this.write(jobs);
+    }
+    return job;
+  }
+
+  /**
+   * Drop a pending job, returning it (or null when it is not queued)
+   */
+  remove(id) {
+    const jobs = this.read();
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const [job] = jobs.splice(index, 1);
+    this.write(jobs);
+    return job;
+  }
+
+  /**
+   * Move a pending job to a 1-based queue position (clamped to the queue)
+   * Returns the reordered queue, or null when the job is not queued.
+   */
+  move(id, position) {
+    const jobs = this.read();
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const [job] = jobs.splice(index, 1);
+    const target = Math.min(Math.max(Math.trunc(position) - 1, 0), jobs.length);
+    jobs.splice(target, 0, job);
+    this.write(jobs);
+    return jobs;
+  }
+}
+
+export default RunQueue;
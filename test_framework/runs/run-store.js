@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { PATHS } from '../config/constants.js';
+import { CheckpointStore } from './checkpoints.js';
+
+/**
+ * Run Store
+ *
+ * Run history kept as a JSON-lines index (test_reports/runs.jsonl). Each line
+ * is a full or partial record for a run id; reading folds the lines per id so
+ * later lines update earlier ones. This lets a run be recorded as "running"
+ * when it starts and completed (status, duration, usage, artifacts) when it
+ * ends, and lets run-agents.js add the log file once it is written.
+ *
+ * Artifact paths are stored relative to the repository root.
+ */
+
+const REPO_ROOT = path.resolve(PATHS.TEST_FRAMEWORK, '..');
+
+// Runs that stopped before completing, or whose phases left no output, and can
+// be resumed from their checkpoints
+const RESUMABLE_STATUSES = ['error', 'cancelled'];
+
+/**
+ * Repository-relative path of an artifact, or null when it was not produced
+ */
+export function artifactPath(filePath) {
+  return filePath ? path.relative(REPO_ROOT, path.resolve(filePath)).split(path.sep).join('/') : null;
+}
+
+/**
+ * Absolute path of an artifact recorded in a run
+ */
+export function resolveArtifact(relativePath) {
+  return path.resolve(REPO_ROOT, relativePath);
+}
+
+/**
+ * Run record with the file names of its artifacts that still exist on disk,
+ * and whether it can be resumed
+ */
+export function describeRun(run) {
+  const links = {};
+  for (const [type, relativePath] of Object.entries(run.artifacts || {})) {
+    links[type] = relativePath && fs.existsSync(resolveArtifact(relativePath))
+      ? path.posix.basename(relativePath)
+      : null;
+  }
+  const resumable = RESUMABLE_STATUSES.includes(run.status) && new CheckpointStore().has(run.id);
+  return { ...run, links, resumable };
+}
+
+export class RunStore {
+  constructor(options = {}) {
+    this.file = options.file || PATHS.RUNS_INDEX;
+  }
+
+  readLines() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+    return fs.readFileSync(this.file, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  /**
+   * Add or update a run record (fields are merged into the existing record)
+   */
+  record(run) {
+    if (!run.id) {
+      throw new Error('Run record requires an id');
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify({ ...run, updatedAt: new Date().toISOString() }) + '\n', 'utf-8');
+  }
+
+  /**
+   * All runs, newest first
+   */
+  list() {
+    const runs = new Map();
+    for (const line of this.readLines()) {
+      const existing = runs.get(line.id) || {};
+      runs.set(line.id, {
+        ...existing,
+        ...line,
+        artifacts: { ...existing.artifacts, ...line.artifacts },
+      });
+    }
+    return [...runs.values()].sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  }
+
+  get(id) {
+    return this.list().find(run => run.id === id) || null;
+  }
+
+  /**
+   * Map of artifact file name to the id of the run that produced it
+   */
+  artifactIndex() {
+    const index = {};
+    for (const run of this.list()) {
+      for (const relativePath of Object.values(run.artifacts || {})) {
+        if (relativePath) {
+          index[path.posix.basename(relativePath)] = run.id;
+        }
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Run that produced an artifact, matched by file name
+   */
+  findByArtifact(fileName) {
+    const id = this.artifactIndex()[fileName];
+    return id ? this.get(id) : null;
+  }
+
+  /**
+   * Remove a run from the index, returning its last record (or null)
+   * The index is rewritten with the record's lines left out.
+   */
+  delete(id) {
+    const run = this.get(id);
+    if (!run) {
+      return null;
+    }
+    const lines = this.readLines().filter(line => line.id !== id);
+    fs.writeFileSync(this.file, lines.map(line => JSON.stringify(line) + '\n').join(''), 'utf-8');
+    return run;
+  }
+
+  /**
+   * Delete a run together with its artifact files and checkpoints
+   * Returns which artifacts were deleted, keyed by artifact type.
+   */
+  deleteWithArtifacts(id) {
+    const run = this.delete(id);
+    if (run) {
+      new CheckpointStore().remove(id);
+    }
+    const deleted = {};
+    for (const [type, relativePath] of Object.entries(run?.artifacts || {})) {
+      const filePath = relativePath && resolveArtifact(relativePath);
+      deleted[type] = !!filePath && fs.existsSync(filePath);
+      if (deleted[type]) {
+        fs.unlinkSync(filePath);
+      }
+    }
+    return deleted;
+  }
+}
+
+export default RunStore;
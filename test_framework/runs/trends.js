@@ -0,0 +1,169 @@
+import fs from 'fs';
+import path from 'path';
+import { HTML_SIZE, PATHS } from '../config/constants.js';
+import { readSizeHistory } from '../templates/size-analysis.js';
+import { RunStore } from './run-store.js';
+
+/**
+ * Run Trends
+ *
+ * Aggregates the Playwright results (output/test-results/playwright-results-*.json)
+ * and run records of recent runs for the Dashboard: pass rate per suite,
+ * visual diff per template, run duration, tests whose status flipped and the
+ * HTML size of each template (size history of scripts/analyze-size.js).
+ */
+
+export const DEFAULT_TREND_RUNS = 20;
+
+const RESULTS_FILE_REGEX = /^playwright-results-(\d+)\.json$/;
+
+const percentage = (passed, total) => (total ? Math.round((passed / total) * 1000) / 10 : 0);
+
+/**
+ * The most recent Playwright results files, oldest first
+ */
+function readResultsFiles(dir, limit) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(f => RESULTS_FILE_REGEX.test(f))
+    .sort((a, b) => Number(a.match(RESULTS_FILE_REGEX)[1]) - Number(b.match(RESULTS_FILE_REGEX)[1]))
+    .slice(-limit)
+    .flatMap(file => {
+      try {
+        return [{ file, results: JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')) }];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Pass rate per suite and visual diff per template of one Playwright run
+ */
+function summarizeResults({ file, results }, artifactIndex) {
+  const suites = {};
+  const visualDiffs = {};
+
+  for (const testCase of results.testCases || []) {
+    const suite = suites[testCase.suite || 'unassigned'] ??= { passed: 0, total: 0 };
+    suite.total++;
+    if (testCase.status === 'passed') {
+      suite.passed++;
+    }
+
+    for (const assertion of testCase.assertions || []) {
+      const diff = parseFloat(assertion.screenshots?.diffPercentage);
+      if (assertion.type === 'visual_match' && !Number.isNaN(diff)) {
+        visualDiffs[testCase.template] = Math.max(visualDiffs[testCase.template] ?? 0, diff);
+      }
+    }
+  }
+
+  for (const suite of Object.values(suites)) {
+    suite.passRate = percentage(suite.passed, suite.total);
+  }
+
+  return {
+    file,
+    runId: artifactIndex[file] || null,
+    timestamp: results.timestamp,
+    mode: results.mode,
+    totalTests: results.totalTests || 0,
+    passed: results.passed || 0,
+    failed: results.failed || 0,
+    passRate: percentage(results.passed || 0, results.totalTests || 0),
+    suites,
+    visualDiffs,
+  };
+}
+
+/**
+ * Tests whose status changed between consecutive runs, most flips first
+ * Tests are matched across runs by template and name, since generated ids are not stable.
+ */
+function findFlakyTests(resultsFiles) {
+  const tests = new Map();
+
+  for (const { results } of resultsFiles) {
+    for (const testCase of results.testCases || []) {
+      const key = `${testCase.template}::${testCase.name}`;
+      const test = tests.get(key) || {
+        key,
+        name: testCase.name,
+        suite: testCase.suite,
+        template: testCase.template,
+        history: [],
+      };
+      test.history.push({ timestamp: results.timestamp, status: testCase.status });
+      tests.set(key, test);
+    }
+  }
+
+  return [...tests.values()]
+    .map(test => ({
+      ...test,
+      flips: test.history.filter((entry, i) => i > 0 && entry.status !== test.history[i - 1].status).length,
+      lastStatus: test.history[test.history.length - 1].status,
+    }))
+    .filter(test => test.flips > 0)
+    .sort((a, b) => b.flips - a.flips || a.name.localeCompare(b.name));
+}
+
+function readLatestSummary(file) {
+  try {
+    const summary = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return {
+      timestamp: summary.timestamp,
+      status: summary.status,
+      mode: summary.mode,
+      duration: summary.duration,
+      playwrightResults: summary.playwrightResults,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Trend data for the last `limit` runs
+ */
+export function buildTrends(options = {}) {
+  const {
+    limit = DEFAULT_TREND_RUNS,
+    resultsDir = PATHS.OUTPUT_TEST_RESULTS,
+    summaryFile = PATHS.TEST_SUMMARY,
+    sizeHistoryFile = PATHS.SIZE_HISTORY,
+    runStore = new RunStore(),
+  } = options;
+
+  const resultsFiles = readResultsFiles(resultsDir, limit);
+  const artifactIndex = runStore.artifactIndex();
+  const runs = resultsFiles.map(entry => summarizeResults(entry, artifactIndex));
+
+  const durations = runStore.list()
+    .filter(run => typeof run.duration === 'number')
+    .slice(0, limit)
+    .reverse()
+    .map(run => ({ runId: run.id, startedAt: run.startedAt, duration: run.duration, status: run.status }));
+
+  const sizes = readSizeHistory(limit, sizeHistoryFile);
+
+  return {
+    runs,
+    suites: [...new Set(runs.flatMap(run => Object.keys(run.suites)))].sort(),
+    templates: [...new Set(runs.flatMap(run => Object.keys(run.visualDiffs)))].sort(),
+    durations,
+    sizes,
+    sizeTemplates: [...new Set(sizes.flatMap(entry => Object.keys(entry.templates || {})))].sort(),
+    gmailClipBytes: HTML_SIZE.gmailClipBytes,
+    flakyTests: findFlakyTests(resultsFiles),
+    latest: readLatestSummary(summaryFile),
+  };
+}
+
+export default {
+  DEFAULT_TREND_RUNS,
+  buildTrends,
+};
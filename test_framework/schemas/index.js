@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Agent Output Schemas
+ *
+ * JSON schemas for the structured responses of the agents, plus a small
+ * validator for the subset of JSON Schema they use:
+ * type, enum, required, properties, items and minItems.
+ */
+
+function loadSchema(file) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf-8'));
+}
+
+export const AGENT_SCHEMAS = {
+  testPlan: loadSchema('test-plan.schema.json'),
+  changeAnalysis: loadSchema('change-analysis.schema.json'),
+  diffAnalysis: loadSchema('diff-analysis.schema.json'),
+  testCases: loadSchema('test-cases.schema.json'),
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of error strings such as "$.testSuites[0].name: expected string, got number"
+ */
+export function validateSchema(value, schema, at = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${at}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${at}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: expected at least ${schema.minItems} item(s), got ${value.length}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extract the JSON object from an LLM response (bare or inside a ```json fence)
+ * Throws when no parsable object is found
+ */
+export function parseJsonResponse(content) {
+  let text = (content || '').trim();
+  if (text.startsWith('```')) {
+    text = text.replace(/^```json?\n?/, '').replace(/\n?```$/, '');
+  }
+
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error('Response does not contain a JSON object');
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+export default {
+  AGENT_SCHEMAS,
+  validateSchema,
+  parseJsonResponse,
+};
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * HTML Size Analysis Script
+ *
+ * Measures the compiled HTML of each template against its size budget and
+ * Gmail's ~102KB clipping point (templates/size-analysis.js): bytes per
+ * section and per partial, inline CSS versus markup, and what minification
+ * saves. A template that would be clipped in Gmail or is over its budget
+ * fails the script (exit code 1); one close to its budget is a warning.
+ *
+ * Analyzes the templates selected in TEST_TEMPLATES, or all of them, and
+ * appends their sizes to the size history the reports chart.
+ *
+ * Output: JSON size analysis in output/compiled
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { HTML_SIZE, PATHS, resolveAssetBase, resolveTemplateSelection } from '../config/constants.js';
+import { analyzeTemplateSize, appendSizeHistory, formatKb } from '../templates/size-analysis.js';
+import { loadRenderContext } from '../templates/renderer.js';
+
+// Largest partials listed per template in the console output
+const TOP_PARTIALS = 3;
+
+/**
+ * Templates to analyze: the TEST_TEMPLATES selection or every .mjml in emails/
+ */
+async function getTemplatesToAnalyze() {
+  const selection = resolveTemplateSelection();
+  if (selection) {
+    console.log(`Analyzing selected templates: ${selection.join(', ')}`);
+    return selection;
+  }
+  const files = await fs.readdir(PATHS.EMAILS_DIR);
+  return files.filter(f => f.endsWith('.mjml')).map(f => f.replace('.mjml', ''));
+}
+
+/**
+ * Analyze a single template
+ */
+function analyzeTemplate(template, context, assetBase) {
+  try {
+    return { ...analyzeTemplateSize(template, { context, assetBase }), analyzedAt: new Date().toISOString() };
+  } catch (error) {
+    return {
+      template,
+      status: 'error',
+      passed: false,
+      message: error.message,
+      errors: [{ phase: 'general', message: error.message }],
+      analyzedAt: new Date().toISOString(),
+    };
+  }
+}
+
+function logTemplate(result) {
+  if (result.status === 'error') {
+    console.log(`✗ ${result.template}: ${result.message}`);
+    result.errors.forEach(e => console.log(`  - [${e.phase}] ${e.file ? `${e.file}:${e.line ?? '?'} ` : ''}${e.message}`));
+    return;
+  }
+
+  const icon = { ok: '✓', warning: '⚠', 'over-budget': '✗', clipped: '✗' }[result.status];
+  const { breakdown, minified } = result;
+  console.log(`${icon} ${result.template}: ${result.message}`);
+  console.log(`  CSS ${formatKb(breakdown.inlineStyles + breakdown.styleBlocks)} (inline ${formatKb(breakdown.inlineStyles)}, <style> ${formatKb(breakdown.styleBlocks)}), markup ${formatKb(breakdown.markup)}, Outlook conditionals ${formatKb(breakdown.outlookConditionals)}, text ${formatKb(breakdown.text)}`);
+  console.log(`  Minified ${formatKb(minified.bytes)} (-${minified.savedPercent}%)`);
+  console.log(`  Largest: ${result.partials.slice(0, TOP_PARTIALS).map(p => `${p.file} ${formatKb(p.bytes)} (${p.share}%)`).join(', ')}`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('Starting HTML size analysis...\n');
+
+  const context = loadRenderContext();
+  const assetBase = resolveAssetBase();
+  const templates = await getTemplatesToAnalyze();
+  await fs.mkdir(PATHS.OUTPUT_COMPILED, { recursive: true });
+
+  console.log(`Gmail clips HTML over ${formatKb(HTML_SIZE.gmailClipBytes)}\n`);
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    assetBase,
+    gmailClipBytes: HTML_SIZE.gmailClipBytes,
+    totalTemplates: templates.length,
+    withinBudget: 0,
+    warnings: 0,
+    failed: 0,
+    templates: [],
+  };
+
+  for (const template of templates) {
+    const result = analyzeTemplate(template, context, assetBase);
+    results.templates.push(result);
+    logTemplate(result);
+
+    if (!result.passed) {
+      results.failed++;
+    } else if (result.status === 'warning') {
+      results.warnings++;
+    } else {
+      results.withinBudget++;
+    }
+  }
+
+  console.log('\n--- Size Summary ---');
+  console.log(`Total: ${results.totalTemplates}`);
+  console.log(`Within budget: ${results.withinBudget}`);
+  console.log(`Close to budget: ${results.warnings}`);
+  console.log(`Failed: ${results.failed}`);
+
+  const jsonPath = path.join(PATHS.OUTPUT_COMPILED, 'size-analysis.json');
+  await fs.writeFile(jsonPath, JSON.stringify(results, null, 2), 'utf-8');
+  console.log(`\nResults saved to: ${jsonPath}`);
+
+  const measured = results.templates.filter(t => t.bytes !== null && t.bytes !== undefined);
+  if (measured.length > 0) {
+    appendSizeHistory({
+      timestamp: results.timestamp,
+      templates: Object.fromEntries(measured.map(t => [t.template, {
+        bytes: t.bytes,
+        minifiedBytes: t.minified.bytes,
+        budgetBytes: t.budgetBytes,
+        status: t.status,
+      }])),
+    });
+  }
+
+  // A clipped email loses its footer and unsubscribe link in Gmail
+  if (results.failed > 0) {
+    console.error(`\n${results.templates.filter(t => !t.passed).map(t => `${t.template}: ${t.message}`).join('\n')}`);
+    process.exitCode = 1;
+  }
+
+  return results;
+}
+
+main().catch(console.error);
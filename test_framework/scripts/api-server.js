@@ -6,7 +6,12 @@
  * Provides HTTP endpoints for triggering tests from the web app.
  *
  * Endpoints:
- *   POST /api/run-tests     - Trigger a full test run
+ *   POST /api/run-tests     - Trigger a full test run (queued while one is in progress)
+ *   POST /api/cancel-test   - Cancel the running test
+ *   GET  /api/queue         - List queued runs
+ *   POST /api/queue/cancel  - Remove a queued run
+ *   POST /api/queue/move    - Move a queued run to another position
+ *   POST /api/runs/:id/resume - Resume a failed or cancelled run (queued like a test run)
  *   GET  /api/test-status   - Get current test status
  *   GET  /api/latest-report - Get the latest report
  */
@@ -16,16 +21,20 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { AgentOrchestrator } from '../agents/orchestrator.js';
+import { RunQueue } from '../runs/run-queue.js';
+import { RunStore, describeRun } from '../runs/run-store.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PORT = process.env.PORT || 3001;
 const REPORTS_DIR = path.resolve(__dirname, '../../test_reports');
+const RESUME_PATH_REGEX = /^\/api\/runs\/([^/]+)\/resume$/;
 
 class APIServer {
   constructor() {
     this.orchestrator = new AgentOrchestrator();
+    this.queue = new RunQueue();
     this.currentTest = null;
     this.lastResult = null;
   }
@@ -56,9 +65,17 @@ class APIServer {
       this.log('');
       this.log('Available endpoints:');
       this.log('  POST /api/run-tests     - Trigger test run');
+      this.log('  POST /api/cancel-test   - Cancel the running test');
+      this.log('  GET  /api/queue         - List queued runs');
+      this.log('  POST /api/queue/cancel  - Remove a queued run');
+      this.log('  POST /api/queue/move    - Move a queued run');
+      this.log('  POST /api/runs/:id/resume - Resume a failed run');
       this.log('  GET  /api/test-status   - Get test status');
       this.log('  GET  /api/latest-report - Get latest report');
       this.log('');
+
+      // Pick up runs that were still queued when the server stopped
+      this.runNextJob();
     });
   }
 
@@ -68,6 +85,16 @@ class APIServer {
     try {
       if (url.pathname === '/api/run-tests' && req.method === 'POST') {
         await this.handleRunTests(req, res);
+      } else if (url.pathname === '/api/cancel-test' && req.method === 'POST') {
+        await this.handleCancelTest(req, res);
+      } else if (url.pathname === '/api/queue' && req.method === 'GET') {
+        await this.handleQueue(req, res);
+      } else if (url.pathname === '/api/queue/cancel' && req.method === 'POST') {
+        await this.handleQueueCancel(req, res);
+      } else if (url.pathname === '/api/queue/move' && req.method === 'POST') {
+        await this.handleQueueMove(req, res);
+      } else if (RESUME_PATH_REGEX.test(url.pathname) && req.method === 'POST') {
+        await this.handleResumeRun(req, res, decodeURIComponent(url.pathname.match(RESUME_PATH_REGEX)[1]));
       } else if (url.pathname === '/api/test-status' && req.method === 'GET') {
         await this.handleTestStatus(req, res);
       } else if (url.pathname === '/api/latest-report' && req.method === 'GET') {
@@ -83,36 +110,98 @@ class APIServer {
     }
   }
 
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch {
+          reject(new Error('Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
   async handleRunTests(req, res) {
+    const { job, coalesced, position } = this.queue.enqueue({ trigger: 'web_api' });
+
     if (this.orchestrator.isRunning) {
-      res.writeHead(409, { 'Content-Type': 'application/json' });
+      this.log(`Test ${coalesced ? 'merged into queued run' : 'queued'} at position ${position}`);
+      res.writeHead(202, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
-        status: 'busy',
-        message: 'Test already in progress'
+        status: 'queued',
+        job,
+        coalesced,
+        position,
+        message: `Queued at position ${position}`
       }));
       return;
     }
 
-    // Start test in background
-    this.currentTest = {
-      startedAt: new Date().toISOString(),
-      status: 'running'
-    };
-
     res.writeHead(202, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'started',
+      job,
       message: 'Test started'
     }));
 
-    // Run tests asynchronously
     this.log('Test triggered via API');
+    this.runNextJob();
+  }
+
+  async handleResumeRun(req, res, runId) {
+    const run = new RunStore().get(runId);
+    if (!run) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Run not found' }));
+      return;
+    }
+    if (!describeRun(run).resumable) {
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Run cannot be resumed: only runs that errored or were cancelled keep checkpoints' }));
+      return;
+    }
+
+    const { job, coalesced, position } = this.queue.enqueue({ templates: run.templates, trigger: 'web_api', resume: runId });
+    const queued = this.orchestrator.isRunning;
+    res.writeHead(202, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(queued
+      ? { status: 'queued', job, coalesced, position, message: `Queued at position ${position}` }
+      : { status: 'started', job, message: `Resuming run ${runId}` }));
+
+    this.log(`Resume of run ${runId} ${queued ? `queued at position ${position}` : 'triggered via API'}`);
+    this.runNextJob();
+  }
+
+  /**
+   * Run queued jobs one after another until the queue is empty
+   */
+  async runNextJob() {
+    if (this.orchestrator.isRunning) {
+      return;
+    }
+    const job = this.queue.shift();
+    if (!job) {
+      return;
+    }
+
+    this.currentTest = {
+      startedAt: new Date().toISOString(),
+      status: 'running',
+      jobId: job.id
+    };
 
     try {
-      this.lastResult = await this.orchestrator.runTests({
-        trigger: 'web_api',
-        forceFullTest: true
-      });
+      this.lastResult = job.resume
+        ? await this.orchestrator.resumeRun(job.resume)
+        : await this.orchestrator.runTests({
+          trigger: job.trigger,
+          templates: job.templates.length > 0 ? job.templates : null,
+          forceFullTest: job.templates.length === 0
+        });
 
       this.currentTest = null;
       this.log('Test completed via API');
@@ -124,6 +213,63 @@ class APIServer {
       this.currentTest = null;
       this.log(`Test failed: ${error.message}`);
     }
+
+    await this.runNextJob();
+  }
+
+  async handleQueue(req, res) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ jobs: this.queue.list() }));
+  }
+
+  async handleQueueCancel(req, res) {
+    const { id } = await this.readBody(req);
+    const job = id ? this.queue.remove(id) : null;
+    if (!job) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Job is not queued' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, job, jobs: this.queue.list() }));
+  }
+
+  async handleQueueMove(req, res) {
+    const { id, position } = await this.readBody(req);
+    if (!id || !Number.isInteger(position)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Job id and integer position are required' }));
+      return;
+    }
+
+    const jobs = this.queue.move(id, position);
+    if (!jobs) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Job is not queued' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, jobs }));
+  }
+
+  async handleCancelTest(req, res) {
+    if (!this.orchestrator.cancel()) {
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'idle',
+        message: 'No test in progress'
+      }));
+      return;
+    }
+
+    this.log('Test cancelled via API');
+    res.writeHead(202, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      status: 'cancelling',
+      message: 'Test cancelled'
+    }));
   }
 
   async handleTestStatus(req, res) {
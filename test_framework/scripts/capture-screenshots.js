@@ -6,30 +6,19 @@
  * This script captures screenshots of rendered email templates.
  * Designed for autonomous execution by Claude Code.
  *
+ * Captures the templates selected in TEST_TEMPLATES (default all) at the
+ * viewports selected in TEST_VIEWPORTS (default SCREENSHOT_VIEWPORTS).
+ *
  * Output: PNG screenshots and JSON metadata
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { chromium } from 'playwright';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const COMPILED_DIR = path.join(__dirname, '../output/compiled');
-const SCREENSHOTS_DIR = path.join(__dirname, '../output/screenshots');
+import { PATHS, TEMPLATE_NAMES, resolveTemplateSelection, resolveViewports } from '../config/constants.js';
+import { launchChromium } from '../resilience/browser.js';
 
-const TEMPLATE_FOLDERS = [
-  'site_visitor_welcome',
-  'site_visitor_welcome_partner_a',
-  'site_visitor_welcome_partner_b'
-];
-
-const VIEWPORTS = [
-  { name: 'desktop', width: 1200, height: 800 },
-  { name: 'mobile', width: 375, height: 667 }
-];
+const COMPILED_DIR = PATHS.OUTPUT_COMPILED;
+const SCREENSHOTS_DIR = PATHS.OUTPUT_SCREENSHOTS;
 
 async function captureScreenshot(browser, folderName, viewport) {
   const renderedPath = path.join(COMPILED_DIR, `${folderName}-rendered.html`);
@@ -90,9 +79,12 @@ async function main() {
   // Ensure screenshots directory exists
   await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
 
+  const templates = resolveTemplateSelection() || TEMPLATE_NAMES;
+  const viewports = resolveViewports();
+
   const results = {
     timestamp: new Date().toISOString(),
-    totalScreenshots: TEMPLATE_FOLDERS.length * VIEWPORTS.length,
+    totalScreenshots: templates.length * viewports.length,
     successful: 0,
     failed: 0,
     screenshots: []
@@ -100,12 +92,12 @@ async function main() {
 
   let browser;
   try {
-    browser = await chromium.launch({ headless: true });
+    browser = await launchChromium();
 
-    for (const folder of TEMPLATE_FOLDERS) {
+    for (const folder of templates) {
       console.log(`Capturing: ${folder}`);
 
-      for (const viewport of VIEWPORTS) {
+      for (const viewport of viewports) {
         const result = await captureScreenshot(browser, folder, viewport);
         results.screenshots.push(result);
 
@@ -5,6 +5,9 @@
  *
  * Compares templates to identify differences.
  * Validates expected variations between base and partner templates.
+ * Compares the templates selected in TEST_TEMPLATES, or all of them. It checks
+ * the declared differences (variation mode) unless TEST_MODE is regression, in
+ * which case every template must match its base.
  *
  * Output: JSON with detailed comparison results
  */
@@ -15,6 +18,9 @@ import {
   PATHS,
   TEMPLATE_COMPARISONS,
   ANALYSIS,
+  TEST_MODES,
+  resolveTemplateSelection,
+  resolveTestMode,
 } from '../config/constants.js';
 
 /**
@@ -181,6 +187,16 @@ async function compareTemplates(comparison) {
         result.success = false;
         result.assessment = ANALYSIS.ASSESSMENT.FAIL;
       }
+    } else if (comparison.expectedDifference === ANALYSIS.DIFFERENCE_TYPES.NONE) {
+      if (!colorDifferent && !contentDifferent && !structureDifferent) {
+        result.analysis = 'PASS: Template is identical to base as expected.';
+        result.success = true;
+        result.assessment = ANALYSIS.ASSESSMENT.PASS;
+      } else {
+        result.analysis = 'FAIL: Template should be identical to base but differences were found.';
+        result.success = false;
+        result.assessment = ANALYSIS.ASSESSMENT.FAIL;
+      }
     }
 
     // Add structure analysis
@@ -200,16 +216,27 @@ async function compareTemplates(comparison) {
 async function main() {
   console.log('Starting template comparison...\n');
 
+  const selection = resolveTemplateSelection();
+  const comparisons = selection
+    ? TEMPLATE_COMPARISONS.filter(c => selection.includes(c.compare))
+    : TEMPLATE_COMPARISONS;
+  const mode = resolveTestMode(process.env.TEST_MODE || TEST_MODES.VARIATION);
+
   const results = {
     timestamp: new Date().toISOString(),
-    totalComparisons: TEMPLATE_COMPARISONS.length,
+    mode,
+    totalComparisons: comparisons.length,
     passed: 0,
     failed: 0,
     warnings: 0,
     comparisons: [],
   };
 
-  for (const comparison of TEMPLATE_COMPARISONS) {
+  for (const declared of comparisons) {
+    // In regression mode no difference is expected
+    const comparison = mode === TEST_MODES.REGRESSION
+      ? { ...declared, expectedDifference: ANALYSIS.DIFFERENCE_TYPES.NONE }
+      : declared;
     console.log(`Comparing: ${comparison.name}`);
     console.log(`  Expected difference: ${comparison.expectedDifference}`);
 
@@ -3,8 +3,11 @@
 /**
  * MJML to HTML Compilation Script
  *
- * Compiles all MJML templates to HTML.
- * First processes EJS includes, then compiles MJML.
+ * Compiles all MJML templates to HTML and a plain-text alternative.
+ * First processes EJS includes, then compiles MJML (templates/renderer.js).
+ * Relative image URLs are rewritten to the asset base of ASSET_ENV and the
+ * fingerprinted images are copied to output/assets (templates/assets.js); a
+ * referenced image that does not exist fails the build (exit code 1).
  * Designed for autonomous execution.
  *
  * Supports filtering templates via TEST_TEMPLATES environment variable.
@@ -15,11 +18,13 @@
  */
 
 import fs from 'fs/promises';
-import mjml2html from 'mjml';
-import ejs from 'ejs';
 import {
   PATHS,
+  resolveAssetBase,
+  resolveTemplateSelection,
 } from '../config/constants.js';
+import { loadRenderContext, renderTemplate } from '../templates/renderer.js';
+import { writeAssets } from '../templates/assets.js';
 
 /**
  * Discover all MJML template files in the emails directory
@@ -38,14 +43,11 @@ async function discoverTemplates() {
  * Get templates to compile based on environment variable or discover all
  */
 async function getTemplatesToCompile() {
-  const testTemplatesEnv = process.env.TEST_TEMPLATES || '';
+  const selection = resolveTemplateSelection();
 
-  if (testTemplatesEnv) {
+  if (selection) {
     // Filter to only selected templates
-    const selected = testTemplatesEnv.split(',').map(t => {
-      const trimmed = t.trim();
-      return trimmed.endsWith('.mjml') ? trimmed : `${trimmed}.mjml`;
-    });
+    const selected = selection.map(t => `${t}.mjml`);
     console.log(`Compiling selected templates: ${selected.join(', ')}`);
     return selected;
   } else {
@@ -56,52 +58,6 @@ async function getTemplatesToCompile() {
   }
 }
 
-/**
- * Load test data for EJS variable substitution
- */
-async function loadTestData() {
-  try {
-    const content = await fs.readFile(PATHS.SAMPLE_CONTEXT, 'utf-8');
-    const data = JSON.parse(content);
-    const ctx = data.context || {};
-
-    // Pre-compute template variables so they're directly available
-    // This works around EJS include scope limitations
-    return {
-      context: ctx,
-      // Company Information
-      company: {
-        name: ctx.companyName || 'Carebox',
-        address: ctx.companyAddress || '123 Main Street, San Francisco, CA 94102',
-        logoUrl: ctx.logoUrl || '/templates/shared/carebox_logo.png',
-        supportEmail: ctx.supportEmail || 'support@example.com'
-      },
-      // Visitor Information
-      visitor: {
-        name: ctx.visitorName || 'Valued Visitor'
-      },
-      // URLs
-      urls: {
-        cta: ctx.ctaUrl || 'https://example.com/get-started',
-        privacy: ctx.privacyUrl || 'https://example.com/privacy',
-        terms: ctx.termsUrl || 'https://example.com/terms',
-        unsubscribe: ctx.unsubscribeUrl || 'https://example.com/unsubscribe'
-      },
-      // Dynamic Values
-      currentYear: ctx.currentYear || new Date().getFullYear()
-    };
-  } catch (error) {
-    console.warn('Warning: Could not load test data, using empty context');
-    return {
-      context: {},
-      company: { name: 'Carebox', address: '', logoUrl: '', supportEmail: '' },
-      visitor: { name: 'Valued Visitor' },
-      urls: { cta: '', privacy: '', terms: '', unsubscribe: '' },
-      currentYear: new Date().getFullYear()
-    };
-  }
-}
-
 /**
  * Compile a single template
  */
@@ -110,6 +66,7 @@ async function compileTemplate(fileName, testData) {
   const baseName = fileName.replace('.mjml', '');
   const outputPath = `${PATHS.OUTPUT_COMPILED}/${baseName}.html`;
   const mjmlOutputPath = `${PATHS.OUTPUT_COMPILED}/${baseName}-processed.mjml`;
+  const textOutputPath = `${PATHS.OUTPUT_COMPILED}/${baseName}.txt`;
 
   const result = {
     template: baseName,
@@ -118,54 +75,38 @@ async function compileTemplate(fileName, testData) {
     errors: [],
     warnings: [],
     outputPath: null,
+    textPath: null,
+    assets: [],
     compiledAt: new Date().toISOString(),
   };
 
   try {
-    let mjmlContent = await fs.readFile(templatePath, 'utf-8');
-
-    // Step 1: Process EJS includes and variables
-    const ejsOptions = {
-      filename: templatePath,
-      root: PATHS.EMAIL_TEMPLATES,
-    };
-
-    let processedMjml;
-    try {
-      processedMjml = ejs.render(mjmlContent, testData, ejsOptions);
-    } catch (ejsError) {
-      result.errors.push({
-        phase: 'ejs',
-        message: `EJS processing error: ${ejsError.message}`,
-        line: ejsError.line || null,
-      });
+    const mjmlContent = await fs.readFile(templatePath, 'utf-8');
+
+    // EJS (includes and variables), then MJML, exactly as the editor preview renders
+    const rendered = renderTemplate(mjmlContent, { filename: templatePath, context: testData });
+    result.errors = rendered.errors;
+    result.assets = rendered.assets;
+    if (rendered.html === null) {
       return result;
     }
 
     // Save processed MJML for debugging
-    await fs.writeFile(mjmlOutputPath, processedMjml, 'utf-8');
+    await fs.writeFile(mjmlOutputPath, rendered.mjml, 'utf-8');
 
-    // Step 2: Compile MJML to HTML
-    const compilationResult = mjml2html(processedMjml, {
-      validationLevel: 'soft',
-      filePath: templatePath,
-    });
+    // Write HTML output
+    await fs.writeFile(outputPath, rendered.html, 'utf-8');
 
-    if (compilationResult.errors?.length > 0) {
-      result.errors = compilationResult.errors.map(e => ({
-        phase: 'mjml',
-        line: e.line,
-        message: e.message,
-        tagName: e.tagName,
-      }));
+    // Write the plain-text alternative (generated, or the template's .txt.ejs)
+    if (rendered.text !== null) {
+      await fs.writeFile(textOutputPath, rendered.text, 'utf-8');
+      result.textPath = textOutputPath;
+      result.textSource = rendered.textSource;
     }
 
-    // Write HTML output
-    await fs.writeFile(outputPath, compilationResult.html, 'utf-8');
-
     result.success = result.errors.length === 0;
     result.outputPath = outputPath;
-    result.htmlLength = compilationResult.html.length;
+    result.htmlLength = rendered.html.length;
   } catch (error) {
     result.errors.push({
       phase: 'general',
@@ -184,7 +125,7 @@ async function main() {
   console.log('Starting MJML template compilation...\n');
 
   // Load test data for EJS variable substitution
-  const testData = await loadTestData();
+  const testData = loadRenderContext();
   console.log('Test data loaded for EJS processing\n');
 
   // Get templates to compile (dynamic discovery or from TEST_TEMPLATES env var)
@@ -198,8 +139,12 @@ async function main() {
   // Ensure output directory exists
   await fs.mkdir(PATHS.OUTPUT_COMPILED, { recursive: true });
 
+  const assetBase = resolveAssetBase();
+  console.log(`Asset base: ${assetBase}\n`);
+
   const results = {
     timestamp: new Date().toISOString(),
+    assetBase,
     totalTemplates: templateFiles.length,
     successful: 0,
     failed: 0,
@@ -216,10 +161,18 @@ async function main() {
     } else {
       results.failed++;
       console.log(`✗ ${file}: Compilation failed`);
-      result.errors.forEach(e => console.log(`  - [${e.phase}] ${e.message}`));
+      result.errors.forEach(e => console.log(`  - [${e.phase}] ${e.file ? `${e.file}:${e.line ?? '?'} ` : ''}${e.message}`));
     }
   }
 
+  // Fingerprinted images referenced by the compiled templates, ready for upload
+  const assets = results.templates.flatMap(t => t.assets);
+  if (assets.length > 0) {
+    const manifestPath = writeAssets(assets, PATHS.EMAIL_TEMPLATES, PATHS.OUTPUT_ASSETS);
+    console.log(`\nAssets: ${new Set(assets.map(a => a.file)).size} written to ${PATHS.OUTPUT_ASSETS} (${manifestPath})`);
+  }
+  results.missingAssets = [...new Set(results.templates.flatMap(t => t.errors.filter(e => e.phase === 'assets').map(e => e.message)))];
+
   console.log('\n--- Compilation Summary ---');
   console.log(`Total: ${results.totalTemplates}`);
   console.log(`Successful: ${results.successful}`);
@@ -232,6 +185,12 @@ async function main() {
 
   console.log(`\nResults saved to: ${jsonPath}`);
 
+  // A missing asset would be a broken image in every inbox
+  if (results.missingAssets.length > 0) {
+    console.error(`\n${results.missingAssets.join('\n')}`);
+    process.exitCode = 1;
+  }
+
   return results;
 }
 
@@ -0,0 +1,401 @@
+#!/usr/bin/env node
+
+/**
+ * email-qa Command-Line Interface
+ *
+ * One entry point for the QA scripts, for people and for CI:
+ *   email-qa <command> [options]
+ *
+ * Flags replace the environment variables the scripts read: --templates sets
+ * TEST_TEMPLATES, --mode TEST_MODE, --viewports TEST_VIEWPORTS, --assets
+ * ASSET_ENV and --output QA_OUTPUT_DIR. Each command runs its script in a subprocess with that
+ * environment, so the scripts still work on their own and from the servers.
+ *
+ * With --json the script output goes to stderr and stdout carries a single
+ * JSON document: { command, status, exitCode, results }.
+ *
+ * Exit codes: 0 passed, 1 checks failed, 2 usage error, 3 the command could not
+ * run, 130 cancelled.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { spawn } from 'child_process';
+import { ASSET_ENVIRONMENTS, PATHS, TEST_MODES, resolveAssetEnvironment, resolveViewports } from '../config/constants.js';
+import { RunStore } from '../runs/run-store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXIT_CODES = {
+  PASSED: 0,
+  FAILED: 1,
+  USAGE: 2,
+  ERROR: 3,
+  CANCELLED: 130,
+};
+
+const OPTIONS = {
+  templates: { type: 'string', short: 't', value: '<names>', description: 'Comma-separated templates to use (default: all)' },
+  mode: { type: 'string', short: 'm', value: '<mode>', description: `Test mode: ${Object.values(TEST_MODES).join(' or ')}` },
+  viewports: { type: 'string', value: '<list>', description: 'Viewport names or sizes, e.g. mobile,600x800' },
+  assets: { type: 'string', value: '<env>', description: `Asset base for image URLs: ${Object.keys(ASSET_ENVIRONMENTS).join(', ')} (default: local)` },
+  output: { type: 'string', short: 'o', value: '<dir>', description: 'Directory for generated files (default: test_framework/output)' },
+  ci: { type: 'boolean', description: 'Skip the screenshots, which need a browser' },
+  offline: { type: 'boolean', description: 'Use the rule-based agents, no AI provider (AI_PROVIDER=none)' },
+  'no-cache': { type: 'boolean', description: 'Ignore cached agent responses (AI_CACHE=off)' },
+  resume: { type: 'string', value: '<runId>', description: 'Continue a failed or cancelled run from its checkpoints' },
+  since: { type: 'string', value: '<ref>', description: 'Test only the templates changed since a git ref (CHANGES_SINCE)' },
+  port: { type: 'string', short: 'p', value: '<port>', description: 'Port to listen on (default: 3001)' },
+  json: { type: 'boolean', description: 'Print the results as JSON on stdout, script output on stderr' },
+  help: { type: 'boolean', short: 'h', description: 'Show help' },
+};
+
+/**
+ * Subcommands: the script each one runs, the options it accepts, where its
+ * results are written and when they count as failed
+ */
+const COMMANDS = {
+  compile: {
+    description: 'Compile MJML templates to HTML',
+    script: 'compile-templates.js',
+    options: ['templates', 'assets', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'compiled', 'compilation-results.json'),
+    failed: results => results.failed > 0,
+  },
+  render: {
+    description: 'Render compiled templates with the sample data',
+    script: 'render-with-data.js',
+    options: ['templates', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'compiled', 'rendering-results.json'),
+    failed: results => results.failed > 0,
+  },
+  validate: {
+    description: 'Validate the rendered HTML',
+    script: 'validate-html.js',
+    options: ['templates', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'compiled', 'validation-results.json'),
+    failed: results => results.invalid > 0,
+  },
+  diff: {
+    description: 'Compare templates against their base template',
+    script: 'compare-templates.js',
+    options: ['templates', 'mode', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'compiled', 'comparison-results.json'),
+    failed: results => results.failed > 0,
+  },
+  screenshot: {
+    description: 'Capture screenshots of the rendered templates',
+    script: 'capture-screenshots.js',
+    options: ['templates', 'viewports', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'screenshots', 'screenshot-results.json'),
+    failed: results => results.failed > 0,
+  },
+  size: {
+    description: 'Check HTML size against the budgets and Gmail clipping',
+    script: 'analyze-size.js',
+    options: ['templates', 'assets', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'compiled', 'size-analysis.json'),
+    failed: results => results.failed > 0,
+  },
+  export: {
+    description: 'Export templates as .eml messages with inline images',
+    script: 'export-eml.js',
+    options: ['templates', 'assets', 'output', 'json'],
+    results: ({ outputDir }) => path.join(outputDir, 'eml', 'export-results.json'),
+    failed: results => results.failed > 0,
+  },
+  test: {
+    description: 'Compile, render, validate, size-check, diff and screenshot in one go',
+    script: 'run-all-tests.js',
+    args: values => (values.ci ? ['--ci'] : []),
+    options: ['templates', 'mode', 'viewports', 'assets', 'output', 'ci', 'json'],
+    results: () => PATHS.TEST_SUMMARY,
+    // The summary embeds the output of every script, which --json already sent to stderr
+    summarize: summary => ({ ...summary, scripts: summary.scripts.map(({ stdout, stderr, ...script }) => script) }),
+    failed: summary => !summary.allPassed,
+  },
+  run: {
+    description: 'Run the multi-agent QA pipeline',
+    script: 'run-agents.js',
+    args: values => (values.resume ? ['--resume', values.resume] : []),
+    options: ['templates', 'mode', 'assets', 'output', 'offline', 'no-cache', 'resume', 'since', 'json'],
+    // The run record of the run history, found by the run id passed in RUN_TIMESTAMP
+    record: true,
+  },
+  watch: {
+    description: 'Watch the templates and run the pipeline on every change',
+    script: 'run-agents.js',
+    args: () => ['--watch'],
+    options: ['mode', 'assets', 'output', 'offline', 'no-cache'],
+    longRunning: true,
+  },
+  serve: {
+    description: 'Start the pipeline API server',
+    script: 'run-agents.js',
+    args: () => ['--server'],
+    options: ['port', 'mode', 'assets', 'output', 'offline', 'no-cache'],
+    longRunning: true,
+  },
+};
+
+// Run statuses of the run history and the exit code each one maps to
+const RUN_STATUS_EXIT_CODES = {
+  passed: EXIT_CODES.PASSED,
+  warning: EXIT_CODES.PASSED,
+  failed: EXIT_CODES.FAILED,
+  cancelled: EXIT_CODES.CANCELLED,
+};
+
+class UsageError extends Error {}
+
+function formatOption(name) {
+  const { short, value } = OPTIONS[name];
+  return `${short ? `-${short}, ` : '    '}--${name}${value ? ` ${value}` : ''}`;
+}
+
+function formatOptions(names) {
+  const width = Math.max(...names.map(name => formatOption(name).length));
+  return names.map(name => `  ${formatOption(name).padEnd(width)}  ${OPTIONS[name].description}`).join('\n');
+}
+
+function usage(command = null) {
+  if (command) {
+    const { description, options } = COMMANDS[command];
+    return `Usage: email-qa ${command} [options]
+
+${description}
+
+Options:
+${formatOptions([...options, 'help'])}
+`;
+  }
+
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return `Usage: email-qa <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, { description }]) => `  ${name.padEnd(width)}  ${description}`).join('\n')}
+
+Run "email-qa <command> --help" for the options of a command.
+
+Exit codes: 0 passed, 1 checks failed, 2 usage error, 3 the command could not run, 130 cancelled
+`;
+}
+
+/**
+ * Parse and check the command line
+ * Returns { command, values }, or { help } when help was asked for.
+ */
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: Object.fromEntries(Object.entries(OPTIONS).map(([name, { type, short }]) => [name, { type, ...(short && { short }) }])),
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [name, ...extra] = positionals;
+  if (name === 'help') {
+    return { help: usage(COMMANDS[extra[0]] ? extra[0] : null) };
+  }
+  if (!name) {
+    if (values.help) {
+      return { help: usage() };
+    }
+    throw new UsageError('No command given');
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(`Unknown command: ${name}`);
+  }
+  if (values.help) {
+    return { help: usage(name) };
+  }
+  if (extra.length > 0) {
+    throw new UsageError(`Unexpected argument: ${extra[0]}`);
+  }
+
+  const unsupported = Object.keys(values).filter(option => option !== 'help' && !command.options.includes(option));
+  if (unsupported.length > 0) {
+    throw new UsageError(`Option --${unsupported[0]} does not apply to ${name}`);
+  }
+
+  if (values.templates !== undefined) {
+    const templates = values.templates.split(',').map(t => t.trim().replace(/\.mjml$/, '')).filter(Boolean);
+    const unknown = templates.filter(t => !fs.existsSync(path.join(PATHS.EMAILS_DIR, `${t}.mjml`)));
+    if (templates.length === 0 || unknown.length > 0) {
+      throw new UsageError(`Unknown template: ${unknown.join(', ') || values.templates}`);
+    }
+    values.templates = templates.join(',');
+  }
+  if (values.mode !== undefined && !Object.values(TEST_MODES).includes(values.mode)) {
+    throw new UsageError(`Unknown mode: ${values.mode} (use ${Object.values(TEST_MODES).join(' or ')})`);
+  }
+  if (values.viewports !== undefined) {
+    try {
+      resolveViewports(values.viewports);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+  if (values.assets !== undefined) {
+    try {
+      resolveAssetEnvironment(values.assets);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+  if (values.port !== undefined && !/^\d+$/.test(values.port)) {
+    throw new UsageError(`Invalid port: ${values.port}`);
+  }
+
+  return { command: name, values };
+}
+
+/**
+ * Environment of the command's script, built from the flags
+ */
+function commandEnv(values, runId) {
+  return {
+    ...process.env,
+    ...(values.templates && { TEST_TEMPLATES: values.templates }),
+    ...(values.mode && { TEST_MODE: values.mode }),
+    ...(values.viewports && { TEST_VIEWPORTS: values.viewports }),
+    ...(values.assets && { ASSET_ENV: values.assets }),
+    ...(values.output && { QA_OUTPUT_DIR: path.resolve(values.output) }),
+    ...(values.offline && { AI_PROVIDER: 'none' }),
+    ...(values['no-cache'] && { AI_CACHE: 'off' }),
+    ...(values.port && { PORT: values.port }),
+    ...(values.since && { CHANGES_SINCE: values.since }),
+    ...(runId && { RUN_TIMESTAMP: runId }),
+  };
+}
+
+/**
+ * Run a script and resolve with its exit code (null when it was killed)
+ * With --json its stdout is sent to our stderr, so stdout only carries the result.
+ */
+function runScript(script, args, env, json) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('node', [path.join(__dirname, script), ...args], {
+      cwd: PATHS.TEST_FRAMEWORK,
+      env,
+      stdio: ['inherit', json ? 2 : 'inherit', 'inherit'],
+    });
+
+    // CI stops jobs with SIGTERM; let the script cancel cleanly
+    const forward = signal => child.kill(signal);
+    process.on('SIGTERM', forward);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      process.off('SIGTERM', forward);
+      resolve(code);
+    });
+  });
+}
+
+/**
+ * Results a command wrote during this invocation (null when it wrote none)
+ */
+function readResults(command, { outputDir, runId, startedAt }) {
+  if (command.record) {
+    const record = new RunStore().get(runId);
+    return record && Date.parse(record.updatedAt) >= startedAt ? record : null;
+  }
+  const file = command.results({ outputDir });
+  try {
+    if (fs.statSync(file).mtimeMs < startedAt) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function commandExitCode(command, results, code) {
+  if (code === EXIT_CODES.CANCELLED) {
+    return EXIT_CODES.CANCELLED;
+  }
+  if (!results) {
+    // A run with --since and no template changes has nothing to record
+    return command.record && code === EXIT_CODES.PASSED ? EXIT_CODES.PASSED : EXIT_CODES.ERROR;
+  }
+  if (command.record) {
+    return RUN_STATUS_EXIT_CODES[results.status] ?? EXIT_CODES.ERROR;
+  }
+  return command.failed(results) ? EXIT_CODES.FAILED : EXIT_CODES.PASSED;
+}
+
+const EXIT_STATUSES = {
+  [EXIT_CODES.PASSED]: 'passed',
+  [EXIT_CODES.FAILED]: 'failed',
+  [EXIT_CODES.ERROR]: 'error',
+  [EXIT_CODES.CANCELLED]: 'cancelled',
+};
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error;
+    }
+    console.error(`email-qa: ${error.message}`);
+    console.error('Run "email-qa --help" for usage.');
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (parsed.help) {
+    console.log(parsed.help);
+    return;
+  }
+
+  const { values } = parsed;
+  const command = COMMANDS[parsed.command];
+  const runId = command.record
+    ? values.resume || new Date().toISOString().replace(/[:.]/g, '-')
+    : null;
+  const outputDir = values.output ? path.resolve(values.output) : PATHS.OUTPUT;
+  const startedAt = Date.now();
+
+  const code = await runScript(
+    command.script,
+    command.args ? command.args(values) : [],
+    commandEnv(values, runId),
+    values.json
+  );
+
+  if (command.longRunning) {
+    process.exit(code ?? EXIT_CODES.ERROR);
+  }
+
+  const results = readResults(command, { outputDir, runId, startedAt });
+  const exitCode = commandExitCode(command, results, code);
+
+  if (values.json) {
+    console.log(JSON.stringify({
+      command: parsed.command,
+      status: EXIT_STATUSES[exitCode],
+      exitCode,
+      results: results && command.summarize ? command.summarize(results) : results,
+    }, null, 2));
+  } else if (exitCode === EXIT_CODES.ERROR) {
+    console.error(`email-qa: ${parsed.command} did not produce results (exit code ${code})`);
+  }
+  process.exit(exitCode);
+}
+
+main().catch((error) => {
+  console.error(`email-qa: ${error.message}`);
+  process.exit(EXIT_CODES.ERROR);
+});
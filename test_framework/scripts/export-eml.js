@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * .eml Export Script
+ *
+ * Builds the complete MIME message of each template (templates/eml-export.js):
+ * HTML and plain-text alternative, local images embedded as CID parts, and
+ * the subject, sender, reply-to and List-Unsubscribe headers from the
+ * template registry and the sample context.
+ *
+ * Exports the templates selected in TEST_TEMPLATES, or all of them. A template
+ * that fails to export fails the script (exit code 1).
+ *
+ * Output: <template>.eml files and JSON export results in output/eml
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PATHS, resolveTemplateSelection } from '../config/constants.js';
+import { buildEml } from '../templates/eml-export.js';
+import { loadRenderContext } from '../templates/renderer.js';
+
+/**
+ * Templates to export: the TEST_TEMPLATES selection or every .mjml in emails/
+ */
+async function getTemplatesToExport() {
+  const selection = resolveTemplateSelection();
+  if (selection) {
+    console.log(`Exporting selected templates: ${selection.join(', ')}`);
+    return selection;
+  }
+  const files = await fs.readdir(PATHS.EMAILS_DIR);
+  return files.filter(f => f.endsWith('.mjml')).map(f => f.replace('.mjml', ''));
+}
+
+/**
+ * Export a single template
+ */
+async function exportTemplate(template, context) {
+  const result = {
+    template,
+    success: false,
+    errors: [],
+    outputPath: null,
+    exportedAt: new Date().toISOString(),
+  };
+
+  try {
+    const { fileName, eml, headers, attachments, errors } = buildEml(template, { context });
+    result.errors = errors;
+    result.headers = headers;
+    result.attachments = attachments;
+    if (eml === null) {
+      return result;
+    }
+
+    const outputPath = path.join(PATHS.OUTPUT_EML, fileName);
+    await fs.writeFile(outputPath, eml, 'utf-8');
+    result.outputPath = outputPath;
+    result.size = Buffer.byteLength(eml);
+    result.success = errors.length === 0;
+  } catch (error) {
+    result.errors.push({
+      phase: 'general',
+      message: error.message,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log('Starting .eml export...\n');
+
+  const context = loadRenderContext();
+  const templates = await getTemplatesToExport();
+  await fs.mkdir(PATHS.OUTPUT_EML, { recursive: true });
+
+  const results = {
+    timestamp: new Date().toISOString(),
+    totalTemplates: templates.length,
+    successful: 0,
+    failed: 0,
+    templates: [],
+  };
+
+  for (const template of templates) {
+    const result = await exportTemplate(template, context);
+    results.templates.push(result);
+
+    if (result.success) {
+      results.successful++;
+      console.log(`✓ ${template}: ${path.basename(result.outputPath)} (${result.attachments.length} embedded image(s))`);
+    } else {
+      results.failed++;
+      console.log(`✗ ${template}: Export failed`);
+      result.errors.forEach(e => console.log(`  - [${e.phase}] ${e.file ? `${e.file}:${e.line ?? '?'} ` : ''}${e.message}`));
+    }
+  }
+
+  console.log('\n--- Export Summary ---');
+  console.log(`Total: ${results.totalTemplates}`);
+  console.log(`Successful: ${results.successful}`);
+  console.log(`Failed: ${results.failed}`);
+
+  const jsonPath = path.join(PATHS.OUTPUT_EML, 'export-results.json');
+  await fs.writeFile(jsonPath, JSON.stringify(results, null, 2), 'utf-8');
+  console.log(`\nResults saved to: ${jsonPath}`);
+
+  if (results.failed > 0) {
+    process.exitCode = 1;
+  }
+
+  return results;
+}
+
+main().catch(console.error);
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Mock LLM Server
+ *
+ * Local stand-in for the AI provider APIs. Answers with the canned agent
+ * responses from test-data/llm-fixtures so the pipeline and the Settings
+ * key test can run without a live service.
+ *
+ * Endpoints:
+ *   POST /v1/messages          - Anthropic Messages API
+ *   POST /v1/chat/completions  - OpenAI-compatible chat completions
+ *   GET  /health               - Liveness check
+ *
+ * Usage:
+ *   node scripts/mock-llm-server.js
+ *   ANTHROPIC_BASE_URL=http://localhost:4010 node scripts/run-agents.js
+ *   AI_PROVIDER=openai OPENAI_BASE_URL=http://localhost:4010/v1 node scripts/run-agents.js
+ */
+
+import http from 'http';
+import { ReplayProvider } from '../providers/replay-provider.js';
+import { SERVER } from '../config/constants.js';
+
+const PORT = SERVER.mockLlmPort;
+
+// Fallback reply for requests that do not come from a known agent (e.g. the key test)
+const DEFAULT_REPLY = 'OK';
+
+class MockLLMServer {
+  constructor() {
+    this.replay = new ReplayProvider();
+    this.requestCount = 0;
+  }
+
+  log(message) {
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] [MockLLM] ${message}`);
+  }
+
+  start() {
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    server.listen(PORT, () => {
+      this.log(`Mock LLM server running on http://localhost:${PORT}`);
+      this.log(`Serving fixtures from ${this.replay.fixturesDir}`);
+      this.log('');
+      this.log('Available endpoints:');
+      this.log('  POST /v1/messages          - Anthropic Messages API');
+      this.log('  POST /v1/chat/completions  - OpenAI-compatible API');
+      this.log('  GET  /health               - Liveness check');
+    });
+
+    return server;
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      return this.sendJSON(res, 200, { status: 'ok', requests: this.requestCount });
+    }
+
+    if (req.method !== 'POST') {
+      return this.sendJSON(res, 405, { error: { message: 'Method not allowed' } });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await this.readBody(req));
+    } catch {
+      return this.sendJSON(res, 400, { error: { message: 'Invalid JSON body' } });
+    }
+
+    this.requestCount++;
+
+    if (url.pathname === '/v1/messages') {
+      return this.handleAnthropic(body, res);
+    }
+    if (url.pathname === '/v1/chat/completions' || url.pathname === '/chat/completions') {
+      return this.handleOpenAI(body, res);
+    }
+
+    this.sendJSON(res, 404, { error: { message: `Unknown endpoint: ${url.pathname}` } });
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  sendJSON(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  /**
+   * Rough token count (~4 characters per token) so usage accounting has numbers to work with
+   */
+  estimateTokens(...parts) {
+    const text = parts.map(part => typeof part === 'string' ? part : JSON.stringify(part ?? '')).join('');
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Work out which agent sent the request from its system prompt
+   * ("You are the Test Planner Agent ..." → TestPlanner)
+   */
+  detectAgent(system) {
+    const match = (system || '').match(/You are the ([A-Za-z ]+?) Agent/);
+    return match ? match[1].replace(/\s+/g, '') : null;
+  }
+
+  async reply(system, messages) {
+    const agent = this.detectAgent(system);
+    if (!agent) {
+      return DEFAULT_REPLY;
+    }
+
+    try {
+      const response = await this.replay.complete({ agent, system, messages });
+      this.log(`${agent}: served fixture response`);
+      return response.content;
+    } catch (error) {
+      this.log(`${agent}: ${error.message}`);
+      return DEFAULT_REPLY;
+    }
+  }
+
+  async handleAnthropic(body, res) {
+    const system = Array.isArray(body.system)
+      ? body.system.map(block => block.text).join('\n')
+      : body.system;
+    const content = await this.reply(system, body.messages || []);
+
+    this.sendJSON(res, 200, {
+      id: `msg_mock_${this.requestCount}`,
+      type: 'message',
+      role: 'assistant',
+      model: body.model,
+      content: [{ type: 'text', text: content }],
+      stop_reason: 'end_turn',
+      stop_sequence: null,
+      usage: {
+        input_tokens: this.estimateTokens(system, body.messages),
+        output_tokens: this.estimateTokens(content),
+      },
+    });
+  }
+
+  async handleOpenAI(body, res) {
+    const messages = body.messages || [];
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+    const content = await this.reply(system, messages.filter(m => m.role !== 'system'));
+
+    this.sendJSON(res, 200, {
+      id: `chatcmpl-mock-${this.requestCount}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: 'stop',
+      }],
+      usage: {
+        prompt_tokens: this.estimateTokens(messages),
+        completion_tokens: this.estimateTokens(content),
+        total_tokens: this.estimateTokens(messages) + this.estimateTokens(content),
+      },
+    });
+  }
+}
+
+const server = new MockLLMServer();
+server.start();
@@ -6,25 +6,18 @@
  * This script renders compiled HTML templates with test data.
  * Designed for autonomous execution by Claude Code.
  *
+ * Renders the templates selected in TEST_TEMPLATES, or all of them.
+ *
  * Output: JSON with rendering results and rendered HTML files
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import ejs from 'ejs';
+import { PATHS, TEMPLATE_NAMES, resolveTemplateSelection } from '../config/constants.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const COMPILED_DIR = path.join(__dirname, '../output/compiled');
-const TEST_DATA_PATH = path.join(__dirname, '../test-data/sample-context.json');
-
-const TEMPLATE_FILES = [
-  'site_visitor_welcome',
-  'site_visitor_welcome_partner_a',
-  'site_visitor_welcome_partner_b'
-];
+const COMPILED_DIR = PATHS.OUTPUT_COMPILED;
+const TEST_DATA_PATH = PATHS.SAMPLE_CONTEXT;
 
 async function renderTemplate(folderName, testData) {
   const compiledPath = path.join(COMPILED_DIR, `${folderName}.html`);
@@ -107,15 +100,16 @@ async function main() {
     process.exit(1);
   }
 
+  const templates = resolveTemplateSelection() || TEMPLATE_NAMES;
   const results = {
     timestamp: new Date().toISOString(),
-    totalTemplates: TEMPLATE_FILES.length,
+    totalTemplates: templates.length,
     successful: 0,
     failed: 0,
     templates: []
   };
 
-  for (const template of TEMPLATE_FILES) {
+  for (const template of templates) {
     const result = await renderTemplate(template, testData);
     results.templates.push(result);
 
@@ -9,6 +9,12 @@
  *   node scripts/run-agents.js              # Run full test
  *   node scripts/run-agents.js --watch      # Start file watcher
  *   node scripts/run-agents.js --server     # Start API server
+ *   node scripts/run-agents.js --mode variation  # Allow declared template differences
+ *   node scripts/run-agents.js --offline    # Rule-based agents, no API key needed (AI_PROVIDER=none)
+ *   node scripts/run-agents.js --no-cache   # Ignore cached agent responses (AI_CACHE=off)
+ *   node scripts/run-agents.js --update-baselines  # Approve current screenshots as visual baselines
+ *   node scripts/run-agents.js --resume <runId>    # Continue a failed or cancelled run from its checkpoints
+ *   node scripts/run-agents.js --since origin/main # Test only the templates changed since a git ref (CHANGES_SINCE)
  */
 
 // Load environment variables from .env file
@@ -25,26 +31,45 @@ dotenv.config({ path: path.resolve(__dirname, '../.env') });
 dotenv.config({ path: path.resolve(__dirname, '../../.env') });
 
 import { AgentOrchestrator } from '../agents/orchestrator.js';
+import { isOfflineMode, PATHS, TEMPLATE_NAMES } from '../config/constants.js';
+import { RunStore, artifactPath } from '../runs/run-store.js';
+import { CheckpointStore } from '../runs/checkpoints.js';
+import { BaselineStore } from '../visual/baselines.js';
+import { launchChromium } from '../resilience/browser.js';
+import { emitEvent } from '../events/pipeline-events.js';
 
 // Log capture for saving to file
 const logLines = [];
 const originalConsoleLog = console.log;
 const originalConsoleError = console.error;
+const originalConsoleWarn = console.warn;
 
-function captureLog(...args) {
+// Every captured line also goes to the host as a log event with its level
+function captureLine(level, label, args) {
   const timestamp = new Date().toISOString();
   const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
-  logLines.push(`[${timestamp}] [INFO] ${message}`);
+  logLines.push(`[${timestamp}] [${label}] ${message}`);
+  emitEvent('log', { level, message });
+}
+
+function captureLog(...args) {
+  captureLine('info', 'INFO', args);
   originalConsoleLog.apply(console, args);
 }
 
+function captureWarn(...args) {
+  captureLine('warning', 'WARN', args);
+  originalConsoleWarn.apply(console, args);
+}
+
 function captureError(...args) {
-  const timestamp = new Date().toISOString();
-  const message = args.map(a => typeof a === 'object' ? JSON.stringify(a) : String(a)).join(' ');
-  logLines.push(`[${timestamp}] [ERROR] ${message}`);
+  captureLine('error', 'ERROR', args);
   originalConsoleError.apply(console, args);
 }
 
+// Exit code of a run stopped by SIGTERM (web UI cancel) or SIGINT (Ctrl+C)
+const CANCELLED_EXIT_CODE = 130;
+
 // Web directories for artifacts
 const WEB_LOGS_DIR = path.resolve(__dirname, '../../web/logs');
 
@@ -54,17 +79,82 @@ async function saveLogFile(timestamp) {
       fs.mkdirSync(WEB_LOGS_DIR, { recursive: true });
     }
     const logFileName = `test-${timestamp}.log`;
+    const logFile = path.join(WEB_LOGS_DIR, logFileName);
     const logContent = logLines.join('\n');
-    fs.writeFileSync(path.join(WEB_LOGS_DIR, logFileName), logContent);
+    // A resumed run continues the log of its earlier attempts
+    if (fs.existsSync(logFile)) {
+      fs.appendFileSync(logFile, `\n${logContent}`);
+    } else {
+      fs.writeFileSync(logFile, logContent);
+    }
     originalConsoleLog(`\nLog file saved to: web/logs/${logFileName}`);
+    emitEvent('artifact', { kind: 'log', path: artifactPath(logFile) });
+
+    // Link the log to the run recorded by the orchestrator
+    const runStore = new RunStore();
+    if (runStore.get(timestamp)) {
+      runStore.record({ id: timestamp, artifacts: { log: artifactPath(logFile) } });
+    }
   } catch (err) {
     originalConsoleError('Failed to save log file:', err.message);
   }
 }
 
+/**
+ * Compile the selected templates (TEST_TEMPLATES, default all), capture them
+ * at every baseline viewport and approve the captures as the new baselines
+ */
+async function updateBaselines() {
+  const templates = process.env.TEST_TEMPLATES
+    ? process.env.TEST_TEMPLATES.split(',').map(t => t.trim().replace('.mjml', '')).filter(Boolean)
+    : [...TEMPLATE_NAMES];
+
+  const compileResult = await new AgentOrchestrator().compileTemplates(templates);
+  if (!compileResult.success) {
+    console.error('Template compilation failed, baselines not updated');
+    process.exit(1);
+  }
+
+  const browser = await launchChromium({
+    onRetry: (error, attempt, delay) => console.warn(`Browser launch failed (${error.message}), retrying in ${delay}ms`),
+  });
+  const baselines = new BaselineStore();
+  const captured = [];
+
+  try {
+    const page = await browser.newPage();
+    for (const template of templates) {
+      const htmlPath = path.join(PATHS.OUTPUT_COMPILED, `${template}.html`);
+      if (!fs.existsSync(htmlPath)) {
+        console.error(`No compiled HTML for ${template}, skipping`);
+        continue;
+      }
+      await baselines.capture(page, template, fs.readFileSync(htmlPath, 'utf-8'));
+      captured.push(template);
+    }
+  } finally {
+    await browser.close();
+  }
+
+  baselines.recordCaptures(null, captured);
+  const { approved } = baselines.approve(captured);
+  console.log(`Approved baselines for ${approved.length} template(s): ${approved.join(', ')}`);
+  console.log(`Baselines saved to: ${path.relative(process.cwd(), baselines.dir) || baselines.dir}`);
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
+  // Offline mode: --offline is shorthand for AI_PROVIDER=none (also applies to --watch and --server)
+  if (args.includes('--offline')) {
+    process.env.AI_PROVIDER = 'none';
+  }
+
+  // --no-cache always calls the AI provider instead of reusing cached responses (AI_CACHE=off)
+  if (args.includes('--no-cache')) {
+    process.env.AI_CACHE = 'off';
+  }
+
   if (args.includes('--watch')) {
     // Import and run watcher
     await import('./watch-templates.js');
@@ -77,20 +167,55 @@ async function main() {
     return;
   }
 
-  // Generate timestamp for all artifacts FIRST (before capturing logs)
-  const runTimestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  if (args.includes('--update-baselines')) {
+    await updateBaselines();
+    return;
+  }
+
+  // Comparison mode: --mode overrides the TEST_MODE environment variable
+  const modeIndex = args.indexOf('--mode');
+  if (modeIndex !== -1 && args[modeIndex + 1]) {
+    process.env.TEST_MODE = args[modeIndex + 1];
+  }
+
+  // --resume <runId> continues a failed or cancelled run under its own id
+  const resumeIndex = args.indexOf('--resume');
+  const resumeRunId = resumeIndex !== -1 ? args[resumeIndex + 1] : null;
+  if (resumeIndex !== -1 && !resumeRunId) {
+    console.error('Usage: node scripts/run-agents.js --resume <runId>');
+    process.exit(1);
+  }
+  if (resumeRunId && !new CheckpointStore().has(resumeRunId)) {
+    console.error(`No checkpoints to resume run ${resumeRunId} from`);
+    process.exit(1);
+  }
+
+  // --since <ref> tests only what changed under email_templates/ since a git ref
+  const sinceIndex = args.indexOf('--since');
+  const since = sinceIndex !== -1 ? args[sinceIndex + 1] : process.env.CHANGES_SINCE || null;
+  if (sinceIndex !== -1 && !since) {
+    console.error('Usage: node scripts/run-agents.js --since <ref>');
+    process.exit(1);
+  }
+
+  // Generate timestamp for all artifacts FIRST (before capturing logs); a caller
+  // such as email-qa may choose it through RUN_TIMESTAMP
+  const runTimestamp = resumeRunId || process.env.RUN_TIMESTAMP || new Date().toISOString().replace(/[:.]/g, '-');
 
   // Set timestamp in environment for orchestrator to use
   process.env.RUN_TIMESTAMP = runTimestamp;
 
   // Capture console output for log file
   console.log = captureLog;
+  console.warn = captureWarn;
   console.error = captureError;
 
   // Run tests manually
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║        Multi-Agent Email Template QA System                ║');
-  console.log('║        Powered by Claude AI                                ║');
+  console.log(isOfflineMode()
+    ? '║        Offline mode (rule-based agents)                    ║'
+    : '║        Powered by Claude AI                                ║');
   console.log('╚════════════════════════════════════════════════════════════╝');
   console.log('');
 
@@ -106,12 +231,38 @@ async function main() {
 
   const orchestrator = new AgentOrchestrator();
 
+  // Cancelling stops the orchestrator's subprocesses, records the run as cancelled
+  // and keeps the artifacts written so far, including the log up to this point
+  const cancelRun = async (signal) => {
+    if (orchestrator.cancel(`Cancelled by user (${signal})`)) {
+      console.log('[CANCELLED] Run cancelled, partial artifacts kept');
+      await saveLogFile(runTimestamp);
+    }
+    process.exit(CANCELLED_EXIT_CODE);
+  };
+  process.once('SIGTERM', () => cancelRun('SIGTERM'));
+  process.once('SIGINT', () => cancelRun('SIGINT'));
+
   try {
-    const result = await orchestrator.runTests({
-      trigger: 'cli',
-      forceFullTest: true,
-      templates: selectedTemplates.length > 0 ? selectedTemplates : null
-    });
+    let changes = null;
+    if (since && !resumeRunId) {
+      changes = orchestrator.changesSince(since, selectedTemplates);
+      if (changes.templates.length === 0) {
+        console.log(`No template changes since ${since}, nothing to test`);
+        process.exit(0);
+      }
+      console.log(`Templates changed since ${since}: ${changes.templates.join(', ')}`);
+      console.log('');
+    }
+
+    const result = resumeRunId
+      ? await orchestrator.resumeRun(resumeRunId)
+      : await orchestrator.runTests({
+        trigger: 'cli',
+        forceFullTest: !changes,
+        templates: changes ? changes.templates : (selectedTemplates.length > 0 ? selectedTemplates : null),
+        ...(changes && { since, changeEvents: changes.changeEvents })
+      });
 
     console.log('');
     console.log('Final Result:', JSON.stringify(result.report || { status: result.status }, null, 2));
@@ -142,17 +293,17 @@ async function main() {
     console.log(`   ${logPath}`);
 
     // Test Plan link
-    const testPlanPath = path.resolve(__dirname, `../output/test-plans/test-plan-${runTimestamp}.json`);
+    const testPlanPath = path.join(PATHS.OUTPUT_TEST_PLANS, `test-plan-${runTimestamp}.json`);
     console.log(`📋 Test Plan:`);
     console.log(`   ${testPlanPath}`);
 
     // Generated Tests link
-    const generatedTestsPath = path.resolve(__dirname, '../output/generated-tests/test-cases.json');
+    const generatedTestsPath = path.join(PATHS.OUTPUT_GENERATED_TESTS, 'test-cases.json');
     console.log(`🤖 Generated Tests:`);
     console.log(`   ${generatedTestsPath}`);
 
     // Screenshots/Diffs
-    const diffsDir = path.resolve(__dirname, '../output/diffs');
+    const diffsDir = PATHS.OUTPUT_DIFFS;
     console.log(`📸 Visual Diffs:`);
     console.log(`   ${diffsDir}/`);
 
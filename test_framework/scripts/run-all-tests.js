@@ -13,12 +13,25 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { HTML_SIZE, PATHS } from '../config/constants.js';
+import { formatKb, readSizeHistory } from '../templates/size-analysis.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const OUTPUT_DIR = path.join(__dirname, '../output');
-const REPORTS_DIR = path.join(__dirname, '../../test_reports');
+const OUTPUT_DIR = PATHS.OUTPUT;
+const REPORTS_DIR = PATHS.TEST_REPORTS;
+
+// Size analyses the HTML size trend of the report covers
+const SIZE_TREND_RUNS = 10;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const SIZE_STATUS_LABELS = {
+  ok: '✅ OK',
+  warning: '⚠️ Close to budget',
+  'over-budget': '❌ Over budget',
+  clipped: '❌ Clipped in Gmail',
+  error: '❌ Not rendered',
+};
 
 async function runScript(scriptName) {
   const scriptPath = path.join(__dirname, scriptName);
@@ -76,10 +89,32 @@ async function loadJsonResults(filename) {
   }
 }
 
+/**
+ * One character per size record of a template, scaled between its smallest and largest size
+ */
+function sparkline(sizes) {
+  const min = Math.min(...sizes);
+  const range = Math.max(...sizes) - min;
+  return sizes
+    .map(size => SPARK_CHARS[range === 0 ? 0 : Math.round(((size - min) / range) * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+function sizeTrend(template, history) {
+  const sizes = history.map(entry => entry.templates?.[template]?.bytes).filter(bytes => typeof bytes === 'number');
+  if (sizes.length < 2) {
+    return 'N/A';
+  }
+  const change = sizes[sizes.length - 1] - sizes[sizes.length - 2];
+  return `${sparkline(sizes)} ${change >= 0 ? '+' : '-'}${formatKb(Math.abs(change))}`;
+}
+
 async function generateMarkdownReport(allResults) {
   const compilation = await loadJsonResults('compilation-results.json');
   const rendering = await loadJsonResults('rendering-results.json');
   const validation = await loadJsonResults('validation-results.json');
+  const sizes = await loadJsonResults('size-analysis.json');
+  const sizeHistory = readSizeHistory(SIZE_TREND_RUNS);
   const comparison = await loadJsonResults('comparison-results.json');
 
   let report = `# Email Template QA Report
@@ -97,7 +132,8 @@ async function generateMarkdownReport(allResults) {
 | Compilation | ${compilation?.successful || 0}/${compilation?.totalTemplates || 3} passed |
 | Rendering | ${rendering?.successful || 0}/${rendering?.totalTemplates || 3} passed |
 | Validation | ${validation?.valid || 0}/${validation?.totalTemplates || 3} valid |
-| Comparisons | ${comparison?.passed || 0}/${comparison?.totalComparisons || 2} passed |
+| HTML Size | ${(sizes?.totalTemplates || 0) - (sizes?.failed || 0)}/${sizes?.totalTemplates || 0} within budget |
+| Comparisons | ${comparison?.passed || 0}/${comparison?.totalComparisons || 0} passed |
 
 ---
 
@@ -160,58 +196,76 @@ Rendered HTML was validated for correctness.
   report += `
 ---
 
-## 4. Template Comparison Results
+## 4. HTML Size
 
-### Partner A vs Base Template (Styling Differences)
+Compiled HTML against each template's size budget. Gmail clips HTML over ${formatKb(HTML_SIZE.gmailClipBytes)}, hiding the rest of the email, footer and unsubscribe link included. The trend covers the last ${SIZE_TREND_RUNS} size analyses.
 
-**Expected:** Different color scheme, same content
+| Template | Size | Budget | Minified | CSS (inline / \`<style>\`) | Status | Trend |
+|----------|------|--------|----------|------------------------|--------|-------|
+`;
+
+  for (const t of sizes?.templates || []) {
+    if (t.status === 'error') {
+      report += `| ${t.template} | N/A | N/A | N/A | N/A | ${SIZE_STATUS_LABELS.error} | N/A |\n`;
+      continue;
+    }
+    const css = `${formatKb(t.breakdown.inlineStyles)} / ${formatKb(t.breakdown.styleBlocks)}`;
+    report += `| ${t.template} | ${formatKb(t.bytes)} | ${formatKb(t.budgetBytes)} | ${formatKb(t.minified.bytes)} (-${t.minified.savedPercent}%) | ${css} | ${SIZE_STATUS_LABELS[t.status]} | ${sizeTrend(t.template, sizeHistory)} |\n`;
+  }
+
+  const measured = (sizes?.templates || []).filter(t => t.status !== 'error');
+  if (measured.length > 0) {
+    report += `\n**Largest partials:**\n`;
+    for (const t of measured) {
+      const partials = t.partials.slice(0, 3).map(p => `\`${p.file}\` ${formatKb(p.bytes)} (${p.share}%)`);
+      report += `- ${t.template}: ${partials.join(', ')}\n`;
+    }
+  }
+
+  report += `
+---
+
+## 5. Template Comparison Results
 
 `;
 
-  const partnerAComparison = comparison?.comparisons?.find(c => c.compareTemplate === 'site_visitor_welcome_partner_a');
-  if (partnerAComparison) {
-    report += `**Result:** ${partnerAComparison.analysis}\n\n`;
+  for (const result of comparison?.comparisons || []) {
+    report += `### ${result.name} (${result.expectedDifference})
+
+**Expected:** ${result.description}
+
+**Result:** ${result.analysis}
 
-    if (partnerAComparison.differences?.colors?.added?.length > 0) {
+`;
+
+    if (result.differences?.colors?.added?.length > 0) {
       report += `**New Colors Added:**\n`;
-      for (const color of partnerAComparison.differences.colors.added.slice(0, 10)) {
+      for (const color of result.differences.colors.added.slice(0, 10)) {
         report += `- \`${color}\`\n`;
       }
       report += '\n';
     }
 
-    if (partnerAComparison.differences?.colors?.removed?.length > 0) {
+    if (result.differences?.colors?.removed?.length > 0) {
       report += `**Colors Removed:**\n`;
-      for (const color of partnerAComparison.differences.colors.removed.slice(0, 10)) {
+      for (const color of result.differences.colors.removed.slice(0, 10)) {
         report += `- \`${color}\`\n`;
       }
       report += '\n';
     }
-  }
-
-  report += `
-### Partner B vs Base Template (Content Differences)
-
-**Expected:** Same color scheme, different content
-
-`;
 
-  const partnerBComparison = comparison?.comparisons?.find(c => c.compareTemplate === 'site_visitor_welcome_partner_b');
-  if (partnerBComparison) {
-    report += `**Result:** ${partnerBComparison.analysis}\n\n`;
-
-    if (partnerBComparison.differences?.content?.changes?.length > 0) {
+    if (result.differences?.content?.changes?.length > 0) {
       report += `**Content Changes:**\n`;
-      for (const change of partnerBComparison.differences.content.changes.slice(0, 10)) {
+      for (const change of result.differences.content.changes.slice(0, 10)) {
         const icon = change.type === 'added' ? '+' : '-';
         report += `- ${icon} "${change.value.substring(0, 50)}..."\n`;
       }
       report += '\n';
     }
 
-    if (partnerBComparison.differences?.structure?.differences?.length > 0) {
+    if (result.differences?.structure?.differences?.length > 0) {
       report += `**Structural Differences:**\n`;
-      for (const diff of partnerBComparison.differences.structure.differences) {
+      for (const diff of result.differences.structure.differences) {
         report += `- ${diff.element}: ${diff.base} → ${diff.compare}\n`;
       }
       report += '\n';
@@ -221,7 +275,7 @@ Rendered HTML was validated for correctness.
   report += `
 ---
 
-## 5. Recommendations
+## 6. Recommendations
 
 `;
 
@@ -240,12 +294,16 @@ Rendered HTML was validated for correctness.
     recommendations.push('⚠️ Review and fix HTML validation errors for better email client compatibility.');
   }
 
-  if (partnerAComparison && !partnerAComparison.success) {
-    recommendations.push('⚠️ Partner A template should have different colors than the base template.');
+  for (const t of sizes?.templates || []) {
+    if (!t.passed && t.status !== 'error') {
+      recommendations.push(`⚠️ ${t.template}: ${t.message}. Trim its largest partials or styles.`);
+    }
   }
 
-  if (partnerBComparison && !partnerBComparison.success) {
-    recommendations.push('⚠️ Partner B template should have different content than the base template.');
+  for (const result of comparison?.comparisons || []) {
+    if (!result.success) {
+      recommendations.push(`⚠️ ${result.compareTemplate} does not show the expected "${result.expectedDifference}" difference from ${result.baseTemplate}.`);
+    }
   }
 
   if (recommendations.length === 0) {
@@ -300,6 +358,7 @@ async function main() {
     'compile-templates.js',
     'render-with-data.js',
     'validate-html.js',
+    'analyze-size.js',
     'compare-templates.js'
   ];
 
@@ -10,20 +10,22 @@
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { chromium } from 'playwright';
 import pixelmatch from 'pixelmatch';
 import { PNG } from 'pngjs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { BaselineStore } from '../visual/baselines.js';
+import { PATHS, TIMEOUTS, resolveSizeBudget } from '../config/constants.js';
+import { launchChromium } from '../resilience/browser.js';
+import { emitEvent } from '../events/pipeline-events.js';
+import { loadRenderContext } from '../templates/renderer.js';
+import { findRelativeAssetUrls } from '../templates/assets.js';
+import { sizeStatus } from '../templates/size-analysis.js';
 
 // Paths
-const COMPILED_DIR = path.join(__dirname, '../output/compiled');
-const SCREENSHOTS_DIR = path.join(__dirname, '../output/screenshots');
-const DIFF_DIR = path.join(__dirname, '../output/diffs');
-const RESULTS_DIR = path.join(__dirname, '../output/test-results');
-const GENERATED_TESTS_DIR = path.join(__dirname, '../output/generated-tests');
+const COMPILED_DIR = PATHS.OUTPUT_COMPILED;
+const SCREENSHOTS_DIR = PATHS.OUTPUT_SCREENSHOTS;
+const DIFF_DIR = PATHS.OUTPUT_DIFFS;
+const RESULTS_DIR = PATHS.OUTPUT_TEST_RESULTS;
+const GENERATED_TESTS_DIR = PATHS.OUTPUT_GENERATED_TESTS;
 const TEST_CASES_FILE = path.join(GENERATED_TESTS_DIR, 'test-cases.json');
 
 class DynamicTestRunner {
@@ -31,6 +33,7 @@ class DynamicTestRunner {
     this.browser = null;
     this.context = null;
     this.testCases = null;
+    this.baselines = new BaselineStore();
     this.results = {
       timestamp: new Date().toISOString(),
       testPlanId: null,
@@ -43,22 +46,31 @@ class DynamicTestRunner {
     };
   }
 
-  log(message) {
-    console.log(`[${new Date().toISOString()}] ${message}`);
+  log(message, level = 'info') {
+    const line = `[${new Date().toISOString()}] ${message}`;
+    if (level === 'error') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
   }
 
   async initialize() {
     this.log('Initializing Dynamic Test Runner...');
 
     // Use system Chromium if available (for Docker/production)
-    const launchOptions = { headless: true };
     if (process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH) {
-      launchOptions.executablePath = process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH;
-      this.log(`Using system Chromium: ${launchOptions.executablePath}`);
+      this.log(`Using system Chromium: ${process.env.PLAYWRIGHT_CHROMIUM_EXECUTABLE_PATH}`);
     }
 
-    this.browser = await chromium.launch(launchOptions);
+    this.browser = await launchChromium({
+      onRetry: (error, attempt, delay) => {
+        this.log(`Browser launch failed (${error.message}), retrying in ${delay}ms`, 'warning');
+      },
+    });
     this.context = await this.browser.newContext();
+    // Bound every page load and screenshot so a stuck page fails its test instead of the run
+    this.context.setDefaultTimeout(TIMEOUTS.screenshot);
 
     await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
     await fs.mkdir(DIFF_DIR, { recursive: true });
@@ -77,10 +89,11 @@ class DynamicTestRunner {
       const content = await fs.readFile(TEST_CASES_FILE, 'utf-8');
       this.testCases = JSON.parse(content);
       this.results.testPlanId = this.testCases.testPlanId;
+      this.results.mode = this.testCases.mode || this.results.mode;
       this.log(`Loaded ${this.testCases.testCases?.length || 0} test cases`);
       return true;
     } catch (error) {
-      this.log(`ERROR: Failed to load test cases: ${error.message}`);
+      this.log(`ERROR: Failed to load test cases: ${error.message}`, 'error');
       return false;
     }
   }
@@ -90,6 +103,12 @@ class DynamicTestRunner {
     return await fs.readFile(htmlPath, 'utf-8');
   }
 
+  // Plain-text alternative written next to the HTML by the compile step
+  async loadPlainText(templateName) {
+    const textPath = path.join(COMPILED_DIR, `${templateName}.txt`);
+    return await fs.readFile(textPath, 'utf-8');
+  }
+
   // ============================================================================
   // ASSERTION EXECUTORS
   // ============================================================================
@@ -122,11 +141,17 @@ class DynamicTestRunner {
         case 'visual_match':
           return await this.assertVisualMatch(testCase.template, assertion.baseTemplate, assertion.threshold, page);
         case 'size_under':
-          return await this.assertSizeUnder(testCase.template, assertion.maxKb || 100);
+          return await this.assertSizeUnder(testCase.template, assertion.maxKb);
         case 'ejs_rendered':
           return await this.assertEjsRendered(testCase.template, page);
         case 'structure_valid':
           return await this.assertStructureValid(testCase.template);
+        case 'text_contains':
+          return await this.assertTextContains(testCase.template, assertion.expected);
+        case 'text_has_unsubscribe':
+          return await this.assertTextHasUnsubscribe(testCase.template);
+        case 'no_relative_image_urls':
+          return await this.assertNoRelativeImageUrls(testCase.template);
         default:
           return { passed: false, message: `Unknown assertion type: ${type}` };
       }
@@ -239,15 +264,14 @@ class DynamicTestRunner {
     };
   }
 
+  // Against maxKb, or the template's size budget, and Gmail's clipping point
   async assertSizeUnder(template, maxKb) {
     const html = await this.loadTemplate(template);
-    const sizeKb = Buffer.byteLength(html, 'utf-8') / 1024;
-    const passed = sizeKb < maxKb;
+    const budgetBytes = maxKb ? Math.round(maxKb * 1024) : resolveSizeBudget(template);
+    const { passed, message } = sizeStatus(Buffer.byteLength(html, 'utf-8'), budgetBytes);
     return {
       passed,
-      message: passed
-        ? `✓ ${sizeKb.toFixed(1)}KB (under ${maxKb}KB)`
-        : `REGRESSION FAILURE: ${sizeKb.toFixed(1)}KB exceeds ${maxKb}KB`
+      message: passed ? `✓ ${message}` : `REGRESSION FAILURE: ${message}`
     };
   }
 
@@ -271,7 +295,47 @@ class DynamicTestRunner {
     }
   }
 
+  async assertTextContains(template, expected) {
+    const text = await this.loadPlainText(template);
+    const passed = text.toLowerCase().includes(expected.toLowerCase());
+    return {
+      passed,
+      message: passed
+        ? `✓ Plain text has "${expected}"`
+        : `REGRESSION FAILURE: Plain text is missing "${expected}"`
+    };
+  }
+
+  async assertTextHasUnsubscribe(template) {
+    const text = await this.loadPlainText(template);
+    const unsubscribeUrl = loadRenderContext().urls.unsubscribe;
+    const passed = Boolean(unsubscribeUrl) && text.includes(unsubscribeUrl);
+    return {
+      passed,
+      message: passed
+        ? `✓ Plain text has the unsubscribe URL ${unsubscribeUrl}`
+        : `REGRESSION FAILURE: Plain text is missing the unsubscribe URL ${unsubscribeUrl || '(none in test data)'}`
+    };
+  }
+
+  // Relative image URLs only resolve inside the admin app, never in an inbox
+  async assertNoRelativeImageUrls(template) {
+    const html = await this.loadTemplate(template);
+    const relative = findRelativeAssetUrls(html);
+    return {
+      passed: relative.length === 0,
+      message: relative.length === 0
+        ? '✓ All image URLs are absolute'
+        : `REGRESSION FAILURE: Relative image URLs remain: ${relative.join(', ')}`
+    };
+  }
+
   async assertVisualMatch(template, baseTemplate, threshold, page) {
+    // Templates with approved screenshots are checked against their own baseline
+    if (this.baselines.has(template)) {
+      return await this.assertBaselineMatch(template, threshold, page);
+    }
+
     // Capture base screenshot
     const baseHtml = await this.loadTemplate(baseTemplate);
     await page.setViewportSize({ width: 800, height: 600 });
@@ -295,6 +359,7 @@ class DynamicTestRunner {
         ? `✓ Visual diff ${diffResult.diffPercentage.toFixed(2)}% within ${threshold}%`
         : `REGRESSION FAILURE: Visual diff ${diffResult.diffPercentage.toFixed(2)}% exceeds ${threshold}%`,
       screenshots: {
+        reference: 'base',
         base: path.basename(basePath),
         compare: path.basename(comparePath),
         diff: path.basename(diffResult.diffPath),
@@ -304,6 +369,30 @@ class DynamicTestRunner {
     };
   }
 
+  async assertBaselineMatch(template, threshold, page) {
+    const html = await this.loadTemplate(template);
+    await this.baselines.capture(page, template, html);
+
+    const check = this.baselines.compare(template);
+    const worst = check.viewports.reduce((max, v) => (parseFloat(v.diffPercentage) > parseFloat(max.diffPercentage) ? v : max));
+    const passed = check.viewports.every(v => parseFloat(v.diffPercentage) <= threshold);
+    const perViewport = check.viewports.map(v => `${v.viewport} ${v.diffPercentage}%`).join(', ');
+
+    return {
+      passed,
+      message: passed
+        ? `✓ Visual diff vs approved baseline within ${threshold}% (${perViewport})`
+        : `REGRESSION FAILURE: Visual diff vs approved baseline exceeds ${threshold}% (${perViewport})`,
+      screenshots: {
+        reference: 'baseline',
+        viewport: worst.viewport,
+        diff: worst.diffPath,
+        comparison: worst.sideBySidePath,
+        diffPercentage: worst.diffPercentage
+      }
+    };
+  }
+
   async compareScreenshots(basePath, comparePath, name) {
     const baseImg = PNG.sync.read(fsSync.readFileSync(basePath));
     const compareImg = PNG.sync.read(fsSync.readFileSync(comparePath));
@@ -396,13 +485,15 @@ class DynamicTestRunner {
 
   async runTests() {
     if (!this.testCases?.testCases?.length) {
-      this.log('ERROR: No test cases to execute');
+      this.log('ERROR: No test cases to execute', 'error');
       return this.results;
     }
 
     this.log(`\n${'═'.repeat(60)}`);
-    this.log('Dynamic Playwright Test Runner - REGRESSION MODE');
-    this.log('Tests generated by AI - All templates must match base');
+    this.log(`Dynamic Playwright Test Runner - ${this.results.mode.toUpperCase()} MODE`);
+    this.log(this.results.mode === 'variation'
+      ? 'Tests generated by AI - Templates may differ from base only as declared'
+      : 'Tests generated by AI - All templates must match base');
     this.log(`${'═'.repeat(60)}\n`);
 
     const page = await this.context.newPage();
@@ -460,6 +551,17 @@ class DynamicTestRunner {
         const icon = a.passed ? '✓' : '✗';
         this.log(`     ${icon} ${a.name}: ${a.message}`);
       }
+
+      // Streamed live to the web UI over the pipeline event channel
+      emitEvent('test:result', {
+        id: result.id,
+        name: result.name,
+        suite: result.suite,
+        template: result.template,
+        status: result.status,
+        duration: result.duration,
+        assertions: result.assertions.map(({ name, passed, message }) => ({ name, passed, message }))
+      });
     }
 
     await page.close();
@@ -472,7 +574,7 @@ class DynamicTestRunner {
     this.log(`Pass Rate: ${((this.results.passed / this.results.totalTests) * 100).toFixed(1)}%`);
 
     if (this.results.failed > 0) {
-      this.log(`\n⚠️ REGRESSION FAILURES DETECTED:`);
+      this.log(`\n⚠️ ${this.results.mode.toUpperCase()} FAILURES DETECTED:`);
       for (const tc of this.results.testCases.filter(t => t.status === 'failed')) {
         this.log(`  ❌ [${tc.id}] ${tc.name}`);
         for (const a of tc.assertions.filter(a => !a.passed)) {
@@ -489,7 +591,7 @@ class DynamicTestRunner {
       await this.initialize();
 
       if (!await this.loadTestCases()) {
-        this.log('ERROR: Cannot run without test cases');
+        this.log('ERROR: Cannot run without test cases', 'error');
         return { ...this.results, error: 'No test cases found' };
       }
 
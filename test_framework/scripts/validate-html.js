@@ -6,24 +6,17 @@
  * This script validates the rendered HTML files.
  * Designed for autonomous execution by Claude Code.
  *
+ * Validates the templates selected in TEST_TEMPLATES, or all of them.
+ *
  * Output: JSON with validation results for each template
  */
 
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { HtmlValidate } from 'html-validate';
+import { PATHS, TEMPLATE_NAMES, resolveTemplateSelection } from '../config/constants.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const COMPILED_DIR = path.join(__dirname, '../output/compiled');
-
-const TEMPLATE_FOLDERS = [
-  'site_visitor_welcome',
-  'site_visitor_welcome_partner_a',
-  'site_visitor_welcome_partner_b'
-];
+const COMPILED_DIR = PATHS.OUTPUT_COMPILED;
 
 // Configure HTML validator with relaxed rules for email HTML
 // Email HTML legitimately uses many deprecated features for maximum email client compatibility
@@ -130,15 +123,16 @@ async function validateTemplate(folderName) {
 async function main() {
   console.log('Starting HTML validation...\n');
 
+  const templates = resolveTemplateSelection() || TEMPLATE_NAMES;
   const results = {
     timestamp: new Date().toISOString(),
-    totalTemplates: TEMPLATE_FOLDERS.length,
+    totalTemplates: templates.length,
     valid: 0,
     invalid: 0,
     templates: []
   };
 
-  for (const folder of TEMPLATE_FOLDERS) {
+  for (const folder of templates) {
     const result = await validateTemplate(folder);
     results.templates.push(result);
 
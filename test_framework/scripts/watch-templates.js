@@ -5,12 +5,15 @@
  *
  * Watches the email_templates folder for changes and triggers
  * the multi-agent test system when files are created, modified, or deleted.
+ * Only the templates a change affects are tested: a partial or shared file
+ * re-tests the templates that include it (see templates/dependency-graph.js).
  */
 
 import chokidar from 'chokidar';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { AgentOrchestrator } from '../agents/orchestrator.js';
+import { buildDependencyGraph, findAffectedTemplates } from '../templates/dependency-graph.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,18 +61,20 @@ class TemplateWatcher {
   }
 
   handleChange(eventType, filePath) {
-    // Only watch .mjml files
-    if (!filePath.endsWith('.mjml')) return;
-
     const relativePath = path.relative(TEMPLATES_DIR, filePath);
-    const templateFolder = relativePath.split(path.sep)[0];
 
-    this.log(`File ${eventType}: ${relativePath}`);
+    // Templates, partials and shared files all count; the graph knows which templates they reach
+    const affectedTemplates = findAffectedTemplates(buildDependencyGraph(TEMPLATES_DIR), filePath, TEMPLATES_DIR);
+
+    this.log(`File ${eventType}: ${relativePath} (affects ${affectedTemplates.length > 0 ? affectedTemplates.join(', ') : 'no templates'})`);
 
     this.pendingChanges.push({
       type: eventType,
       path: relativePath,
-      template: templateFolder,
+      ...(relativePath.endsWith('.mjml') && relativePath.startsWith(`emails${path.sep}`) && {
+        template: path.basename(relativePath, '.mjml')
+      }),
+      affectedTemplates,
       timestamp: new Date().toISOString()
     });
 
@@ -86,14 +91,21 @@ class TemplateWatcher {
   async runTests() {
     const changes = [...this.pendingChanges];
     this.pendingChanges = [];
+    const templates = [...new Set(changes.flatMap(change => change.affectedTemplates))];
 
     this.log('');
+    if (templates.length === 0) {
+      this.log('Changes affect no templates, nothing to test.');
+      this.log('Continuing to watch for changes...');
+      return;
+    }
     this.log('Changes detected, triggering multi-agent test system...');
 
     try {
       const result = await this.orchestrator.runTests({
         trigger: 'file_watch',
-        changeEvents: changes
+        changeEvents: changes,
+        templates
       });
 
       if (result.status === 'complete') {
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { ASSET_URL_PATH, resolveAssetBase, resolveAssetEnvironment } from '../config/constants.js';
+
+/**
+ * Template Assets
+ *
+ * Relative image URLs such as `/templates/shared/carebox_logo.png` only
+ * resolve inside the admin app. After MJML, every relative URL the HTML
+ * references (src and background attributes, CSS url()) is looked up under
+ * email_templates/, fingerprinted with a hash of its content and rewritten to
+ * the absolute asset base of the environment (ASSET_ENVIRONMENTS in
+ * config/constants.js):
+ *
+ *   /templates/shared/carebox_logo.png
+ *   -> https://cdn.carebox.com/email/shared/carebox_logo.3f2a9c1b.png
+ *
+ * A URL starting with /templates/ names a file relative to email_templates/;
+ * any other relative URL is resolved from emails/. The compile step copies the
+ * fingerprinted files to output/assets, ready for upload.
+ */
+
+// Content types of the assets the templates reference
+export const ASSET_CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+};
+
+// Web path the admin app serves email_templates/ under
+const TEMPLATES_URL_PREFIX = '/templates/';
+// Loaded from elsewhere: a scheme (https:, data:, cid:), protocol-relative or a fragment
+const ABSOLUTE_URL_REGEX = /^(?:[a-z][a-z0-9+.-]*:|\/\/|#)/i;
+// src and background attributes, and url() in inline and <style> CSS
+const ASSET_REFERENCE_REGEX = /(\b(?:src|background)=")([^"]*)(")|(url\(\s*['"]?)([^'")]*?)(['"]?\s*\))/gi;
+const FINGERPRINT_LENGTH = 8;
+const FINGERPRINTED_FILE_REGEX = new RegExp(`^(.+)\\.([0-9a-f]{${FINGERPRINT_LENGTH}})(\\.[^./]+)$`);
+const MANIFEST_FILE = 'manifest.json';
+
+function decodePath(urlPath) {
+  try {
+    return decodeURIComponent(urlPath);
+  } catch {
+    return urlPath;
+  }
+}
+
+export function isRelativeAssetUrl(url) {
+  return url.trim() !== '' && !ABSOLUTE_URL_REGEX.test(url.trim());
+}
+
+/**
+ * Relative URLs the HTML loads assets from, each once
+ */
+export function findRelativeAssetUrls(html) {
+  const urls = new Set();
+  for (const match of html.matchAll(ASSET_REFERENCE_REGEX)) {
+    const url = match[2] ?? match[5];
+    if (isRelativeAssetUrl(url)) {
+      urls.add(url.trim());
+    }
+  }
+  return [...urls];
+}
+
+/**
+ * File under `root` a relative asset URL points at (null when it points outside)
+ */
+export function resolveAssetFile(url, root) {
+  const urlPath = decodePath(url.trim().split(/[?#]/)[0]);
+  const file = urlPath.startsWith(TEMPLATES_URL_PREFIX)
+    ? path.join(root, urlPath.slice(TEMPLATES_URL_PREFIX.length))
+    : path.resolve(root, 'emails', urlPath);
+  const relative = path.relative(root, file);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative) ? file : null;
+}
+
+function fingerprint(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * Rewrite the relative asset URLs of the HTML to `baseUrl`
+ *
+ * Returns { html, assets, missing }: assets are
+ * { url, file, fingerprintedFile, href } (files relative to `root`), missing
+ * the URLs with no file behind them, which are left as they are.
+ */
+export function rewriteAssetUrls(html, { root, baseUrl }) {
+  const assets = new Map();
+  const missing = new Set();
+
+  const rewrite = (url) => {
+    if (!isRelativeAssetUrl(url)) {
+      return url;
+    }
+    const file = resolveAssetFile(url, root);
+    if (!file || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      missing.add(url.trim());
+      return url;
+    }
+    if (!assets.has(file)) {
+      const relative = path.relative(root, file).split(path.sep).join('/');
+      const extension = path.extname(relative);
+      const fingerprintedFile = `${relative.slice(0, relative.length - extension.length)}.${fingerprint(file)}${extension}`;
+      assets.set(file, { url: url.trim(), file: relative, fingerprintedFile, href: `${baseUrl}/${fingerprintedFile}` });
+    }
+    return assets.get(file).href;
+  };
+
+  const rewritten = html.replace(ASSET_REFERENCE_REGEX, (match, attrStart, attrUrl, attrEnd, cssStart, cssUrl, cssEnd) => (
+    attrStart !== undefined
+      ? `${attrStart}${rewrite(attrUrl)}${attrEnd}`
+      : `${cssStart}${rewrite(cssUrl)}${cssEnd}`
+  ));
+
+  return { html: rewritten, assets: [...assets.values()], missing: [...missing] };
+}
+
+/**
+ * Copy the fingerprinted assets to `outputDir` and record them in its
+ * manifest.json ({ "<file>": "<fingerprintedFile>" })
+ */
+export function writeAssets(assets, root, outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  let manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  } catch {
+    // First export into this directory
+  }
+
+  for (const asset of assets) {
+    const target = path.join(outputDir, asset.fingerprintedFile);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(path.join(root, asset.file), target);
+    manifest[asset.file] = asset.fingerprintedFile;
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  return manifestPath;
+}
+
+/**
+ * File behind a fingerprinted asset path (`shared/carebox_logo.3f2a9c1b.png`),
+ * for the servers; null unless it exists and still has that fingerprint
+ */
+export function findFingerprintedAsset(assetPath, root) {
+  const match = decodePath(assetPath).replace(/^\/+/, '').match(FINGERPRINTED_FILE_REGEX);
+  if (!match) {
+    return null;
+  }
+  const file = path.resolve(root, `${match[1]}${match[3]}`);
+  const relative = path.relative(root, file);
+  if (relative.startsWith('..') || path.isAbsolute(relative) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+    return null;
+  }
+  return fingerprint(file) === match[2] ? file : null;
+}
+
+/**
+ * Asset base for the editor preview: in the local environment the server the
+ * editor runs on (`origin`), so images load on the dev server too; otherwise
+ * the environment's base, as compiled
+ */
+export function previewAssetBase(origin) {
+  if (resolveAssetEnvironment() === 'local' && !process.env.ASSET_BASE_URL) {
+    return `${origin}${ASSET_URL_PATH}`;
+  }
+  return resolveAssetBase();
+}
+
+export default {
+  ASSET_CONTENT_TYPES,
+  isRelativeAssetUrl,
+  findRelativeAssetUrls,
+  resolveAssetFile,
+  rewriteAssetUrls,
+  writeAssets,
+  findFingerprintedAsset,
+  previewAssetBase,
+};
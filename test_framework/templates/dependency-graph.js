@@ -0,0 +1,139 @@
+import fs from 'fs';
+import path from 'path';
+import { PATHS } from '../config/constants.js';
+
+/**
+ * Template Dependency Graph
+ *
+ * Parses the EJS include() calls under email_templates/ into a graph of which
+ * template uses which partial, directly or through another partial, so a change
+ * to a shared file re-tests exactly the templates it reaches.
+ *
+ * Paths are relative to email_templates/ with forward slashes, e.g.
+ * `shared/partials/footer.ejs`. As in EJS, an include is resolved against the
+ * including file and gets `.ejs` when it has no extension. A template's
+ * hand-authored plain-text version (`emails/<name>.txt.ejs`) belongs to the
+ * template, and so do the partials it includes.
+ */
+
+const INCLUDE_REGEX = /\binclude\(\s*(['"`])([^'"`]+)\1/g;
+const EJS_COMMENT_REGEX = /<%#[\s\S]*?%>/g;
+const TEMPLATES_SUBDIR = 'emails';
+// As in templates/renderer.js, which is not imported so the graph does not load mjml
+const TEXT_OVERRIDE_SUFFIX = '.txt.ejs';
+
+const toGraphPath = file => file.split(path.sep).join('/');
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files a source includes directly, as graph paths
+ */
+function parseIncludes(content, graphPath) {
+  const includes = new Set();
+  for (const [, , target] of content.replace(EJS_COMMENT_REGEX, '').matchAll(INCLUDE_REGEX)) {
+    const resolved = path.posix.join(path.posix.dirname(graphPath), target);
+    includes.add(path.posix.extname(resolved) ? resolved : `${resolved}.ejs`);
+  }
+  return [...includes];
+}
+
+/**
+ * Build the graph of the templates in emails/ and every file they include
+ *
+ * {
+ *   templates: { [name]: { file, textFile?, includes, partials } },  // partials: direct and nested
+ *   partials: { [path]: { includes, usedBy, missing? } }, // usedBy: template names
+ *   missing: [{ file, include }]                           // includes that do not resolve
+ * }
+ *
+ * A missing partial stays in the graph, so deleting it still affects the
+ * templates that include it.
+ */
+export function buildDependencyGraph(root = PATHS.EMAIL_TEMPLATES) {
+  const graph = { templates: {}, partials: {}, missing: [] };
+  const emailsDir = path.join(root, TEMPLATES_SUBDIR);
+  const templateFiles = fs.existsSync(emailsDir)
+    ? fs.readdirSync(emailsDir).filter(f => f.endsWith('.mjml')).sort()
+    : [];
+
+  // Direct includes of each file reached from a template, read once
+  const includesOf = new Map();
+  const readIncludes = (graphPath, from) => {
+    if (!includesOf.has(graphPath)) {
+      const content = readFile(path.join(root, ...graphPath.split('/')));
+      if (content === null) {
+        graph.missing.push({ file: from, include: graphPath });
+      }
+      includesOf.set(graphPath, content === null ? null : parseIncludes(content, graphPath));
+    }
+    return includesOf.get(graphPath) || [];
+  };
+
+  for (const file of templateFiles) {
+    const name = file.replace('.mjml', '');
+    const templatePath = `${TEMPLATES_SUBDIR}/${file}`;
+    const textPath = `${TEMPLATES_SUBDIR}/${name}${TEXT_OVERRIDE_SUFFIX}`;
+    const hasText = fs.existsSync(path.join(root, TEMPLATES_SUBDIR, `${name}${TEXT_OVERRIDE_SUFFIX}`));
+    const includes = [...new Set([
+      ...readIncludes(templatePath, templatePath),
+      ...(hasText ? readIncludes(textPath, textPath) : []),
+    ])];
+
+    const partials = new Set();
+    const pending = includes.map(include => ({ include, from: templatePath }));
+    while (pending.length > 0) {
+      const { include, from } = pending.shift();
+      if (partials.has(include)) {
+        continue;
+      }
+      partials.add(include);
+      pending.push(...readIncludes(include, from).map(next => ({ include: next, from: include })));
+    }
+
+    graph.templates[name] = { file: templatePath, ...(hasText && { textFile: textPath }), includes, partials: [...partials].sort() };
+    for (const partial of partials) {
+      const nested = includesOf.get(partial);
+      graph.partials[partial] ??= { includes: nested || [], usedBy: [], ...(nested === null && { missing: true }) };
+      graph.partials[partial].usedBy.push(name);
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Templates a change to `file` (a graph path or a path under `root`) affects
+ *
+ * A template is affected by its own file and its plain-text override (unless
+ * the template was deleted) and by every partial it reaches. A shared .ejs
+ * file that no template includes affects none. Any other shared file (styles,
+ * config, images, the template registry) may be read outside include(), so it
+ * affects all templates.
+ */
+export function findAffectedTemplates(graph, file, root = PATHS.EMAIL_TEMPLATES) {
+  const graphPath = path.isAbsolute(file) ? toGraphPath(path.relative(root, file)) : toGraphPath(file);
+
+  const templateMatch = graphPath.match(new RegExp(`^${TEMPLATES_SUBDIR}/([^/]+?)(?:\\.mjml|\\.txt\\.ejs)$`));
+  if (templateMatch) {
+    return graph.templates[templateMatch[1]] ? [templateMatch[1]] : [];
+  }
+  if (graph.partials[graphPath]) {
+    return [...graph.partials[graphPath].usedBy];
+  }
+  if (graphPath.endsWith('.ejs')) {
+    return [];
+  }
+  return Object.keys(graph.templates);
+}
+
+export default {
+  buildDependencyGraph,
+  findAffectedTemplates,
+};
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { randomBytes, randomUUID } from 'crypto';
+import ejs from 'ejs';
+import { DomUtils, parseDocument } from 'htmlparser2';
+import { PATHS } from '../config/constants.js';
+import { loadRenderContext, renderTemplate } from './renderer.js';
+import { ASSET_CONTENT_TYPES } from './assets.js';
+
+/**
+ * .eml Export
+ *
+ * Builds the complete MIME message a template would be sent as, to open in a
+ * desktop client or hand to someone:
+ *
+ *   multipart/alternative
+ *     text/plain                 the plain-text alternative
+ *     multipart/related          (only when the HTML references local images)
+ *       text/html                rendered HTML, local images as cid: URLs
+ *       image/*                  each image, inline with its Content-ID
+ *
+ * The images of email_templates/ the renderer put on the asset base
+ * (templates/assets.js), such as the logo, are embedded; images the template
+ * loads from elsewhere stay remote.
+ *
+ * Headers come from the template's registry entry (email_templates/templates.json)
+ * and the sample context. `subject`, `fromName`, `fromEmail` and `replyTo` in
+ * the entry are EJS, rendered with the same context as the template; without
+ * them the subject is the HTML <title>, the sender the company with
+ * `fromEmail` (or the support address) and the reply-to the support address.
+ * List-Unsubscribe points at `urls.unsubscribe`.
+ */
+
+const CRLF = '\r\n';
+const LINE_LENGTH = 76;
+
+/**
+ * RFC 2047 encoded words for header text that is not plain ASCII
+ */
+function encodeHeaderText(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return text;
+  }
+  // Whole characters per word, so no word splits a UTF-8 sequence
+  const words = [];
+  let chunk = '';
+  for (const char of text) {
+    if (Buffer.byteLength(chunk + char) > 45) {
+      words.push(chunk);
+      chunk = '';
+    }
+    chunk += char;
+  }
+  words.push(chunk);
+  return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join(`${CRLF} `);
+}
+
+function formatAddress(name, email) {
+  if (!name) {
+    return `<${email}>`;
+  }
+  const displayName = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : encodeHeaderText(name);
+  return `${displayName} <${email}>`;
+}
+
+/**
+ * Quoted-printable body (RFC 2045), CRLF line breaks
+ */
+function encodeQuotedPrintable(text) {
+  return text.replace(/\r?\n/g, '\n').split('\n').map((line) => {
+    const bytes = Buffer.from(line);
+    let encoded = '';
+    let current = '';
+    bytes.forEach((byte, i) => {
+      const last = i === bytes.length - 1;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !last);
+      const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+      // Soft line break, keeping room for the trailing '='
+      if (current.length + token.length > LINE_LENGTH - 1) {
+        encoded += `${current}=${CRLF}`;
+        current = '';
+      }
+      current += token;
+    });
+    return encoded + current;
+  }).join(CRLF);
+}
+
+function encodeBase64(buffer) {
+  return buffer.toString('base64').match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g'))?.join(CRLF) ?? '';
+}
+
+function boundary() {
+  return `----=_Part_${randomBytes(12).toString('hex')}`;
+}
+
+function part(headers, body) {
+  return `${Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join(CRLF)}${CRLF}${CRLF}${body}`;
+}
+
+function multipart(type, parts, params = '') {
+  const marker = boundary();
+  return {
+    contentType: `multipart/${type}; boundary="${marker}"${params}`,
+    body: `${parts.map(p => `--${marker}${CRLF}${p}`).join(CRLF)}${CRLF}--${marker}--`,
+  };
+}
+
+/**
+ * Swap the asset URLs of the template's images for cid: references and
+ * collect the images to embed
+ */
+function embedImages(html, assets, root, domain) {
+  const images = assets
+    .filter(asset => ASSET_CONTENT_TYPES[path.extname(asset.file).toLowerCase()])
+    .map((asset, i) => ({
+      file: asset.file,
+      href: asset.href,
+      cid: `${i + 1}.${path.basename(asset.file)}@${domain}`,
+      contentType: ASSET_CONTENT_TYPES[path.extname(asset.file).toLowerCase()],
+      content: fs.readFileSync(path.join(root, asset.file)),
+    }));
+  const embedded = images.reduce((result, image) => result.split(image.href).join(`cid:${image.cid}`), html);
+  return { html: embedded, images: images.map(({ href, ...image }) => image) };
+}
+
+function htmlTitle(html) {
+  const title = DomUtils.findOne(element => element.name === 'title', parseDocument(html).children);
+  return title ? DomUtils.textContent(title).trim() : '';
+}
+
+/**
+ * Header values from the registry entry (EJS) and the sample context
+ */
+function messageHeaders(entry, context, html) {
+  const render = value => ejs.render(String(value), context).trim();
+  return {
+    subject: entry.subject ? render(entry.subject) : htmlTitle(html),
+    fromName: entry.fromName ? render(entry.fromName) : context.company.name,
+    fromEmail: entry.fromEmail ? render(entry.fromEmail) : context.company.fromEmail,
+    replyTo: entry.replyTo ? render(entry.replyTo) : context.company.supportEmail,
+    toName: context.visitor.name,
+    toEmail: context.visitor.email,
+    unsubscribe: context.urls.unsubscribe,
+  };
+}
+
+/**
+ * Build the .eml of a template in emails/ (`welcome` or `welcome.mjml`)
+ *
+ * Returns { template, fileName, eml, headers, attachments, errors }. `eml` is
+ * null when the template or its header metadata failed to render; errors are
+ * the renderer's, plus { phase: 'headers', message } for the metadata.
+ * Attachments are { file, cid, contentType, size } per embedded image.
+ */
+export function buildEml(file, options = {}) {
+  const {
+    root = PATHS.EMAIL_TEMPLATES,
+    context = loadRenderContext(),
+    date = new Date(),
+  } = options;
+  const template = file.replace(/\.mjml$/, '');
+  const result = { template, fileName: `${template}.eml`, eml: null, headers: null, attachments: [], errors: [] };
+
+  const filename = path.join(root, 'emails', `${template}.mjml`);
+  const rendered = renderTemplate(fs.readFileSync(filename, 'utf-8'), { filename, root, context });
+  result.errors = rendered.errors;
+  if (rendered.html === null || rendered.text === null) {
+    return result;
+  }
+
+  let entry = {};
+  try {
+    entry = JSON.parse(fs.readFileSync(path.join(root, 'templates.json'), 'utf-8')).templates?.[template] || {};
+  } catch {
+    // Unregistered templates take the defaults
+  }
+
+  let headers;
+  try {
+    headers = messageHeaders(entry, context, rendered.html);
+  } catch (error) {
+    result.errors.push({ phase: 'headers', message: `Header metadata error: ${error.message}`, file: 'templates.json', line: null });
+    return result;
+  }
+  result.headers = headers;
+
+  const domain = headers.fromEmail.split('@')[1] || 'localhost';
+  const { html, images } = embedImages(rendered.html, rendered.assets, root, domain);
+  result.attachments = images.map(({ content, ...image }) => ({ ...image, size: content.length }));
+
+  const textPart = part({
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Transfer-Encoding': 'quoted-printable',
+  }, encodeQuotedPrintable(rendered.text));
+  const htmlPart = part({
+    'Content-Type': 'text/html; charset=utf-8',
+    'Content-Transfer-Encoding': 'quoted-printable',
+  }, encodeQuotedPrintable(html));
+
+  let htmlBody = htmlPart;
+  if (images.length > 0) {
+    const related = multipart('related', [
+      htmlPart,
+      ...images.map(image => part({
+        'Content-Type': image.contentType,
+        'Content-Transfer-Encoding': 'base64',
+        'Content-ID': `<${image.cid}>`,
+        'Content-Disposition': `inline; filename="${path.basename(image.file)}"`,
+      }, encodeBase64(image.content))),
+    ], '; type="text/html"');
+    htmlBody = part({ 'Content-Type': related.contentType }, related.body);
+  }
+  const alternative = multipart('alternative', [textPart, htmlBody]);
+
+  const messageHeaderLines = {
+    'Message-ID': `<${randomUUID()}@${domain}>`,
+    Date: date.toUTCString().replace('GMT', '+0000'),
+    From: formatAddress(headers.fromName, headers.fromEmail),
+    'Reply-To': formatAddress(null, headers.replyTo),
+    ...(headers.toEmail && { To: formatAddress(headers.toName, headers.toEmail) }),
+    Subject: encodeHeaderText(headers.subject),
+    ...(headers.unsubscribe && { 'List-Unsubscribe': `<${headers.unsubscribe}>` }),
+    // One-click unsubscribe (RFC 8058) needs an https URL
+    ...(/^https:/i.test(headers.unsubscribe) && { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }),
+    'MIME-Version': '1.0',
+    'Content-Type': alternative.contentType,
+  };
+  result.eml = `${part(messageHeaderLines, alternative.body)}${CRLF}`;
+  return result;
+}
+
+export default {
+  buildEml,
+};
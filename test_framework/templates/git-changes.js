@@ -0,0 +1,216 @@
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { PATHS } from '../config/constants.js';
+
+/**
+ * Git Changes
+ *
+ * Reads what changed under email_templates/ since a git ref: committed changes
+ * since the ref's merge base with HEAD, uncommitted changes and untracked files.
+ * Every file comes with its unified diff split into hunks, and every hunk is
+ * classified without the AI:
+ *
+ * - structure: tags, includes or EJS control flow were added, removed or reordered
+ * - content:   visible text, links or template variables changed
+ * - styling:   only style attributes, CSS, colors or formatting changed
+ *
+ * Paths are relative to email_templates/ with forward slashes, as in the
+ * dependency graph.
+ */
+
+export const CHANGE_CATEGORIES = ['styling', 'content', 'structure'];
+
+const DIFF_CONTEXT_LINES = 3;
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+// Tags, includes and EJS control flow: the shape of the template
+const SKELETON_REGEX = /<\/?[a-z][\w-]*|include\(\s*['"`][^'"`]+|\}\s*else\b|\b(?:if|for|while|switch)\s*\(|\.forEach\(/gi;
+const ATTRIBUTE_REGEX = /([\w-]+)\s*=\s*"([^"]*)"/g;
+// HTML, EJS and line comments (not the // of a URL)
+const COMMENT_REGEX = /<!--.*?-->|<%#.*?%>|(?:^|\s)\/\/.*$/g;
+const STYLE_ATTRIBUTE_REGEX = /color|background|font|padding|margin|width|height|border|align|spacing|radius|line-height|text-(?:decoration|transform)|css-class|mj-class|direction/i;
+const STYLE_TEXT_REGEX = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?)\(|(?:color|background|font|padding|margin|width|height|border|align|spacing|radius)[\w-]*\s*[:=]/i;
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * The commit to diff against: the merge base of `since` and HEAD, so a branch
+ * only sees its own changes, or `since` itself when there is no merge base
+ */
+function resolveBase(since, cwd) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${since}^{commit}`], cwd);
+  } catch {
+    throw new Error(`Unknown git ref: ${since}`);
+  }
+  try {
+    return git(['merge-base', since, 'HEAD'], cwd).trim();
+  } catch {
+    return since;
+  }
+}
+
+// Items that occur a different number of times in a and b
+function differs(a, b) {
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  b.forEach(item => counts.set(item, (counts.get(item) || 0) - 1));
+  return [...counts].filter(([, count]) => count !== 0).map(([item]) => item);
+}
+
+const skeletonOf = lines => lines.flatMap(line => line.replace(COMMENT_REGEX, '').match(SKELETON_REGEX) || [])
+  .map(token => token.replace(/\s+/g, '').toLowerCase());
+
+const attributesOf = lines => lines.flatMap(line =>
+  [...line.replace(COMMENT_REGEX, '').matchAll(ATTRIBUTE_REGEX)].map(([, name, value]) => ({ name, value, key: `${name}=${value}` })));
+
+// What a reader sees: the line without comments, tags and attributes
+const textOf = lines => lines
+  .map(line => line
+    .replace(COMMENT_REGEX, '')
+    .replace(ATTRIBUTE_REGEX, ' ')
+    .replace(/<\/?[a-z][\w-]*|\/?>/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim())
+  .filter(Boolean);
+
+/**
+ * Classify a hunk from its removed and added lines (without the +/- prefix)
+ */
+export function classifyHunk(removed, added) {
+  // Compared in order, so moving a tag is a change of structure
+  if (skeletonOf(removed).join(' ') !== skeletonOf(added).join(' ')) {
+    return 'structure';
+  }
+
+  const changedText = differs(textOf(removed), textOf(added));
+  if (changedText.length > 0) {
+    return changedText.every(line => STYLE_TEXT_REGEX.test(line)) ? 'styling' : 'content';
+  }
+
+  const changedAttributes = differs(attributesOf(removed).map(a => a.key), attributesOf(added).map(a => a.key));
+  if (changedAttributes.some(key => !STYLE_ATTRIBUTE_REGEX.test(key.split('=')[0]))) {
+    return 'content';
+  }
+  // Style attributes, or whitespace and comments only
+  return 'styling';
+}
+
+/**
+ * The most significant category of a set of hunks (structure > content > styling)
+ */
+export function overallCategory(hunks) {
+  const categories = new Set(hunks.map(hunk => hunk.category));
+  return [...CHANGE_CATEGORIES].reverse().find(category => categories.has(category)) || null;
+}
+
+function parseHunks(lines) {
+  const hunks = [];
+  for (const line of lines) {
+    const header = line.match(HUNK_HEADER_REGEX);
+    if (header) {
+      hunks.push({
+        header: line,
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: [],
+      });
+    } else if (hunks.length > 0 && /^[ +-]/.test(line)) {
+      hunks[hunks.length - 1].lines.push(line);
+    }
+  }
+  for (const hunk of hunks) {
+    const removed = hunk.lines.filter(l => l.startsWith('-')).map(l => l.slice(1));
+    const added = hunk.lines.filter(l => l.startsWith('+')).map(l => l.slice(1));
+    hunk.category = classifyHunk(removed, added);
+  }
+  return hunks;
+}
+
+/**
+ * Split `git diff` output into one entry per file
+ */
+export function parseUnifiedDiff(output) {
+  return output.split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git ')).map((chunk) => {
+    const lines = chunk.replace(/\n$/, '').split('\n');
+    const firstHunk = lines.findIndex(l => l.startsWith('@@'));
+    const header = firstHunk === -1 ? lines : lines.slice(0, firstHunk);
+    const field = prefix => header.find(l => l.startsWith(prefix))?.slice(prefix.length);
+
+    // Binary files have no ---/+++ lines, only the diff --git line
+    const [, gitOldPath, gitNewPath] = lines[0].match(/^diff --git a\/(.+) b\/(.+)$/) || [];
+    const oldPath = field('--- a/') || gitOldPath;
+    const newPath = field('+++ b/') || gitNewPath;
+    const status = header.some(l => l.startsWith('new file mode')) ? 'added'
+      : header.some(l => l.startsWith('deleted file mode')) ? 'deleted'
+        : field('rename to ') ? 'renamed'
+          : 'modified';
+    const filePath = field('rename to ') || (status === 'deleted' ? oldPath : newPath);
+
+    return {
+      path: filePath,
+      status,
+      ...(status === 'renamed' && { previousPath: field('rename from ') }),
+      ...(header.some(l => l.startsWith('Binary files')) && { binary: true }),
+      diff: chunk,
+      hunks: parseHunks(lines),
+    };
+  });
+}
+
+/**
+ * Diff of an untracked file: every line added
+ */
+function untrackedFileChange(root, file) {
+  const content = fs.readFileSync(path.join(root, file));
+  if (content.includes(0)) {
+    return { path: file, status: 'added', binary: true, diff: `Binary file ${file} added\n`, hunks: [] };
+  }
+  const lines = content.toString('utf-8').replace(/\n$/, '').split('\n');
+  const diff = [
+    `diff --git a/${file} b/${file}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${file}`,
+    `@@ -0,0 +1,${lines.length} @@`,
+    ...lines.map(line => `+${line}`),
+  ].join('\n');
+  return { path: file, status: 'added', diff: `${diff}\n`, hunks: parseHunks(diff.split('\n')) };
+}
+
+/**
+ * Files changed under `root` since a git ref, with classified hunks
+ * Throws when `root` is not in a git work tree or the ref does not exist.
+ */
+export function readGitChanges(since, root = PATHS.EMAIL_TEMPLATES) {
+  try {
+    git(['rev-parse', '--is-inside-work-tree'], root);
+  } catch {
+    throw new Error(`${root} is not inside a git work tree`);
+  }
+  const base = resolveBase(since, root);
+
+  // --relative keeps the diff to root and its paths relative to it
+  const output = git(['diff', '--relative', '--no-color', '--no-ext-diff', '-M', `--unified=${DIFF_CONTEXT_LINES}`, base, '--', '.'], root);
+  const changes = parseUnifiedDiff(output);
+
+  const untracked = git(['ls-files', '--others', '--exclude-standard', '--', '.'], root).split('\n').filter(Boolean);
+  changes.push(...untracked.map(file => untrackedFileChange(root, file)));
+
+  return changes
+    .map(change => ({ ...change, category: change.hunks.length > 0 ? overallCategory(change.hunks) : 'structure' }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+export default {
+  CHANGE_CATEGORIES,
+  classifyHunk,
+  overallCategory,
+  parseUnifiedDiff,
+  readGitChanges,
+};
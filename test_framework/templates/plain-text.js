@@ -0,0 +1,115 @@
+import { Parser } from 'htmlparser2';
+
+/**
+ * Plain-Text Alternative
+ *
+ * Turns rendered email HTML into the readable text/plain part of a send:
+ * every block (paragraph, table cell, heading, list item) on its own line,
+ * links as numbered footnotes so the CTA and the unsubscribe URL survive, and
+ * the head, styles, images and hidden blocks (the preheader) left out.
+ *
+ * A template can replace the generated text with a hand-authored
+ * `emails/<template>.txt.ejs`, rendered by templates/renderer.js.
+ */
+
+const SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title', 'img']);
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'div', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'li', 'ol', 'p', 'section', 'table', 'td', 'th', 'tr', 'ul',
+]);
+// MJML puts every component in a table row of its own
+const PARAGRAPH_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'tr']);
+const HIDDEN_STYLE_REGEX = /display\s*:\s*none/i;
+const LINK_REGEX = /^(?:https?:|mailto:)/i;
+
+/**
+ * Plain-text version of an HTML email
+ */
+export function htmlToText(html) {
+  const lines = [''];
+  const links = [];
+  const stack = [];
+  let skipDepth = 0;
+  let anchor = null;
+
+  // Start a new line, after a blank one for paragraphs and headings
+  const breakLine = (blank = false) => {
+    if (lines[lines.length - 1].trim()) {
+      lines.push('');
+    }
+    if (blank && lines.length > 1 && lines[lines.length - 2].trim()) {
+      lines.push('');
+    }
+  };
+  const write = (text) => {
+    lines[lines.length - 1] += text;
+  };
+
+  const parser = new Parser({
+    onopentag(name, attributes) {
+      const skipped = SKIPPED_TAGS.has(name) || HIDDEN_STYLE_REGEX.test(attributes.style || '');
+      stack.push(skipped);
+      if (skipDepth > 0 || skipped) {
+        skipDepth += skipped ? 1 : 0;
+        return;
+      }
+      if (name === 'br') {
+        lines.push('');
+      } else if (name === 'hr') {
+        breakLine();
+        lines.push('----', '');
+      } else if (BLOCK_TAGS.has(name)) {
+        breakLine(PARAGRAPH_TAGS.has(name));
+        if (name === 'li') {
+          write('- ');
+        }
+      } else if (name === 'a' && LINK_REGEX.test(attributes.href || '')) {
+        anchor = { href: attributes.href, text: '' };
+      }
+    },
+    ontext(text) {
+      if (skipDepth > 0) {
+        return;
+      }
+      if (anchor) {
+        anchor.text += text;
+      }
+      write(text);
+    },
+    onclosetag(name) {
+      const skipped = stack.pop();
+      if (skipped) {
+        skipDepth--;
+        return;
+      }
+      if (skipDepth > 0) {
+        return;
+      }
+      if (name === 'a' && anchor) {
+        // A link whose text is its own address needs no footnote
+        const address = anchor.href.replace(/^mailto:/i, '');
+        if (anchor.text.replace(/\s+/g, ' ').trim() !== address) {
+          let index = links.indexOf(anchor.href);
+          if (index === -1) {
+            index = links.push(anchor.href) - 1;
+          }
+          write(` [${index + 1}]`);
+        }
+        anchor = null;
+      } else if (BLOCK_TAGS.has(name)) {
+        breakLine(PARAGRAPH_TAGS.has(name));
+      }
+    },
+  }, { decodeEntities: true });
+  parser.end(html);
+
+  const body = lines
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  const footnotes = links.map((href, i) => `[${i + 1}] ${href}`).join('\n');
+  return `${body}${footnotes ? `\n\nLinks:\n${footnotes}` : ''}\n`;
+}
+
+export default htmlToText;
@@ -0,0 +1,220 @@
+import fs from 'fs';
+import path from 'path';
+import ejs from 'ejs';
+import mjml2html from 'mjml';
+import { PATHS, resolveAssetBase } from '../config/constants.js';
+import { TemplateSourceMap } from './source-map.js';
+import { htmlToText } from './plain-text.js';
+import { rewriteAssetUrls } from './assets.js';
+
+/**
+ * Template Renderer
+ *
+ * The single way an email template becomes HTML: EJS with real include() of
+ * the shared partials, then MJML. The compile step the tests run, the editor
+ * preview (POST /api/preview on the dev and production servers) and the agents
+ * all render through here with the same sample data, so what the editor shows
+ * is the HTML that gets tested. Relative image URLs are rewritten to the
+ * environment's asset base (templates/assets.js); that is the one difference,
+ * as the local preview points them at the server the editor runs on.
+ */
+
+// Hand-authored plain-text version of emails/<template>.mjml
+export const TEXT_OVERRIDE_SUFFIX = '.txt.ejs';
+
+/**
+ * Shape the sample context (test-data/sample-context.json) into the variables
+ * the templates use, with defaults for anything the sample leaves out
+ * The pre-computed objects are directly available in includes, which do not
+ * see variables a template declares itself.
+ */
+export function buildRenderContext(sample = {}) {
+  const ctx = sample.context || {};
+  return {
+    context: ctx,
+    // Company Information
+    company: {
+      name: ctx.companyName || 'Carebox',
+      address: ctx.companyAddress || '123 Main Street, San Francisco, CA 94102',
+      logoUrl: ctx.logoUrl || '/templates/shared/carebox_logo.png',
+      supportEmail: ctx.supportEmail || 'support@example.com',
+      fromEmail: ctx.fromEmail || ctx.supportEmail || 'support@example.com',
+    },
+    // Visitor Information
+    visitor: {
+      name: ctx.visitorName || 'Valued Visitor',
+      email: ctx.visitorEmail || 'visitor@example.com',
+    },
+    // URLs
+    urls: {
+      cta: ctx.ctaUrl || 'https://example.com/get-started',
+      privacy: ctx.privacyUrl || 'https://example.com/privacy',
+      terms: ctx.termsUrl || 'https://example.com/terms',
+      unsubscribe: ctx.unsubscribeUrl || 'https://example.com/unsubscribe',
+    },
+    // Dynamic Values
+    currentYear: ctx.currentYear || new Date().getFullYear(),
+  };
+}
+
+/**
+ * Read and shape the sample context; an unreadable file gives an empty context
+ */
+export function loadRenderContext(file = PATHS.SAMPLE_CONTEXT) {
+  try {
+    return buildRenderContext(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch {
+    console.warn('Warning: Could not load test data, using empty context');
+    return {
+      context: {},
+      company: { name: 'Carebox', address: '', logoUrl: '', supportEmail: '', fromEmail: '' },
+      visitor: { name: 'Valued Visitor', email: '' },
+      urls: { cta: '', privacy: '', terms: '', unsubscribe: '' },
+      currentYear: new Date().getFullYear(),
+    };
+  }
+}
+
+/**
+ * Run EJS over a template or partial with source mapping
+ * Returns { output, sourceMap } or { error } with the file and line it comes from.
+ */
+function renderEjs(source, filename, context, root) {
+  const sourceMap = new TemplateSourceMap(root);
+  try {
+    const output = sourceMap.strip(ejs.render(sourceMap.instrument(source, filename), context, {
+      filename,
+      root,
+      includer: (originalPath, parsedPath) => sourceMap.include(originalPath, parsedPath),
+    }));
+    return { output, sourceMap };
+  } catch (error) {
+    return { error: sourceMap.mapEjsError(error) };
+  }
+}
+
+/**
+ * The text/plain part: the hand-authored override when there is one,
+ * otherwise generated from the HTML (templates/plain-text.js)
+ */
+function renderText(html, textFilename, context, root) {
+  if (!textFilename || !fs.existsSync(textFilename)) {
+    return { text: htmlToText(html), textSource: 'generated', errors: [] };
+  }
+  const { output, error } = renderEjs(fs.readFileSync(textFilename, 'utf-8'), textFilename, context, root);
+  if (error) {
+    return { text: null, textSource: 'override', errors: [{ phase: 'text', ...error }] };
+  }
+  return { text: output, textSource: 'override', errors: [] };
+}
+
+/**
+ * Line in `source` of the first occurrence of `needle` (null when absent)
+ */
+function lineOf(source, needle) {
+  const index = source.indexOf(needle);
+  return index === -1 ? null : source.slice(0, index).split('\n').length;
+}
+
+/**
+ * Render MJML+EJS source to HTML and its plain-text alternative
+ *
+ * `filename` is where the source lives (or would live) so relative includes
+ * resolve; it defaults to a file in emails/. Returns
+ * { mjml, html, text, textSource, assets, sourceMap, errors }: `mjml` is the
+ * source after EJS (its lines map back through `sourceMap`), `html` is null
+ * when EJS or MJML failed, and errors are
+ * { phase: 'ejs' | 'mjml' | 'assets' | 'text', message, file, line, processedLine?, tagName? }.
+ * `file` and `line` are the template or partial line the error comes from
+ * (file relative to `root`, e.g. `shared/partials/footer.ejs`); processedLine
+ * is the line in `mjml`.
+ *
+ * `text` comes from `textFilename` (default: `<template>.txt.ejs` next to
+ * `filename`) when that file exists, and is generated from the HTML
+ * otherwise; `textSource` says which ('override' | 'generated').
+ *
+ * Relative asset URLs in the HTML point at `assetBase` (default: the base of
+ * ASSET_ENV) with fingerprinted file names; `assets` lists them. An asset
+ * that does not exist is an 'assets' error at the line that references it.
+ */
+export function renderTemplate(source, options = {}) {
+  const {
+    filename = path.join(PATHS.EMAILS_DIR, 'template.mjml'),
+    context = loadRenderContext(),
+    root = PATHS.EMAIL_TEMPLATES,
+    textFilename = filename.endsWith('.mjml') ? filename.replace(/\.mjml$/, TEXT_OVERRIDE_SUFFIX) : null,
+    assetBase = resolveAssetBase(),
+  } = options;
+
+  const { output: mjml, sourceMap, error } = renderEjs(source, filename, context, root);
+  if (error) {
+    return {
+      mjml: null,
+      html: null,
+      text: null,
+      textSource: null,
+      assets: [],
+      sourceMap: null,
+      errors: [{ phase: 'ejs', ...error, message: `EJS processing error: ${error.message}` }],
+    };
+  }
+
+  let compiled;
+  try {
+    // The directory, for mj-include: mjml rejects a filePath that does not exist (unsaved source)
+    compiled = mjml2html(mjml, { validationLevel: 'soft', filePath: path.dirname(filename) });
+  } catch (mjmlError) {
+    return {
+      mjml,
+      html: null,
+      text: null,
+      textSource: null,
+      assets: [],
+      sourceMap,
+      errors: [{ phase: 'mjml', message: mjmlError.message, file: null, line: null }],
+    };
+  }
+
+  const { html, assets, missing } = rewriteAssetUrls(compiled.html, { root, baseUrl: assetBase });
+  const text = renderText(html, textFilename, context, root);
+  return {
+    mjml,
+    html,
+    text: text.text,
+    textSource: text.textSource,
+    assets,
+    sourceMap,
+    errors: [
+      ...(compiled.errors || []).map(e => ({
+        phase: 'mjml',
+        message: e.message,
+        file: sourceMap.lookup(e.line)?.file ?? null,
+        line: sourceMap.lookup(e.line)?.line ?? null,
+        processedLine: e.line,
+        tagName: e.tagName,
+      })),
+      ...missing.map((url) => {
+        const origin = sourceMap.lookup(lineOf(mjml, url));
+        return { phase: 'assets', message: `Asset not found: ${url}`, file: origin?.file ?? null, line: origin?.line ?? null };
+      }),
+      ...text.errors,
+    ],
+  };
+}
+
+/**
+ * Render a template in emails/ by file name (`welcome.mjml` or `welcome`)
+ */
+export function renderTemplateFile(file, options = {}) {
+  const fileName = file.endsWith('.mjml') ? file : `${file}.mjml`;
+  const filename = path.join(PATHS.EMAILS_DIR, fileName);
+  return renderTemplate(fs.readFileSync(filename, 'utf-8'), { ...options, filename });
+}
+
+export default {
+  TEXT_OVERRIDE_SUFFIX,
+  buildRenderContext,
+  loadRenderContext,
+  renderTemplate,
+  renderTemplateFile,
+};
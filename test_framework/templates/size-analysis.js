@@ -0,0 +1,361 @@
+import fs from 'fs';
+import path from 'path';
+import mjml2html from 'mjml';
+import { minify } from 'html-minifier';
+import { HTML_SIZE, PATHS, resolveAssetBase, resolveSizeBudget } from '../config/constants.js';
+import { loadRenderContext, renderTemplate } from './renderer.js';
+import { rewriteAssetUrls } from './assets.js';
+
+/**
+ * HTML Size Analysis
+ *
+ * Where the bytes of a compiled template go, measured against its size budget
+ * and Gmail's clipping point (HTML_SIZE in config/constants.js):
+ *
+ *   breakdown   markup, inline style attributes, <style> blocks, Outlook
+ *               conditional comments, other comments, text and whitespace
+ *   sections    the head and each top-level block of mj-body
+ *   partials    the template file and each partial it includes
+ *   minified    the size after minifying as `mjml --config.minify` does
+ *
+ * Sections and partials are measured by compiling the template once more with
+ * an <mj-raw> marker comment around every component and attributing the bytes
+ * between markers to the component's source line (templates/source-map.js).
+ * Markers keep MJML from merging a few adjacent Outlook wrappers, so those
+ * weights are scaled to the real size and are accurate to about a percent.
+ */
+
+// Components whose children are measured: everything mj-raw may stand next to
+const CONTAINER_TAGS = new Set(['mj-body', 'mj-wrapper', 'mj-section', 'mj-group', 'mj-column', 'mj-hero']);
+// Comments (skipped) and MJML tags of the processed source
+const MJML_TOKEN_REGEX = /<!--[\s\S]*?-->|<(\/?)(mj-[\w-]+)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g;
+const MARKER_REGEX = /<!--(\/?)size-marker:(\d+)-->/g;
+// Adjacent Outlook wrappers MJML merges, with markers between them
+const SPLIT_CONDITIONAL_REGEX = /<!\[endif\]-->(\s*(?:<!--\/?size-marker:\d+-->\s*)+)<!--\[if mso \| IE\]>/g;
+// Outlook conditionals (hidden and downlevel-revealed), comments, <style> blocks and tags, in that order
+const HTML_TOKEN_REGEX = /<!--\[if [^\]]*\]><!-->|<!--<!\[endif\]-->|<!--\[if [\s\S]*?<!\[endif\]-->|<!--[\s\S]*?-->|<style\b[^>]*>[\s\S]*?<\/style>|<[^>]+>/gi;
+const STYLE_ATTRIBUTE_REGEX = /\sstyle=(?:"[^"]*"|'[^']*')/gi;
+
+// The options of the MJML command line's --config.minify
+const MINIFY_OPTIONS = {
+  collapseWhitespace: true,
+  minifyCSS: false,
+  caseSensitive: true,
+  removeEmptyAttributes: true,
+};
+
+const byteLength = text => Buffer.byteLength(text, 'utf-8');
+const share = (bytes, total) => (total ? Math.round((bytes / total) * 1000) / 10 : 0);
+
+export const formatKb = bytes => `${(bytes / 1024).toFixed(1)}KB`;
+
+/**
+ * Bytes of the HTML per kind of content
+ */
+export function breakdownHtml(html) {
+  const breakdown = { markup: 0, inlineStyles: 0, styleBlocks: 0, outlookConditionals: 0, comments: 0, text: 0, whitespace: 0 };
+  const addText = (text) => {
+    const whitespace = byteLength(text.replace(/\S/g, ''));
+    breakdown.whitespace += whitespace;
+    breakdown.text += byteLength(text) - whitespace;
+  };
+
+  let last = 0;
+  for (const match of html.matchAll(HTML_TOKEN_REGEX)) {
+    addText(html.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const token = match[0];
+    if (token.startsWith('<!--[if') || token.startsWith('<!--<![endif]')) {
+      breakdown.outlookConditionals += byteLength(token);
+    } else if (token.startsWith('<!--')) {
+      breakdown.comments += byteLength(token);
+    } else if (/^<style\b/i.test(token)) {
+      breakdown.styleBlocks += byteLength(token);
+    } else {
+      const inlineStyles = [...token.matchAll(STYLE_ATTRIBUTE_REGEX)].reduce((sum, style) => sum + byteLength(style[0]), 0);
+      breakdown.inlineStyles += inlineStyles;
+      breakdown.markup += byteLength(token) - inlineStyles;
+    }
+  }
+  addText(html.slice(last));
+  return breakdown;
+}
+
+/**
+ * Size of the HTML after minification
+ */
+export function minifiedSize(html) {
+  const bytes = byteLength(html);
+  const minifiedBytes = byteLength(minify(html, MINIFY_OPTIONS));
+  return { bytes: minifiedBytes, savedBytes: bytes - minifiedBytes, savedPercent: share(bytes - minifiedBytes, bytes) };
+}
+
+/**
+ * Status of an HTML size against a budget and Gmail's clipping point
+ * Returns { status: 'ok' | 'warning' | 'over-budget' | 'clipped', passed, message }.
+ */
+export function sizeStatus(bytes, budgetBytes, gmailClipBytes = HTML_SIZE.gmailClipBytes) {
+  if (bytes > gmailClipBytes) {
+    return {
+      status: 'clipped',
+      passed: false,
+      message: `${formatKb(bytes)} will be clipped in Gmail, which cuts off HTML over ${formatKb(gmailClipBytes)}`,
+    };
+  }
+  if (bytes > budgetBytes) {
+    return { status: 'over-budget', passed: false, message: `${formatKb(bytes)} exceeds its ${formatKb(budgetBytes)} budget` };
+  }
+  if (bytes > budgetBytes * HTML_SIZE.warningRatio) {
+    return {
+      status: 'warning',
+      passed: true,
+      message: `${formatKb(bytes)} uses ${Math.round(share(bytes, budgetBytes))}% of its ${formatKb(budgetBytes)} budget`,
+    };
+  }
+  return { status: 'ok', passed: true, message: `${formatKb(bytes)} (budget ${formatKb(budgetBytes)})` };
+}
+
+/**
+ * Put a marker comment around every component below a container
+ * Returns the marked MJML and the components, each { tag, origin, parent }.
+ */
+function markComponents(mjml, sourceMap) {
+  const components = [];
+  const stack = [];
+  let marked = '';
+  let last = 0;
+  let line = 1;
+  let lineIndex = 0;
+
+  const originAt = (index) => {
+    for (let i = mjml.indexOf('\n', lineIndex); i !== -1 && i < index; i = mjml.indexOf('\n', i + 1)) {
+      line++;
+      lineIndex = i + 1;
+    }
+    return sourceMap.lookup(line);
+  };
+
+  for (const match of mjml.matchAll(MJML_TOKEN_REGEX)) {
+    const [token, closing, tag, , selfClosing] = match;
+    if (!tag) {
+      continue;
+    }
+    if (closing) {
+      const component = stack.pop();
+      marked += mjml.slice(last, match.index + token.length);
+      last = match.index + token.length;
+      if (component && component.id !== null) {
+        marked += `<mj-raw><!--/size-marker:${component.id}--></mj-raw>`;
+      }
+      continue;
+    }
+
+    const parent = stack[stack.length - 1];
+    const measured = parent && CONTAINER_TAGS.has(parent.tag);
+    const id = measured ? components.push({ tag, origin: originAt(match.index), parent: parent.id }) - 1 : null;
+    marked += mjml.slice(last, match.index);
+    last = match.index;
+    if (measured) {
+      marked += `<mj-raw><!--size-marker:${id}--></mj-raw>`;
+    }
+    if (selfClosing) {
+      marked += token;
+      last = match.index + token.length;
+      if (measured) {
+        marked += `<mj-raw><!--/size-marker:${id}--></mj-raw>`;
+      }
+    } else {
+      stack.push({ tag, id });
+    }
+  }
+  return { marked: marked + mjml.slice(last), components };
+}
+
+/**
+ * Scale byte counts to `total`, keeping integers that add up to it
+ */
+function scaleTo(weights, total) {
+  const sum = [...weights.values()].reduce((a, b) => a + b, 0);
+  if (sum === 0) {
+    return weights;
+  }
+  const scaled = new Map([...weights].map(([key, bytes]) => [key, Math.round((bytes * total) / sum)]));
+  const [largest] = [...scaled].sort((a, b) => b[1] - a[1])[0];
+  scaled.set(largest, scaled.get(largest) + total - [...scaled.values()].reduce((a, b) => a + b, 0));
+  return scaled;
+}
+
+/**
+ * Bytes per top-level section and per source file of a rendered template
+ */
+function attributeBytes(rendered, options) {
+  const { root, assetBase, filePath, templateFile, totalBytes } = options;
+  const { marked, components } = markComponents(rendered.mjml, rendered.sourceMap);
+  const compiled = mjml2html(marked, { validationLevel: 'skip', filePath });
+  const html = rewriteAssetUrls(compiled.html, { root, baseUrl: assetBase }).html
+    .replace(SPLIT_CONDITIONAL_REGEX, (match, markers) => markers);
+
+  const topLevel = (id) => {
+    let component = components[id];
+    while (component.parent !== null && components[component.parent]) {
+      id = component.parent;
+      component = components[id];
+    }
+    return id;
+  };
+
+  const sections = new Map();
+  const files = new Map();
+  const add = (section, file, text) => {
+    const bytes = byteLength(text);
+    sections.set(section, (sections.get(section) || 0) + bytes);
+    files.set(file, (files.get(file) || 0) + bytes);
+  };
+
+  // The head is everything MJML generates from mj-head and the component styles
+  const headMatch = rendered.mjml.match(/<mj-head\b/);
+  const headOrigin = headMatch ? rendered.sourceMap.lookup(rendered.mjml.slice(0, headMatch.index).split('\n').length) : null;
+  const headStart = html.search(/<head\b/i);
+  const headEnd = html.search(/<\/head>/i);
+  let body = html;
+  if (headStart !== -1 && headEnd !== -1) {
+    add('head', headOrigin?.file || templateFile, html.slice(headStart, headEnd + '</head>'.length));
+    body = html.slice(0, headStart) + html.slice(headEnd + '</head>'.length);
+  }
+
+  const stack = [];
+  let last = 0;
+  const addSegment = (text) => {
+    const id = stack[stack.length - 1];
+    add(id === undefined ? 'document' : topLevel(id), id === undefined ? templateFile : components[id].origin?.file || templateFile, text);
+  };
+  for (const match of body.matchAll(MARKER_REGEX)) {
+    addSegment(body.slice(last, match.index));
+    last = match.index + match[0].length;
+    if (match[1]) {
+      stack.pop();
+    } else {
+      stack.push(Number(match[2]));
+    }
+  }
+  addSegment(body.slice(last));
+
+  // The head first, then the sections in document order, then the rest of the document
+  const sectionBytes = scaleTo(sections, totalBytes);
+  const order = key => (key === 'head' ? -1 : key === 'document' ? components.length : key);
+  const fileBytes = scaleTo(files, totalBytes);
+  return {
+    sections: [...sectionBytes]
+      .sort(([a], [b]) => order(a) - order(b))
+      .map(([key, bytes]) => {
+        const origin = key === 'head' ? headOrigin : components[key]?.origin;
+        return {
+          name: key === 'head' ? 'mj-head' : components[key]?.tag ?? 'document',
+          file: key === 'document' ? templateFile : origin?.file ?? null,
+          line: origin?.line ?? null,
+          bytes,
+          share: share(bytes, totalBytes),
+        };
+      }),
+    partials: [...fileBytes]
+      .map(([file, bytes]) => ({ file, bytes, share: share(bytes, totalBytes) }))
+      .sort((a, b) => b.bytes - a.bytes),
+  };
+}
+
+/**
+ * Analyze the HTML size of a template in emails/ (`welcome` or `welcome.mjml`)
+ *
+ * Returns { template, bytes, budgetBytes, gmailClipBytes, status, passed,
+ * message, minified, breakdown, sections, partials, errors }. Sections are
+ * { name, file, line, bytes, share } in document order, `share` in % of
+ * `bytes`; partials are { file, bytes, share }, largest first. When the
+ * template fails to render, status is 'error' and the sizes are null.
+ */
+export function analyzeTemplateSize(file, options = {}) {
+  const template = file.replace(/\.mjml$/, '');
+  const {
+    root = PATHS.EMAIL_TEMPLATES,
+    context = loadRenderContext(),
+    assetBase = resolveAssetBase(),
+    budgetBytes = resolveSizeBudget(template),
+  } = options;
+  const result = {
+    template,
+    bytes: null,
+    budgetBytes,
+    gmailClipBytes: HTML_SIZE.gmailClipBytes,
+    status: 'error',
+    passed: false,
+    message: null,
+    minified: null,
+    breakdown: null,
+    sections: [],
+    partials: [],
+    errors: [],
+  };
+
+  const filename = path.join(root, 'emails', `${template}.mjml`);
+  const rendered = renderTemplate(fs.readFileSync(filename, 'utf-8'), { filename, root, context, assetBase });
+  result.errors = rendered.errors;
+  if (rendered.html === null) {
+    result.message = 'Template failed to render';
+    return result;
+  }
+
+  result.bytes = byteLength(rendered.html);
+  Object.assign(result, sizeStatus(result.bytes, budgetBytes));
+  result.minified = minifiedSize(rendered.html);
+  if (!result.passed && result.minified.bytes <= budgetBytes) {
+    result.message += `; minified it would be ${formatKb(result.minified.bytes)}`;
+  }
+  result.breakdown = breakdownHtml(rendered.html);
+  Object.assign(result, attributeBytes(rendered, {
+    root,
+    assetBase,
+    filePath: path.dirname(filename),
+    templateFile: `emails/${template}.mjml`,
+    totalBytes: result.bytes,
+  }));
+  return result;
+}
+
+/**
+ * Append the sizes of an analysis to the size history (one JSON object per line):
+ * { timestamp, templates: { <template>: { bytes, minifiedBytes, budgetBytes, status } } }
+ */
+export function appendSizeHistory(entry, file = PATHS.SIZE_HISTORY) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * The last `limit` records of the size history, oldest first, skipping malformed lines
+ */
+export function readSizeHistory(limit = Infinity, file = PATHS.SIZE_HISTORY) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    })
+    .slice(-limit);
+}
+
+export default {
+  formatKb,
+  breakdownHtml,
+  minifiedSize,
+  sizeStatus,
+  analyzeTemplateSize,
+  appendSizeHistory,
+  readSizeHistory,
+};
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Template Source Map
+ *
+ * Tracks every line of the rendered MJML back to the template or partial line
+ * it came from, so EJS and MJML errors point at the file we edit rather than
+ * at the expanded output.
+ *
+ * Before EJS runs, each file is instrumented: every line that starts outside an
+ * EJS tag gets an invisible marker naming its file and line. Partials get their
+ * markers as they are included (EJS `includer` option). The markers pass
+ * through EJS as literal text; afterwards they are stripped and each output
+ * line takes the marker in effect at its first visible character. Markers never
+ * add or remove newlines, so EJS line numbers stay correct.
+ *
+ * Files are named relative to the templates root with forward slashes, e.g.
+ * `emails/welcome.mjml` or `shared/partials/footer.ejs`, as in the dependency
+ * graph.
+ */
+
+const MARKER_START = '\uE000';
+const MARKER_END = '\uE001';
+const MARKER_REGEX = /\uE000(\d+):(\d+)\uE001/g;
+
+// Header and context lines EJS puts in front of a runtime error, once per template on the stack
+const RETHROW_REGEX = /^(.+):(\d+)\n(?:(?: >> | {4})\d+\| .*\n)+\n/;
+const COMPILE_ERROR_REGEX = /^([\s\S]*?) in (.+?) while compiling ejs/;
+
+/**
+ * Source map for one render: instruments files and maps output lines and EJS
+ * errors back to them
+ */
+export class TemplateSourceMap {
+  constructor(root) {
+    this.root = root;
+    this.files = [];
+    this.lines = [];
+  }
+
+  relativePath(filename) {
+    return path.relative(this.root, filename).split(path.sep).join('/');
+  }
+
+  fileIndex(filename) {
+    const file = this.relativePath(filename);
+    const index = this.files.indexOf(file);
+    return index === -1 ? this.files.push(file) - 1 : index;
+  }
+
+  /**
+   * Mark the start of every line of `content` that is not inside an EJS tag
+   */
+  instrument(content, filename) {
+    const index = this.fileIndex(filename);
+    let output = '';
+    let inTag = false;
+    let line = 1;
+    let lineStart = true;
+
+    for (let i = 0; i < content.length;) {
+      if (lineStart && !inTag) {
+        output += `${MARKER_START}${index}:${line}${MARKER_END}`;
+      }
+      lineStart = false;
+
+      const token = !inTag && content.startsWith('<%%', i) ? '<%%'
+        : !inTag && content.startsWith('<%', i) ? '<%'
+          : inTag && content.startsWith('%>', i) ? '%>'
+            : content[i];
+      if (token === '<%' || token === '%>') {
+        inTag = token === '<%';
+      }
+      output += token;
+      i += token.length;
+      if (token === '\n') {
+        line++;
+        lineStart = true;
+      }
+    }
+    return output;
+  }
+
+  /**
+   * For the EJS `includer` option: hand EJS the instrumented partial
+   * A missing partial throws, so EJS reports it against the include() line.
+   */
+  include(originalPath, parsedPath) {
+    let content;
+    try {
+      content = fs.readFileSync(parsedPath, 'utf-8');
+    } catch {
+      // EJS resolves only paths that exist
+      throw new Error(`Include not found: ${parsedPath ? this.relativePath(parsedPath) : originalPath}`);
+    }
+    return { filename: parsedPath, template: this.instrument(content, parsedPath) };
+  }
+
+  /**
+   * Remove the markers from the EJS output and record where each line came from
+   */
+  strip(output) {
+    let active = null;
+    this.lines = [];
+    const stripped = output.split('\n').map((text) => {
+      let origin = null;
+      let plain = '';
+      let last = 0;
+      for (const match of text.matchAll(MARKER_REGEX)) {
+        const before = text.slice(last, match.index);
+        if (origin === null && before.trim()) {
+          origin = active;
+        }
+        plain += before;
+        active = { file: this.files[Number(match[1])], line: Number(match[2]) };
+        last = match.index + match[0].length;
+      }
+      const rest = text.slice(last);
+      if (origin === null && rest.trim()) {
+        origin = active;
+      }
+      this.lines.push(origin || active);
+      return plain + rest;
+    });
+    return stripped.join('\n');
+  }
+
+  /**
+   * Source file and line of a (1-based) line of the stripped output
+   */
+  lookup(line) {
+    return this.lines[line - 1] || null;
+  }
+
+  /**
+   * File, line and message of an EJS error, from the innermost template on the stack
+   */
+  mapEjsError(error) {
+    let message = String(error.message || error).replace(MARKER_REGEX, '');
+    let origin = null;
+
+    let header;
+    while ((header = message.match(RETHROW_REGEX))) {
+      origin = { file: this.relativePath(header[1]), line: Number(header[2]) };
+      message = message.slice(header[0].length);
+    }
+
+    const compileError = message.match(COMPILE_ERROR_REGEX);
+    if (compileError) {
+      message = compileError[1];
+      origin = { file: this.relativePath(compileError[2]), line: null };
+    }
+
+    return {
+      message: message.trim(),
+      file: origin?.file ?? (error.path ? this.relativePath(error.path) : null),
+      line: origin?.line ?? null,
+    };
+  }
+}
+
+export default TemplateSourceMap;
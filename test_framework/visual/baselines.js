@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import { PATHS, TIMEOUTS, VISUAL_BASELINES } from '../config/constants.js';
+
+/**
+ * Visual Baselines
+ *
+ * Approved screenshots of each template (baselines/<template>/<viewport>.png)
+ * that later runs are compared against, so a template is checked against its
+ * own history instead of only against the base template.
+ *
+ * Every run captures the templates it tests into output/baseline-captures and
+ * records which run produced them (captures.json). Approving copies those
+ * captures over the baselines and notes the approval in baselines/manifest.json.
+ */
+
+const MANIFEST_FILE = 'manifest.json';
+const CAPTURES_FILE = 'captures.json';
+const TEMPLATE_NAME_REGEX = /^[\w-]+$/;
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function padImage(img, width, height) {
+  if (img.width === width && img.height === height) {
+    return img.data;
+  }
+  const padded = Buffer.alloc(width * height * 4, 255);
+  for (let y = 0; y < img.height; y++) {
+    img.data.copy(padded, y * width * 4, y * img.width * 4, (y + 1) * img.width * 4);
+  }
+  return padded;
+}
+
+function copyImage(dest, src, offsetX, offsetY) {
+  for (let y = 0; y < src.height; y++) {
+    src.data.copy(dest.data, ((y + offsetY) * dest.width + offsetX) * 4, y * src.width * 4, (y + 1) * src.width * 4);
+  }
+}
+
+/**
+ * Pixel diff of two screenshots
+ * Writes the diff image and, when requested, a baseline | current | diff strip.
+ */
+export function compareImages(basePath, comparePath, { diffPath, sideBySidePath } = {}) {
+  const baseImg = PNG.sync.read(fs.readFileSync(basePath));
+  const compareImg = PNG.sync.read(fs.readFileSync(comparePath));
+
+  const width = Math.max(baseImg.width, compareImg.width);
+  const height = Math.max(baseImg.height, compareImg.height);
+  const diff = new PNG({ width, height });
+
+  const numDiffPixels = pixelmatch(
+    padImage(baseImg, width, height),
+    padImage(compareImg, width, height),
+    diff.data,
+    width,
+    height,
+    { threshold: 0.1, includeAA: true, diffColor: [255, 0, 128], diffColorAlt: [255, 255, 0], alpha: 0.1 }
+  );
+
+  if (diffPath) {
+    fs.writeFileSync(diffPath, PNG.sync.write(diff));
+  }
+
+  if (sideBySidePath) {
+    const padding = 10;
+    const sideBySide = new PNG({ width: width * 3 + padding * 4, height: height + padding * 2 });
+    sideBySide.data.fill(255);
+    copyImage(sideBySide, baseImg, padding, padding);
+    copyImage(sideBySide, compareImg, width + padding * 2, padding);
+    copyImage(sideBySide, diff, width * 2 + padding * 3, padding);
+    fs.writeFileSync(sideBySidePath, PNG.sync.write(sideBySide));
+  }
+
+  return { diffPercentage: (numDiffPixels / (width * height)) * 100, width, height };
+}
+
+export class BaselineStore {
+  constructor(options = {}) {
+    this.dir = options.dir || VISUAL_BASELINES.dir;
+    this.capturesDir = options.capturesDir || VISUAL_BASELINES.capturesDir;
+    this.diffsDir = options.diffsDir || PATHS.OUTPUT_DIFFS;
+    this.viewports = options.viewports || VISUAL_BASELINES.viewports;
+    this.threshold = options.threshold ?? VISUAL_BASELINES.threshold;
+  }
+
+  baselinePath(template, viewport) {
+    return path.join(this.dir, template, `${viewport}.png`);
+  }
+
+  capturePath(template, viewport) {
+    return path.join(this.capturesDir, template, `${viewport}.png`);
+  }
+
+  /**
+   * Whether a template has an approved screenshot for every viewport
+   */
+  has(template) {
+    return this.viewports.every(vp => fs.existsSync(this.baselinePath(template, vp.name)));
+  }
+
+  readManifest() {
+    return readJson(path.join(this.dir, MANIFEST_FILE), { templates: {} });
+  }
+
+  /**
+   * Run id, time and templates of the latest captures
+   */
+  readCaptures() {
+    return readJson(path.join(this.capturesDir, CAPTURES_FILE), null);
+  }
+
+  /**
+   * Approved baselines per template, plus the captures waiting for approval
+   */
+  list() {
+    const manifest = this.readManifest();
+    const templates = fs.existsSync(this.dir)
+      ? fs.readdirSync(this.dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name).sort()
+      : [];
+
+    return {
+      viewports: this.viewports,
+      threshold: this.threshold,
+      baselines: templates.map(template => ({
+        template,
+        approvedAt: manifest.templates[template]?.approvedAt || null,
+        runId: manifest.templates[template]?.runId || null,
+        viewports: this.viewports
+          .filter(vp => fs.existsSync(this.baselinePath(template, vp.name)))
+          .map(vp => vp.name),
+      })),
+      captures: this.readCaptures(),
+    };
+  }
+
+  /**
+   * Screenshot a template at every viewport into the captures directory
+   */
+  async capture(page, template, html) {
+    fs.mkdirSync(path.join(this.capturesDir, template), { recursive: true });
+    for (const viewport of this.viewports) {
+      await page.setViewportSize({ width: viewport.width, height: viewport.height });
+      await page.setContent(html, { waitUntil: 'networkidle', timeout: TIMEOUTS.screenshot });
+      await page.screenshot({ path: this.capturePath(template, viewport.name), fullPage: true, timeout: TIMEOUTS.screenshot });
+    }
+  }
+
+  /**
+   * Note which run produced the current captures, so only its report can approve them
+   */
+  recordCaptures(runId, templates) {
+    fs.mkdirSync(this.capturesDir, { recursive: true });
+    const captures = { runId: runId || null, capturedAt: new Date().toISOString(), templates };
+    fs.writeFileSync(path.join(this.capturesDir, CAPTURES_FILE), JSON.stringify(captures, null, 2), 'utf-8');
+    return captures;
+  }
+
+  /**
+   * Compare the captured screenshots of a template against its baselines
+   * A viewport without an approved baseline is MISSING; the template FAILs
+   * when any viewport differs by more than the threshold.
+   */
+  compare(template) {
+    fs.mkdirSync(this.diffsDir, { recursive: true });
+
+    const viewports = this.viewports.map(({ name }) => {
+      const baselinePath = this.baselinePath(template, name);
+      const capturePath = this.capturePath(template, name);
+      if (!fs.existsSync(baselinePath) || !fs.existsSync(capturePath)) {
+        return { viewport: name, status: 'MISSING' };
+      }
+
+      const diffPath = path.join(this.diffsDir, `baseline-diff-${template}-${name}.png`);
+      const sideBySidePath = path.join(this.diffsDir, `baseline-comparison-${template}-${name}.png`);
+      const { diffPercentage } = compareImages(baselinePath, capturePath, { diffPath, sideBySidePath });
+
+      return {
+        viewport: name,
+        status: diffPercentage <= this.threshold ? 'PASS' : 'FAIL',
+        diffPercentage: diffPercentage.toFixed(2),
+        diffPath: path.basename(diffPath),
+        sideBySidePath: path.basename(sideBySidePath),
+      };
+    });
+
+    const status = viewports.some(v => v.status === 'FAIL')
+      ? 'FAIL'
+      : viewports.some(v => v.status === 'MISSING') ? 'MISSING' : 'PASS';
+
+    return { template, status, threshold: this.threshold, viewports };
+  }
+
+  /**
+   * Promote the current captures to approved baselines
+   * Defaults to every captured template; with a runId the captures must come from that run.
+   */
+  approve(templates = null, { runId } = {}) {
+    const captures = this.readCaptures();
+    if (!captures) {
+      throw new Error('No captured screenshots to approve');
+    }
+    if (runId && captures.runId !== runId) {
+      throw new Error(`Captured screenshots belong to run ${captures.runId}, not ${runId}`);
+    }
+
+    const invalid = (templates || []).filter(t => !TEMPLATE_NAME_REGEX.test(t));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid template name: ${invalid.join(', ')}`);
+    }
+
+    const manifest = this.readManifest();
+    const approvedAt = new Date().toISOString();
+    const approved = [];
+
+    for (const template of templates || captures.templates) {
+      const viewports = this.viewports
+        .map(vp => vp.name)
+        .filter(name => fs.existsSync(this.capturePath(template, name)));
+      if (viewports.length === 0) {
+        continue;
+      }
+
+      fs.mkdirSync(path.join(this.dir, template), { recursive: true });
+      for (const name of viewports) {
+        fs.copyFileSync(this.capturePath(template, name), this.baselinePath(template, name));
+      }
+      manifest.templates[template] = { approvedAt, runId: captures.runId, viewports };
+      approved.push(template);
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+    return { approved, runId: captures.runId, approvedAt };
+  }
+}
+
+export default {
+  compareImages,
+  BaselineStore,
+};
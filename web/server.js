@@ -7,10 +7,7 @@ import express from 'express';
 import path from 'path';
 import fs from 'fs';
 import { spawn } from 'child_process';
-import https from 'https';
-import { fileURLToPath } from 'url';
-import ejs from 'ejs';
-import mjml2html from 'mjml';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -43,30 +40,20 @@ const DIFFS_DIR = path.resolve(TEST_FRAMEWORK_DIR, 'output/diffs');
 });
 
 // ============================================================================
-// FILE PATTERN HELPERS
+// RUN HISTORY HELPERS
 // ============================================================================
 
-const FILE_PATTERNS = {
-  testPlanRegex: /test-plan-(.+)/,
-  logFileRegex: /test-(.+)\.log/,
-  reportFileRegex: /report-(.+)/,
-};
+// Load the run history index from the test framework
+const loadRunsModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'runs/run-store.js')).href);
 
-const extractTimestamp = (identifier, type) => {
-  const patterns = {
-    testPlan: FILE_PATTERNS.testPlanRegex,
-    log: FILE_PATTERNS.logFileRegex,
-    report: FILE_PATTERNS.reportFileRegex,
-  };
-  const match = identifier.match(patterns[type]);
-  return match ? match[1] : null;
-};
+// Load the trend aggregation for the Dashboard from the test framework
+const loadTrendsModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'runs/trends.js')).href);
 
-const getLinkedFilePaths = (timestamp) => ({
-  testPlan: path.join(PLANS_DIR, `test-plan-${timestamp}.json`),
-  log: path.join(LOGS_DIR, `test-${timestamp}.log`),
-  report: path.join(ARTIFACTS_DIR, `report-${timestamp}.html`),
-});
+// Load the approved visual baselines from the test framework
+const loadBaselinesModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'visual/baselines.js')).href);
 
 const deleteIfExists = (filePath) => {
   if (fs.existsSync(filePath)) {
@@ -76,13 +63,21 @@ const deleteIfExists = (filePath) => {
   return false;
 };
 
-const deleteLinkedFiles = (timestamp, excludeType = null) => {
-  const paths = getLinkedFilePaths(timestamp);
-  const deleted = { testPlan: false, log: false, report: false };
-  if (excludeType !== 'testPlan') deleted.testPlan = deleteIfExists(paths.testPlan);
-  if (excludeType !== 'log') deleted.log = deleteIfExists(paths.log);
-  if (excludeType !== 'report') deleted.report = deleteIfExists(paths.report);
-  return deleted;
+// Delete an artifact; if a recorded run produced it, delete the whole run with its other artifacts
+const deleteArtifact = async (type, filePath) => {
+  const { RunStore } = await loadRunsModule();
+  const runStore = new RunStore();
+  const run = runStore.findByArtifact(path.basename(filePath));
+  if (run) {
+    return { runId: run.id, deleted: runStore.deleteWithArtifacts(run.id) };
+  }
+  return { runId: null, deleted: { [type]: deleteIfExists(filePath) } };
+};
+
+// Map of artifact file name to run id, for tagging list entries with their run
+const loadArtifactIndex = async () => {
+  const { RunStore } = await loadRunsModule();
+  return new RunStore().artifactIndex();
 };
 
 // State
@@ -92,7 +87,28 @@ let testState = {
   currentTest: null,
   pipelineStep: null,
   stepDescription: null,
-  logs: []
+  logs: [],
+  results: []
+};
+
+// ============================================================================
+// LIVE EVENTS
+// ============================================================================
+
+// Open GET /api/events responses (Server-Sent Events)
+const eventClients = new Set();
+
+// Log lines of the current run kept for clients that connect mid-run
+const MAX_BUFFERED_LOG_LINES = 5000;
+
+// Comment sent on idle streams so proxies do not close them
+const EVENTS_HEARTBEAT_INTERVAL = 15000;
+
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const broadcastEvent = (event, data) => {
+  const message = formatEvent(event, data);
+  eventClients.forEach(client => client.write(message));
 };
 
 // Default API key from environment (fallback)
@@ -108,8 +124,10 @@ let apiState = {
 // Auto-test setting
 let autoTestEnabled = false;
 
-// Test mode setting: 'strict' or 'weak'
-let testMode = 'strict';
+// Test mode setting: 'regression' (templates must match base) or 'variation' (declared differences allowed)
+const TEST_MODES = ['regression', 'variation'];
+const LEGACY_TEST_MODES = { strict: 'regression', weak: 'variation' };
+let testMode = 'regression';
 
 // Get the active API key (user's key or default)
 const getActiveApiKey = () => {
@@ -119,6 +137,67 @@ const getActiveApiKey = () => {
   return DEFAULT_API_KEY;
 };
 
+// AI provider setting: which LLM backend the agents use, plus optional endpoint/model overrides
+const AI_PROVIDERS = {
+  anthropic: { apiKeyEnv: 'ANTHROPIC_API_KEY', baseUrlEnv: 'ANTHROPIC_BASE_URL', modelEnv: 'ANTHROPIC_MODEL' },
+  openai: { apiKeyEnv: 'OPENAI_API_KEY', baseUrlEnv: 'OPENAI_BASE_URL', modelEnv: 'OPENAI_MODEL' },
+  replay: {},
+  none: {}
+};
+const DEFAULT_AI_PROVIDER = AI_PROVIDERS[process.env.AI_PROVIDER] ? process.env.AI_PROVIDER : 'anthropic';
+let aiProviderSettings = { provider: DEFAULT_AI_PROVIDER, baseUrl: '', model: '' };
+
+// Get the API key for the selected provider (custom key, or the provider's env key)
+const getProviderApiKey = () => {
+  const { provider } = aiProviderSettings;
+  if (provider === 'anthropic') return getActiveApiKey();
+  if (apiState.apiKey && !apiState.useDefaultKey) return apiState.apiKey;
+  const { apiKeyEnv } = AI_PROVIDERS[provider];
+  return apiKeyEnv ? process.env[apiKeyEnv] || null : null;
+};
+
+// Add the AI provider settings to the environment of a pipeline process
+const applyProviderEnv = (env) => {
+  const { provider, baseUrl, model } = aiProviderSettings;
+  const config = AI_PROVIDERS[provider];
+  const apiKey = getProviderApiKey();
+
+  env.AI_PROVIDER = provider;
+  if (apiKey && config.apiKeyEnv) env[config.apiKeyEnv] = apiKey;
+  if (baseUrl && config.baseUrlEnv) env[config.baseUrlEnv] = baseUrl;
+  if (model && config.modelEnv) env[config.modelEnv] = model;
+  return env;
+};
+
+// Load the provider layer from the test framework at runtime (resolves its own dependencies)
+const loadProviderModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'providers/index.js')).href);
+
+// Load the price table and usage log helpers from the test framework
+const loadPricingModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'config/pricing.js')).href);
+
+// Load the agent response cache from the test framework
+const loadCacheModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'cache/response-cache.js')).href);
+
+// Turn a provider error into a message for the Settings page
+const describeProviderError = (error) => {
+  const message = error.message || 'Unknown error';
+  if (error.status === 429 || message.toLowerCase().includes('rate')) {
+    return 'Rate limit exceeded. Please wait or upgrade your plan.';
+  }
+  if (message.toLowerCase().includes('credit') || message.toLowerCase().includes('billing')) {
+    return 'Insufficient credits. Please add funds to your account.';
+  }
+  if (error.status === 401) return 'Invalid API key. Please check your settings.';
+  if (error.name === 'TimeoutError' || error.name === 'APIConnectionTimeoutError') {
+    return 'Request timeout - API took too long to respond';
+  }
+  if (!error.status && error.name !== 'Error') return 'Failed to connect to API: ' + message;
+  return message;
+};
+
 // Load settings
 const loadSettings = () => {
   try {
@@ -129,7 +208,15 @@ const loadSettings = () => {
         apiState.useDefaultKey = data.useDefaultKey !== false;
       }
       autoTestEnabled = data.autoTestEnabled || false;
-      testMode = data.testMode || 'strict';
+      testMode = LEGACY_TEST_MODES[data.testMode] || data.testMode || 'regression';
+      if (!TEST_MODES.includes(testMode)) testMode = 'regression';
+      if (data.aiProvider && AI_PROVIDERS[data.aiProvider.provider]) {
+        aiProviderSettings = {
+          provider: data.aiProvider.provider,
+          baseUrl: data.aiProvider.baseUrl || '',
+          model: data.aiProvider.model || ''
+        };
+      }
     }
   } catch (e) {
     console.warn('Failed to load settings:', e.message);
@@ -142,7 +229,8 @@ const saveSettings = () => {
       apiKey: apiState.apiKey,
       useDefaultKey: apiState.useDefaultKey,
       autoTestEnabled: autoTestEnabled,
-      testMode: testMode
+      testMode: testMode,
+      aiProvider: aiProviderSettings
     }, null, 2));
   } catch (e) {
     console.warn('Failed to save settings:', e.message);
@@ -151,78 +239,130 @@ const saveSettings = () => {
 
 loadSettings();
 
-// Trigger auto-test if enabled
-const triggerAutoTest = (changedTemplate) => {
-  if (!autoTestEnabled || testState.isRunning) return;
+// Pipeline process of the running test. It is spawned detached so it leads its own
+// process group, which also holds the compile and Playwright subprocesses (and their
+// browsers) started by the orchestrator.
+let activeTestProcess = null;
+
+// Grace period for a cancelled pipeline to record its run before the group is killed
+const CANCEL_KILL_TIMEOUT = 10000;
+
+const spawnTestProcess = (env, args = []) => {
+  const child = spawn('node', ['scripts/run-agents.js', ...args], {
+    cwd: TEST_FRAMEWORK_DIR,
+    env,
+    detached: true,
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+  });
+  activeTestProcess = child;
+  child.on('close', () => {
+    if (activeTestProcess === child) activeTestProcess = null;
+  });
+  return child;
+};
 
-  console.log(`[Auto-Test] Triggered by change to: ${changedTemplate}`);
+const signalProcessGroup = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Process group already gone
+  }
+};
+
+// SIGTERM lets run-agents.js record the run as cancelled and save its log; whatever
+// is left of the group afterwards (or after the grace period) is killed
+const cancelTestProcess = () => {
+  const child = activeTestProcess;
+  if (!child) return false;
+
+  signalProcessGroup(child, 'SIGTERM');
+  const timer = setTimeout(() => signalProcessGroup(child, 'SIGKILL'), CANCEL_KILL_TIMEOUT);
+  child.on('close', () => {
+    clearTimeout(timer);
+    signalProcessGroup(child, 'SIGKILL');
+  });
+  return true;
+};
+
+// Load the queue of runs waiting for the pipeline from the test framework
+const loadQueueModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'runs/run-queue.js')).href);
+
+// Descriptor of the pipeline's event channel (NDJSON, see test_framework/events/pipeline-events.js)
+const PIPELINE_EVENTS_FD = 3;
+
+// Apply one pipeline event (phases, log lines, per-test results, artifacts) and push it to event clients
+const handlePipelineEvent = (event) => {
+  const { currentTest } = testState;
+
+  switch (event.type) {
+    case 'run:start':
+      if (currentTest) currentTest.runId = event.runId;
+      break;
+    case 'phase:start':
+      if (currentTest) {
+        Object.assign(currentTest, { step: event.phase, stepDescription: event.description, progress: event.progress });
+        broadcastEvent('progress', { currentTest });
+      }
+      break;
+    case 'log': {
+      const entry = { timestamp: event.time, message: event.message, type: event.level };
+      testState.logs.push(entry);
+      if (testState.logs.length > MAX_BUFFERED_LOG_LINES) testState.logs = testState.logs.slice(-MAX_BUFFERED_LOG_LINES);
+      broadcastEvent('log', { lines: [entry] });
+      break;
+    }
+    case 'test:result': {
+      const { id, name, suite, template, status, duration, assertions } = event;
+      const result = { id, name, suite, template, status, duration, assertions };
+      testState.results.push(result);
+      broadcastEvent('test-result', result);
+      break;
+    }
+    case 'artifact':
+      if (currentTest) currentTest.artifacts = { ...currentTest.artifacts, [event.kind]: event.path };
+      break;
+  }
+};
+
+// Start a queued job (templates: [] tests all templates); the next job starts when it closes
+const startTestRun = (job) => {
+  const autoTriggered = job.trigger === 'auto';
+  const logPrefix = autoTriggered ? '[Auto-Test] ' : '';
 
   testState.isRunning = true;
   testState.logs = [];
+  testState.results = [];
   testState.currentTest = {
     startedAt: new Date().toISOString(),
     status: 'running',
-    templates: [changedTemplate],
+    jobId: job.id,
+    trigger: job.trigger,
+    templates: job.templates.length > 0 ? job.templates : 'all',
+    ...(job.resume && { resume: job.resume }),
     step: 'init',
-    stepDescription: 'Auto-test triggered by file change...',
+    stepDescription: job.resume
+      ? `Resuming run ${job.resume}...`
+      : autoTriggered ? 'Auto-test triggered by file change...' : 'Initializing test pipeline...',
     progress: 0
   };
+  broadcastEvent('run-start', { currentTest: testState.currentTest });
 
-  const testEnv = { ...process.env };
-  const activeKey = getActiveApiKey();
-  if (activeKey) testEnv.ANTHROPIC_API_KEY = activeKey;
-  testEnv.TEST_TEMPLATES = changedTemplate;
+  const testEnv = applyProviderEnv({ ...process.env });
+  if (job.templates.length > 0) testEnv.TEST_TEMPLATES = job.templates.join(',');
   testEnv.TEST_MODE = testMode; // Pass test mode to the pipeline
 
-  const testProcess = spawn('node', ['scripts/run-agents.js'], {
-    cwd: TEST_FRAMEWORK_DIR,
-    env: testEnv
-  });
+  testEnv.PIPELINE_EVENTS_FD = String(PIPELINE_EVENTS_FD);
+
+  // A resumed run continues from its checkpoints with its own templates and mode
+  const testProcess = spawnTestProcess(testEnv, job.resume ? ['--resume', job.resume] : []);
 
   let output = '';
+  let partialEvent = '';
 
   testProcess.stdout.on('data', (data) => {
-    const text = data.toString();
-    output += text;
-    console.log(text);
-
-    const lines = text.split('\n').filter(l => l.trim());
-    lines.forEach(line => {
-      testState.logs.push({
-        timestamp: new Date().toISOString(),
-        message: line,
-        type: line.includes('Error') ? 'error' : line.includes('Warning') ? 'warning' :
-              line.includes('Complete') ? 'success' : line.includes('[STEP:') ? 'step' : 'info'
-      });
-    });
-    if (testState.logs.length > 200) testState.logs = testState.logs.slice(-200);
-
-    // Update step (order: planner → analyzer → diff → generator → playwright → reporter)
-    if (text.includes('[STEP:planner]')) {
-      testState.currentTest.step = 'planner';
-      testState.currentTest.stepDescription = 'Analyzing requirements...';
-      testState.currentTest.progress = 15;
-    } else if (text.includes('[STEP:analyzer]')) {
-      testState.currentTest.step = 'analyzer';
-      testState.currentTest.stepDescription = 'Detecting changes...';
-      testState.currentTest.progress = 30;
-    } else if (text.includes('[STEP:diff]')) {
-      testState.currentTest.step = 'diff';
-      testState.currentTest.stepDescription = 'Comparing templates...';
-      testState.currentTest.progress = 45;
-    } else if (text.includes('[STEP:generator]')) {
-      testState.currentTest.step = 'generator';
-      testState.currentTest.stepDescription = 'AI generating test cases...';
-      testState.currentTest.progress = 60;
-    } else if (text.includes('[STEP:playwright]')) {
-      testState.currentTest.step = 'playwright';
-      testState.currentTest.stepDescription = 'Running AI-generated tests...';
-      testState.currentTest.progress = 75;
-    } else if (text.includes('[STEP:reporter]')) {
-      testState.currentTest.step = 'reporter';
-      testState.currentTest.stepDescription = 'Generating report...';
-      testState.currentTest.progress = 90;
-    }
+    output += data.toString();
+    console.log(data.toString());
   });
 
   testProcess.stderr.on('data', (data) => {
@@ -230,60 +370,161 @@ const triggerAutoTest = (changedTemplate) => {
     console.error(data.toString());
   });
 
+  // Only complete lines are parsed; the rest waits for the next chunk
+  testProcess.stdio[PIPELINE_EVENTS_FD].on('data', (data) => {
+    const lines = (partialEvent + data.toString()).split('\n');
+    partialEvent = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        console.warn('Ignoring malformed pipeline event:', line);
+        return;
+      }
+      handlePipelineEvent(event);
+    });
+  });
+
   testProcess.on('close', (code) => {
     testState.isRunning = false;
     const completedAt = new Date().toISOString();
+    const cancelled = testState.currentTest?.status === 'cancelling';
 
     testState.lastResult = {
-      status: code === 0 ? 'complete' : 'error',
+      status: cancelled ? 'cancelled' : code === 0 ? 'complete' : 'error',
       exitCode: code,
       completedAt,
       output: output.slice(-5000),
-      autoTriggered: true
+      jobId: job.id,
+      ...(autoTriggered && { autoTriggered: true })
     };
     testState.currentTest = null;
+    broadcastEvent('complete', { lastResult: testState.lastResult });
 
     // Note: Logs and reports are saved by the CLI pipeline (run-agents.js and report-generator-agent.js)
     // No need to save duplicates here - just log completion
-    console.log(`[Auto-Test] Completed with exit code ${code}`);
+    console.log(`${logPrefix}Test completed with exit code ${code}`);
+
+    runNextQueuedJob().catch(error => console.error('Failed to start queued run:', error.message));
   });
 };
 
-// Template metadata
-const TEMPLATE_META = {
-  'site_visitor_welcome': {
-    name: 'Site Visitor Welcome',
-    description: 'Base template - Standard welcome email with blue color scheme',
-    type: 'base'
-  },
-  'site_visitor_welcome_partner_a': {
-    name: 'Partner A Welcome',
-    description: 'Partner A variation - Same content, green color scheme',
-    type: 'partner_a'
-  },
-  'site_visitor_welcome_partner_b': {
-    name: 'Partner B Welcome',
-    description: 'Partner B variation - Same colors, different content',
-    type: 'partner_b'
+// Start the next queued job unless a run is in progress; returns the started job (or null)
+const runNextQueuedJob = async () => {
+  const { RunQueue } = await loadQueueModule();
+  if (testState.isRunning) return null;
+
+  const queue = new RunQueue();
+  const job = queue.shift();
+  if (job) {
+    startTestRun(job);
+    broadcastEvent('queue', { jobs: queue.list() });
+  }
+  return job;
+};
+
+// Queue a run request and start it straight away when the pipeline is idle
+const requestTestRun = async (request) => {
+  const { RunQueue } = await loadQueueModule();
+  const queue = new RunQueue();
+  const queued = queue.enqueue(request);
+  broadcastEvent('queue', { jobs: queue.list() });
+  const started = await runNextQueuedJob();
+  if (started?.id === queued.job.id) {
+    return { status: 'started', job: started };
   }
+  return { status: 'queued', ...queued };
 };
 
-// Helper: Process EJS includes
-const processIncludes = (content, currentDir, depth = 0) => {
-  if (depth > 10) return content;
-  return content.replace(/<%[-_]?\s*include\s*\(\s*['"]([^'"]+)['"](?:\s*,\s*\{[^}]*\})?\s*\)\s*%>/g, (match, includePath) => {
-    try {
-      let includeFullPath = path.resolve(currentDir, includePath);
-      if (!path.extname(includeFullPath)) includeFullPath += '.ejs';
-      if (fs.existsSync(includeFullPath)) {
-        const includeContent = fs.readFileSync(includeFullPath, 'utf-8');
-        return processIncludes(includeContent, path.dirname(includeFullPath), depth + 1);
-      }
-    } catch (e) {
-      console.warn(`Warning: Could not include ${includePath}: ${e.message}`);
+// Load the template/partial include graph from the test framework
+const loadDependencyGraphModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'templates/dependency-graph.js')).href);
+
+// Load the shared MJML+EJS renderer from the test framework
+const loadRendererModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'templates/renderer.js')).href);
+
+// Load the .eml builder from the test framework
+const loadEmlExportModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'templates/eml-export.js')).href);
+
+// Load the asset fingerprinting and URL rewriting from the test framework
+const loadAssetsModule = () =>
+  import(pathToFileURL(path.join(TEST_FRAMEWORK_DIR, 'templates/assets.js')).href);
+
+// Trigger auto-test if enabled (queued behind a run in progress)
+// Only the templates the changed file reaches through the include graph are tested
+const triggerAutoTest = async (changedFile) => {
+  if (!autoTestEnabled) return;
+
+  try {
+    const { buildDependencyGraph, findAffectedTemplates } = await loadDependencyGraphModule();
+    const templates = findAffectedTemplates(buildDependencyGraph(TEMPLATES_DIR), changedFile, TEMPLATES_DIR);
+    if (templates.length === 0) {
+      console.log(`[Auto-Test] Change to ${changedFile} affects no templates`);
+      return;
     }
-    return match;
-  });
+
+    const { status, position, coalesced } = await requestTestRun({ templates, trigger: 'auto' });
+    if (status === 'started') {
+      console.log(`[Auto-Test] Triggered by change to ${changedFile}: ${templates.join(', ')}`);
+    } else {
+      console.log(`[Auto-Test] Change to ${changedFile} ${coalesced ? 'merged into' : 'queued at'} position ${position}`);
+    }
+  } catch (error) {
+    console.error('[Auto-Test] Failed to queue run:', error.message);
+  }
+};
+
+// Template registry (email_templates/templates.json) - single source of truth for template metadata
+const TEMPLATE_REGISTRY_FILE = path.join(TEMPLATES_DIR, 'templates.json');
+
+// Load the template registry (re-read on every call so edits apply without a restart)
+const loadTemplateRegistry = () => {
+  try {
+    return JSON.parse(fs.readFileSync(TEMPLATE_REGISTRY_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn('Failed to load template registry:', e.message);
+    return { baseTemplate: null, templates: {} };
+  }
+};
+
+// Save the template registry
+const saveTemplateRegistry = (registry) => {
+  fs.writeFileSync(TEMPLATE_REGISTRY_FILE, JSON.stringify(registry, null, 2) + '\n');
+};
+
+// Register a newly created template, inheriting the comparison settings of its source
+const registerTemplate = (templateName, displayName, copyFrom) => {
+  const registry = loadTemplateRegistry();
+  const sourceName = copyFrom ? copyFrom.replace('.mjml', '') : null;
+  const source = sourceName ? registry.templates[sourceName] : null;
+  const isCopyOfBase = sourceName && sourceName === registry.baseTemplate;
+
+  registry.templates[templateName] = {
+    file: `${templateName}.mjml`,
+    name: displayName,
+    description: '',
+    type: 'custom',
+    owner: source?.owner || '',
+    ...(source?.subject && { subject: source.subject }),
+    ...(source?.sizeBudgetKb && { sizeBudgetKb: source.sizeBudgetKb }),
+    ...(source && {
+      baseTemplate: isCopyOfBase ? sourceName : source.baseTemplate,
+      expectedDifference: isCopyOfBase ? 'none' : source.expectedDifference
+    })
+  };
+  saveTemplateRegistry(registry);
+};
+
+// Remove a deleted template from the registry
+const unregisterTemplate = (templateName) => {
+  const registry = loadTemplateRegistry();
+  if (registry.templates[templateName]) {
+    delete registry.templates[templateName];
+    saveTemplateRegistry(registry);
+  }
 };
 
 // API: List templates
@@ -291,10 +532,11 @@ app.get('/api/templates', (req, res) => {
   try {
     const emailsDir = path.join(TEMPLATES_DIR, 'emails');
     const files = fs.readdirSync(emailsDir).filter(f => f.endsWith('.mjml'));
+    const registry = loadTemplateRegistry();
 
     const templates = files.map(file => {
       const name = file.replace('.mjml', '');
-      const meta = TEMPLATE_META[name] || {};
+      const meta = registry.templates[name] || {};
       const stats = fs.statSync(path.join(emailsDir, file));
 
       return {
@@ -302,6 +544,10 @@ app.get('/api/templates', (req, res) => {
         name: meta.name || name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
         description: meta.description || '',
         type: meta.type || 'base',
+        owner: meta.owner || null,
+        isBase: name === registry.baseTemplate,
+        baseTemplate: meta.baseTemplate || null,
+        expectedDifference: meta.expectedDifference || null,
         fileInfo: { size: stats.size, modified: stats.mtime }
       };
     });
@@ -312,6 +558,16 @@ app.get('/api/templates', (req, res) => {
   }
 });
 
+// API: Which shared partials each template includes (directly or nested), and which templates use each partial
+app.get('/api/templates/dependencies', async (req, res) => {
+  try {
+    const { buildDependencyGraph } = await loadDependencyGraphModule();
+    res.json(buildDependencyGraph(TEMPLATES_DIR));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API: Serve templates and static assets
 app.get('/templates/*', (req, res) => {
   const urlPath = req.params[0];
@@ -336,17 +592,30 @@ app.get('/templates/*', (req, res) => {
       return;
     }
 
-    // Handle text files (MJML, EJS, etc.)
-    let content = fs.readFileSync(filePath, 'utf-8');
-    if (ext === '.mjml') {
-      content = processIncludes(content, path.dirname(filePath));
-    }
-    res.type('text/plain').send(content);
+    // Handle text files (MJML, EJS, etc.) as stored; includes are resolved by the renderer
+    res.type('text/plain').send(fs.readFileSync(filePath, 'utf-8'));
   } else {
     res.status(404).json({ error: 'File not found' });
   }
 });
 
+// Fingerprinted template assets (the local asset base): /email-assets/shared/carebox_logo.<hash>.png
+app.get('/email-assets/*', async (req, res) => {
+  try {
+    const { ASSET_CONTENT_TYPES, findFingerprintedAsset } = await loadAssetsModule();
+    const filePath = findFingerprintedAsset(req.params[0], TEMPLATES_DIR);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.type(ASSET_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream');
+    // The name changes with the content
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.send(fs.readFileSync(filePath));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API: Get test data
 app.get('/api/test-data', (req, res) => {
   try {
@@ -358,6 +627,62 @@ app.get('/api/test-data', (req, res) => {
   }
 });
 
+// API: Render a template and its plain-text alternative with the test framework's renderer (EJS, then MJML) and the sample data,
+// so the editor preview matches the HTML the tests compile. Only image URLs differ: in the local asset environment
+// they point at the server the editor runs on (previewAssetBase) rather than the compiled base.
+// `source` is the (unsaved) MJML+EJS; `file` names the template in emails/ it belongs to, so
+// relative includes resolve. Without `source` the saved file is rendered.
+app.post('/api/preview', async (req, res) => {
+  const { file, source } = req.body;
+  if (file !== undefined && (typeof file !== 'string' || path.basename(file) !== file || !file.endsWith('.mjml'))) {
+    return res.status(400).json({ error: 'Invalid file' });
+  }
+  if (source === undefined ? !file : typeof source !== 'string') {
+    return res.status(400).json({ error: 'Missing file or source' });
+  }
+
+  try {
+    const filePath = path.join(TEMPLATES_DIR, 'emails', file || 'preview.mjml');
+    if (source === undefined && !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const { renderTemplate } = await loadRendererModule();
+    const { previewAssetBase } = await loadAssetsModule();
+    const { html, text, textSource, errors } = renderTemplate(source ?? fs.readFileSync(filePath, 'utf-8'), {
+      filename: filePath,
+      root: TEMPLATES_DIR,
+      assetBase: previewAssetBase(`${req.protocol}://${req.get('host')}`),
+    });
+    res.json({ html, text, textSource, errors });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Download the saved template as an .eml message (HTML, plain text, inline images and headers)
+app.get('/api/export-eml', async (req, res) => {
+  const { file } = req.query;
+  if (typeof file !== 'string' || path.basename(file) !== file || !file.endsWith('.mjml')) {
+    return res.status(400).json({ error: 'Invalid file' });
+  }
+
+  try {
+    if (!fs.existsSync(path.join(TEMPLATES_DIR, 'emails', file))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    const { buildEml } = await loadEmlExportModule();
+    const { fileName, eml, errors } = buildEml(file, { root: TEMPLATES_DIR });
+    if (eml === null) {
+      return res.status(422).json({ error: 'Template failed to render', errors });
+    }
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(eml);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API: Save template
 app.post('/api/save-template', (req, res) => {
   const { file, content } = req.body;
@@ -371,8 +696,7 @@ app.post('/api/save-template', (req, res) => {
     res.json({ success: true });
 
     // Trigger auto-test if enabled
-    const templateName = file.replace('.mjml', '');
-    triggerAutoTest(templateName);
+    triggerAutoTest(`emails/${file}`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -414,10 +738,11 @@ app.post('/api/create-template', (req, res) => {
     }
 
     fs.writeFileSync(newFilePath, templateContent);
+    registerTemplate(fileName, name.trim(), copyFrom);
     res.json({ success: true, file: `${fileName}.mjml` });
 
     // Trigger auto-test if enabled
-    triggerAutoTest(fileName);
+    triggerAutoTest(`emails/${fileName}.mjml`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -437,120 +762,105 @@ app.post('/api/delete-template', (req, res) => {
       return res.status(404).json({ error: 'Template not found' });
     }
     fs.unlinkSync(filePath);
+    unregisterTemplate(templateName);
     res.json({ success: true });
 
-    // Trigger auto-test if enabled (test remaining templates after deletion)
-    triggerAutoTest(templateName);
+    // Trigger auto-test if enabled (the graph no longer has the template, so nothing is queued for it)
+    triggerAutoTest(`emails/${file}`);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Run tests
-app.post('/api/run-tests', (req, res) => {
-  if (testState.isRunning) {
-    return res.status(409).json({ status: 'busy', message: 'Test already in progress' });
-  }
-
+// API: Run tests (queued when a run is already in progress)
+app.post('/api/run-tests', async (req, res) => {
   const selectedTemplates = req.body.templates || [];
 
-  testState.isRunning = true;
-  testState.logs = [];
-  testState.currentTest = {
-    startedAt: new Date().toISOString(),
-    status: 'running',
-    templates: selectedTemplates.length > 0 ? selectedTemplates : 'all',
-    step: 'init',
-    stepDescription: 'Initializing test pipeline...',
-    progress: 0
-  };
-
-  res.json({
-    status: 'started',
-    message: selectedTemplates.length > 0
-      ? `Testing ${selectedTemplates.length} template(s)`
-      : 'Testing all templates'
-  });
-
-  // Run tests in background
-  const testEnv = { ...process.env };
-  const activeKey = getActiveApiKey();
-  if (activeKey) testEnv.ANTHROPIC_API_KEY = activeKey;
-  if (selectedTemplates.length > 0) testEnv.TEST_TEMPLATES = selectedTemplates.join(',');
-  testEnv.TEST_MODE = testMode; // Pass test mode to the pipeline
+  try {
+    const result = await requestTestRun({ templates: selectedTemplates, trigger: 'manual' });
+    if (result.status === 'queued') {
+      return res.status(202).json({
+        ...result,
+        message: result.coalesced
+          ? `Merged into queued run at position ${result.position}`
+          : `Queued at position ${result.position}`
+      });
+    }
+    res.json({
+      ...result,
+      message: selectedTemplates.length > 0
+        ? `Testing ${selectedTemplates.length} template(s)`
+        : 'Testing all templates'
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  const testProcess = spawn('node', ['scripts/run-agents.js'], {
-    cwd: TEST_FRAMEWORK_DIR,
-    env: testEnv
-  });
+// API: Queued runs, in the order they will start
+app.get('/api/queue', async (req, res) => {
+  try {
+    const { RunQueue } = await loadQueueModule();
+    res.json({ jobs: new RunQueue().list() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  let output = '';
+// API: Remove a queued run
+app.post('/api/queue/cancel', async (req, res) => {
+  const { id } = req.body;
+  if (!id) {
+    return res.status(400).json({ error: 'Job id is required' });
+  }
 
-  testProcess.stdout.on('data', (data) => {
-    const text = data.toString();
-    output += text;
-    console.log(text);
-
-    const lines = text.split('\n').filter(l => l.trim());
-    lines.forEach(line => {
-      testState.logs.push({
-        timestamp: new Date().toISOString(),
-        message: line,
-        type: line.includes('Error') ? 'error' : line.includes('Warning') ? 'warning' :
-              line.includes('Complete') ? 'success' : line.includes('[STEP:') ? 'step' : 'info'
-      });
-    });
-    if (testState.logs.length > 200) testState.logs = testState.logs.slice(-200);
-
-    // Update step (order: planner → analyzer → diff → generator → playwright → reporter)
-    if (text.includes('[STEP:planner]')) {
-      testState.currentTest.step = 'planner';
-      testState.currentTest.stepDescription = 'Analyzing requirements...';
-      testState.currentTest.progress = 15;
-    } else if (text.includes('[STEP:analyzer]')) {
-      testState.currentTest.step = 'analyzer';
-      testState.currentTest.stepDescription = 'Detecting changes...';
-      testState.currentTest.progress = 30;
-    } else if (text.includes('[STEP:diff]')) {
-      testState.currentTest.step = 'diff';
-      testState.currentTest.stepDescription = 'Comparing templates...';
-      testState.currentTest.progress = 45;
-    } else if (text.includes('[STEP:generator]')) {
-      testState.currentTest.step = 'generator';
-      testState.currentTest.stepDescription = 'AI generating test cases...';
-      testState.currentTest.progress = 60;
-    } else if (text.includes('[STEP:playwright]')) {
-      testState.currentTest.step = 'playwright';
-      testState.currentTest.stepDescription = 'Running AI-generated tests...';
-      testState.currentTest.progress = 75;
-    } else if (text.includes('[STEP:reporter]')) {
-      testState.currentTest.step = 'reporter';
-      testState.currentTest.stepDescription = 'Generating report...';
-      testState.currentTest.progress = 90;
+  try {
+    const { RunQueue } = await loadQueueModule();
+    const queue = new RunQueue();
+    const job = queue.remove(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job is not queued' });
     }
-  });
+    const jobs = queue.list();
+    broadcastEvent('queue', { jobs });
+    res.json({ success: true, job, jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  testProcess.stderr.on('data', (data) => {
-    output += data.toString();
-    console.error(data.toString());
-  });
+// API: Move a queued run to another position (1 = next to run)
+app.post('/api/queue/move', async (req, res) => {
+  const { id, position } = req.body;
+  if (!id || !Number.isInteger(position)) {
+    return res.status(400).json({ error: 'Job id and integer position are required' });
+  }
 
-  testProcess.on('close', (code) => {
-    testState.isRunning = false;
-    const completedAt = new Date().toISOString();
+  try {
+    const { RunQueue } = await loadQueueModule();
+    const jobs = new RunQueue().move(id, position);
+    if (!jobs) {
+      return res.status(404).json({ error: 'Job is not queued' });
+    }
+    broadcastEvent('queue', { jobs });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    testState.lastResult = {
-      status: code === 0 ? 'complete' : 'error',
-      exitCode: code,
-      completedAt,
-      output: output.slice(-5000)
-    };
-    testState.currentTest = null;
+// API: Cancel the running test
+app.post('/api/cancel-test', (req, res) => {
+  if (!testState.isRunning || !activeTestProcess) {
+    return res.status(409).json({ status: 'idle', message: 'No test in progress' });
+  }
 
-    // Note: Logs and reports are saved by the CLI pipeline (run-agents.js and report-generator-agent.js)
-    // No need to save duplicates here - just log completion
-    console.log(`Test completed with exit code ${code}`);
-  });
+  testState.currentTest.status = 'cancelling';
+  testState.currentTest.stepDescription = 'Cancelling...';
+  broadcastEvent('progress', { currentTest: testState.currentTest });
+  cancelTestProcess();
+  console.log('Test cancelled by user');
+  res.status(202).json({ status: 'cancelling', message: 'Test is being cancelled' });
 });
 
 // API: Test status
@@ -559,17 +869,53 @@ app.get('/api/test-status', (req, res) => {
     isRunning: testState.isRunning,
     currentTest: testState.currentTest,
     lastResult: testState.lastResult,
-    logs: testState.logs || []
+    logs: testState.logs || [],
+    results: testState.results || []
+  });
+});
+
+// API: Live pipeline events (Server-Sent Events)
+// Starts with a `status` snapshot, then streams run-start, progress, log, test-result, complete and queue events
+app.get('/api/events', async (req, res) => {
+  let jobs = [];
+  try {
+    const { RunQueue } = await loadQueueModule();
+    jobs = new RunQueue().list();
+  } catch (error) {
+    console.warn('Failed to read run queue:', error.message);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(formatEvent('status', {
+    isRunning: testState.isRunning,
+    currentTest: testState.currentTest,
+    lastResult: testState.lastResult,
+    logs: testState.logs,
+    results: testState.results,
+    queue: jobs
+  }));
+
+  eventClients.add(res);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_INTERVAL);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    eventClients.delete(res);
   });
 });
 
 // API: Reports list
-app.get('/api/reports', (req, res) => {
+app.get('/api/reports', async (req, res) => {
   try {
     if (!fs.existsSync(ARTIFACTS_DIR)) {
       return res.json({ reports: [] });
     }
 
+    const artifactIndex = await loadArtifactIndex();
     const files = fs.readdirSync(ARTIFACTS_DIR).filter(f => f.endsWith('.html'));
     const reports = files.map(file => {
       const filePath = path.join(ARTIFACTS_DIR, file);
@@ -580,6 +926,7 @@ app.get('/api/reports', (req, res) => {
       return {
         id: file.replace('.html', ''),
         file,
+        runId: artifactIndex[file] || null,
         status: statusMatch ? statusMatch[1] : 'unknown',
         createdAt: stats.birthtime,
         size: stats.size
@@ -601,8 +948,8 @@ app.get('/api/reports/:id', (req, res) => {
   res.type('text/html').send(fs.readFileSync(filePath, 'utf-8'));
 });
 
-// API: Delete report (with cascading delete of linked files)
-app.post('/api/delete-report', (req, res) => {
+// API: Delete report (with cascading delete of the other artifacts of its run)
+app.post('/api/delete-report', async (req, res) => {
   const { id } = req.body;
   if (!id) return res.status(400).json({ error: 'Missing report id' });
 
@@ -612,34 +959,28 @@ app.post('/api/delete-report', (req, res) => {
   }
 
   try {
-    // Extract timestamp and delete linked files
-    const timestamp = extractTimestamp(id, 'report');
-    let linkedDeleted = { testPlan: false, log: false };
-    if (timestamp) {
-      linkedDeleted = deleteLinkedFiles(timestamp, 'report');
-    }
-
-    // Delete the report itself
-    fs.unlinkSync(filePath);
-    res.json({ success: true, linkedDeleted });
+    const { runId, deleted } = await deleteArtifact('report', filePath);
+    res.json({ success: true, runId, deleted });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // API: Logs list
-app.get('/api/logs', (req, res) => {
+app.get('/api/logs', async (req, res) => {
   try {
     if (!fs.existsSync(LOGS_DIR)) {
       return res.json({ logs: [] });
     }
 
+    const artifactIndex = await loadArtifactIndex();
     const files = fs.readdirSync(LOGS_DIR).filter(f => f.endsWith('.log'));
     const logs = files.map(file => {
       const filePath = path.join(LOGS_DIR, file);
       const stats = fs.statSync(filePath);
       return {
         file,
+        runId: artifactIndex[file] || null,
         createdAt: stats.birthtime,
         modifiedAt: stats.mtime,
         size: stats.size
@@ -673,12 +1014,13 @@ app.get('/api/logs/:file', (req, res) => {
 });
 
 // API: Test plans
-app.get('/api/test-plans', (req, res) => {
+app.get('/api/test-plans', async (req, res) => {
   try {
     if (!fs.existsSync(PLANS_DIR)) {
       return res.json({ plans: [] });
     }
 
+    const artifactIndex = await loadArtifactIndex();
     const files = fs.readdirSync(PLANS_DIR).filter(f => f.endsWith('.json') && f !== 'latest-test-plan.json');
     const plans = files.map(file => {
       try {
@@ -686,6 +1028,7 @@ app.get('/api/test-plans', (req, res) => {
         return {
           id: file.replace('.json', ''),
           file,
+          runId: artifactIndex[file] || null,
           createdAt: content.createdAt,
           testPlanId: content.testPlanId,
           templateContext: content.templateContext,
@@ -704,91 +1047,124 @@ app.get('/api/test-plans', (req, res) => {
   }
 });
 
-// API: Delete test plan (with cascading delete of linked log and report)
-app.post('/api/delete-test-plan', (req, res) => {
+// API: Delete test plan (with cascading delete of the other artifacts of its run)
+app.post('/api/delete-test-plan', async (req, res) => {
   const { id } = req.body;
   if (!id) return res.status(400).json({ error: 'Missing test plan id' });
 
-  const deleted = { testPlan: false, log: false, report: false };
-
   try {
-    // Delete test plan
-    const planPath = path.join(PLANS_DIR, `${id}.json`);
-    if (fs.existsSync(planPath)) {
-      fs.unlinkSync(planPath);
-      deleted.testPlan = true;
-    }
-
-    // Extract timestamp from test plan id (e.g., "test-plan-2024-01-15T10-30-00-000Z")
-    const timestampMatch = id.match(/test-plan-(.+)/);
-    if (timestampMatch) {
-      const timestamp = timestampMatch[1];
-
-      // Delete linked log file
-      const logPath = path.join(LOGS_DIR, `test-${timestamp}.log`);
-      if (fs.existsSync(logPath)) {
-        fs.unlinkSync(logPath);
-        deleted.log = true;
-      }
-
-      // Delete linked report file
-      const reportPath = path.join(ARTIFACTS_DIR, `report-${timestamp}.html`);
-      if (fs.existsSync(reportPath)) {
-        fs.unlinkSync(reportPath);
-        deleted.report = true;
-      }
-    }
-
-    res.json({ success: true, deleted });
+    const { runId, deleted } = await deleteArtifact('testPlan', path.join(PLANS_DIR, `${id}.json`));
+    res.json({ success: true, runId, deleted });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// API: Delete log file (with cascading delete of linked report and test plan)
-app.post('/api/delete-log', (req, res) => {
+// API: Delete log file (with cascading delete of the other artifacts of its run)
+app.post('/api/delete-log', async (req, res) => {
   const { file } = req.body;
   if (!file || !file.endsWith('.log')) {
     return res.status(400).json({ error: 'Invalid log file' });
   }
 
-  const deleted = { testPlan: false, log: false, report: false };
+  const logPath = path.join(LOGS_DIR, file);
+  if (!fs.existsSync(logPath)) {
+    return res.status(404).json({ error: 'Log file not found' });
+  }
+
+  try {
+    const { runId, deleted } = await deleteArtifact('log', logPath);
+    res.json({ success: true, runId, deleted });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+// API: Run history
+app.get('/api/runs', async (req, res) => {
   try {
-    // Delete log file
-    const logPath = path.join(LOGS_DIR, file);
-    if (!fs.existsSync(logPath)) {
-      return res.status(404).json({ error: 'Log file not found' });
+    const { RunStore, describeRun } = await loadRunsModule();
+    res.json({ runs: new RunStore().list().map(describeRun) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Single run with links to its artifacts
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const { RunStore, describeRun } = await loadRunsModule();
+    const run = new RunStore().get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
     }
-    fs.unlinkSync(logPath);
-    deleted.log = true;
-
-    // Extract timestamp from log file (e.g., "test-2024-01-15T10-30-00-000Z.log")
-    const timestampMatch = file.match(/test-(.+)\.log/);
-    if (timestampMatch) {
-      const timestamp = timestampMatch[1];
-
-      // Delete linked test plan
-      const planPath = path.join(PLANS_DIR, `test-plan-${timestamp}.json`);
-      if (fs.existsSync(planPath)) {
-        fs.unlinkSync(planPath);
-        deleted.testPlan = true;
-      }
+    res.json(describeRun(run));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      // Delete linked report
-      const reportPath = path.join(ARTIFACTS_DIR, `report-${timestamp}.html`);
-      if (fs.existsSync(reportPath)) {
-        fs.unlinkSync(reportPath);
-        deleted.report = true;
-      }
+// API: Resume a failed or cancelled run from its checkpoints (queued like a test run)
+app.post('/api/runs/:id/resume', async (req, res) => {
+  try {
+    const { RunStore, describeRun } = await loadRunsModule();
+    const run = new RunStore().get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    if (!describeRun(run).resumable) {
+      return res.status(409).json({ error: 'Run cannot be resumed: only runs that errored or were cancelled keep checkpoints' });
     }
 
-    res.json({ success: true, deleted });
+    const result = await requestTestRun({ templates: run.templates, trigger: 'manual', resume: run.id });
+    res.status(result.status === 'queued' ? 202 : 200).json({
+      ...result,
+      message: result.status === 'queued' ? `Queued at position ${result.position}` : `Resuming run ${run.id}`
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// API: Trends across recent runs for the Dashboard
+app.get('/api/trends', async (req, res) => {
+  try {
+    const { buildTrends, DEFAULT_TREND_RUNS } = await loadTrendsModule();
+    const limit = parseInt(req.query.limit, 10) || DEFAULT_TREND_RUNS;
+    res.json(buildTrends({ limit }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Approved visual baselines and the captures waiting for approval
+app.get('/api/baselines', async (req, res) => {
+  try {
+    const { BaselineStore } = await loadBaselinesModule();
+    res.json(new BaselineStore().list());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Approve the captured screenshots of a run as the new baselines
+app.post('/api/baselines/approve', async (req, res) => {
+  if (testState.isRunning) {
+    return res.status(409).json({ status: 'busy', message: 'Test in progress, screenshots are still being captured' });
+  }
+  const { templates, runId } = req.body || {};
+  if (templates !== undefined && !Array.isArray(templates)) {
+    return res.status(400).json({ error: 'templates must be an array' });
+  }
+
+  try {
+    const { BaselineStore } = await loadBaselinesModule();
+    res.json({ success: true, ...new BaselineStore().approve(templates?.length ? templates : null, { runId }) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // API: Settings - API Key
 app.get('/api/settings/api-key', (req, res) => {
   const activeKey = getActiveApiKey();
@@ -845,87 +1221,58 @@ app.post('/api/settings/restore-default-key', (req, res) => {
   res.json({ success: true, maskedKey: masked, usingDefault: true });
 });
 
-// API: Test API key
-app.post('/api/settings/test-api-key', (req, res) => {
+// API: Test API key (sends a minimal request through the selected provider)
+app.post('/api/settings/test-api-key', async (req, res) => {
   try {
-    const activeKey = getActiveApiKey();
-    if (!activeKey) {
+    const { provider, baseUrl, model } = aiProviderSettings;
+    const apiKey = getProviderApiKey();
+
+    if (provider === 'none') {
+      return res.json({ success: false, error: 'AI provider is disabled (offline mode)' });
+    }
+    if (provider === 'anthropic' && !apiKey) {
       return res.json({ success: false, error: 'No API key configured' });
     }
 
     // Validate key format
-    if (typeof activeKey !== 'string' || activeKey.length < 10) {
+    if (apiKey && (typeof apiKey !== 'string' || apiKey.length < 10)) {
       return res.json({ success: false, error: 'Invalid API key format' });
     }
 
-    const postData = JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 10,
-      messages: [{ role: 'user', content: 'Hi' }]
-    });
-
-    const options = {
-      hostname: 'api.anthropic.com',
-      port: 443,
-      path: '/v1/messages',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': activeKey,
-        'anthropic-version': '2023-06-01',
-        'Content-Length': Buffer.byteLength(postData)
-      },
-      timeout: 30000
-    };
+    const { testProviderConnection } = await loadProviderModule();
 
-    const apiReq = https.request(options, (apiRes) => {
-      let data = '';
-      apiRes.on('data', (chunk) => { data += chunk; });
-      apiRes.on('end', () => {
-        try {
-          if (apiRes.statusCode === 200) {
-            apiState.lastError = null;
-            res.json({ success: true, model: 'claude-sonnet-4-20250514' });
-          } else {
-            let errorMessage = `API request failed (${apiRes.statusCode})`;
-            try {
-              const errorData = JSON.parse(data);
-              errorMessage = errorData.error?.message || errorMessage;
-            } catch (e) {}
-            apiState.lastError = errorMessage;
-            res.json({ success: false, error: errorMessage, canRestore: !!DEFAULT_API_KEY });
-          }
-        } catch (e) {
-          res.json({ success: false, error: 'Error processing response: ' + e.message, canRestore: !!DEFAULT_API_KEY });
-        }
+    try {
+      const result = await testProviderConnection(provider, {
+        apiKey: apiKey || undefined,
+        baseUrl: baseUrl || undefined,
+        model: model || undefined
       });
-    });
-
-    apiReq.on('timeout', () => {
-      apiReq.destroy();
-      apiState.lastError = 'Request timeout - API took too long to respond';
+      apiState.lastError = null;
+      res.json(result);
+    } catch (error) {
+      apiState.lastError = describeProviderError(error);
       res.json({ success: false, error: apiState.lastError, canRestore: !!DEFAULT_API_KEY });
-    });
-
-    apiReq.on('error', (error) => {
-      apiState.lastError = 'Failed to connect to API: ' + error.message;
-      res.json({ success: false, error: apiState.lastError, canRestore: !!DEFAULT_API_KEY });
-    });
-
-    apiReq.write(postData);
-    apiReq.end();
+    }
   } catch (error) {
     console.error('Test API key error:', error);
     res.status(500).json({ success: false, error: 'Internal server error: ' + error.message, canRestore: !!DEFAULT_API_KEY });
   }
 });
 
-// API: Usage info
-app.get('/api/settings/usage', (req, res) => {
-  res.json({
-    balance: null,
-    note: 'Visit console.anthropic.com for billing info.'
-  });
+// API: Usage info (token usage and estimated cost per run and per day from the usage log)
+app.get('/api/settings/usage', async (req, res) => {
+  try {
+    const { buildUsageReport } = await loadPricingModule();
+    const report = buildUsageReport();
+    res.json({
+      ...report,
+      tokensUsed: report.totals.inputTokens + report.totals.outputTokens,
+      estimatedCost: report.totals.cost,
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // API: Status
@@ -944,6 +1291,27 @@ app.post('/api/settings/clear-error', (req, res) => {
   res.json({ success: true });
 });
 
+// API: Response cache stats
+app.get('/api/settings/cache', async (req, res) => {
+  try {
+    const { ResponseCache } = await loadCacheModule();
+    res.json(new ResponseCache().stats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// API: Clear response cache
+app.post('/api/settings/clear-cache', async (req, res) => {
+  try {
+    const { ResponseCache } = await loadCacheModule();
+    const cleared = new ResponseCache().clear();
+    res.json({ success: true, cleared });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // API: Auto-test settings
 app.get('/api/settings/auto-test', (req, res) => {
   res.json({ enabled: autoTestEnabled });
@@ -956,21 +1324,40 @@ app.post('/api/settings/auto-test', (req, res) => {
   res.json({ success: true, enabled: autoTestEnabled });
 });
 
-// API: Test mode settings (strict/weak)
+// API: Test mode settings (regression/variation)
 app.get('/api/settings/test-mode', (req, res) => {
-  res.json({ mode: testMode });
+  res.json({ mode: testMode, modes: TEST_MODES });
 });
 
 app.post('/api/settings/test-mode', (req, res) => {
-  const { mode } = req.body;
-  if (mode !== 'strict' && mode !== 'weak') {
-    return res.status(400).json({ error: 'Invalid mode. Must be "strict" or "weak".' });
+  const mode = LEGACY_TEST_MODES[req.body.mode] || req.body.mode;
+  if (!TEST_MODES.includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode. Must be "regression" or "variation".' });
   }
   testMode = mode;
   saveSettings();
   res.json({ success: true, mode: testMode });
 });
 
+// API: AI provider settings (anthropic/openai/replay/none)
+app.get('/api/settings/ai-provider', (req, res) => {
+  res.json({ ...aiProviderSettings, providers: Object.keys(AI_PROVIDERS) });
+});
+
+app.post('/api/settings/ai-provider', (req, res) => {
+  const { provider, baseUrl = '', model = '' } = req.body;
+  if (!AI_PROVIDERS[provider]) {
+    return res.status(400).json({ error: `Invalid provider. Must be one of: ${Object.keys(AI_PROVIDERS).join(', ')}.` });
+  }
+  if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+    return res.status(400).json({ error: 'Base URL must start with http:// or https://' });
+  }
+  aiProviderSettings = { provider, baseUrl: baseUrl.trim(), model: model.trim() };
+  apiState.lastError = null;
+  saveSettings();
+  res.json({ success: true, ...aiProviderSettings });
+});
+
 // Serve artifacts
 app.get('/artifacts/:file', (req, res) => {
   const filePath = path.join(ARTIFACTS_DIR, req.params.file);
@@ -1101,4 +1488,7 @@ app.get('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`Email Template QA System running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Pick up runs that were still queued when the server stopped
+  runNextQueuedJob().catch(error => console.error('Failed to start queued run:', error.message));
 });
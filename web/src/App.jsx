@@ -3,6 +3,7 @@ import Sidebar from './components/Sidebar'
 import TaskDescription from './pages/TaskDescription'
 import EmailTemplates from './pages/EmailTemplates'
 import Pipeline from './pages/Pipeline'
+import Dashboard from './pages/Dashboard'
 import TestPlans from './pages/TestPlans'
 import Logs from './pages/Logs'
 import Reports from './pages/Reports'
@@ -26,6 +27,7 @@ function App() {
           <Route path="/test-plans" element={<TestPlans />} />
           <Route path="/logs" element={<Logs />} />
           <Route path="/reports" element={<Reports />} />
+          <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/settings" element={<Settings />} />
         </Routes>
         </main>
@@ -1,61 +1,61 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { useTranslation } from 'react-i18next'
 import { Link } from 'react-router-dom'
-import { PIPELINE_STEPS, getProgressSteps, API_ENDPOINTS, TIMEOUTS } from '../constants'
+import { PIPELINE_STEPS, getProgressSteps, API_ENDPOINTS } from '../constants'
+import { usePipelineStatus, usePipelineEvent } from '../hooks'
 import { LoadingSpinner } from './ui'
 
 function PipelineProgress() {
   const { t } = useTranslation(['messages', 'common'])
-  const [status, setStatus] = useState(null)
-  const [visible, setVisible] = useState(false)
-
-  useEffect(() => {
-    let interval
-
-    const checkStatus = async () => {
-      try {
-        const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-        if (res.ok) {
-          const data = await res.json()
-
-          if (data.isRunning) {
-            setStatus({
-              isRunning: true,
-              currentStep: data.currentTest?.step || 'init',
-              stepDescription: data.currentTest?.stepDescription || t('messages:pipeline.init'),
-              templates: data.currentTest?.templates,
-              startedAt: data.currentTest?.startedAt,
-              progress: data.currentTest?.progress || 0
-            })
-            setVisible(true)
-          } else if (data.lastResult && status?.isRunning) {
-            const isPassed = data.lastResult.status === 'complete'
-            setStatus({
-              isRunning: false,
-              currentStep: isPassed ? 'complete' : 'error',
-              stepDescription: isPassed
-                ? t('messages:pipeline.complete')
-                : t('messages:pipeline.error'),
-              completedAt: data.lastResult.completedAt,
-              finalStatus: isPassed ? 'passed' : 'failed'
-            })
-            // Keep visible until user dismisses - no auto-hide
-          } else if (!data.isRunning && !status?.isRunning) {
-            setVisible(false)
-          }
-        }
-      } catch {
-        // Silently fail
-      }
+  const pipeline = usePipelineStatus()
+  // Result of the last run that finished while the app was open (shown until dismissed)
+  const [finishedResult, setFinishedResult] = useState(null)
+
+  usePipelineEvent((type, data) => {
+    if (type === 'run-start') {
+      setFinishedResult(null)
+    } else if (type === 'complete') {
+      setFinishedResult(data.lastResult)
     }
+  })
+
+  let status = null
+  if (pipeline.isRunning) {
+    status = {
+      isRunning: true,
+      currentStep: pipeline.currentTest?.step || 'init',
+      stepDescription: pipeline.currentTest?.stepDescription || t('messages:pipeline.init'),
+      templates: pipeline.currentTest?.templates,
+      startedAt: pipeline.currentTest?.startedAt,
+      progress: pipeline.currentTest?.progress || 0,
+      cancelling: pipeline.currentTest?.status === 'cancelling'
+    }
+  } else if (finishedResult) {
+    const isPassed = finishedResult.status === 'complete'
+    const isCancelled = finishedResult.status === 'cancelled'
+    status = {
+      isRunning: false,
+      currentStep: isCancelled ? 'cancelled' : isPassed ? 'complete' : 'error',
+      stepDescription: isCancelled
+        ? t('messages:pipeline.cancelled')
+        : isPassed
+          ? t('messages:pipeline.complete')
+          : t('messages:pipeline.error'),
+      completedAt: finishedResult.completedAt,
+      finalStatus: isCancelled ? 'cancelled' : isPassed ? 'passed' : 'failed'
+    }
+  }
+
+  const cancelTest = async () => {
+    if (!confirm(t('messages:confirm.cancelTest'))) return
+    try {
+      await fetch(API_ENDPOINTS.CANCEL_TEST, { method: 'POST' })
+    } catch (err) {
+      console.error('Failed to cancel test:', err)
+    }
+  }
 
-    checkStatus()
-    interval = setInterval(checkStatus, TIMEOUTS.POLLING_INTERVAL)
-
-    return () => clearInterval(interval)
-  }, [status?.isRunning, t])
-
-  if (!visible || !status) return null
+  if (!status) return null
 
   const currentStepInfo = PIPELINE_STEPS.find(s => s.id === status.currentStep) || PIPELINE_STEPS[0]
   const stepIndex = PIPELINE_STEPS.findIndex(s => s.id === status.currentStep)
@@ -118,15 +118,27 @@ function PipelineProgress() {
             </div>
           )}
 
+          {status.isRunning && (
+            <button
+              onClick={cancelTest}
+              disabled={status.cancelling}
+              className="ml-4 px-3 py-1 bg-white/20 hover:bg-white/30 text-white rounded text-sm font-medium transition-colors disabled:opacity-60 disabled:cursor-not-allowed"
+            >
+              {status.cancelling ? t('common:labels.cancelling') : t('common:buttons.cancel')}
+            </button>
+          )}
+
           {!status.isRunning && (
             <div className="flex items-center space-x-3">
               {/* Status Badge */}
               <span className={`px-3 py-1 rounded-full text-sm font-bold ${
                 status.finalStatus === 'passed'
                   ? 'bg-white text-green-600'
-                  : 'bg-white text-red-600'
+                  : status.finalStatus === 'cancelled'
+                    ? 'bg-white text-gray-600'
+                    : 'bg-white text-red-600'
               }`}>
-                {status.finalStatus === 'passed' ? '✓ PASSED' : '✗ FAILED'}
+                {status.finalStatus === 'passed' ? '✓ PASSED' : status.finalStatus === 'cancelled' ? '■ CANCELLED' : '✗ FAILED'}
               </span>
 
               {/* View Report Link */}
@@ -139,7 +151,7 @@ function PipelineProgress() {
 
               {/* Close Button */}
               <button
-                onClick={() => setVisible(false)}
+                onClick={() => setFinishedResult(null)}
                 className="text-white/80 hover:text-white"
               >
                 <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
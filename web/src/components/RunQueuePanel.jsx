@@ -0,0 +1,76 @@
+import { useTranslation } from 'react-i18next'
+
+/**
+ * Runs waiting for the pipeline, in the order they will start
+ */
+function RunQueuePanel({ jobs, onCancel, onMove }) {
+  const { t } = useTranslation(['pages', 'common'])
+
+  if (jobs.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-lg shadow flex-shrink-0">
+      <div className="p-3 border-b">
+        <h2 className="font-semibold text-gray-800">{t('pages:testing.queue.title', { count: jobs.length })}</h2>
+        <p className="text-xs text-gray-500">{t('pages:testing.queue.subtitle')}</p>
+      </div>
+      <ul className="divide-y max-h-48 overflow-auto">
+        {jobs.map((job, index) => (
+          <li key={job.id} className="px-4 py-2 flex items-center justify-between text-sm">
+            <div className="flex items-center space-x-3 min-w-0">
+              <span className="w-6 h-6 rounded-full bg-gray-100 text-gray-600 flex items-center justify-center text-xs font-medium flex-shrink-0">
+                {index + 1}
+              </span>
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 truncate">
+                  {job.templates.length > 0 ? job.templates.join(', ') : t('pages:testing.queue.allTemplates')}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {job.resume
+                    ? t('pages:testing.queue.resumes', { run: job.resume })
+                    : t(`pages:testing.queue.trigger.${job.trigger}`)}
+                  {' · '}
+                  {new Date(job.queuedAt).toLocaleTimeString()}
+                  {job.requests > 1 && ` · ${t('pages:testing.queue.requests', { count: job.requests })}`}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <button
+                onClick={() => onMove(job.id, index)}
+                disabled={index === 0}
+                title={t('pages:testing.queue.moveUp')}
+                className="p-1 text-gray-500 hover:text-gray-800 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => onMove(job.id, index + 2)}
+                disabled={index === jobs.length - 1}
+                title={t('pages:testing.queue.moveDown')}
+                className="p-1 text-gray-500 hover:text-gray-800 hover:bg-gray-100 rounded disabled:opacity-30 disabled:cursor-not-allowed"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                </svg>
+              </button>
+              <button
+                onClick={() => onCancel(job.id)}
+                title={t('common:buttons.cancel')}
+                className="p-1 text-red-500 hover:text-red-700 hover:bg-red-50 rounded"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default RunQueuePanel
@@ -1,8 +1,10 @@
 import { NavLink } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
+import { useRunQueue } from '../hooks'
 
 function Sidebar() {
   const { t } = useTranslation('navigation')
+  const { jobs: queuedJobs } = useRunQueue()
 
   const linkClass = ({ isActive }) =>
     `flex items-center space-x-3 px-4 py-3 rounded-lg font-medium transition-colors ${
@@ -33,6 +35,7 @@ function Sidebar() {
     {
       to: '/pipeline',
       labelKey: 'menu.pipeline',
+      badge: queuedJobs.length,
       icon: (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
@@ -66,6 +69,15 @@ function Sidebar() {
         </svg>
       )
     },
+    {
+      to: '/dashboard',
+      labelKey: 'menu.dashboard',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
+        </svg>
+      )
+    },
     {
       to: '/settings',
       labelKey: 'menu.settings',
@@ -102,7 +114,15 @@ function Sidebar() {
             <li key={item.to}>
               <NavLink to={item.to} className={linkClass}>
                 {item.icon}
-                <span>{t(item.labelKey)}</span>
+                <span className="flex-1">{t(item.labelKey)}</span>
+                {item.badge > 0 && (
+                  <span
+                    title={t('queueBadge', { count: item.badge })}
+                    className="min-w-5 h-5 px-1.5 rounded-full bg-amber-500 text-white text-xs font-semibold flex items-center justify-center"
+                  >
+                    {item.badge}
+                  </span>
+                )}
               </NavLink>
             </li>
           ))}
@@ -1,57 +1,29 @@
-import { useState, useEffect, useCallback } from 'react'
-import mjml2html from 'mjml-browser'
+import { useState, useEffect } from 'react'
+import { useTemplatePreview } from '../hooks'
 
-function TemplatePreview({ template, sourceCode, testData, onSave, onSourceChange }) {
+function TemplatePreview({ template, sourceCode, onSave, onSourceChange }) {
   const [viewMode, setViewMode] = useState('preview')
   const [editedSource, setEditedSource] = useState(sourceCode)
-  const [compiledHtml, setCompiledHtml] = useState('')
-  const [compileError, setCompileError] = useState(null)
   const [saving, setSaving] = useState(false)
   const [hasChanges, setHasChanges] = useState(false)
 
-  // Compile MJML to HTML using mjml-browser
-  const compileMjml = useCallback((mjmlSource) => {
-    try {
-      // First compile MJML to HTML
-      const result = mjml2html(mjmlSource, {
-        validationLevel: 'soft'
-      })
-
-      if (result.errors && result.errors.length > 0) {
-        setCompileError(result.errors.map(e => e.formattedMessage || e.message).join('\n'))
-      } else {
-        setCompileError(null)
-      }
-
-      // Then render EJS variables with test data
-      let html = result.html
-      if (testData) {
-        // Simple EJS-like replacement for preview
-        html = html.replace(/<%=\s*context\.(\w+)\s*%>/g, (match, key) => {
-          return testData.context?.[key] || match
-        })
-      }
-
-      setCompiledHtml(html)
-    } catch (error) {
-      setCompileError(error.message)
-      setCompiledHtml(`<p style="color: red; padding: 20px;">Compilation Error: ${error.message}</p>`)
-    }
-  }, [testData])
+  // Rendered by the server with the same renderer and sample data as the tests
+  const { html: compiledHtml, errors } = useTemplatePreview(template.file, editedSource)
+  const compileError = errors
+    .map(e => (e.file ? `${e.file}${e.line ? `:${e.line}` : ''}: ${e.message}` : e.message))
+    .join('\n')
 
-  // Compile on source change
+  // Reset the editor when a new source is passed in
   useEffect(() => {
     setEditedSource(sourceCode)
-    compileMjml(sourceCode)
     setHasChanges(false)
-  }, [sourceCode, compileMjml])
+  }, [sourceCode])
 
   // Handle source edit
   const handleSourceChange = (e) => {
     const newSource = e.target.value
     setEditedSource(newSource)
     setHasChanges(newSource !== sourceCode)
-    compileMjml(newSource)
     if (onSourceChange) {
       onSourceChange(newSource)
     }
@@ -75,7 +47,6 @@ function TemplatePreview({ template, sourceCode, testData, onSave, onSourceChang
   const handleReset = () => {
     setEditedSource(sourceCode)
     setHasChanges(false)
-    compileMjml(sourceCode)
   }
 
   return (
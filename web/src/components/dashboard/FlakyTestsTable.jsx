@@ -0,0 +1,56 @@
+import { useTranslation } from 'react-i18next'
+import { StatusBadge } from '../ui'
+
+function FlakyTestsTable({ tests }) {
+  const { t } = useTranslation('pages')
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h3 className="font-semibold text-gray-800">{t('dashboard.flakyTests.title')}</h3>
+        <p className="text-sm text-gray-500">{t('dashboard.flakyTests.subtitle')}</p>
+      </div>
+      {tests.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">{t('dashboard.flakyTests.none')}</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="px-4 py-2 font-medium">{t('dashboard.flakyTests.columns.test')}</th>
+              <th className="px-4 py-2 font-medium">{t('dashboard.flakyTests.columns.template')}</th>
+              <th className="px-4 py-2 font-medium">{t('dashboard.flakyTests.columns.history')}</th>
+              <th className="px-4 py-2 font-medium text-right">{t('dashboard.flakyTests.columns.flips')}</th>
+              <th className="px-4 py-2 font-medium text-right">{t('dashboard.flakyTests.columns.last')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tests.map(test => (
+              <tr key={test.key} className="border-b last:border-0 text-gray-700">
+                <td className="px-4 py-2">
+                  <p className="font-medium text-gray-800">{test.name}</p>
+                  {test.suite && <p className="text-xs text-gray-500">{test.suite}</p>}
+                </td>
+                <td className="px-4 py-2 font-mono text-xs">{test.template}</td>
+                <td className="px-4 py-2">
+                  <div className="flex items-center space-x-1">
+                    {test.history.map((entry, i) => (
+                      <span
+                        key={i}
+                        title={`${new Date(entry.timestamp).toLocaleString()}: ${entry.status}`}
+                        className={`w-3 h-3 rounded-sm ${entry.status === 'passed' ? 'bg-green-500' : 'bg-red-500'}`}
+                      />
+                    ))}
+                  </div>
+                </td>
+                <td className="px-4 py-2 text-right">{test.flips}</td>
+                <td className="px-4 py-2 text-right"><StatusBadge status={test.lastStatus} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default FlakyTestsTable
@@ -0,0 +1,96 @@
+// Stroke colors assigned to series in order
+const SERIES_COLORS = ['#2563eb', '#16a34a', '#ea580c', '#9333ea', '#dc2626', '#0891b2', '#ca8a04', '#db2777']
+
+const WIDTH = 600
+const HEIGHT = 200
+const PADDING = { top: 10, right: 10, bottom: 24, left: 40 }
+const GRID_LINES = 4
+
+/**
+ * Line chart of one or more series over the same x labels
+ * Each series is { name, values } with one value (or null) per label.
+ * An optional limit ({ label, value }) is drawn as a dashed line.
+ */
+function TrendChart({ title, labels, series, unit = '', maxValue, limit }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const values = series.flatMap(s => s.values).filter(v => v !== null && v !== undefined)
+  const max = maxValue ?? Math.max(1, ...values, limit?.value ?? 0)
+
+  const x = (i) => PADDING.left + (labels.length > 1 ? (i / (labels.length - 1)) * plotWidth : plotWidth / 2)
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight
+
+  const formatValue = (value) => `${Number.isInteger(value) ? value : value.toFixed(1)}${unit}`
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-800 mb-2">{title}</h3>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-48">
+        {Array.from({ length: GRID_LINES + 1 }, (_, i) => {
+          const value = (max / GRID_LINES) * i
+          return (
+            <g key={i}>
+              <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="#e5e7eb" />
+              <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                {formatValue(value)}
+              </text>
+            </g>
+          )
+        })}
+        {limit && (
+          <g>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(limit.value)}
+              y2={y(limit.value)}
+              stroke="#dc2626"
+              strokeDasharray="4 4"
+            />
+            <text x={WIDTH - PADDING.right} y={y(limit.value) - 4} textAnchor="end" fontSize="10" fill="#dc2626">
+              {`${limit.label} (${formatValue(limit.value)})`}
+            </text>
+          </g>
+        )}
+        {labels.map((label, i) => (
+          <text key={i} x={x(i)} y={HEIGHT - 6} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {label}
+          </text>
+        ))}
+        {series.map((s, index) => {
+          const color = SERIES_COLORS[index % SERIES_COLORS.length]
+          const points = s.values
+            .map((value, i) => (value === null || value === undefined ? null : [x(i), y(value), value]))
+            .filter(Boolean)
+          return (
+            <g key={s.name}>
+              <polyline
+                points={points.map(([px, py]) => `${px},${py}`).join(' ')}
+                fill="none"
+                stroke={color}
+                strokeWidth="2"
+              />
+              {points.map(([px, py, value], i) => (
+                <circle key={i} cx={px} cy={py} r="3" fill={color}>
+                  <title>{`${s.name}: ${formatValue(value)}`}</title>
+                </circle>
+              ))}
+            </g>
+          )
+        })}
+      </svg>
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+          {series.map((s, index) => (
+            <span key={s.name} className="flex items-center space-x-1">
+              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length] }} />
+              <span>{s.name}</span>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrendChart
@@ -0,0 +1,2 @@
+export { default as TrendChart } from './TrendChart'
+export { default as FlakyTestsTable } from './FlakyTestsTable'
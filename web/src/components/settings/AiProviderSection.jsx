@@ -0,0 +1,90 @@
+import { useTranslation } from 'react-i18next'
+import { LoadingSpinner } from '../ui'
+
+// Providers that talk to an HTTP endpoint and accept base URL / model overrides
+const CONFIGURABLE_PROVIDERS = ['anthropic', 'openai']
+
+function AiProviderSection({ settings, providers, saving, onChange, onSave }) {
+  const { t } = useTranslation(['pages', 'common'])
+  const configurable = CONFIGURABLE_PROVIDERS.includes(settings.provider)
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="font-semibold text-gray-800 flex items-center space-x-2">
+          <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 3v2m6-2v2M9 19v2m6-2v2M5 9H3m2 6H3m18-6h-2m2 6h-2M7 19h10a2 2 0 002-2V7a2 2 0 00-2-2H7a2 2 0 00-2 2v10a2 2 0 002 2zM9 9h6v6H9V9z" />
+          </svg>
+          <span>{t('pages:settings.aiProvider.title')}</span>
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {t('pages:settings.aiProvider.subtitle')}
+        </p>
+      </div>
+      <div className="p-4 space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t('pages:settings.aiProvider.provider')}
+          </label>
+          <select
+            value={settings.provider}
+            onChange={(e) => onChange({ ...settings, provider: e.target.value })}
+            disabled={saving}
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+          >
+            {providers.map((provider) => (
+              <option key={provider} value={provider}>
+                {t(`pages:settings.aiProvider.providers.${provider}.label`)}
+              </option>
+            ))}
+          </select>
+          <p className="text-sm text-gray-500 mt-2">
+            {t(`pages:settings.aiProvider.providers.${settings.provider}.description`)}
+          </p>
+        </div>
+
+        {configurable && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t('pages:settings.aiProvider.baseUrl')}
+              </label>
+              <input
+                type="text"
+                value={settings.baseUrl}
+                onChange={(e) => onChange({ ...settings, baseUrl: e.target.value })}
+                placeholder={t(`pages:settings.aiProvider.providers.${settings.provider}.baseUrlPlaceholder`)}
+                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t('pages:settings.aiProvider.model')}
+              </label>
+              <input
+                type="text"
+                value={settings.model}
+                onChange={(e) => onChange({ ...settings, model: e.target.value })}
+                placeholder={t(`pages:settings.aiProvider.providers.${settings.provider}.modelPlaceholder`)}
+                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 font-mono text-sm"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            onClick={onSave}
+            disabled={saving}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            {saving && <LoadingSpinner size="sm" />}
+            <span>{saving ? t('common:labels.saving') : t('common:buttons.save')}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AiProviderSection
@@ -0,0 +1,52 @@
+import { useTranslation } from 'react-i18next'
+import { LoadingSpinner } from '../ui'
+
+function CacheSection({ stats, clearing, onClear }) {
+  const { t } = useTranslation(['pages', 'common'])
+
+  const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="font-semibold text-gray-800 flex items-center space-x-2">
+          <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4" />
+          </svg>
+          <span>{t('pages:settings.cache.title')}</span>
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {t('pages:settings.cache.subtitle')}
+        </p>
+      </div>
+      <div className="p-4 flex items-center justify-between">
+        <div>
+          <p className="font-medium text-gray-800">
+            {stats
+              ? t('pages:settings.cache.entries', { count: stats.entries, size: formatSize(stats.sizeBytes) })
+              : '—'}
+          </p>
+          {stats && (
+            <p className="text-sm text-gray-500">
+              {t('pages:settings.cache.ttl', { hours: stats.ttlHours })}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onClear}
+          disabled={clearing || !stats?.entries}
+          className="px-4 py-2 bg-red-50 text-red-700 border border-red-200 rounded-lg hover:bg-red-100 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+        >
+          {clearing && <LoadingSpinner size="sm" />}
+          <span>{t('pages:settings.cache.clear')}</span>
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CacheSection
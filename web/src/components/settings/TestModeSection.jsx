@@ -0,0 +1,51 @@
+import { useTranslation } from 'react-i18next'
+
+const MODES = ['regression', 'variation']
+
+function TestModeSection({ mode, saving, onChange }) {
+  const { t } = useTranslation('pages')
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="p-4 border-b">
+        <h2 className="font-semibold text-gray-800 flex items-center space-x-2">
+          <svg className="w-5 h-5 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+          </svg>
+          <span>{t('settings.testMode.title')}</span>
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          {t('settings.testMode.subtitle')}
+        </p>
+      </div>
+      <div className="p-4 space-y-3">
+        {MODES.map((option) => (
+          <label
+            key={option}
+            className={`flex items-start space-x-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+              mode === option
+                ? 'border-blue-500 bg-blue-50'
+                : 'border-gray-200 hover:bg-gray-50'
+            } ${saving ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            <input
+              type="radio"
+              name="test-mode"
+              value={option}
+              checked={mode === option}
+              disabled={saving}
+              onChange={() => onChange(option)}
+              className="mt-1 text-blue-600 focus:ring-blue-500"
+            />
+            <div>
+              <p className="font-medium text-gray-800">{t(`settings.testMode.${option}.label`)}</p>
+              <p className="text-sm text-gray-500">{t(`settings.testMode.${option}.description`)}</p>
+            </div>
+          </label>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TestModeSection
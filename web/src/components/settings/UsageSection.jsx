@@ -1,16 +1,23 @@
 import { useTranslation } from 'react-i18next'
 import { LoadingSpinner } from '../ui'
 
-function UsageSection({ usage, maskedKey, loading, onRefresh }) {
+// Rows shown in the per-day and per-run tables
+const MAX_DAYS = 7
+const MAX_RUNS = 10
+
+function UsageSection({ usage, loading, onRefresh }) {
   const { t } = useTranslation(['pages', 'common'])
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency: usage?.currency || 'USD',
+      maximumFractionDigits: 4
     }).format(amount)
   }
 
+  const formatTokens = (row) => (row.inputTokens + row.outputTokens).toLocaleString()
+
   return (
     <div className="bg-white rounded-lg shadow">
       <div className="p-4 border-b flex items-center justify-between">
@@ -27,7 +34,7 @@ function UsageSection({ usage, maskedKey, loading, onRefresh }) {
         </div>
         <button
           onClick={onRefresh}
-          disabled={loading || !maskedKey}
+          disabled={loading}
           className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 flex items-center space-x-1"
         >
           {loading ? <LoadingSpinner size="sm" /> : (
@@ -39,96 +46,103 @@ function UsageSection({ usage, maskedKey, loading, onRefresh }) {
         </button>
       </div>
       <div className="p-4">
-        {!maskedKey ? (
+        {!usage ? (
           <div className="text-center py-8 text-gray-500">
-            <svg className="w-12 h-12 mx-auto mb-3 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
-            </svg>
-            <p>{t('pages:settings.usage.addKeyToView')}</p>
+            <p>{t('pages:settings.usage.clickRefresh')}</p>
           </div>
-        ) : usage?.note ? (
-          <div className="text-center py-8">
-            <svg className="w-12 h-12 mx-auto mb-3 text-blue-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-            </svg>
-            <p className="text-gray-600 mb-4">{usage.note}</p>
-            <a
-              href="https://console.anthropic.com/settings/billing"
-              target="_blank"
-              rel="noopener noreferrer"
-              className="inline-flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
-            >
-              <span>{t('pages:settings.usage.viewBilling')}</span>
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
-              </svg>
-            </a>
+        ) : usage.runs.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <p>{t('pages:settings.usage.noRuns')}</p>
           </div>
-        ) : usage ? (
+        ) : (
           <div className="space-y-4">
-            {/* Balance Card */}
-            {usage.balance !== undefined && (
-              <div className={`p-4 rounded-lg ${
-                usage.balance < 5 ? 'bg-red-50 border border-red-200' :
-                usage.balance < 20 ? 'bg-yellow-50 border border-yellow-200' :
-                'bg-green-50 border border-green-200'
-              }`}>
-                <div className="flex items-center justify-between">
-                  <div>
-                    <p className="text-sm font-medium text-gray-600">{t('common:labels.availableBalance')}</p>
-                    <p className={`text-3xl font-bold ${
-                      usage.balance < 5 ? 'text-red-700' :
-                      usage.balance < 20 ? 'text-yellow-700' :
-                      'text-green-700'
-                    }`}>
-                      {formatCurrency(usage.balance)}
-                    </p>
-                  </div>
-                  {usage.balance < 5 && (
-                    <div className="text-right">
-                      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                        {t('common:status.lowBalance')}
-                      </span>
-                      <a
-                        href="https://console.anthropic.com/settings/billing"
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="block text-sm text-red-600 hover:text-red-800 mt-1"
-                      >
-                        {t('common:buttons.addCredits')} →
-                      </a>
-                    </div>
-                  )}
-                </div>
-              </div>
-            )}
-
             {/* Usage Stats */}
             <div className="grid grid-cols-2 gap-4">
               <div className="p-4 bg-gray-50 rounded-lg">
                 <p className="text-sm text-gray-500">{t('common:labels.tokensUsed')}</p>
                 <p className="text-xl font-semibold text-gray-800">
-                  {usage.tokensUsed?.toLocaleString() || '—'}
+                  {usage.tokensUsed.toLocaleString()}
                 </p>
               </div>
               <div className="p-4 bg-gray-50 rounded-lg">
                 <p className="text-sm text-gray-500">{t('common:labels.estimatedCost')}</p>
                 <p className="text-xl font-semibold text-gray-800">
-                  {usage.estimatedCost ? formatCurrency(usage.estimatedCost) : '—'}
+                  {formatCurrency(usage.estimatedCost)}
                 </p>
               </div>
             </div>
 
-            {/* Rate Limit Info */}
-            {usage.rateLimit && (
-              <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
-                <p className="text-sm font-medium text-blue-800">{t('common:labels.rateLimitStatus')}</p>
-                <div className="mt-2 flex items-center space-x-4 text-sm text-blue-700">
-                  <span>{t('common:labels.requests')}: {usage.rateLimit.requestsRemaining}/{usage.rateLimit.requestsLimit}</span>
-                  <span>{t('common:labels.tokens')}: {usage.rateLimit.tokensRemaining?.toLocaleString()}/{usage.rateLimit.tokensLimit?.toLocaleString()}</span>
-                </div>
+            {/* Cost per day */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">{t('pages:settings.usage.perDay')}</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-1 font-medium">{t('pages:settings.usage.columns.date')}</th>
+                    <th className="py-1 font-medium text-right">{t('pages:settings.usage.columns.runs')}</th>
+                    <th className="py-1 font-medium text-right">{t('pages:settings.usage.columns.tokens')}</th>
+                    <th className="py-1 font-medium text-right">{t('pages:settings.usage.columns.cost')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.days.slice(0, MAX_DAYS).map((day) => (
+                    <tr key={day.date} className="border-b last:border-0 text-gray-700">
+                      <td className="py-1">{day.date}</td>
+                      <td className="py-1 text-right">{day.runs}</td>
+                      <td className="py-1 text-right">{formatTokens(day)}</td>
+                      <td className="py-1 text-right">{formatCurrency(day.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Cost per run */}
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">{t('pages:settings.usage.recentRuns')}</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-1 font-medium">{t('pages:settings.usage.columns.run')}</th>
+                    <th className="py-1 font-medium">{t('pages:settings.usage.columns.trigger')}</th>
+                    <th className="py-1 font-medium">{t('pages:settings.usage.columns.provider')}</th>
+                    <th className="py-1 font-medium text-right">{t('pages:settings.usage.columns.tokens')}</th>
+                    <th className="py-1 font-medium text-right">{t('pages:settings.usage.columns.cost')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.runs.slice(0, MAX_RUNS).map((run) => (
+                    <tr key={run.timestamp} className="border-b last:border-0 text-gray-700">
+                      <td className="py-1">{new Date(run.timestamp).toLocaleString()}</td>
+                      <td className="py-1">{run.trigger}</td>
+                      <td className="py-1">{run.provider}</td>
+                      <td className="py-1 text-right">{formatTokens(run)}</td>
+                      <td className="py-1 text-right">{formatCurrency(run.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Price table */}
+            <div className="p-4 bg-blue-50 rounded-lg border border-blue-200">
+              <p className="text-sm font-medium text-blue-800">
+                {t('pages:settings.usage.pricing', { currency: usage.currency })}
+              </p>
+              <div className="mt-2 grid grid-cols-3 gap-x-4 gap-y-1 text-sm text-blue-700">
+                <span className="font-medium">{t('pages:settings.usage.columns.model')}</span>
+                <span className="font-medium text-right">{t('pages:settings.usage.columns.input')}</span>
+                <span className="font-medium text-right">{t('pages:settings.usage.columns.output')}</span>
+                {Object.entries(usage.pricing.models).map(([model, price]) => (
+                  <div key={model} className="contents">
+                    <span className="font-mono">{model}</span>
+                    <span className="text-right">{price.input}</span>
+                    <span className="text-right">{price.output}</span>
+                  </div>
+                ))}
               </div>
-            )}
+              <p className="text-xs text-blue-600 mt-2">{t('pages:settings.usage.pricingHint')}</p>
+            </div>
 
             {usage.lastUpdated && (
               <p className="text-xs text-gray-400 text-right">
@@ -136,10 +150,6 @@ function UsageSection({ usage, maskedKey, loading, onRefresh }) {
               </p>
             )}
           </div>
-        ) : (
-          <div className="text-center py-8 text-gray-500">
-            <p>{t('pages:settings.usage.clickRefresh')}</p>
-          </div>
         )}
       </div>
     </div>
@@ -1,3 +1,6 @@
+export { default as AiProviderSection } from './AiProviderSection'
 export { default as ApiKeySection } from './ApiKeySection'
 export { default as AutoTestSection } from './AutoTestSection'
+export { default as CacheSection } from './CacheSection'
+export { default as TestModeSection } from './TestModeSection'
 export { default as UsageSection } from './UsageSection'
@@ -0,0 +1,49 @@
+import { useRef } from 'react'
+
+/**
+ * MJML source editor with a line-number gutter
+ * Render errors that come from this file (`file`, relative to email_templates/) are marked
+ * on their lines; hover over a marker to see the messages.
+ */
+function SourceEditor({ value, file, errors = [], onChange }) {
+  const gutterRef = useRef(null)
+  const lineCount = value.split('\n').length
+
+  const errorsByLine = new Map()
+  errors
+    .filter(e => e.file === file && e.line)
+    .forEach(e => errorsByLine.set(e.line, [...(errorsByLine.get(e.line) || []), e.message]))
+
+  return (
+    <div className="flex h-full bg-gray-900 font-mono text-sm">
+      <div
+        ref={gutterRef}
+        className="overflow-hidden select-none py-4 min-w-[3.5rem] text-right text-gray-500 bg-gray-950 border-r border-gray-800"
+      >
+        {Array.from({ length: lineCount }, (_, i) => {
+          const messages = errorsByLine.get(i + 1)
+          return (
+            <div
+              key={i}
+              title={messages?.join('\n')}
+              className={`flex items-center justify-end pl-2 pr-3 leading-5 ${messages ? 'bg-red-900/60 text-red-200' : ''}`}
+            >
+              {messages && <span className="w-2 h-2 mr-2 rounded-full bg-red-500" />}
+              {i + 1}
+            </div>
+          )
+        })}
+      </div>
+      <textarea
+        value={value}
+        onChange={onChange}
+        onScroll={(e) => { gutterRef.current.scrollTop = e.target.scrollTop }}
+        wrap="off"
+        className="flex-1 h-full p-4 leading-5 bg-gray-900 text-gray-100 resize-none focus:outline-none"
+        spellCheck={false}
+      />
+    </div>
+  )
+}
+
+export default SourceEditor
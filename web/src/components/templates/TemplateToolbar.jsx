@@ -1,4 +1,5 @@
 import { useTranslation } from 'react-i18next'
+import { API_ENDPOINTS } from '../../constants'
 import ViewportSelector from './ViewportSelector'
 
 function TemplateToolbar({
@@ -27,7 +28,7 @@ function TemplateToolbar({
 
         {/* View Mode Tabs */}
         <div className="flex bg-gray-100 rounded-lg p-1">
-          {['preview', 'edit', 'html'].map((mode) => (
+          {['preview', 'edit', 'html', 'text'].map((mode) => (
             <button
               key={mode}
               onClick={() => onViewModeChange(mode)}
@@ -54,6 +55,16 @@ function TemplateToolbar({
           />
         )}
 
+        {/* Export the saved template as an .eml message */}
+        <a
+          href={`${API_ENDPOINTS.EXPORT_EML}?file=${encodeURIComponent(selectedTemplate.file)}`}
+          download
+          title={t('pages:emailTemplates.exportEmlTitle')}
+          className="px-3 py-1.5 text-sm bg-gray-100 text-gray-700 rounded hover:bg-gray-200"
+        >
+          {t('pages:emailTemplates.exportEml')}
+        </a>
+
         {/* Save/Reset buttons */}
         {hasChanges && (
           <div className="flex items-center space-x-2">
@@ -2,3 +2,4 @@ export { default as TemplateList } from './TemplateList'
 export { default as TemplateToolbar } from './TemplateToolbar'
 export { default as ViewportSelector } from './ViewportSelector'
 export { default as CreateTemplateModal } from './CreateTemplateModal'
+export { default as SourceEditor } from './SourceEditor'
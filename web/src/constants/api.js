@@ -1,17 +1,29 @@
 export const API_ENDPOINTS = {
   TEMPLATES: '/api/templates',
+  TEMPLATE_DEPENDENCIES: '/api/templates/dependencies',
+  PREVIEW: '/api/preview',
+  EXPORT_EML: '/api/export-eml',
   SAVE_TEMPLATE: '/api/save-template',
   DELETE_TEMPLATE: '/api/delete-template',
   CREATE_TEMPLATE: '/api/create-template',
   TEST_DATA: '/api/test-data',
   RUN_TESTS: '/api/run-tests',
   TEST_STATUS: '/api/test-status',
+  EVENTS: '/api/events',
+  CANCEL_TEST: '/api/cancel-test',
+  QUEUE: '/api/queue',
+  QUEUE_CANCEL: '/api/queue/cancel',
+  QUEUE_MOVE: '/api/queue/move',
   REPORTS: '/api/reports',
   DELETE_REPORT: '/api/delete-report',
   LOGS: '/api/logs',
   DELETE_LOG: '/api/delete-log',
   TEST_PLANS: '/api/test-plans',
   DELETE_TEST_PLAN: '/api/delete-test-plan',
+  RUNS: '/api/runs',
+  TRENDS: '/api/trends',
+  BASELINES: '/api/baselines',
+  BASELINES_APPROVE: '/api/baselines/approve',
   SCREENSHOTS: '/api/screenshots',
   SETTINGS: {
     API_KEY: '/api/settings/api-key',
@@ -19,6 +31,10 @@ export const API_ENDPOINTS = {
     RESTORE_DEFAULT: '/api/settings/restore-default-key',
     USAGE: '/api/settings/usage',
     AUTO_TEST: '/api/settings/auto-test',
+    TEST_MODE: '/api/settings/test-mode',
+    AI_PROVIDER: '/api/settings/ai-provider',
+    CACHE: '/api/settings/cache',
+    CLEAR_CACHE: '/api/settings/clear-cache',
     API_STATUS: '/api/settings/api-status',
   },
 }
@@ -9,6 +9,7 @@ export const PIPELINE_STEPS = [
   { id: 'reporter', name: 'Report Generator', icon: '📝', color: 'purple', bgColor: 'bg-purple-500', description: 'Creating comprehensive test report' },
   { id: 'complete', name: 'Complete', icon: '✅', color: 'green', bgColor: 'bg-green-600', description: 'All tests completed successfully' },
   { id: 'error', name: 'Error', icon: '❌', color: 'red', bgColor: 'bg-red-600', description: 'Test failed' },
+  { id: 'cancelled', name: 'Cancelled', icon: '⏹️', color: 'gray', bgColor: 'bg-gray-600', description: 'Test cancelled' },
 ]
 
-export const getProgressSteps = () => PIPELINE_STEPS.filter(s => !['complete', 'error'].includes(s.id))
+export const getProgressSteps = () => PIPELINE_STEPS.filter(s => !['complete', 'error', 'cancelled'].includes(s.id))
@@ -7,6 +7,7 @@ export const STATUS_COLORS = {
   warning: 'bg-yellow-100 text-yellow-800',
   partial: 'bg-yellow-100 text-yellow-800',
   running: 'bg-blue-100 text-blue-800',
+  cancelled: 'bg-gray-200 text-gray-700',
   pending: 'bg-blue-100 text-blue-800',
   default: 'bg-gray-100 text-gray-800',
 }
@@ -19,6 +20,7 @@ export const getStatusColor = (status) => {
 export const LOG_TYPE_COLORS = {
   error: 'text-red-400',
   warning: 'text-yellow-400',
+  warn: 'text-yellow-400',
   success: 'text-green-400',
   step: 'text-cyan-400',
   default: 'text-gray-300',
@@ -49,7 +51,8 @@ export const getTemplateTypeColor = (type) => {
 export const getTemplateTypeLabel = (type) => {
   if (type === 'partner_a') return 'Partner A'
   if (type === 'partner_b') return 'Partner B'
-  return 'Base'
+  if (!type || type === 'base') return 'Base'
+  return type.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase())
 }
 
 export const PIPELINE_COLOR_CLASSES = {
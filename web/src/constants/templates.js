@@ -2,77 +2,51 @@
  * Template Constants
  *
  * Centralized configuration for email templates.
- * Mirrors the test_framework configuration for consistency.
+ * Derived from the shared registry in email_templates/templates.json,
+ * the same file the test_framework configuration loads.
  */
 
+import templateRegistry from '../../../email_templates/templates.json'
+
 /**
- * List of template files
+ * Base template for comparisons
  */
-export const TEMPLATE_FILES = [
-  'site_visitor_welcome.mjml',
-  'site_visitor_welcome_partner_a.mjml',
-  'site_visitor_welcome_partner_b.mjml',
-]
+export const BASE_TEMPLATE = templateRegistry.baseTemplate
 
 /**
- * Template names (without extension)
+ * Template metadata
  */
-export const TEMPLATE_NAMES = TEMPLATE_FILES.map(f => f.replace('.mjml', ''))
+export const TEMPLATE_META = Object.fromEntries(
+  Object.entries(templateRegistry.templates).map(([id, entry]) => [
+    id,
+    { ...entry, isBase: id === BASE_TEMPLATE },
+  ])
+)
 
 /**
- * Base template for comparisons
+ * List of template files
  */
-export const BASE_TEMPLATE = 'site_visitor_welcome'
+export const TEMPLATE_FILES = Object.values(TEMPLATE_META).map(meta => meta.file)
 
 /**
- * Template metadata
+ * Template names (without extension)
  */
-export const TEMPLATE_META = {
-  site_visitor_welcome: {
-    name: 'Site Visitor Welcome',
-    description: 'Base template - Standard welcome email with blue color scheme',
-    type: 'base',
-    isBase: true,
-  },
-  site_visitor_welcome_partner_a: {
-    name: 'Partner A Welcome',
-    description: 'Partner A variation - Same content, green color scheme',
-    type: 'partner_a',
-    isBase: false,
-    expectedDifference: 'styling',
-    baseTemplate: 'site_visitor_welcome',
-  },
-  site_visitor_welcome_partner_b: {
-    name: 'Partner B Welcome',
-    description: 'Partner B variation - Same colors, different content',
-    type: 'partner_b',
-    isBase: false,
-    expectedDifference: 'content',
-    baseTemplate: 'site_visitor_welcome',
-  },
-}
+export const TEMPLATE_NAMES = Object.keys(TEMPLATE_META)
 
 /**
- * Template comparisons
+ * Template comparisons - one per template that declares a base
  */
-export const TEMPLATE_COMPARISONS = [
-  {
-    id: 'partner_a_vs_base',
-    name: 'Partner A vs Base',
-    base: 'site_visitor_welcome',
-    compare: 'site_visitor_welcome_partner_a',
-    expectedDifference: 'styling',
-    description: 'Partner A should have different colors but same content',
-  },
-  {
-    id: 'partner_b_vs_base',
-    name: 'Partner B vs Base',
-    base: 'site_visitor_welcome',
-    compare: 'site_visitor_welcome_partner_b',
-    expectedDifference: 'content',
-    description: 'Partner B should have same colors but different content',
-  },
-]
+export const TEMPLATE_COMPARISONS = Object.entries(TEMPLATE_META)
+  .filter(([, meta]) => meta.baseTemplate && meta.expectedDifference)
+  .map(([id, meta]) => ({
+    id: `${id}_vs_${meta.baseTemplate}`,
+    name: `${meta.name} vs Base`,
+    base: meta.baseTemplate,
+    compare: id,
+    expectedDifference: meta.expectedDifference,
+    description: meta.description,
+    owner: meta.owner,
+  }))
 
 /**
  * Get template metadata by name
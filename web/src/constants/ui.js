@@ -10,6 +10,7 @@ export const TIMEOUTS = {
   SUCCESS_MESSAGE: 3000,
   POLLING_INTERVAL: 1000,
   AUTO_HIDE_PROGRESS: 5000,
+  PREVIEW_DEBOUNCE: 300,
 }
 
 export const DEFAULT_CUSTOM_WIDTH = 600
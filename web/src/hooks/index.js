@@ -1 +1,4 @@
 export { useTestCompletion } from './useTestCompletion'
+export { useRunQueue } from './useRunQueue'
+export { usePipelineStatus, usePipelineEvent } from './usePipelineEvents'
+export { useTemplatePreview } from './useTemplatePreview'
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react'
+import { API_ENDPOINTS } from '../constants'
+
+/**
+ * Shared subscription to the pipeline event stream (/api/events)
+ *
+ * One EventSource serves every component: it opens with the first subscriber
+ * and closes with the last. The server starts each connection (including
+ * EventSource's automatic reconnects) with a full `status` snapshot, and the
+ * events that follow are folded into the same state.
+ */
+
+const EVENT_TYPES = ['status', 'run-start', 'progress', 'log', 'test-result', 'complete', 'queue']
+
+// Log lines of the current run kept in the browser
+const MAX_LOG_LINES = 5000
+
+let state = {
+  connected: false,
+  isRunning: false,
+  currentTest: null,
+  lastResult: null,
+  logs: [],
+  results: [],
+  queue: []
+}
+let source = null
+const stateListeners = new Set()
+const eventListeners = new Set()
+
+const reduce = (current, type, data) => {
+  switch (type) {
+    case 'status':
+      return { ...current, ...data, connected: true }
+    case 'run-start':
+      return { ...current, isRunning: true, currentTest: data.currentTest, logs: [], results: [] }
+    case 'progress':
+      return { ...current, currentTest: data.currentTest }
+    case 'log':
+      return { ...current, logs: [...current.logs, ...data.lines].slice(-MAX_LOG_LINES) }
+    case 'test-result':
+      return { ...current, results: [...current.results, data] }
+    case 'complete':
+      return { ...current, isRunning: false, currentTest: null, lastResult: data.lastResult }
+    case 'queue':
+      return { ...current, queue: data.jobs }
+    default:
+      return current
+  }
+}
+
+const setState = (next) => {
+  state = next
+  stateListeners.forEach(listener => listener())
+}
+
+const connect = () => {
+  source = new EventSource(API_ENDPOINTS.EVENTS)
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (e) => {
+      const data = JSON.parse(e.data)
+      setState(reduce(state, type, data))
+      eventListeners.forEach(listener => listener(type, data))
+    })
+  })
+  source.onerror = () => {
+    if (state.connected) setState({ ...state, connected: false })
+  }
+}
+
+const retain = () => {
+  if (!source) connect()
+}
+
+const release = () => {
+  if (source && stateListeners.size === 0 && eventListeners.size === 0) {
+    source.close()
+    source = null
+  }
+}
+
+const subscribe = (listener) => {
+  stateListeners.add(listener)
+  retain()
+  return () => {
+    stateListeners.delete(listener)
+    release()
+  }
+}
+
+const getSnapshot = () => state
+
+/**
+ * Live pipeline state: isRunning, currentTest, lastResult, logs, results and queue
+ */
+export function usePipelineStatus() {
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+/**
+ * Call handler(type, data) for every pipeline event as it arrives
+ */
+export function usePipelineEvent(handler) {
+  const handlerRef = useRef(handler)
+
+  useEffect(() => {
+    handlerRef.current = handler
+  })
+
+  useEffect(() => {
+    const listener = (type, data) => handlerRef.current(type, data)
+    eventListeners.add(listener)
+    retain()
+    return () => {
+      eventListeners.delete(listener)
+      release()
+    }
+  }, [])
+}
@@ -0,0 +1,32 @@
+import { useCallback } from 'react'
+import { API_ENDPOINTS } from '../constants'
+import { usePipelineStatus } from './usePipelineEvents'
+
+/**
+ * Hook for the queue of runs waiting for the pipeline
+ * The queue comes from the shared pipeline event stream; cancel / move post to the queue API
+ */
+export function useRunQueue() {
+  const { queue } = usePipelineStatus()
+
+  const updateQueue = useCallback(async (endpoint, body) => {
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+    const data = await res.json()
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to update run queue')
+    }
+  }, [])
+
+  const cancelJob = useCallback((id) => updateQueue(API_ENDPOINTS.QUEUE_CANCEL, { id }), [updateQueue])
+
+  // position is 1-based (1 = next to run)
+  const moveJob = useCallback((id, position) => updateQueue(API_ENDPOINTS.QUEUE_MOVE, { id, position }), [updateQueue])
+
+  return { jobs: queue, cancelJob, moveJob }
+}
+
+export default useRunQueue
@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react'
+import { API_ENDPOINTS, TIMEOUTS } from '../constants'
+
+/**
+ * Hook to render MJML+EJS source for the preview
+ * The server renders with the test framework's renderer and sample data, so the HTML is the
+ * HTML the tests see, with its plain-text alternative (textSource: 'generated' or 'override').
+ * Re-renders once typing pauses; a failed render keeps the last good HTML and text.
+ * Errors carry the template or partial file (relative to email_templates/) and line they come from.
+ * file names the template in emails/ the source belongs to, for its relative includes.
+ */
+export function useTemplatePreview(file, source) {
+  const [html, setHtml] = useState('')
+  const [text, setText] = useState({ text: '', source: null })
+  const [errors, setErrors] = useState([])
+
+  useEffect(() => {
+    if (!source) return
+
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(API_ENDPOINTS.PREVIEW, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ file, source }),
+          signal: controller.signal
+        })
+        const data = await res.json()
+        if (!res.ok) {
+          throw new Error(data.error || 'Failed to render preview')
+        }
+        if (data.html !== null) {
+          setHtml(data.html)
+        }
+        if (data.text !== null) {
+          setText({ text: data.text, source: data.textSource })
+        }
+        setErrors(data.errors)
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setErrors([{ message: err.message }])
+        }
+      }
+    }, TIMEOUTS.PREVIEW_DEBOUNCE)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [file, source])
+
+  return { html, text: text.text, textSource: text.source, errors }
+}
+
+export default useTemplatePreview
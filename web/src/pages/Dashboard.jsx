@@ -0,0 +1,165 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useTranslation } from 'react-i18next'
+import { API_ENDPOINTS } from '../constants'
+import { LoadingSpinner, EmptyState, StatusBadge } from '../components/ui'
+import { TrendChart, FlakyTestsTable } from '../components/dashboard'
+import { useTestCompletion } from '../hooks'
+
+function Dashboard() {
+  const { t } = useTranslation(['pages', 'common'])
+  const [trends, setTrends] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTrends = useCallback(async () => {
+    setError(null)
+    try {
+      const res = await fetch(API_ENDPOINTS.TRENDS)
+      if (res.ok) {
+        setTrends(await res.json())
+      } else {
+        throw new Error('Failed to fetch trends')
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  // Auto-refresh when tests complete
+  useTestCompletion(fetchTrends)
+
+  useEffect(() => {
+    fetchTrends()
+  }, [fetchTrends])
+
+  const formatLabel = (timestamp) => {
+    const date = new Date(timestamp)
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  }
+
+  const runs = trends?.runs || []
+  const runLabels = runs.map(run => formatLabel(run.timestamp))
+
+  return (
+    <div className="h-full flex flex-col">
+      {/* Header */}
+      <div className="bg-white border-b px-6 py-4 flex-shrink-0">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">{t('pages:dashboard.title')}</h1>
+            <p className="text-sm text-gray-500">{t('pages:dashboard.subtitle')}</p>
+          </div>
+          <button
+            onClick={fetchTrends}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg font-medium hover:bg-gray-200 flex items-center space-x-2"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+            </svg>
+            <span>{t('common:buttons.refresh')}</span>
+          </button>
+        </div>
+      </div>
+
+      {/* Content */}
+      <div className="flex-1 overflow-auto p-6">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <LoadingSpinner />
+          </div>
+        ) : error ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center text-red-600">{error}</div>
+        ) : runs.length === 0 && trends.durations.length === 0 && trends.sizes.length === 0 ? (
+          <EmptyState
+            title={t('pages:dashboard.noData')}
+            description={t('pages:dashboard.runTestsToGenerate')}
+          />
+        ) : (
+          <div className="space-y-6">
+            {/* Latest run */}
+            <div className="grid grid-cols-4 gap-4">
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{t('pages:dashboard.stats.latestStatus')}</p>
+                <div className="mt-2">
+                  <StatusBadge status={trends.latest?.status} />
+                </div>
+              </div>
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{t('pages:dashboard.stats.latestPassRate')}</p>
+                <p className="text-xl font-semibold text-gray-800">
+                  {runs.length > 0 ? `${runs[runs.length - 1].passRate}%` : '—'}
+                </p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{t('pages:dashboard.stats.runsAnalysed')}</p>
+                <p className="text-xl font-semibold text-gray-800">{runs.length}</p>
+              </div>
+              <div className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{t('pages:dashboard.stats.flakyTests')}</p>
+                <p className="text-xl font-semibold text-gray-800">{trends.flakyTests.length}</p>
+              </div>
+            </div>
+
+            {runs.length > 0 && (
+              <div className="grid grid-cols-2 gap-6">
+                <TrendChart
+                  title={t('pages:dashboard.charts.passRate')}
+                  labels={runLabels}
+                  unit="%"
+                  maxValue={100}
+                  series={trends.suites.map(suite => ({
+                    name: suite,
+                    values: runs.map(run => run.suites[suite]?.passRate ?? null)
+                  }))}
+                />
+                <TrendChart
+                  title={t('pages:dashboard.charts.visualDiff')}
+                  labels={runLabels}
+                  unit="%"
+                  series={trends.templates.map(template => ({
+                    name: template,
+                    values: runs.map(run => run.visualDiffs[template] ?? null)
+                  }))}
+                />
+              </div>
+            )}
+
+            {trends.durations.length > 0 && (
+              <TrendChart
+                title={t('pages:dashboard.charts.duration')}
+                labels={trends.durations.map(run => formatLabel(run.startedAt))}
+                unit="s"
+                series={[{
+                  name: t('pages:dashboard.charts.duration'),
+                  values: trends.durations.map(run => Math.round(run.duration / 100) / 10)
+                }]}
+              />
+            )}
+
+            {trends.sizes.length > 0 && (
+              <TrendChart
+                title={t('pages:dashboard.charts.htmlSize')}
+                labels={trends.sizes.map(entry => formatLabel(entry.timestamp))}
+                unit="KB"
+                limit={{ label: t('pages:dashboard.charts.gmailClip'), value: trends.gmailClipBytes / 1024 }}
+                series={trends.sizeTemplates.map(template => ({
+                  name: template,
+                  values: trends.sizes.map(entry => {
+                    const bytes = entry.templates?.[template]?.bytes
+                    return bytes === undefined ? null : Math.round(bytes / 102.4) / 10
+                  })
+                }))}
+              />
+            )}
+
+            <FlakyTestsTable tests={trends.flakyTests} />
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Dashboard
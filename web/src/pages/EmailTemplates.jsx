@@ -1,26 +1,25 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
-import mjml2html from 'mjml-browser'
 import { VIEWPORTS, TIMEOUTS, API_ENDPOINTS } from '../constants'
 import { NotificationToast } from '../components/ui'
 import {
   TemplateList,
   TemplateToolbar,
   CreateTemplateModal,
+  SourceEditor,
 } from '../components/templates'
+import { usePipelineStatus, useTemplatePreview } from '../hooks'
 
 function EmailTemplates() {
   const { t } = useTranslation(['pages', 'common', 'messages'])
 
   const [templates, setTemplates] = useState([])
+  const [dependencies, setDependencies] = useState({})
   const [selectedTemplate, setSelectedTemplate] = useState(null)
   const [selectedForTest, setSelectedForTest] = useState([])
   const [viewMode, setViewMode] = useState('preview')
   const [viewport, setViewport] = useState(VIEWPORTS[0])
   const [editedSource, setEditedSource] = useState('')
-  const [compiledHtml, setCompiledHtml] = useState('')
-  const [compileError, setCompileError] = useState(null)
-  const [testData, setTestData] = useState(null)
   const [hasChanges, setHasChanges] = useState(false)
   const [saving, setSaving] = useState(false)
   const [loading, setLoading] = useState(true)
@@ -29,7 +28,8 @@ function EmailTemplates() {
   const [copyFrom, setCopyFrom] = useState('')
   const [customWidth, setCustomWidth] = useState(600)
   const [notification, setNotification] = useState(null)
-  const [testsRunning, setTestsRunning] = useState(false)
+  const { isRunning: testsRunning } = usePipelineStatus()
+  const { html: compiledHtml, text: plainText, textSource, errors: compileErrors } = useTemplatePreview(selectedTemplate?.file, editedSource)
 
   const showNotification = (type, message) => {
     setNotification({ type, message })
@@ -38,30 +38,12 @@ function EmailTemplates() {
 
   useEffect(() => {
     loadTemplates()
-    loadTestData()
-    checkTestStatus()
   }, [])
 
-  // Poll for test status to disable buttons when tests are running
-  useEffect(() => {
-    const interval = setInterval(checkTestStatus, TIMEOUTS.POLLING_INTERVAL)
-    return () => clearInterval(interval)
-  }, [])
-
-  const checkTestStatus = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestsRunning(data.isRunning || false)
-      }
-    } catch {
-      // Ignore errors
-    }
-  }
 
   const loadTemplates = async () => {
     setLoading(true)
+    loadDependencies()
     try {
       const res = await fetch(API_ENDPOINTS.TEMPLATES)
       if (res.ok) {
@@ -78,152 +60,38 @@ function EmailTemplates() {
     }
   }
 
-  const loadTestData = async () => {
+  // Shared partials per template, from the include graph
+  const loadDependencies = async () => {
     try {
-      const res = await fetch(API_ENDPOINTS.TEST_DATA)
+      const res = await fetch(API_ENDPOINTS.TEMPLATE_DEPENDENCIES)
       if (res.ok) {
-        const data = await res.json()
-        setTestData(data)
+        const graph = await res.json()
+        setDependencies(graph.templates)
       }
     } catch (err) {
-      console.error('Failed to load test data:', err)
+      console.error('Failed to load template dependencies:', err)
     }
   }
 
   const selectTemplate = async (template) => {
     setSelectedTemplate(template)
     setHasChanges(false)
-    setCompileError(null)
 
     try {
       const res = await fetch(`/templates/emails/${template.file}`)
       if (res.ok) {
         const source = await res.text()
         setEditedSource(source)
-        compileMjml(source)
       }
     } catch (err) {
       console.error('Failed to load template:', err)
     }
   }
 
-  const compileMjml = useCallback((mjmlSource) => {
-    try {
-      let processedSource = mjmlSource
-      const ctx = testData?.context || {}
-
-      const baseVars = {
-        context: ctx,
-        company: {
-          name: ctx.companyName || 'Carebox',
-          address: ctx.companyAddress || '123 Main Street, San Francisco, CA 94102',
-          logoUrl: ctx.logoUrl || '/templates/shared/carebox_logo.png',
-          supportEmail: ctx.supportEmail || 'support@example.com'
-        },
-        visitor: { name: ctx.visitorName || 'Valued Visitor' },
-        urls: {
-          cta: ctx.ctaUrl || 'https://example.com/get-started',
-          privacy: ctx.privacyUrl || 'https://example.com/privacy',
-          terms: ctx.termsUrl || 'https://example.com/terms',
-          unsubscribe: ctx.unsubscribeUrl || 'https://example.com/unsubscribe'
-        },
-        currentYear: ctx.currentYear || new Date().getFullYear(),
-        primaryColor: '#2563eb',
-        headingColor: '#1f2937',
-        bgColor: '#f4f4f5',
-        title: '',
-        previewText: ''
-      }
-
-      const codeBlocks = []
-      processedSource.replace(/<%(?![-=#%])([\s\S]*?)%>/g, (match, code) => {
-        codeBlocks.push(code)
-        return match
-      })
-
-      if (codeBlocks.length > 0) {
-        try {
-          let combinedCode = codeBlocks.join('\n')
-            .replace(/\bconst\s+/g, 'var ')
-            .replace(/\blet\s+/g, 'var ')
-
-          const fn = new Function(`
-            var context = arguments[0];
-            var company = arguments[1];
-            var visitor = arguments[2];
-            var urls = arguments[3];
-            var currentYear = arguments[4];
-            var locals = { context: context, company: company, visitor: visitor, urls: urls, currentYear: currentYear };
-            ${combinedCode}
-            return {
-              company: typeof company !== 'undefined' ? company : null,
-              visitor: typeof visitor !== 'undefined' ? visitor : null,
-              urls: typeof urls !== 'undefined' ? urls : null,
-              currentYear: typeof currentYear !== 'undefined' ? currentYear : null,
-              primaryColor: typeof primaryColor !== 'undefined' ? primaryColor : null,
-              headingColor: typeof headingColor !== 'undefined' ? headingColor : null,
-              bgColor: typeof bgColor !== 'undefined' ? bgColor : null,
-              title: typeof title !== 'undefined' ? title : null,
-              previewText: typeof previewText !== 'undefined' ? previewText : null
-            };
-          `)
-
-          const result = fn(baseVars.context, baseVars.company, baseVars.visitor, baseVars.urls, baseVars.currentYear)
-
-          if (result.primaryColor) baseVars.primaryColor = result.primaryColor
-          if (result.headingColor) baseVars.headingColor = result.headingColor
-          if (result.bgColor) baseVars.bgColor = result.bgColor
-          if (result.title) baseVars.title = result.title
-          if (result.previewText) baseVars.previewText = result.previewText
-          if (result.company) baseVars.company = result.company
-          if (result.visitor) baseVars.visitor = result.visitor
-          if (result.urls) baseVars.urls = result.urls
-          if (result.currentYear) baseVars.currentYear = result.currentYear
-        } catch (e) {
-          console.warn('Error evaluating template code:', e.message)
-        }
-      }
-
-      processedSource = processedSource.replace(/<%#[\s\S]*?%>/g, '')
-      processedSource = processedSource.replace(/<%(?![-=#%])[\s\S]*?%>/g, '')
-      processedSource = processedSource.replace(/<%=\s*([\s\S]*?)%>/g, (match, expr) => {
-        try {
-          const fn = new Function(
-            'context', 'company', 'visitor', 'urls', 'currentYear',
-            'primaryColor', 'headingColor', 'bgColor', 'title', 'previewText',
-            `return (${expr.trim()});`
-          )
-          const result = fn(
-            baseVars.context, baseVars.company, baseVars.visitor, baseVars.urls, baseVars.currentYear,
-            baseVars.primaryColor, baseVars.headingColor, baseVars.bgColor, baseVars.title, baseVars.previewText
-          )
-          return result !== undefined && result !== null ? String(result) : ''
-        } catch (e) {
-          console.warn('Error evaluating expression:', expr, e.message)
-          return ''
-        }
-      })
-
-      const result = mjml2html(processedSource, { validationLevel: 'soft' })
-
-      if (result.errors?.length > 0) {
-        setCompileError(result.errors.map(e => e.formattedMessage || e.message).join('\n'))
-      } else {
-        setCompileError(null)
-      }
-
-      setCompiledHtml(result.html)
-    } catch (error) {
-      setCompileError(error.message)
-      setCompiledHtml(`<p style="color: red; padding: 20px;">${t('messages:error.compilationError', { error: error.message })}</p>`)
-    }
-  }, [testData, t])
-
   const handleSourceChange = (e) => {
     const newSource = e.target.value
     setEditedSource(newSource)
     setHasChanges(true)
-    compileMjml(newSource)
   }
 
   const handleSave = async () => {
@@ -304,11 +172,8 @@ function EmailTemplates() {
     )
   }
 
+  // Starts the selected tests, or queues them behind the run in progress
   const runSelectedTests = async () => {
-    if (testsRunning) {
-      return // Tests already running
-    }
-
     if (selectedForTest.length === 0) {
       showNotification('warning', t('messages:warning.noTemplatesSelected'))
       return
@@ -320,8 +185,10 @@ function EmailTemplates() {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ templates: selectedForTest })
       })
-      if (res.ok) {
-        setTestsRunning(true)
+      const data = await res.json()
+      if (data.status === 'queued') {
+        showNotification('success', t('messages:success.testsQueued', { position: data.position }))
+      } else if (res.ok) {
         showNotification('success', t('messages:success.testsStartedProgress'))
       }
     } catch (err) {
@@ -379,6 +246,7 @@ function EmailTemplates() {
 
       <TemplateList
         templates={templates}
+        dependencies={dependencies}
         selectedTemplate={selectedTemplate}
         selectedForTest={selectedForTest}
         loading={loading}
@@ -411,10 +279,16 @@ function EmailTemplates() {
               onReset={handleReset}
             />
 
-            {/* Compile Error */}
-            {compileError && (
-              <div className="bg-red-50 border-b border-red-200 px-4 py-2 text-sm text-red-700">
-                <strong>Error:</strong> {compileError}
+            {/* Compile Errors, at the template or partial line they come from */}
+            {compileErrors.length > 0 && (
+              <div className="bg-red-50 border-b border-red-200 px-4 py-2 text-sm text-red-700 max-h-32 overflow-auto">
+                {compileErrors.map((e, i) => (
+                  <div key={i}>
+                    <strong>Error:</strong>{' '}
+                    {e.file && <span className="font-mono">{e.file}{e.line ? `:${e.line}` : ''}</span>}{' '}
+                    {e.message}
+                  </div>
+                ))}
               </div>
             )}
 
@@ -458,11 +332,11 @@ function EmailTemplates() {
               )}
 
               {viewMode === 'edit' && (
-                <textarea
+                <SourceEditor
                   value={editedSource}
+                  file={`emails/${selectedTemplate.file}`}
+                  errors={compileErrors}
                   onChange={handleSourceChange}
-                  className="w-full h-full p-4 font-mono text-sm bg-gray-900 text-gray-100 resize-none focus:outline-none"
-                  spellCheck={false}
                 />
               )}
 
@@ -471,6 +345,19 @@ function EmailTemplates() {
                   <code>{compiledHtml}</code>
                 </pre>
               )}
+
+              {viewMode === 'text' && (
+                <div className="h-full flex flex-col">
+                  <div className="bg-gray-800 text-gray-300 px-4 py-2 text-xs">
+                    {t(textSource === 'override' ? 'pages:emailTemplates.textOverride' : 'pages:emailTemplates.textGenerated', {
+                      file: selectedTemplate.file.replace('.mjml', '.txt.ejs')
+                    })}
+                  </div>
+                  <pre className="flex-1 p-4 font-mono text-sm bg-gray-900 text-gray-100 overflow-auto whitespace-pre-wrap">
+                    {plainText}
+                  </pre>
+                </div>
+              )}
             </div>
           </>
         ) : (
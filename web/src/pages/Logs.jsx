@@ -1,7 +1,8 @@
 import { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
 import { API_ENDPOINTS, TIMEOUTS, getLogTypeColor } from '../constants'
-import { LoadingSpinner, EmptyState } from '../components/ui'
+import { LoadingSpinner, EmptyState, StatusBadge, NotificationToast } from '../components/ui'
 import { useTestCompletion } from '../hooks'
 
 function Logs() {
@@ -11,55 +12,32 @@ function Logs() {
   const [logContent, setLogContent] = useState('')
   const [loading, setLoading] = useState(true)
   const [loadingContent, setLoadingContent] = useState(false)
-  const [reports, setReports] = useState([])
-  const [testPlans, setTestPlans] = useState([])
-  const [testsRunning, setTestsRunning] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [notification, setNotification] = useState(null)
+  const [searchParams] = useSearchParams()
 
   // Auto-refresh when tests complete
   const refreshAllData = useCallback(() => {
     fetchLogs()
-    fetchReports()
-    fetchTestPlans()
+    fetchRuns()
   }, [])
 
-  useTestCompletion(refreshAllData)
+  const { isTestRunning: testsRunning } = useTestCompletion(refreshAllData)
 
   useEffect(() => {
     fetchLogs()
-    fetchReports()
-    fetchTestPlans()
-    checkTestStatus()
+    fetchRuns()
   }, [])
 
-  // Poll for test status
-  useEffect(() => {
-    const interval = setInterval(checkTestStatus, TIMEOUTS.POLLING_INTERVAL)
-    return () => clearInterval(interval)
-  }, [])
-
-  const checkTestStatus = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestsRunning(data.isRunning || false)
-      }
-    } catch {
-      // Ignore errors
-    }
-  }
 
   const runAllTests = async () => {
     if (testsRunning) return
     try {
-      const res = await fetch(API_ENDPOINTS.RUN_TESTS, {
+      await fetch(API_ENDPOINTS.RUN_TESTS, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ templates: [] }) // Empty array = all templates
       })
-      if (res.ok) {
-        setTestsRunning(true)
-      }
     } catch (err) {
       console.error('Failed to start tests:', err)
     }
@@ -79,64 +57,63 @@ function Logs() {
     }
   }
 
-  const fetchReports = async () => {
+  const fetchRuns = async () => {
     try {
-      const res = await fetch(API_ENDPOINTS.REPORTS)
+      const res = await fetch(API_ENDPOINTS.RUNS)
       if (res.ok) {
         const data = await res.json()
-        setReports(data.reports || [])
+        setRuns(data.runs || [])
       }
     } catch (err) {
-      console.error('Failed to fetch reports:', err)
+      console.error('Failed to fetch runs:', err)
     }
   }
 
-  const fetchTestPlans = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_PLANS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestPlans(data.plans || [])
+  // Open the log of a run (?run=<id>)
+  useEffect(() => {
+    const runId = searchParams.get('run')
+    if (runId && logs.length > 0 && !selectedLog) {
+      const log = logs.find(l => l.runId === runId)
+      if (log) {
+        viewLog(log)
       }
-    } catch (err) {
-      console.error('Failed to fetch test plans:', err)
     }
-  }
+  }, [searchParams, logs, selectedLog])
 
-  const getRelatedTestPlan = (log) => {
-    if (!log?.createdAt || testPlans.length === 0) return null
+  const getRun = (log) => runs.find(run => run.id === log?.runId) || null
 
-    const logTime = new Date(log.createdAt).getTime()
-
-    return testPlans.find(plan => {
-      const planTime = new Date(plan.createdAt).getTime()
-      const diff = Math.abs(planTime - logTime)
-      return diff < 5 * 60 * 1000
-    })
+  const showNotification = (type, message) => {
+    setNotification({ type, message })
+    setTimeout(() => setNotification(null), TIMEOUTS.NOTIFICATION)
   }
 
-  const getRelatedReportForLog = (log) => {
-    if (!log?.createdAt || reports.length === 0) return null
-
-    const logTime = new Date(log.createdAt).getTime()
-
-    return reports.find(report => {
-      const reportTime = new Date(report.createdAt).getTime()
-      const diff = Math.abs(reportTime - logTime)
-      return diff < 5 * 60 * 1000
-    })
+  // Continue a failed or cancelled run from its first incomplete phase
+  const resumeRun = async (runId, e) => {
+    e.stopPropagation()
+    try {
+      const res = await fetch(`${API_ENDPOINTS.RUNS}/${encodeURIComponent(runId)}/resume`, { method: 'POST' })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to resume run')
+      }
+      showNotification('success', data.status === 'queued'
+        ? t('messages:success.resumeQueued', { position: data.position })
+        : t('messages:success.resumeStarted'))
+      fetchRuns()
+    } catch (err) {
+      showNotification('error', t('messages:error.failedToResumeRun', { error: err.message }))
+    }
   }
 
   const deleteLog = async (log, e) => {
     e.stopPropagation()
-    const relatedReport = getRelatedReportForLog(log)
-    const relatedPlan = getRelatedTestPlan(log)
+    const links = getRun(log)?.links || {}
 
     let confirmMessage = t('messages:confirm.deleteLog', { file: log.file })
-    if (relatedReport || relatedPlan) {
+    if (links.report || links.testPlan) {
       confirmMessage += '\n\n' + t('messages:confirm.deleteLinkedItems')
-      if (relatedReport) confirmMessage += '\n- Report: ' + relatedReport.id
-      if (relatedPlan) confirmMessage += '\n- Test Plan: ' + (relatedPlan.testPlanId || relatedPlan.id)
+      if (links.report) confirmMessage += '\n- Report: ' + links.report
+      if (links.testPlan) confirmMessage += '\n- Test Plan: ' + links.testPlan
     }
 
     if (!confirm(confirmMessage)) return
@@ -153,9 +130,8 @@ function Logs() {
           setSelectedLog(null)
           setLogContent('')
         }
-        // Refresh reports and test plans since they may have been deleted
-        fetchReports()
-        fetchTestPlans()
+        // Refresh runs since the rest of the run was deleted with the log
+        fetchRuns()
       }
     } catch (err) {
       console.error('Failed to delete log:', err)
@@ -202,14 +178,6 @@ function Logs() {
     return { message: line }
   }
 
-  const findRelatedReport = (logFile) => {
-    const match = logFile.match(/test-(.+)\.log/)
-    if (match) {
-      return `report-${match[1]}`
-    }
-    return null
-  }
-
   return (
     <div className="h-full flex flex-col">
       {/* Header */}
@@ -273,11 +241,23 @@ function Logs() {
                       <p className="text-xs text-gray-400">
                         {formatSize(log.size)}
                       </p>
+                      {['cancelled', 'error'].includes(getRun(log)?.status) && (
+                        <StatusBadge status={getRun(log).status} className="inline-block mt-1" />
+                      )}
                     </div>
                     <div className="flex items-center space-x-2 ml-2">
-                      {findRelatedReport(log.file) && (
+                      {getRun(log)?.resumable && (
+                        <button
+                          onClick={(e) => resumeRun(log.runId, e)}
+                          className="px-2 py-1 bg-amber-100 text-amber-700 text-xs rounded hover:bg-amber-200"
+                          title={t('pages:logs.resumeTitle')}
+                        >
+                          {t('pages:logs.resume')}
+                        </button>
+                      )}
+                      {getRun(log)?.links.report && (
                         <a
-                          href={`/reports?id=${findRelatedReport(log.file)}`}
+                          href={`/reports?run=${log.runId}`}
                           onClick={(e) => e.stopPropagation()}
                           className="px-2 py-1 bg-blue-100 text-blue-700 text-xs rounded hover:bg-blue-200"
                           title={t('pages:logs.viewReport')}
@@ -314,9 +294,21 @@ function Logs() {
                   </p>
                 </div>
                 <div className="flex items-center space-x-2">
-                  {findRelatedReport(selectedLog.file) && (
+                  {getRun(selectedLog)?.resumable && (
+                    <button
+                      onClick={(e) => resumeRun(selectedLog.runId, e)}
+                      className="px-3 py-1.5 bg-amber-100 text-amber-700 rounded-lg text-sm hover:bg-amber-200 flex items-center space-x-1"
+                      title={t('pages:logs.resumeTitle')}
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                      </svg>
+                      <span>{t('pages:logs.resume')}</span>
+                    </button>
+                  )}
+                  {getRun(selectedLog)?.links.report && (
                     <a
-                      href={`/reports?id=${findRelatedReport(selectedLog.file)}`}
+                      href={`/reports?run=${selectedLog.runId}`}
                       className="px-3 py-1.5 bg-blue-100 text-blue-700 rounded-lg text-sm hover:bg-blue-200 flex items-center space-x-1"
                     >
                       <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -371,6 +363,8 @@ function Logs() {
           )}
         </div>
       </div>
+
+      <NotificationToast notification={notification} onClose={() => setNotification(null)} />
     </div>
   )
 }
@@ -1,66 +1,36 @@
 import { useState, useEffect, useRef } from 'react'
 import { useTranslation } from 'react-i18next'
-import { PIPELINE_STEPS, getProgressSteps, getPipelineColorClasses, getLogTypeColor, API_ENDPOINTS, TIMEOUTS } from '../constants'
+import { PIPELINE_STEPS, getProgressSteps, getPipelineColorClasses, getLogTypeColor, API_ENDPOINTS } from '../constants'
 import { LoadingSpinner, EmptyState } from '../components/ui'
+import RunQueuePanel from '../components/RunQueuePanel'
+import { useRunQueue, usePipelineStatus } from '../hooks'
 
 function Pipeline() {
-  const { t } = useTranslation(['pages', 'common'])
-  const [testStatus, setTestStatus] = useState(null)
+  const { t } = useTranslation(['pages', 'common', 'messages'])
+  const testStatus = usePipelineStatus()
   const [loading, setLoading] = useState(false)
-  const [logs, setLogs] = useState([])
+  const [logsClearedAt, setLogsClearedAt] = useState(null)
   const logsEndRef = useRef(null)
+  const { jobs: queuedJobs, cancelJob, moveJob } = useRunQueue()
 
-  useEffect(() => {
-    fetchStatus()
-  }, [])
-
-  useEffect(() => {
-    let interval
-    if (testStatus?.isRunning) {
-      interval = setInterval(fetchStatus, TIMEOUTS.POLLING_INTERVAL)
-    }
-    return () => clearInterval(interval)
-  }, [testStatus?.isRunning])
+  const logs = testStatus.logs
+    .filter(log => !logsClearedAt || log.timestamp > logsClearedAt)
+    .map(log => ({
+      timestamp: new Date(log.timestamp).toLocaleTimeString(),
+      message: log.message,
+      type: log.type
+    }))
 
   useEffect(() => {
     logsEndRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [logs])
-
-  const fetchStatus = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestStatus(data)
-
-        if (data.logs && data.logs.length > 0) {
-          setLogs(data.logs.map(log => ({
-            timestamp: new Date(log.timestamp).toLocaleTimeString(),
-            message: log.message,
-            type: log.type
-          })))
-        }
-      }
-    } catch (err) {
-      console.error('Failed to fetch test status:', err)
-    }
-  }
+  }, [testStatus.logs])
 
+  // Starts the pipeline, or queues the run behind the one in progress
   const runTests = async () => {
-    if (testStatus?.isRunning) {
-      return // Tests already running
-    }
-
     setLoading(true)
-    setLogs([])
 
     try {
-      const res = await fetch(API_ENDPOINTS.RUN_TESTS, { method: 'POST' })
-      const data = await res.json()
-
-      if (data.status === 'started') {
-        setTestStatus(prev => ({ ...prev, isRunning: true }))
-      }
+      await fetch(API_ENDPOINTS.RUN_TESTS, { method: 'POST' })
     } catch (err) {
       console.error('Failed to start test:', err)
     } finally {
@@ -68,6 +38,16 @@ function Pipeline() {
     }
   }
 
+  const cancelTests = async () => {
+    if (!confirm(t('messages:confirm.cancelTest'))) return
+    try {
+      await fetch(API_ENDPOINTS.CANCEL_TEST, { method: 'POST' })
+    } catch (err) {
+      console.error('Failed to cancel test:', err)
+    }
+  }
+
+  const isCancelling = testStatus?.currentTest?.status === 'cancelling'
   const progressSteps = getProgressSteps()
   const currentStep = testStatus?.currentTest?.step || null
   const currentStepIndex = progressSteps.findIndex(s => s.id === currentStep)
@@ -100,13 +80,25 @@ function Pipeline() {
                 <span>{t('common:buttons.viewReports')}</span>
               </a>
             )}
+            {testStatus?.isRunning && (
+              <button
+                onClick={cancelTests}
+                disabled={isCancelling}
+                className="px-4 py-2 bg-red-100 text-red-700 rounded-lg font-medium hover:bg-red-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+                <span>{isCancelling ? t('common:labels.cancelling') : t('common:buttons.cancel')}</span>
+              </button>
+            )}
             <button
               onClick={runTests}
-              disabled={loading || testStatus?.isRunning}
+              disabled={loading}
               className="px-6 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
             >
-              {(loading || testStatus?.isRunning) && <LoadingSpinner size="sm" className="text-white" />}
-              <span>{testStatus?.isRunning ? t('common:labels.running') : t('common:buttons.runAllTests')}</span>
+              {loading && <LoadingSpinner size="sm" className="text-white" />}
+              <span>{testStatus?.isRunning ? t('common:buttons.queueRun') : t('common:buttons.runAllTests')}</span>
             </button>
           </div>
         </div>
@@ -125,6 +117,14 @@ function Pipeline() {
                   <span>{testStatus.currentTest?.stepDescription || t('common:labels.processing')}</span>
                 </span>
               )}
+              {testStatus.results.length > 0 && (
+                <span className="text-sm text-gray-500">
+                  {t('pages:testing.pipeline.results', {
+                    passed: testStatus.results.filter(r => r.status === 'passed').length,
+                    failed: testStatus.results.filter(r => r.status === 'failed').length
+                  })}
+                </span>
+              )}
             </div>
           </div>
           <div className="p-4">
@@ -184,6 +184,12 @@ function Pipeline() {
           </div>
         </div>
 
+        <RunQueuePanel
+          jobs={queuedJobs}
+          onCancel={(id) => cancelJob(id).catch(err => console.error('Failed to cancel queued run:', err))}
+          onMove={(id, position) => moveJob(id, position).catch(err => console.error('Failed to move queued run:', err))}
+        />
+
         {/* Console Logs */}
         <div className="bg-white rounded-lg shadow flex-1 flex flex-col min-h-0">
           <div className="p-3 border-b flex items-center justify-between flex-shrink-0">
@@ -192,7 +198,7 @@ function Pipeline() {
               <p className="text-xs text-gray-500">{t('pages:testing.console.subtitle')}</p>
             </div>
             <button
-              onClick={() => setLogs([])}
+              onClick={() => setLogsClearedAt(new Date().toISOString())}
               className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800 hover:bg-gray-100 rounded"
             >
               {t('common:buttons.clear')}
@@ -2,7 +2,7 @@ import { useState, useEffect, useRef, useCallback } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
 import { API_ENDPOINTS, TIMEOUTS } from '../constants'
-import { LoadingSpinner, EmptyState, StatusBadge } from '../components/ui'
+import { LoadingSpinner, EmptyState, StatusBadge, NotificationToast } from '../components/ui'
 import { IssueDetailPanel } from '../components/reports'
 import { useTestCompletion } from '../hooks'
 
@@ -16,89 +16,102 @@ function Reports() {
   const [searchParams] = useSearchParams()
   const [selectedIssue, setSelectedIssue] = useState(null)
   const [issueScreenshots, setIssueScreenshots] = useState([])
-  const [logs, setLogs] = useState([])
-  const [testPlans, setTestPlans] = useState([])
-  const [testsRunning, setTestsRunning] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [baselineCaptures, setBaselineCaptures] = useState(null)
+  const [approvingBaselines, setApprovingBaselines] = useState(false)
+  const [notification, setNotification] = useState(null)
   const iframeRef = useRef(null)
 
   // Auto-refresh when tests complete
   const refreshAllData = useCallback(() => {
     fetchReports()
-    fetchLogs()
-    fetchTestPlans()
+    fetchRuns()
+    fetchBaselines()
   }, [])
 
-  useTestCompletion(refreshAllData)
+  const { isTestRunning: testsRunning } = useTestCompletion(refreshAllData)
 
   useEffect(() => {
     fetchReports()
-    fetchLogs()
-    fetchTestPlans()
-    checkTestStatus()
+    fetchRuns()
+    fetchBaselines()
   }, [])
 
-  // Poll for test status
-  useEffect(() => {
-    const interval = setInterval(checkTestStatus, TIMEOUTS.POLLING_INTERVAL)
-    return () => clearInterval(interval)
-  }, [])
-
-  const checkTestStatus = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestsRunning(data.isRunning || false)
-      }
-    } catch {
-      // Ignore errors
-    }
-  }
 
   const runAllTests = async () => {
     if (testsRunning) return
     try {
-      const res = await fetch(API_ENDPOINTS.RUN_TESTS, {
+      await fetch(API_ENDPOINTS.RUN_TESTS, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ templates: [] }) // Empty array = all templates
       })
-      if (res.ok) {
-        setTestsRunning(true)
-      }
     } catch (err) {
       console.error('Failed to start tests:', err)
     }
   }
 
-  const fetchLogs = async () => {
+  const fetchRuns = async () => {
     try {
-      const res = await fetch(API_ENDPOINTS.LOGS)
+      const res = await fetch(API_ENDPOINTS.RUNS)
       if (res.ok) {
         const data = await res.json()
-        setLogs(data.logs || [])
+        setRuns(data.runs || [])
       }
     } catch (err) {
-      console.error('Failed to fetch logs:', err)
+      console.error('Failed to fetch runs:', err)
     }
   }
 
-  const fetchTestPlans = async () => {
+  const fetchBaselines = async () => {
     try {
-      const res = await fetch(API_ENDPOINTS.TEST_PLANS)
+      const res = await fetch(API_ENDPOINTS.BASELINES)
       if (res.ok) {
         const data = await res.json()
-        setTestPlans(data.plans || [])
+        setBaselineCaptures(data.captures)
+      }
+    } catch (err) {
+      console.error('Failed to fetch baselines:', err)
+    }
+  }
+
+  const showNotification = (type, message) => {
+    setNotification({ type, message })
+    setTimeout(() => setNotification(null), TIMEOUTS.NOTIFICATION)
+  }
+
+  // Screenshots captured by the selected report's run can be approved as the new baselines
+  const canApproveBaselines = !!selectedReport?.runId && baselineCaptures?.runId === selectedReport.runId
+
+  const approveBaselines = async () => {
+    const templates = baselineCaptures?.templates || []
+    if (!confirm(t('messages:confirm.approveBaselines', { count: templates.length, templates: templates.join(', ') }))) return
+
+    setApprovingBaselines(true)
+    try {
+      const res = await fetch(API_ENDPOINTS.BASELINES_APPROVE, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ runId: selectedReport.runId })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.error || data.message)
       }
+      showNotification('success', t('messages:success.baselinesApproved', { count: data.approved.length }))
     } catch (err) {
-      console.error('Failed to fetch test plans:', err)
+      showNotification('error', t('messages:error.failedToApproveBaselines', { error: err.message }))
+    } finally {
+      setApprovingBaselines(false)
     }
   }
 
+  // Open the report of a run (?run=<id>) or a report by id (?id=report-...)
   useEffect(() => {
+    const runId = searchParams.get('run')
     const reportId = searchParams.get('id')
-    if (reportId && reports.length > 0 && !selectedReport) {
-      const report = reports.find(r => r.id === reportId)
+    if ((runId || reportId) && reports.length > 0 && !selectedReport) {
+      const report = reports.find(r => (runId ? r.runId === runId : r.id === reportId))
       if (report) {
         viewReport(report)
       }
@@ -268,34 +281,17 @@ function Reports() {
     }
   }
 
-  const getRelatedLog = (report) => {
-    if (!report?.createdAt || logs.length === 0) return null
-    const reportTime = new Date(report.createdAt).getTime()
-    return logs.find(log => {
-      const logTime = new Date(log.createdAt).getTime()
-      return Math.abs(logTime - reportTime) < 5 * 60 * 1000
-    })
-  }
-
-  const getRelatedTestPlan = (report) => {
-    if (!report?.createdAt || testPlans.length === 0) return null
-    const reportTime = new Date(report.createdAt).getTime()
-    return testPlans.find(plan => {
-      const planTime = new Date(plan.createdAt).getTime()
-      return Math.abs(planTime - reportTime) < 5 * 60 * 1000
-    })
-  }
+  const getRun = (report) => runs.find(run => run.id === report?.runId) || null
 
   const deleteReport = async (report, e) => {
     e.stopPropagation()
-    const relatedLog = getRelatedLog(report)
-    const relatedPlan = getRelatedTestPlan(report)
+    const links = getRun(report)?.links || {}
 
     let confirmMessage = t('messages:confirm.deleteReport', { title: report.title })
-    if (relatedLog || relatedPlan) {
+    if (links.log || links.testPlan) {
       confirmMessage += '\n\n' + t('messages:confirm.deleteLinkedItems')
-      if (relatedLog) confirmMessage += '\n- Log: ' + relatedLog.file
-      if (relatedPlan) confirmMessage += '\n- Test Plan: ' + (relatedPlan.testPlanId || relatedPlan.id)
+      if (links.log) confirmMessage += '\n- Log: ' + links.log
+      if (links.testPlan) confirmMessage += '\n- Test Plan: ' + links.testPlan
     }
 
     if (!confirm(confirmMessage)) return
@@ -312,9 +308,8 @@ function Reports() {
           setSelectedReport(null)
           setReportContent(null)
         }
-        // Refresh logs and test plans since they may have been deleted
-        fetchLogs()
-        fetchTestPlans()
+        // Refresh runs since the rest of the run was deleted with the report
+        fetchRuns()
       }
     } catch (err) {
       setError(err.message)
@@ -338,14 +333,6 @@ function Reports() {
     return `${(bytes / (1024 * 1024)).toFixed(1)} ${t('common:units.megabytes')}`
   }
 
-  const getRelatedLogFile = (reportId) => {
-    const match = reportId.match(/report-(.+)/)
-    if (match) {
-      return `test-${match[1]}.log`
-    }
-    return null
-  }
-
   const handleCloseIssuePanel = () => {
     setSelectedIssue(null)
     setIssueScreenshots([])
@@ -478,9 +465,22 @@ function Reports() {
                 </div>
               </div>
               <div className="flex items-center space-x-2">
-                {getRelatedLogFile(selectedReport.id) && (
+                {canApproveBaselines && (
+                  <button
+                    onClick={approveBaselines}
+                    disabled={testsRunning || approvingBaselines}
+                    title={t('pages:reports.approveBaselinesHint')}
+                    className="px-3 py-1.5 text-sm bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                    </svg>
+                    <span>{t('pages:reports.approveBaselines')}</span>
+                  </button>
+                )}
+                {getRun(selectedReport)?.links.log && (
                   <a
-                    href={`/logs?file=${getRelatedLogFile(selectedReport.id)}`}
+                    href={`/logs?run=${selectedReport.runId}`}
                     className="px-3 py-1.5 text-sm bg-purple-100 text-purple-700 rounded-lg hover:bg-purple-200 flex items-center space-x-1"
                   >
                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -490,7 +490,7 @@ function Reports() {
                   </a>
                 )}
                 <a
-                  href="/test-plans"
+                  href={getRun(selectedReport)?.links.testPlan ? `/test-plans?run=${selectedReport.runId}` : '/test-plans'}
                   className="px-3 py-1.5 text-sm bg-green-100 text-green-700 rounded-lg hover:bg-green-200 flex items-center space-x-1"
                 >
                   <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -539,6 +539,8 @@ function Reports() {
           onClose={handleCloseIssuePanel}
         />
       )}
+
+      <NotificationToast notification={notification} onClose={() => setNotification(null)} />
     </div>
   )
 }
@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react'
 import { useTranslation } from 'react-i18next'
 import { API_ENDPOINTS, TIMEOUTS } from '../constants'
 import { NotificationToast } from '../components/ui'
-import { ApiKeySection, AutoTestSection, UsageSection } from '../components/settings'
+import { AiProviderSection, ApiKeySection, AutoTestSection, CacheSection, TestModeSection, UsageSection } from '../components/settings'
 
 function Settings() {
   const { t } = useTranslation(['pages', 'common', 'messages'])
@@ -21,6 +21,13 @@ function Settings() {
   const [restoring, setRestoring] = useState(false)
   const [autoTestEnabled, setAutoTestEnabled] = useState(false)
   const [savingAutoTest, setSavingAutoTest] = useState(false)
+  const [testMode, setTestMode] = useState('regression')
+  const [savingTestMode, setSavingTestMode] = useState(false)
+  const [aiProvider, setAiProvider] = useState({ provider: 'anthropic', baseUrl: '', model: '' })
+  const [aiProviders, setAiProviders] = useState(['anthropic'])
+  const [savingAiProvider, setSavingAiProvider] = useState(false)
+  const [cacheStats, setCacheStats] = useState(null)
+  const [clearingCache, setClearingCache] = useState(false)
 
   const showNotification = (type, message) => {
     setNotification({ type, message })
@@ -30,6 +37,10 @@ function Settings() {
   useEffect(() => {
     loadApiKey()
     loadAutoTestSetting()
+    loadTestModeSetting()
+    loadAiProviderSetting()
+    fetchUsage()
+    loadCacheStats()
   }, [])
 
   const loadAutoTestSetting = async () => {
@@ -65,6 +76,99 @@ function Settings() {
     }
   }
 
+  const loadTestModeSetting = async () => {
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.TEST_MODE)
+      if (res.ok) {
+        const data = await res.json()
+        setTestMode(data.mode || 'regression')
+      }
+    } catch {
+      console.error('Failed to load test mode setting')
+    }
+  }
+
+  const updateTestMode = async (mode) => {
+    if (mode === testMode) return
+    setSavingTestMode(true)
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.TEST_MODE, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode })
+      })
+      if (!res.ok) throw new Error('Request failed')
+      setTestMode(mode)
+      showNotification('success', t('messages:success.testModeUpdated', {
+        mode: t(`pages:settings.testMode.${mode}.label`)
+      }))
+    } catch {
+      showNotification('error', t('messages:error.failedToUpdateTestMode'))
+    } finally {
+      setSavingTestMode(false)
+    }
+  }
+
+  const loadAiProviderSetting = async () => {
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.AI_PROVIDER)
+      if (res.ok) {
+        const { providers, ...settings } = await res.json()
+        setAiProvider(settings)
+        setAiProviders(providers)
+      }
+    } catch {
+      console.error('Failed to load AI provider setting')
+    }
+  }
+
+  const saveAiProvider = async () => {
+    setSavingAiProvider(true)
+    setTestResult(null)
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.AI_PROVIDER, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(aiProvider)
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error)
+      showNotification('success', t('messages:success.aiProviderUpdated', {
+        provider: t(`pages:settings.aiProvider.providers.${aiProvider.provider}.label`)
+      }))
+    } catch (err) {
+      showNotification('error', t('messages:error.failedToUpdateAiProvider', { error: err.message }))
+    } finally {
+      setSavingAiProvider(false)
+    }
+  }
+
+  const loadCacheStats = async () => {
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.CACHE)
+      if (res.ok) {
+        setCacheStats(await res.json())
+      }
+    } catch {
+      console.error('Failed to load cache stats')
+    }
+  }
+
+  const clearCache = async () => {
+    setClearingCache(true)
+    try {
+      const res = await fetch(API_ENDPOINTS.SETTINGS.CLEAR_CACHE, { method: 'POST' })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error)
+      showNotification('success', t('messages:success.cacheCleared', { count: data.cleared }))
+      loadCacheStats()
+    } catch (err) {
+      showNotification('error', t('messages:error.failedToClearCache', { error: err.message }))
+    } finally {
+      setClearingCache(false)
+    }
+  }
+
   const loadApiKey = async () => {
     try {
       const res = await fetch(API_ENDPOINTS.SETTINGS.API_KEY)
@@ -202,15 +306,34 @@ function Settings() {
             onRestoreDefaultKey={restoreDefaultKey}
           />
 
+          <AiProviderSection
+            settings={aiProvider}
+            providers={aiProviders}
+            saving={savingAiProvider}
+            onChange={setAiProvider}
+            onSave={saveAiProvider}
+          />
+
           <AutoTestSection
             enabled={autoTestEnabled}
             saving={savingAutoTest}
             onToggle={toggleAutoTest}
           />
 
+          <TestModeSection
+            mode={testMode}
+            saving={savingTestMode}
+            onChange={updateTestMode}
+          />
+
+          <CacheSection
+            stats={cacheStats}
+            clearing={clearingCache}
+            onClear={clearCache}
+          />
+
           <UsageSection
             usage={usage}
-            maskedKey={maskedKey}
             loading={loadingUsage}
             onRefresh={fetchUsage}
           />
@@ -1,8 +1,8 @@
 import { useState, useEffect, useCallback } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { useTranslation } from 'react-i18next'
-import { API_ENDPOINTS, TIMEOUTS } from '../constants'
-import { LoadingSpinner, EmptyState } from '../components/ui'
+import { API_ENDPOINTS } from '../constants'
+import { LoadingSpinner, EmptyState, StatusBadge } from '../components/ui'
 import { useTestCompletion } from '../hooks'
 
 function TestPlans() {
@@ -10,49 +10,40 @@ function TestPlans() {
   const [testPlans, setTestPlans] = useState([])
   const [selectedPlan, setSelectedPlan] = useState(null)
   const [loading, setLoading] = useState(true)
-  const [testsRunning, setTestsRunning] = useState(false)
+  const [runs, setRuns] = useState([])
+  const [searchParams] = useSearchParams()
 
   // Auto-refresh when tests complete
   const refreshAllData = useCallback(() => {
     fetchTestPlans()
+    fetchRuns()
   }, [])
 
-  useTestCompletion(refreshAllData)
+  const { isTestRunning: testsRunning } = useTestCompletion(refreshAllData)
 
   useEffect(() => {
     fetchTestPlans()
-    checkTestStatus()
+    fetchRuns()
   }, [])
 
-  // Poll for test status
+  // Open the test plan of a run (?run=<id>)
   useEffect(() => {
-    const interval = setInterval(checkTestStatus, TIMEOUTS.POLLING_INTERVAL)
-    return () => clearInterval(interval)
-  }, [])
-
-  const checkTestStatus = async () => {
-    try {
-      const res = await fetch(API_ENDPOINTS.TEST_STATUS)
-      if (res.ok) {
-        const data = await res.json()
-        setTestsRunning(data.isRunning || false)
-      }
-    } catch {
-      // Ignore errors
+    const runId = searchParams.get('run')
+    const plan = runId && testPlans.find(p => p.runId === runId)
+    if (plan) {
+      setSelectedPlan(plan)
     }
-  }
+  }, [searchParams, testPlans])
+
 
   const runAllTests = async () => {
     if (testsRunning) return
     try {
-      const res = await fetch(API_ENDPOINTS.RUN_TESTS, {
+      await fetch(API_ENDPOINTS.RUN_TESTS, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ templates: [] }) // Empty array = all templates
       })
-      if (res.ok) {
-        setTestsRunning(true)
-      }
     } catch (err) {
       console.error('Failed to start tests:', err)
     }
@@ -75,14 +66,40 @@ function TestPlans() {
     }
   }
 
+  const fetchRuns = async () => {
+    try {
+      const res = await fetch(API_ENDPOINTS.RUNS)
+      if (res.ok) {
+        const data = await res.json()
+        setRuns(data.runs || [])
+      }
+    } catch (err) {
+      console.error('Failed to fetch runs:', err)
+    }
+  }
+
+  // Run of a plan, when that run produced a report that still exists
+  const getReportRun = (plan) => {
+    const run = runs.find(r => r.id === plan?.runId)
+    return run?.links.report ? run : null
+  }
+
+  const getReportLinkClass = (run) => (
+    run.status === 'passed' ? 'bg-green-100 text-green-700' :
+    run.status === 'failed' ? 'bg-red-100 text-red-700' :
+    run.status === 'warning' ? 'bg-yellow-100 text-yellow-700' :
+    'bg-blue-100 text-blue-700'
+  )
+
   const deletePlan = async (plan, e) => {
     e.stopPropagation()
+    const links = runs.find(r => r.id === plan.runId)?.links || {}
 
     let confirmMessage = t('messages:confirm.deleteTestPlan', { id: plan.testPlanId || plan.id })
-    if (plan.linkedReport || plan.linkedLog) {
+    if (links.report || links.log) {
       confirmMessage += '\n\n' + t('messages:confirm.deleteLinkedItems')
-      if (plan.linkedReport) confirmMessage += '\n- Report: ' + plan.linkedReport.id
-      if (plan.linkedLog) confirmMessage += '\n- Log: ' + plan.linkedLog.file
+      if (links.report) confirmMessage += '\n- Report: ' + links.report
+      if (links.log) confirmMessage += '\n- Log: ' + links.log
     }
 
     if (!confirm(confirmMessage)) return
@@ -98,6 +115,8 @@ function TestPlans() {
         if (selectedPlan?.id === plan.id) {
           setSelectedPlan(null)
         }
+        // Refresh runs since the rest of the run was deleted with the plan
+        fetchRuns()
       }
     } catch (err) {
       console.error('Failed to delete test plan:', err)
@@ -174,21 +193,19 @@ function TestPlans() {
                         <p className="text-xs text-gray-500 mt-1">
                           {formatDate(plan.createdAt)}
                         </p>
-                        {plan.linkedReport && (
+                        {runs.find(r => r.id === plan.runId)?.status === 'cancelled' && (
+                          <StatusBadge status="cancelled" className="inline-block mt-1" />
+                        )}
+                        {getReportRun(plan) && (
                           <Link
-                            to={`/reports?id=${plan.linkedReport.id}`}
+                            to={`/reports?run=${plan.runId}`}
                             onClick={(e) => e.stopPropagation()}
-                            className={`inline-flex items-center space-x-1 text-xs mt-2 px-2 py-1 rounded-full ${
-                              plan.linkedReport.status === 'passed' ? 'bg-green-100 text-green-700' :
-                              plan.linkedReport.status === 'failed' ? 'bg-red-100 text-red-700' :
-                              plan.linkedReport.status === 'warning' ? 'bg-yellow-100 text-yellow-700' :
-                              'bg-blue-100 text-blue-700'
-                            }`}
+                            className={`inline-flex items-center space-x-1 text-xs mt-2 px-2 py-1 rounded-full ${getReportLinkClass(getReportRun(plan))}`}
                           >
                             <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                             </svg>
-                            <span>View Report ({plan.linkedReport.status})</span>
+                            <span>View Report ({getReportRun(plan).status})</span>
                           </Link>
                         )}
                       </div>
@@ -231,20 +248,15 @@ function TestPlans() {
                     </p>
                   </div>
                   <div className="flex items-center space-x-2">
-                    {selectedPlan.linkedReport && (
+                    {getReportRun(selectedPlan) && (
                       <Link
-                        to={`/reports?id=${selectedPlan.linkedReport.id}`}
-                        className={`px-3 py-1.5 rounded-lg text-sm flex items-center space-x-2 ${
-                          selectedPlan.linkedReport.status === 'passed' ? 'bg-green-100 text-green-700 hover:bg-green-200' :
-                          selectedPlan.linkedReport.status === 'failed' ? 'bg-red-100 text-red-700 hover:bg-red-200' :
-                          selectedPlan.linkedReport.status === 'warning' ? 'bg-yellow-100 text-yellow-700 hover:bg-yellow-200' :
-                          'bg-blue-100 text-blue-700 hover:bg-blue-200'
-                        }`}
+                        to={`/reports?run=${selectedPlan.runId}`}
+                        className={`px-3 py-1.5 rounded-lg text-sm flex items-center space-x-2 hover:opacity-80 ${getReportLinkClass(getReportRun(selectedPlan))}`}
                       >
                         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                         </svg>
-                        <span>View Report ({selectedPlan.linkedReport.status})</span>
+                        <span>View Report ({getReportRun(selectedPlan).status})</span>
                       </Link>
                     )}
                     <button
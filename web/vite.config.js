@@ -3,9 +3,7 @@ import react from '@vitejs/plugin-react'
 import path from 'path'
 import fs from 'fs'
 import { spawn } from 'child_process'
-import https from 'https'
-import mjml2html from 'mjml'
-import ejs from 'ejs'
+import { pathToFileURL } from 'url'
 
 // ============================================================================
 // PATH CONSTANTS
@@ -23,30 +21,7 @@ const PATHS = {
   SCREENSHOTS: path.resolve(__dirname, '../test_framework/output/screenshots'),
   DIFFS: path.resolve(__dirname, '../test_framework/output/diffs'),
   TEST_DATA: path.resolve(__dirname, '../test_framework/test-data/sample-context.json'),
-}
-
-// ============================================================================
-// FILE PATTERN HELPERS
-// ============================================================================
-
-const FILE_PATTERNS = {
-  // Regex patterns for extracting timestamps
-  testPlanRegex: /test-plan-(.+)/,
-  logFileRegex: /test-(.+)\.log/,
-  reportFileRegex: /report-(.+)/,
-}
-
-/**
- * Extract timestamp from a file identifier
- */
-const extractTimestamp = (identifier, type) => {
-  const patterns = {
-    testPlan: FILE_PATTERNS.testPlanRegex,
-    log: FILE_PATTERNS.logFileRegex,
-    report: FILE_PATTERNS.reportFileRegex,
-  }
-  const match = identifier.match(patterns[type])
-  return match ? match[1] : null
+  TEMPLATE_REGISTRY: path.resolve(__dirname, '../email_templates/templates.json'),
 }
 
 // ============================================================================
@@ -55,53 +30,23 @@ const extractTimestamp = (identifier, type) => {
 
 const COMPILED_OUTPUT_DIR = path.resolve(__dirname, '../test_framework/output/compiled')
 
-/**
- * Load test data for EJS variable substitution
- */
-const loadTestData = () => {
-  try {
-    const content = fs.readFileSync(PATHS.TEST_DATA, 'utf-8')
-    const data = JSON.parse(content)
-    const ctx = data.context || {}
-
-    return {
-      context: ctx,
-      company: {
-        name: ctx.companyName || 'Carebox',
-        address: ctx.companyAddress || '123 Main Street, San Francisco, CA 94102',
-        logoUrl: ctx.logoUrl || '/templates/shared/carebox_logo.png',
-        supportEmail: ctx.supportEmail || 'support@example.com'
-      },
-      visitor: {
-        name: ctx.visitorName || 'Valued Visitor'
-      },
-      urls: {
-        cta: ctx.ctaUrl || 'https://example.com/get-started',
-        privacy: ctx.privacyUrl || 'https://example.com/privacy',
-        terms: ctx.termsUrl || 'https://example.com/terms',
-        unsubscribe: ctx.unsubscribeUrl || 'https://example.com/unsubscribe'
-      },
-      currentYear: ctx.currentYear || new Date().getFullYear()
-    }
-  } catch (error) {
-    console.warn('Warning: Could not load test data, using empty context')
-    return {
-      context: {},
-      company: { name: 'Carebox', address: '', logoUrl: '', supportEmail: '' },
-      visitor: { name: 'Valued Visitor' },
-      urls: { cta: '', privacy: '', terms: '', unsubscribe: '' },
-      currentYear: new Date().getFullYear()
-    }
-  }
-}
+// Load the shared MJML+EJS renderer from the test framework
+const loadRendererModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'templates/renderer.js')).href)
+
+// Load the .eml builder from the test framework
+const loadEmlExportModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'templates/eml-export.js')).href)
+
+// Load the asset fingerprinting and URL rewriting from the test framework
+const loadAssetsModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'templates/assets.js')).href)
 
 /**
- * Compile a single MJML template to HTML
+ * Compile a single MJML template to HTML with the shared renderer
  */
-const compileTemplate = (templateFileName) => {
-  const templatesDir = path.resolve(__dirname, '../email_templates')
-  const emailsDir = path.join(templatesDir, 'emails')
-  const templatePath = path.join(emailsDir, templateFileName)
+const compileTemplate = async (templateFileName) => {
+  const templatePath = path.join(PATHS.TEMPLATES_DIR, 'emails', templateFileName)
   const baseName = templateFileName.replace('.mjml', '')
   const outputPath = path.join(COMPILED_OUTPUT_DIR, `${baseName}.html`)
 
@@ -111,52 +56,28 @@ const compileTemplate = (templateFileName) => {
       fs.mkdirSync(COMPILED_OUTPUT_DIR, { recursive: true })
     }
 
-    // Read template
-    const mjmlContent = fs.readFileSync(templatePath, 'utf-8')
-
-    // Load test data
-    const testData = loadTestData()
-
-    // Process EJS
-    const ejsOptions = {
+    const { renderTemplate } = await loadRendererModule()
+    const { html, errors } = renderTemplate(fs.readFileSync(templatePath, 'utf-8'), {
       filename: templatePath,
-      root: templatesDir,
-    }
-
-    let processedMjml
-    try {
-      processedMjml = ejs.render(mjmlContent, testData, ejsOptions)
-    } catch (ejsError) {
-      console.error(`EJS error compiling ${templateFileName}:`, ejsError.message)
-      return { success: false, error: `EJS error: ${ejsError.message}` }
-    }
-
-    // Compile MJML to HTML
-    const compilationResult = mjml2html(processedMjml, {
-      validationLevel: 'soft',
-      filePath: templatePath,
+      root: PATHS.TEMPLATES_DIR,
     })
+    if (html === null) {
+      const error = errors.map(e => e.message).join('; ')
+      console.error(`Error compiling ${templateFileName}:`, error)
+      return { success: false, error }
+    }
 
     // Write HTML output
-    fs.writeFileSync(outputPath, compilationResult.html, 'utf-8')
+    fs.writeFileSync(outputPath, html, 'utf-8')
 
     console.log(`Compiled ${templateFileName} -> ${baseName}.html`)
-    return { success: true, outputPath, errors: compilationResult.errors }
+    return { success: true, outputPath, errors }
   } catch (error) {
     console.error(`Error compiling ${templateFileName}:`, error.message)
     return { success: false, error: error.message }
   }
 }
 
-/**
- * Get linked file paths for a given timestamp
- */
-const getLinkedFilePaths = (timestamp) => ({
-  testPlan: path.join(PATHS.PLANS, `test-plan-${timestamp}.json`),
-  log: path.join(PATHS.LOGS, `test-${timestamp}.log`),
-  report: path.join(PATHS.ARTIFACTS, `report-${timestamp}.html`),
-})
-
 /**
  * Delete a file if it exists
  */
@@ -169,23 +90,25 @@ const deleteIfExists = (filePath) => {
 }
 
 /**
- * Delete linked files (test plan, log, report) for a given timestamp
+ * Delete an artifact; if a recorded run produced it, delete the whole run
+ * with its other artifacts (test plan, log, reports, Playwright results)
  */
-const deleteLinkedFiles = (timestamp, excludeType = null) => {
-  const paths = getLinkedFilePaths(timestamp)
-  const deleted = { testPlan: false, log: false, report: false }
-
-  if (excludeType !== 'testPlan') {
-    deleted.testPlan = deleteIfExists(paths.testPlan)
-  }
-  if (excludeType !== 'log') {
-    deleted.log = deleteIfExists(paths.log)
-  }
-  if (excludeType !== 'report') {
-    deleted.report = deleteIfExists(paths.report)
+const deleteArtifact = async (type, filePath) => {
+  const { RunStore } = await loadRunsModule()
+  const runStore = new RunStore()
+  const run = runStore.findByArtifact(path.basename(filePath))
+  if (run) {
+    return { runId: run.id, deleted: runStore.deleteWithArtifacts(run.id) }
   }
+  return { runId: null, deleted: { [type]: deleteIfExists(filePath) } }
+}
 
-  return deleted
+/**
+ * Map of artifact file name to run id, for tagging list entries with their run
+ */
+const loadArtifactIndex = async () => {
+  const { RunStore } = await loadRunsModule()
+  return new RunStore().artifactIndex()
 }
 
 // ============================================================================
@@ -199,7 +122,28 @@ let testState = {
   currentTest: null,
   pipelineStep: null,
   stepDescription: null,
-  logs: []
+  logs: [],
+  results: []
+};
+
+// ============================================================================
+// LIVE EVENTS
+// ============================================================================
+
+// Open GET /api/events responses (Server-Sent Events)
+const eventClients = new Set();
+
+// Log lines of the current run kept for clients that connect mid-run
+const MAX_BUFFERED_LOG_LINES = 5000;
+
+// Comment sent on idle streams so proxies do not close them
+const EVENTS_HEARTBEAT_INTERVAL = 15000;
+
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+const broadcastEvent = (event, data) => {
+  const message = formatEvent(event, data);
+  eventClients.forEach(client => client.write(message));
 };
 
 // Default API key from environment (fallback)
@@ -216,6 +160,11 @@ let apiState = {
 // Store for auto-test setting
 let autoTestEnabled = false;
 
+// Test mode setting: 'regression' (templates must match base) or 'variation' (declared differences allowed)
+const TEST_MODES = ['regression', 'variation'];
+const LEGACY_TEST_MODES = { strict: 'regression', weak: 'variation' };
+let testMode = 'regression';
+
 // Get the active API key (user's key or default)
 const getActiveApiKey = () => {
   if (apiState.apiKey && !apiState.useDefaultKey) {
@@ -224,6 +173,92 @@ const getActiveApiKey = () => {
   return DEFAULT_API_KEY;
 };
 
+// AI provider setting: which LLM backend the agents use, plus optional endpoint/model overrides.
+// Each provider reads its key, endpoint and model from these environment variables.
+const AI_PROVIDERS = {
+  anthropic: { apiKeyEnv: 'ANTHROPIC_API_KEY', baseUrlEnv: 'ANTHROPIC_BASE_URL', modelEnv: 'ANTHROPIC_MODEL' },
+  openai: { apiKeyEnv: 'OPENAI_API_KEY', baseUrlEnv: 'OPENAI_BASE_URL', modelEnv: 'OPENAI_MODEL' },
+  replay: {},
+  none: {}
+};
+const DEFAULT_AI_PROVIDER = AI_PROVIDERS[process.env.AI_PROVIDER] ? process.env.AI_PROVIDER : 'anthropic';
+let aiProviderSettings = { provider: DEFAULT_AI_PROVIDER, baseUrl: '', model: '' };
+
+// Get the API key for the selected provider (custom key, or the provider's env key)
+const getProviderApiKey = () => {
+  const { provider } = aiProviderSettings;
+  if (provider === 'anthropic') {
+    return getActiveApiKey();
+  }
+  if (apiState.apiKey && !apiState.useDefaultKey) {
+    return apiState.apiKey;
+  }
+  const { apiKeyEnv } = AI_PROVIDERS[provider];
+  return apiKeyEnv ? process.env[apiKeyEnv] || null : null;
+};
+
+// Add the AI provider settings to the environment of a pipeline process
+const applyProviderEnv = (env) => {
+  const { provider, baseUrl, model } = aiProviderSettings;
+  const config = AI_PROVIDERS[provider];
+  const apiKey = getProviderApiKey();
+
+  env.AI_PROVIDER = provider;
+  if (apiKey && config.apiKeyEnv) env[config.apiKeyEnv] = apiKey;
+  if (baseUrl && config.baseUrlEnv) env[config.baseUrlEnv] = baseUrl;
+  if (model && config.modelEnv) env[config.modelEnv] = model;
+  return env;
+};
+
+// Load the provider layer from the test framework at runtime (resolves its own dependencies)
+const loadProviderModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'providers/index.js')).href);
+
+// Load the price table and usage log helpers from the test framework
+const loadPricingModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'config/pricing.js')).href);
+
+// Load the agent response cache from the test framework
+const loadCacheModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'cache/response-cache.js')).href);
+
+// Load the run history index from the test framework
+const loadRunsModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'runs/run-store.js')).href);
+
+// Load the trend aggregation for the Dashboard from the test framework
+const loadTrendsModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'runs/trends.js')).href);
+
+// Load the approved visual baselines from the test framework
+const loadBaselinesModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'visual/baselines.js')).href);
+
+// Load the queue of runs waiting for the pipeline from the test framework
+const loadQueueModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'runs/run-queue.js')).href);
+
+// Turn a provider error into a message for the Settings page
+const describeProviderError = (error) => {
+  const message = error.message || 'Unknown error';
+  if (error.status === 429 || message.toLowerCase().includes('rate')) {
+    return 'Rate limit exceeded. Please wait or upgrade your plan.';
+  }
+  if (message.toLowerCase().includes('credit') || message.toLowerCase().includes('billing')) {
+    return 'Insufficient credits. Please add funds to your account.';
+  }
+  if (error.status === 401) {
+    return 'Invalid API key. Please check your settings.';
+  }
+  if (error.name === 'TimeoutError' || error.name === 'APIConnectionTimeoutError') {
+    return 'Request timeout - API took too long to respond';
+  }
+  if (!error.status && error.name !== 'Error') {
+    return 'Failed to connect to API: ' + message;
+  }
+  return message;
+};
+
 // Settings file path (using PATHS constant)
 const SETTINGS_FILE = PATHS.SETTINGS;
 
@@ -237,6 +272,15 @@ const loadSettings = () => {
         apiState.useDefaultKey = data.useDefaultKey !== false;
       }
       autoTestEnabled = data.autoTestEnabled || false;
+      testMode = LEGACY_TEST_MODES[data.testMode] || data.testMode || 'regression';
+      if (!TEST_MODES.includes(testMode)) testMode = 'regression';
+      if (data.aiProvider && AI_PROVIDERS[data.aiProvider.provider]) {
+        aiProviderSettings = {
+          provider: data.aiProvider.provider,
+          baseUrl: data.aiProvider.baseUrl || '',
+          model: data.aiProvider.model || ''
+        };
+      }
     }
   } catch (e) {
     console.warn('Failed to load settings:', e.message);
@@ -249,90 +293,143 @@ const saveSettings = () => {
     fs.writeFileSync(SETTINGS_FILE, JSON.stringify({
       apiKey: apiState.apiKey,
       useDefaultKey: apiState.useDefaultKey,
-      autoTestEnabled: autoTestEnabled
+      autoTestEnabled: autoTestEnabled,
+      testMode: testMode,
+      aiProvider: aiProviderSettings
     }, null, 2));
   } catch (e) {
     console.warn('Failed to save settings:', e.message);
   }
 };
 
-// Trigger auto-test if enabled
-const triggerAutoTest = (changedTemplate) => {
-  if (!autoTestEnabled || testState.isRunning) return;
+// Pipeline process of the running test. It is spawned detached so it leads its own
+// process group, which also holds the compile and Playwright subprocesses (and their
+// browsers) started by the orchestrator.
+let activeTestProcess = null;
+
+// Grace period for a cancelled pipeline to record its run before the group is killed
+const CANCEL_KILL_TIMEOUT = 10000;
 
-  console.log(`[Auto-Test] Triggered by change to: ${changedTemplate}`);
+const spawnTestProcess = (env, args = []) => {
+  const child = spawn('node', ['scripts/run-agents.js', ...args], {
+    cwd: PATHS.TEST_FRAMEWORK,
+    env,
+    detached: true,
+    stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+  });
+  activeTestProcess = child;
+  child.on('close', () => {
+    if (activeTestProcess === child) activeTestProcess = null;
+  });
+  return child;
+};
+
+const signalProcessGroup = (child, signal) => {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Process group already gone
+  }
+};
+
+// SIGTERM lets run-agents.js record the run as cancelled and save its log; whatever
+// is left of the group afterwards (or after the grace period) is killed
+const cancelTestProcess = () => {
+  const child = activeTestProcess;
+  if (!child) return false;
+
+  signalProcessGroup(child, 'SIGTERM');
+  const timer = setTimeout(() => signalProcessGroup(child, 'SIGKILL'), CANCEL_KILL_TIMEOUT);
+  child.on('close', () => {
+    clearTimeout(timer);
+    signalProcessGroup(child, 'SIGKILL');
+  });
+  return true;
+};
+
+// Descriptor of the pipeline's event channel (NDJSON, see test_framework/events/pipeline-events.js)
+const PIPELINE_EVENTS_FD = 3;
+
+// Apply one pipeline event (phases, log lines, per-test results, artifacts) and push it to event clients
+const handlePipelineEvent = (event) => {
+  const { currentTest } = testState;
+
+  switch (event.type) {
+    case 'run:start':
+      if (currentTest) {
+        currentTest.runId = event.runId;
+      }
+      break;
+    case 'phase:start':
+      if (currentTest) {
+        Object.assign(currentTest, { step: event.phase, stepDescription: event.description, progress: event.progress });
+        broadcastEvent('progress', { currentTest });
+      }
+      break;
+    case 'log': {
+      const entry = { timestamp: event.time, message: event.message, type: event.level };
+      testState.logs.push(entry);
+      if (testState.logs.length > MAX_BUFFERED_LOG_LINES) {
+        testState.logs = testState.logs.slice(-MAX_BUFFERED_LOG_LINES);
+      }
+      broadcastEvent('log', { lines: [entry] });
+      break;
+    }
+    case 'test:result': {
+      const { id, name, suite, template, status, duration, assertions } = event;
+      const result = { id, name, suite, template, status, duration, assertions };
+      testState.results.push(result);
+      broadcastEvent('test-result', result);
+      break;
+    }
+    case 'artifact':
+      if (currentTest) {
+        currentTest.artifacts = { ...currentTest.artifacts, [event.kind]: event.path };
+      }
+      break;
+  }
+};
+
+// Start a queued job (templates: [] tests all templates); the next job starts when it closes
+const startTestRun = (job) => {
+  const autoTriggered = job.trigger === 'auto';
+  const logPrefix = autoTriggered ? '[Auto-Test] ' : '';
 
   testState.isRunning = true;
   testState.logs = [];
+  testState.results = [];
   testState.currentTest = {
     startedAt: new Date().toISOString(),
     status: 'running',
-    templates: [changedTemplate],
+    jobId: job.id,
+    trigger: job.trigger,
+    templates: job.templates.length > 0 ? job.templates : 'all',
+    ...(job.resume && { resume: job.resume }),
     step: 'init',
-    stepDescription: 'Auto-test triggered by file change...',
+    stepDescription: job.resume
+      ? `Resuming run ${job.resume}...`
+      : autoTriggered ? 'Auto-test triggered by file change...' : 'Initializing test pipeline...',
     progress: 0
   };
+  broadcastEvent('run-start', { currentTest: testState.currentTest });
 
-  const testEnv = { ...process.env };
-  const activeKey = getActiveApiKey();
-  if (activeKey) {
-    testEnv.ANTHROPIC_API_KEY = activeKey;
+  // Run the multi-agent test in background with the configured AI provider
+  const testEnv = applyProviderEnv({ ...process.env });
+  if (job.templates.length > 0) {
+    testEnv.TEST_TEMPLATES = job.templates.join(',');
   }
-  testEnv.TEST_TEMPLATES = changedTemplate;
+  testEnv.TEST_MODE = testMode; // Pass test mode to the pipeline
+  testEnv.PIPELINE_EVENTS_FD = String(PIPELINE_EVENTS_FD);
 
-  const testProcess = spawn('node', ['scripts/run-agents.js'], {
-    cwd: PATHS.TEST_FRAMEWORK,
-    env: testEnv
-  });
+  // A resumed run continues from its checkpoints with its own templates and mode
+  const testProcess = spawnTestProcess(testEnv, job.resume ? ['--resume', job.resume] : []);
 
   let output = '';
+  let partialEvent = '';
 
   testProcess.stdout.on('data', (data) => {
-    const text = data.toString();
-    output += text;
-    console.log(text);
-
-    const lines = text.split('\n').filter(l => l.trim());
-    lines.forEach(line => {
-      testState.logs.push({
-        timestamp: new Date().toISOString(),
-        message: line,
-        type: line.includes('Error') || line.includes('error') ? 'error' :
-              line.includes('Warning') || line.includes('warning') ? 'warning' :
-              line.includes('✅') || line.includes('Complete') ? 'success' :
-              line.includes('[STEP:') || line.includes('Phase') ? 'step' :
-              'info'
-      });
-    });
-    if (testState.logs.length > 200) {
-      testState.logs = testState.logs.slice(-200);
-    }
-
-    if (text.includes('[STEP:planner]')) {
-      testState.currentTest.step = 'planner';
-      testState.currentTest.stepDescription = 'Analyzing requirements...';
-      testState.currentTest.progress = 15;
-    } else if (text.includes('[STEP:analyzer]')) {
-      testState.currentTest.step = 'analyzer';
-      testState.currentTest.stepDescription = 'Detecting changes...';
-      testState.currentTest.progress = 30;
-    } else if (text.includes('[STEP:generator]')) {
-      testState.currentTest.step = 'generator';
-      testState.currentTest.stepDescription = 'AI generating test cases...';
-      testState.currentTest.progress = 45;
-    } else if (text.includes('[STEP:diff]')) {
-      testState.currentTest.step = 'diff';
-      testState.currentTest.stepDescription = 'Comparing templates...';
-      testState.currentTest.progress = 60;
-    } else if (text.includes('[STEP:playwright]')) {
-      testState.currentTest.step = 'playwright';
-      testState.currentTest.stepDescription = 'Running AI-generated tests...';
-      testState.currentTest.progress = 75;
-    } else if (text.includes('[STEP:reporter]')) {
-      testState.currentTest.step = 'reporter';
-      testState.currentTest.stepDescription = 'Generating report...';
-      testState.currentTest.progress = 90;
-    }
+    output += data.toString();
+    console.log(data.toString());
   });
 
   testProcess.stderr.on('data', (data) => {
@@ -340,41 +437,167 @@ const triggerAutoTest = (changedTemplate) => {
     console.error(data.toString());
   });
 
+  // Only complete lines are parsed; the rest waits for the next chunk
+  testProcess.stdio[PIPELINE_EVENTS_FD].on('data', (data) => {
+    const lines = (partialEvent + data.toString()).split('\n');
+    partialEvent = lines.pop();
+    lines.filter(line => line.trim()).forEach(line => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        console.warn('Ignoring malformed pipeline event:', line);
+        return;
+      }
+      handlePipelineEvent(event);
+    });
+  });
+
   testProcess.on('close', (code) => {
     testState.isRunning = false;
     const completedAt = new Date().toISOString();
+    const cancelled = testState.currentTest?.status === 'cancelling';
 
     testState.lastResult = {
-      status: code === 0 ? 'complete' : 'error',
+      status: cancelled ? 'cancelled' : code === 0 ? 'complete' : 'error',
       exitCode: code,
       completedAt,
       output: output.slice(-5000),
-      autoTriggered: true
+      jobId: job.id,
+      ...(autoTriggered && { autoTriggered: true })
     };
     testState.currentTest = null;
-    console.log(`[Auto-Test] Completed with exit code ${code}`);
+    broadcastEvent('complete', { lastResult: testState.lastResult });
+    console.log(`${logPrefix}Multi-agent test completed with exit code ${code}`);
+
+    // Note: Logs and reports are saved by the CLI pipeline (run-agents.js and report-generator-agent.js)
+
+    // Check for API errors in output (a cancelled run says nothing about the API)
+    if (code !== 0 && !cancelled) {
+      const outputLower = output.toLowerCase();
+      if (outputLower.includes('rate limit') || outputLower.includes('429') || outputLower.includes('too many requests')) {
+        apiState.lastError = 'API rate limit exceeded. Please wait before running more tests or upgrade your Anthropic plan.';
+      } else if (outputLower.includes('credit') || outputLower.includes('billing') || outputLower.includes('insufficient')) {
+        apiState.lastError = 'Insufficient API credits. Please add funds to your Anthropic account.';
+      } else if (outputLower.includes('invalid api key') || outputLower.includes('401') || outputLower.includes('unauthorized')) {
+        apiState.lastError = 'Invalid API key. Please check your settings.';
+      } else if (outputLower.includes('anthropic_api_key') || outputLower.includes('api key not')) {
+        apiState.lastError = 'API key not configured. Please add your Anthropic API key in Settings.';
+      }
+    } else if (code === 0) {
+      // Clear any previous errors on success
+      apiState.lastError = null;
+    }
+
+    runNextQueuedJob().catch(error => console.error('Failed to start queued run:', error.message));
   });
 };
 
+// Start the next queued job unless a run is in progress; returns the started job (or null)
+const runNextQueuedJob = async () => {
+  const { RunQueue } = await loadQueueModule();
+  if (testState.isRunning) return null;
+
+  const queue = new RunQueue();
+  const job = queue.shift();
+  if (job) {
+    startTestRun(job);
+    broadcastEvent('queue', { jobs: queue.list() });
+  }
+  return job;
+};
+
+// Queue a run request and start it straight away when the pipeline is idle
+const requestTestRun = async (request) => {
+  const { RunQueue } = await loadQueueModule();
+  const queue = new RunQueue();
+  const queued = queue.enqueue(request);
+  broadcastEvent('queue', { jobs: queue.list() });
+  const started = await runNextQueuedJob();
+  if (started?.id === queued.job.id) {
+    return { status: 'started', job: started };
+  }
+  return { status: 'queued', ...queued };
+};
+
+// Load the template/partial include graph from the test framework
+const loadDependencyGraphModule = () =>
+  import(pathToFileURL(path.join(PATHS.TEST_FRAMEWORK, 'templates/dependency-graph.js')).href)
+
+// Trigger auto-test if enabled (queued behind a run in progress)
+// Only the templates the changed file reaches through the include graph are tested
+const triggerAutoTest = async (changedFile) => {
+  if (!autoTestEnabled) return
+
+  try {
+    const { buildDependencyGraph, findAffectedTemplates } = await loadDependencyGraphModule()
+    const templates = findAffectedTemplates(buildDependencyGraph(PATHS.TEMPLATES_DIR), changedFile, PATHS.TEMPLATES_DIR)
+    if (templates.length === 0) {
+      console.log(`[Auto-Test] Change to ${changedFile} affects no templates`)
+      return
+    }
+
+    const { status, position, coalesced } = await requestTestRun({ templates, trigger: 'auto' })
+    if (status === 'started') {
+      console.log(`[Auto-Test] Triggered by change to ${changedFile}: ${templates.join(', ')}`)
+    } else {
+      console.log(`[Auto-Test] Change to ${changedFile} ${coalesced ? 'merged into' : 'queued at'} position ${position}`)
+    }
+  } catch (error) {
+    console.error('[Auto-Test] Failed to queue run:', error.message)
+  }
+}
+
 // Initialize settings
 loadSettings();
 
-// Template metadata (keyed by filename without extension)
-const TEMPLATE_META = {
-  'site_visitor_welcome': {
-    name: 'Site Visitor Welcome',
-    description: 'Base template - Standard welcome email with blue color scheme',
-    type: 'base'
-  },
-  'site_visitor_welcome_partner_a': {
-    name: 'Partner A Welcome',
-    description: 'Partner A variation - Same content, green color scheme',
-    type: 'partner_a'
-  },
-  'site_visitor_welcome_partner_b': {
-    name: 'Partner B Welcome',
-    description: 'Partner B variation - Same colors, different content',
-    type: 'partner_b'
+// Template registry (email_templates/templates.json) - single source of truth for template metadata
+const TEMPLATE_REGISTRY_FILE = PATHS.TEMPLATE_REGISTRY;
+
+// Load the template registry (re-read on every call so edits apply without a restart)
+const loadTemplateRegistry = () => {
+  try {
+    return JSON.parse(fs.readFileSync(TEMPLATE_REGISTRY_FILE, 'utf-8'));
+  } catch (e) {
+    console.warn('Failed to load template registry:', e.message);
+    return { baseTemplate: null, templates: {} };
+  }
+};
+
+// Save the template registry
+const saveTemplateRegistry = (registry) => {
+  fs.writeFileSync(TEMPLATE_REGISTRY_FILE, JSON.stringify(registry, null, 2) + '\n');
+};
+
+// Register a newly created template, inheriting the comparison settings of its source
+const registerTemplate = (templateName, displayName, copyFrom) => {
+  const registry = loadTemplateRegistry();
+  const sourceName = copyFrom ? copyFrom.replace('.mjml', '') : null;
+  const source = sourceName ? registry.templates[sourceName] : null;
+  const isCopyOfBase = sourceName && sourceName === registry.baseTemplate;
+
+  registry.templates[templateName] = {
+    file: `${templateName}.mjml`,
+    name: displayName,
+    description: '',
+    type: 'custom',
+    owner: source?.owner || '',
+    ...(source?.subject && { subject: source.subject }),
+    ...(source?.sizeBudgetKb && { sizeBudgetKb: source.sizeBudgetKb }),
+    ...(source && {
+      baseTemplate: isCopyOfBase ? sourceName : source.baseTemplate,
+      expectedDifference: isCopyOfBase ? 'none' : source.expectedDifference
+    })
+  };
+  saveTemplateRegistry(registry);
+};
+
+// Remove a deleted template from the registry
+const unregisterTemplate = (templateName) => {
+  const registry = loadTemplateRegistry();
+  if (registry.templates[templateName]) {
+    delete registry.templates[templateName];
+    saveTemplateRegistry(registry);
   }
 };
 
@@ -385,6 +608,27 @@ function apiPlugin() {
     configureServer(server) {
       const TEMPLATES_DIR = PATHS.TEMPLATES_DIR
 
+      // Pick up runs that were still queued when the server stopped
+      runNextQueuedJob().catch(error => console.error('Failed to start queued run:', error.message))
+
+      // API endpoint for which shared partials each template includes (directly or nested)
+      server.middlewares.use('/api/templates/dependencies', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        try {
+          const { buildDependencyGraph } = await loadDependencyGraphModule()
+          res.end(JSON.stringify(buildDependencyGraph(TEMPLATES_DIR)))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
       // API endpoint to list all templates
       server.middlewares.use('/api/templates', (req, res, next) => {
         if (req.url !== '/' && req.url !== '') {
@@ -401,9 +645,11 @@ function apiPlugin() {
             return fs.statSync(filePath).isFile() && f.endsWith('.mjml')
           })
 
+          const registry = loadTemplateRegistry()
+
           const templates = files.map(file => {
             const name = file.replace('.mjml', '')
-            const meta = TEMPLATE_META[name] || {}
+            const meta = registry.templates[name] || {}
             const filePath = path.join(emailsDir, file)
             const stats = fs.statSync(filePath)
 
@@ -412,6 +658,10 @@ function apiPlugin() {
               name: meta.name || name.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
               description: meta.description || '',
               type: meta.type || 'base',
+              owner: meta.owner || null,
+              isBase: name === registry.baseTemplate,
+              baseTemplate: meta.baseTemplate || null,
+              expectedDifference: meta.expectedDifference || null,
               fileInfo: {
                 size: stats.size,
                 modified: stats.mtime
@@ -437,7 +687,7 @@ function apiPlugin() {
 
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           try {
             const { name, copyFrom } = JSON.parse(body)
             const fileName = name.toLowerCase().replace(/\s+/g, '_').replace(/[^a-z0-9_]/g, '')
@@ -499,9 +749,10 @@ function apiPlugin() {
             }
 
             fs.writeFileSync(newFilePath, templateContent)
+            registerTemplate(fileName, name.trim(), copyFrom)
 
             // Compile template to HTML immediately
-            const compileResult = compileTemplate(`${fileName}.mjml`)
+            const compileResult = await compileTemplate(`${fileName}.mjml`)
             if (!compileResult.success) {
               console.warn(`Warning: Failed to compile new template: ${compileResult.error}`)
             }
@@ -510,7 +761,7 @@ function apiPlugin() {
             res.end(JSON.stringify({ success: true, file: `${fileName}.mjml`, compiled: compileResult.success }))
 
             // Trigger auto-test if enabled
-            triggerAutoTest(fileName)
+            triggerAutoTest(`emails/${fileName}.mjml`)
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
@@ -549,6 +800,7 @@ function apiPlugin() {
 
             const templateName = file.replace('.mjml', '')
             fs.unlinkSync(filePath)
+            unregisterTemplate(templateName)
 
             // Also delete the compiled HTML file if it exists
             const compiledHtmlPath = path.join(COMPILED_OUTPUT_DIR, `${templateName}.html`)
@@ -560,8 +812,8 @@ function apiPlugin() {
             res.setHeader('Content-Type', 'application/json')
             res.end(JSON.stringify({ success: true }))
 
-            // Trigger auto-test if enabled (test remaining templates after deletion)
-            triggerAutoTest(templateName)
+            // Trigger auto-test if enabled (the graph no longer has the template, so nothing is queued for it)
+            triggerAutoTest(`emails/${file}`)
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
@@ -569,41 +821,12 @@ function apiPlugin() {
         })
       })
 
-      // Serve MJML templates from email_templates folder
-      // Processes EJS includes recursively to inline shared variables and partials
+      // Serve MJML templates and assets from email_templates folder, as stored
+      // (includes are resolved by the renderer behind /api/preview)
       server.middlewares.use('/templates', (req, res, next) => {
         const urlPath = req.url.split('?')[0]
         const filePath = path.resolve(__dirname, '../email_templates', urlPath.slice(1))
 
-        // Helper function to process includes recursively
-        const processIncludes = (content, currentDir, depth = 0) => {
-          if (depth > 10) return content // Prevent infinite recursion
-
-          // Replace include directives with the actual file content
-          // Matches: <%- include('path') %>, <%- include('path', { data }) %>
-          return content.replace(/<%[-_]?\s*include\s*\(\s*['"]([^'"]+)['"](?:\s*,\s*\{[^}]*\})?\s*\)\s*%>/g, (match, includePath) => {
-            try {
-              // Resolve path relative to the current file's directory
-              let includeFullPath = path.resolve(currentDir, includePath)
-
-              // Add .ejs extension if not present
-              if (!path.extname(includeFullPath)) {
-                includeFullPath += '.ejs'
-              }
-
-              if (fs.existsSync(includeFullPath)) {
-                let includeContent = fs.readFileSync(includeFullPath, 'utf-8')
-                // Recursively process includes in the included file
-                const includeDir = path.dirname(includeFullPath)
-                return processIncludes(includeContent, includeDir, depth + 1)
-              }
-            } catch (e) {
-              console.warn(`Warning: Could not include ${includePath}: ${e.message}`)
-            }
-            return match // Return original if include fails
-          })
-        }
-
         if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
           const ext = path.extname(filePath).toLowerCase()
 
@@ -624,14 +847,7 @@ function apiPlugin() {
           }
 
           // Handle text files
-          let content = fs.readFileSync(filePath, 'utf-8')
-
-          // Process EJS includes for .mjml files
-          if (ext === '.mjml') {
-            const templateDir = path.dirname(filePath)
-            content = processIncludes(content, templateDir)
-          }
-
+          const content = fs.readFileSync(filePath, 'utf-8')
           const contentType = ext === '.mjml' ? 'text/plain' : 'application/octet-stream'
           res.setHeader('Content-Type', contentType)
           res.end(content)
@@ -640,6 +856,26 @@ function apiPlugin() {
         }
       })
 
+      // Serve fingerprinted template assets (the local asset base): /email-assets/shared/carebox_logo.<hash>.png
+      server.middlewares.use('/email-assets', async (req, res) => {
+        try {
+          const { ASSET_CONTENT_TYPES, findFingerprintedAsset } = await loadAssetsModule()
+          const filePath = findFingerprintedAsset(req.url.split('?')[0], TEMPLATES_DIR)
+          if (!filePath) {
+            res.statusCode = 404
+            res.end(JSON.stringify({ error: 'Asset not found' }))
+            return
+          }
+          res.setHeader('Content-Type', ASSET_CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream')
+          // The name changes with the content
+          res.setHeader('Cache-Control', 'public, max-age=31536000, immutable')
+          res.end(fs.readFileSync(filePath))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
       // API endpoint to get test data
       server.middlewares.use('/api/test-data', (req, res) => {
         const testDataPath = PATHS.TEST_DATA
@@ -653,6 +889,97 @@ function apiPlugin() {
         }
       })
 
+      // API endpoint to render a template and its plain-text alternative with the test framework's renderer (EJS, then MJML)
+      // and the sample data, so the editor preview matches the HTML the tests compile. Only image URLs differ: in the
+      // local asset environment they point at the server the editor runs on (previewAssetBase) rather than the compiled base.
+      // `source` is the (unsaved) MJML+EJS; `file` names the template in emails/ it belongs to, so
+      // relative includes resolve. Without `source` the saved file is rendered.
+      server.middlewares.use('/api/preview', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', async () => {
+          try {
+            const { file, source } = JSON.parse(body)
+
+            if (file !== undefined && (typeof file !== 'string' || path.basename(file) !== file || !file.endsWith('.mjml'))) {
+              res.statusCode = 400
+              res.end(JSON.stringify({ error: 'Invalid file' }))
+              return
+            }
+            if (source === undefined ? !file : typeof source !== 'string') {
+              res.statusCode = 400
+              res.end(JSON.stringify({ error: 'Missing file or source' }))
+              return
+            }
+
+            const filePath = path.join(TEMPLATES_DIR, 'emails', file || 'preview.mjml')
+            if (source === undefined && !fs.existsSync(filePath)) {
+              res.statusCode = 404
+              res.end(JSON.stringify({ error: 'Template not found' }))
+              return
+            }
+
+            const { renderTemplate } = await loadRendererModule()
+            const { previewAssetBase } = await loadAssetsModule()
+            const { html, text, textSource, errors } = renderTemplate(source ?? fs.readFileSync(filePath, 'utf-8'), {
+              filename: filePath,
+              root: TEMPLATES_DIR,
+              assetBase: previewAssetBase(`http://${req.headers.host}`),
+            })
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify({ html, text, textSource, errors }))
+          } catch (error) {
+            res.statusCode = 500
+            res.end(JSON.stringify({ error: error.message }))
+          }
+        })
+      })
+
+      // API endpoint to download the saved template as an .eml message (HTML, plain text, inline images and headers)
+      server.middlewares.use('/api/export-eml', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        const file = new URL(req.url, 'http://localhost').searchParams.get('file')
+        if (!file || path.basename(file) !== file || !file.endsWith('.mjml')) {
+          res.statusCode = 400
+          res.end(JSON.stringify({ error: 'Invalid file' }))
+          return
+        }
+
+        try {
+          if (!fs.existsSync(path.join(TEMPLATES_DIR, 'emails', file))) {
+            res.statusCode = 404
+            res.end(JSON.stringify({ error: 'Template not found' }))
+            return
+          }
+
+          const { buildEml } = await loadEmlExportModule()
+          const { fileName, eml, errors } = buildEml(file, { root: TEMPLATES_DIR })
+          if (eml === null) {
+            res.statusCode = 422
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify({ error: 'Template failed to render', errors }))
+            return
+          }
+          res.setHeader('Content-Type', 'message/rfc822')
+          res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+          res.end(eml)
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
       // API endpoint to save template
       server.middlewares.use('/api/save-template', (req, res) => {
         if (req.method !== 'POST') {
@@ -663,7 +990,7 @@ function apiPlugin() {
 
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           try {
             const { file, content } = JSON.parse(body)
 
@@ -685,7 +1012,7 @@ function apiPlugin() {
             fs.writeFileSync(templatePath, content, 'utf-8')
 
             // Compile template to HTML immediately
-            const compileResult = compileTemplate(file)
+            const compileResult = await compileTemplate(file)
             if (!compileResult.success) {
               console.warn(`Warning: Failed to compile template: ${compileResult.error}`)
             }
@@ -694,8 +1021,7 @@ function apiPlugin() {
             res.end(JSON.stringify({ success: true, compiled: compileResult.success }))
 
             // Trigger auto-test if enabled
-            const templateName = file.replace('.mjml', '')
-            triggerAutoTest(templateName)
+            triggerAutoTest(`emails/${file}`)
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
@@ -703,7 +1029,7 @@ function apiPlugin() {
         })
       })
 
-      // API endpoint to run multi-agent tests
+      // API endpoint to run multi-agent tests (queued when a run is already in progress)
       server.middlewares.use('/api/run-tests', (req, res) => {
         if (req.method !== 'POST') {
           res.statusCode = 405
@@ -711,16 +1037,9 @@ function apiPlugin() {
           return
         }
 
-        if (testState.isRunning) {
-          res.statusCode = 409
-          res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({ status: 'busy', message: 'Test already in progress' }))
-          return
-        }
-
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           let selectedTemplates = []
           try {
             const data = JSON.parse(body)
@@ -729,138 +1048,145 @@ function apiPlugin() {
             // No body or invalid JSON - test all templates
           }
 
-          testState.isRunning = true
-          testState.currentTest = {
-            startedAt: new Date().toISOString(),
-            status: 'running',
-            templates: selectedTemplates.length > 0 ? selectedTemplates : 'all',
-            step: 'init',
-            stepDescription: 'Initializing test pipeline...',
-            progress: 0
-          }
-
           res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({
-            status: 'started',
-            message: selectedTemplates.length > 0
-              ? `Testing ${selectedTemplates.length} template(s)`
-              : 'Testing all templates'
-          }))
-
-          // Run the multi-agent test in background with API key
-          const testEnv = { ...process.env }
-          const activeKey = getActiveApiKey()
-          if (activeKey) {
-            testEnv.ANTHROPIC_API_KEY = activeKey
-          }
-
-          // Pass selected templates as environment variable
-          if (selectedTemplates.length > 0) {
-            testEnv.TEST_TEMPLATES = selectedTemplates.join(',')
+          try {
+            const result = await requestTestRun({ templates: selectedTemplates, trigger: 'manual' })
+            if (result.status === 'queued') {
+              res.statusCode = 202
+              res.end(JSON.stringify({
+                ...result,
+                message: result.coalesced
+                  ? `Merged into queued run at position ${result.position}`
+                  : `Queued at position ${result.position}`
+              }))
+              return
+            }
+            res.end(JSON.stringify({
+              ...result,
+              message: selectedTemplates.length > 0
+                ? `Testing ${selectedTemplates.length} template(s)`
+                : 'Testing all templates'
+            }))
+          } catch (error) {
+            res.statusCode = 500
+            res.end(JSON.stringify({ error: error.message }))
           }
+        })
+      })
 
-          const testProcess = spawn('node', ['scripts/run-agents.js'], {
-            cwd: PATHS.TEST_FRAMEWORK,
-            env: testEnv
-          })
+      // API endpoint to remove a queued run
+      // (registered before /api/queue, which would also match this path)
+      server.middlewares.use('/api/queue/cancel', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
 
-        let output = ''
-        testState.logs = [] // Clear previous logs
-
-        testProcess.stdout.on('data', (data) => {
-          const text = data.toString()
-          output += text
-          console.log(text)
-
-          // Add to logs (keep last 200 lines)
-          const lines = text.split('\n').filter(l => l.trim())
-          lines.forEach(line => {
-            testState.logs.push({
-              timestamp: new Date().toISOString(),
-              message: line,
-              type: line.includes('Error') || line.includes('error') ? 'error' :
-                    line.includes('Warning') || line.includes('warning') ? 'warning' :
-                    line.includes('✅') || line.includes('Complete') ? 'success' :
-                    line.includes('[STEP:') || line.includes('Phase') ? 'step' :
-                    'info'
-            })
-          })
-          if (testState.logs.length > 200) {
-            testState.logs = testState.logs.slice(-200)
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', async () => {
+          res.setHeader('Content-Type', 'application/json')
+          try {
+            const { id } = JSON.parse(body || '{}')
+            if (!id) {
+              res.statusCode = 400
+              res.end(JSON.stringify({ error: 'Job id is required' }))
+              return
+            }
+            const { RunQueue } = await loadQueueModule()
+            const queue = new RunQueue()
+            const job = queue.remove(id)
+            if (!job) {
+              res.statusCode = 404
+              res.end(JSON.stringify({ error: 'Job is not queued' }))
+              return
+            }
+            const jobs = queue.list()
+            broadcastEvent('queue', { jobs })
+            res.end(JSON.stringify({ success: true, job, jobs }))
+          } catch (error) {
+            res.statusCode = 500
+            res.end(JSON.stringify({ error: error.message }))
           }
+        })
+      })
+
+      // API endpoint to move a queued run to another position (1 = next to run)
+      server.middlewares.use('/api/queue/move', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
 
-          // Parse pipeline step markers from output
-          // Order: planner → analyzer → diff → generator → playwright → reporter
-          if (text.includes('[STEP:planner]') || text.includes('Test Planner') || text.includes('Creating test plan')) {
-            testState.currentTest.step = 'planner'
-            testState.currentTest.stepDescription = 'Analyzing requirements and creating test plans...'
-            testState.currentTest.progress = 15
-          } else if (text.includes('[STEP:analyzer]') || text.includes('Change Analyzer') || text.includes('Analyzing changes')) {
-            testState.currentTest.step = 'analyzer'
-            testState.currentTest.stepDescription = 'Detecting file changes and modified templates...'
-            testState.currentTest.progress = 30
-          } else if (text.includes('[STEP:diff]') || text.includes('Diff Analyzer') || text.includes('Comparing templates')) {
-            testState.currentTest.step = 'diff'
-            testState.currentTest.stepDescription = 'Comparing templates and analyzing differences...'
-            testState.currentTest.progress = 45
-          } else if (text.includes('[STEP:generator]') || text.includes('Test Generator') || text.includes('AI generating')) {
-            testState.currentTest.step = 'generator'
-            testState.currentTest.stepDescription = 'AI generating dynamic test cases...'
-            testState.currentTest.progress = 60
-          } else if (text.includes('[STEP:playwright]') || text.includes('Playwright Tests') || text.includes('Running AI-generated')) {
-            testState.currentTest.step = 'playwright'
-            testState.currentTest.stepDescription = 'Running AI-generated regression tests...'
-            testState.currentTest.progress = 75
-          } else if (text.includes('[STEP:reporter]') || text.includes('Report Generator') || text.includes('Generating report')) {
-            testState.currentTest.step = 'reporter'
-            testState.currentTest.stepDescription = 'Creating comprehensive test report...'
-            testState.currentTest.progress = 90
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', async () => {
+          res.setHeader('Content-Type', 'application/json')
+          try {
+            const { id, position } = JSON.parse(body || '{}')
+            if (!id || !Number.isInteger(position)) {
+              res.statusCode = 400
+              res.end(JSON.stringify({ error: 'Job id and integer position are required' }))
+              return
+            }
+            const { RunQueue } = await loadQueueModule()
+            const jobs = new RunQueue().move(id, position)
+            if (!jobs) {
+              res.statusCode = 404
+              res.end(JSON.stringify({ error: 'Job is not queued' }))
+              return
+            }
+            broadcastEvent('queue', { jobs })
+            res.end(JSON.stringify({ success: true, jobs }))
+          } catch (error) {
+            res.statusCode = 500
+            res.end(JSON.stringify({ error: error.message }))
           }
         })
+      })
 
-        testProcess.stderr.on('data', (data) => {
-          output += data.toString()
-          console.error(data.toString())
-        })
+      // API endpoint for queued runs, in the order they will start
+      server.middlewares.use('/api/queue', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        try {
+          const { RunQueue } = await loadQueueModule()
+          res.end(JSON.stringify({ jobs: new RunQueue().list() }))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
 
-        testProcess.on('close', (code) => {
-          testState.isRunning = false
-          const completedAt = new Date().toISOString()
-          const status = code === 0 ? 'passed' : 'failed'
+      // API endpoint to cancel the running test
+      server.middlewares.use('/api/cancel-test', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
 
-          testState.lastResult = {
-            status: code === 0 ? 'complete' : 'error',
-            exitCode: code,
-            completedAt,
-            output: output.slice(-5000)
-          }
-          testState.currentTest = null
-          console.log(`Multi-agent test completed with exit code ${code}`)
-
-          // Note: Logs are saved by the CLI pipeline (run-agents.js)
-          // No need to save duplicates here
-
-          // Check for API errors in output
-          if (code !== 0) {
-            const outputLower = output.toLowerCase()
-            if (outputLower.includes('rate limit') || outputLower.includes('429') || outputLower.includes('too many requests')) {
-              apiState.lastError = 'API rate limit exceeded. Please wait before running more tests or upgrade your Anthropic plan.'
-            } else if (outputLower.includes('credit') || outputLower.includes('billing') || outputLower.includes('insufficient')) {
-              apiState.lastError = 'Insufficient API credits. Please add funds to your Anthropic account.'
-            } else if (outputLower.includes('invalid api key') || outputLower.includes('401') || outputLower.includes('unauthorized')) {
-              apiState.lastError = 'Invalid API key. Please check your settings.'
-            } else if (outputLower.includes('anthropic_api_key') || outputLower.includes('api key not')) {
-              apiState.lastError = 'API key not configured. Please add your Anthropic API key in Settings.'
-            }
-          } else {
-            // Clear any previous errors on success
-            apiState.lastError = null
-          }
+        res.setHeader('Content-Type', 'application/json')
+        if (!testState.isRunning || !activeTestProcess) {
+          res.statusCode = 409
+          res.end(JSON.stringify({ status: 'idle', message: 'No test in progress' }))
+          return
+        }
 
-          // Note: Reports are saved by the CLI pipeline (report-generator-agent.js)
-          // No need to save duplicates here
-        })
-        }) // Close req.on('end')
+        testState.currentTest.status = 'cancelling'
+        testState.currentTest.stepDescription = 'Cancelling...'
+        broadcastEvent('progress', { currentTest: testState.currentTest })
+        cancelTestProcess()
+        console.log('Multi-agent test cancelled by user')
+        res.statusCode = 202
+        res.end(JSON.stringify({ status: 'cancelling', message: 'Test is being cancelled' }))
       })
 
       // API endpoint to get test status
@@ -876,8 +1202,48 @@ function apiPlugin() {
           isRunning: testState.isRunning,
           currentTest: testState.currentTest,
           lastResult: testState.lastResult,
-          logs: testState.logs || []
+          logs: testState.logs || [],
+          results: testState.results || []
+        }))
+      })
+
+      // Live pipeline events (Server-Sent Events)
+      // Starts with a `status` snapshot, then streams run-start, progress, log, test-result, complete and queue events
+      server.middlewares.use('/api/events', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        let jobs = []
+        try {
+          const { RunQueue } = await loadQueueModule()
+          jobs = new RunQueue().list()
+        } catch (error) {
+          console.warn('Failed to read run queue:', error.message)
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          Connection: 'keep-alive'
+        })
+        res.write(formatEvent('status', {
+          isRunning: testState.isRunning,
+          currentTest: testState.currentTest,
+          lastResult: testState.lastResult,
+          logs: testState.logs,
+          results: testState.results,
+          queue: jobs
         }))
+
+        eventClients.add(res)
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENTS_HEARTBEAT_INTERVAL)
+        req.on('close', () => {
+          clearInterval(heartbeat)
+          eventClients.delete(res)
+        })
       })
 
       // API endpoint to get latest report (legacy)
@@ -901,7 +1267,7 @@ function apiPlugin() {
       })
 
       // API endpoint to list all reports from artifacts folder
-      server.middlewares.use('/api/reports', (req, res, next) => {
+      server.middlewares.use('/api/reports', async (req, res, next) => {
         if (req.url !== '/' && req.url !== '') {
           next()
           return
@@ -919,6 +1285,7 @@ function apiPlugin() {
             fs.mkdirSync(artifactsDir, { recursive: true })
           }
 
+          const artifactIndex = await loadArtifactIndex()
           const files = fs.readdirSync(artifactsDir).filter(f => f.endsWith('.html'))
 
           const reports = files.map(file => {
@@ -938,6 +1305,7 @@ function apiPlugin() {
             return {
               id: file.replace('.html', ''),
               file,
+              runId: artifactIndex[file] || null,
               title,
               status,
               createdAt: stats.birthtime,
@@ -1078,7 +1446,7 @@ function apiPlugin() {
 
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           try {
             const { id } = JSON.parse(body)
 
@@ -1097,22 +1465,11 @@ function apiPlugin() {
               return
             }
 
-            // Extract timestamp and delete linked files
-            const timestamp = extractTimestamp(id, 'report')
-            let linkedDeleted = { testPlan: false, log: false }
-
-            if (timestamp) {
-              linkedDeleted = deleteLinkedFiles(timestamp, 'report')
-            }
-
-            // Delete the report itself
-            fs.unlinkSync(filePath)
+            // Delete the report together with the other artifacts of its run
+            const { runId, deleted } = await deleteArtifact('report', filePath)
 
             res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({
-              success: true,
-              linkedDeleted
-            }))
+            res.end(JSON.stringify({ success: true, runId, deleted }))
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
@@ -1453,104 +1810,52 @@ function apiPlugin() {
       })
 
       // API endpoint to test API key
-      server.middlewares.use('/api/settings/test-api-key', (req, res) => {
+      server.middlewares.use('/api/settings/test-api-key', async (req, res) => {
         if (req.method !== 'POST') {
           res.statusCode = 405
           res.end(JSON.stringify({ error: 'Method not allowed' }))
           return
         }
 
+        res.setHeader('Content-Type', 'application/json')
+
         try {
-          const activeKey = getActiveApiKey()
-          if (!activeKey) {
-            res.setHeader('Content-Type', 'application/json')
+          const { provider, baseUrl, model } = aiProviderSettings
+          const apiKey = getProviderApiKey()
+
+          if (provider === 'none') {
+            res.end(JSON.stringify({ success: false, error: 'AI provider is disabled (offline mode)' }))
+            return
+          }
+
+          if (provider === 'anthropic' && !apiKey) {
             res.end(JSON.stringify({ success: false, error: 'No API key configured' }))
             return
           }
 
           // Validate key format
-          if (typeof activeKey !== 'string' || activeKey.length < 10) {
-            res.setHeader('Content-Type', 'application/json')
+          if (apiKey && (typeof apiKey !== 'string' || apiKey.length < 10)) {
             res.end(JSON.stringify({ success: false, error: 'Invalid API key format' }))
             return
           }
 
-          const postData = JSON.stringify({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 10,
-            messages: [{ role: 'user', content: 'Hi' }]
-          })
-
-          const options = {
-            hostname: 'api.anthropic.com',
-            port: 443,
-            path: '/v1/messages',
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'x-api-key': activeKey,
-              'anthropic-version': '2023-06-01',
-              'Content-Length': Buffer.byteLength(postData)
-            },
-            timeout: 30000
-          }
+          const { testProviderConnection } = await loadProviderModule()
 
-          const apiReq = https.request(options, (apiRes) => {
-            let data = ''
-            apiRes.on('data', (chunk) => { data += chunk })
-            apiRes.on('end', () => {
-              try {
-                res.setHeader('Content-Type', 'application/json')
-
-                if (apiRes.statusCode === 200) {
-                  apiState.lastError = null
-                  res.end(JSON.stringify({ success: true, model: 'claude-sonnet-4-20250514' }))
-                } else {
-                  let errorMessage = `API request failed (${apiRes.statusCode})`
-                  try {
-                    const errorData = JSON.parse(data)
-                    errorMessage = errorData.error?.message || errorMessage
-                  } catch (e) {}
-
-                  // Check for specific error types
-                  if (apiRes.statusCode === 429 || errorMessage.toLowerCase().includes('rate')) {
-                    apiState.lastError = 'Rate limit exceeded. Please wait or upgrade your plan.'
-                  } else if (errorMessage.toLowerCase().includes('credit') || errorMessage.toLowerCase().includes('billing')) {
-                    apiState.lastError = 'Insufficient credits. Please add funds to your account.'
-                  } else if (apiRes.statusCode === 401) {
-                    apiState.lastError = 'Invalid API key. Please check your settings.'
-                  } else {
-                    apiState.lastError = errorMessage
-                  }
-
-                  res.end(JSON.stringify({ success: false, error: apiState.lastError, canRestore: !!DEFAULT_API_KEY }))
-                }
-              } catch (e) {
-                res.setHeader('Content-Type', 'application/json')
-                res.end(JSON.stringify({ success: false, error: 'Error processing response', canRestore: !!DEFAULT_API_KEY }))
-              }
+          try {
+            const result = await testProviderConnection(provider, {
+              apiKey: apiKey || undefined,
+              baseUrl: baseUrl || undefined,
+              model: model || undefined
             })
-          })
-
-          apiReq.on('timeout', () => {
-            apiReq.destroy()
-            apiState.lastError = 'Request timeout - API took too long to respond'
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({ success: false, error: apiState.lastError, canRestore: !!DEFAULT_API_KEY }))
-          })
-
-          apiReq.on('error', (error) => {
-            apiState.lastError = 'Failed to connect to API: ' + error.message
-            res.setHeader('Content-Type', 'application/json')
+            apiState.lastError = null
+            res.end(JSON.stringify(result))
+          } catch (error) {
+            apiState.lastError = describeProviderError(error)
             res.end(JSON.stringify({ success: false, error: apiState.lastError, canRestore: !!DEFAULT_API_KEY }))
-          })
-
-          apiReq.write(postData)
-          apiReq.end()
+          }
         } catch (error) {
           console.error('Test API key error:', error)
           res.statusCode = 500
-          res.setHeader('Content-Type', 'application/json')
           res.end(JSON.stringify({ success: false, error: 'Internal server error: ' + error.message, canRestore: !!DEFAULT_API_KEY }))
         }
       })
@@ -1563,26 +1868,17 @@ function apiPlugin() {
           return
         }
 
-        if (!apiState.apiKey) {
-          res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({ error: 'No API key configured' }))
-          return
-        }
-
         try {
-          // Note: Anthropic doesn't have a public usage/balance API yet
-          // This is a placeholder that returns simulated data
-          // In production, you would integrate with Anthropic's billing API when available
-
-          // For now, we'll return placeholder data
+          // Token usage is recorded by the pipeline in the usage log and priced
+          // with the test framework's price table (config/pricing.json)
+          const { buildUsageReport } = await loadPricingModule()
+          const report = buildUsageReport()
           res.setHeader('Content-Type', 'application/json')
           res.end(JSON.stringify({
-            balance: null, // Not available via API yet
-            tokensUsed: null,
-            estimatedCost: null,
-            rateLimit: null,
-            lastUpdated: new Date().toISOString(),
-            note: 'Usage data requires Anthropic Console. Visit console.anthropic.com for detailed billing info.'
+            ...report,
+            tokensUsed: report.totals.inputTokens + report.totals.outputTokens,
+            estimatedCost: report.totals.cost,
+            lastUpdated: new Date().toISOString()
           }))
         } catch (error) {
           res.statusCode = 500
@@ -1626,7 +1922,7 @@ function apiPlugin() {
       })
 
       // API endpoint to list logs
-      server.middlewares.use('/api/logs', (req, res, next) => {
+      server.middlewares.use('/api/logs', async (req, res, next) => {
         // Check if it's a specific log file request
         const logFile = req.url.slice(1).split('?')[0]
         if (logFile && logFile.endsWith('.log')) {
@@ -1661,12 +1957,14 @@ function apiPlugin() {
               return
             }
 
+            const artifactIndex = await loadArtifactIndex()
             const files = fs.readdirSync(logsDir).filter(f => f.endsWith('.log'))
             const logs = files.map(file => {
               const filePath = path.join(logsDir, file)
               const stats = fs.statSync(filePath)
               return {
                 file,
+                runId: artifactIndex[file] || null,
                 createdAt: stats.birthtime,
                 modifiedAt: stats.mtime,
                 size: stats.size
@@ -1686,7 +1984,7 @@ function apiPlugin() {
       })
 
       // API endpoint to get test plans
-      server.middlewares.use('/api/test-plans', (req, res, next) => {
+      server.middlewares.use('/api/test-plans', async (req, res, next) => {
         if (req.url !== '/' && req.url !== '') {
           next()
           return
@@ -1699,8 +1997,6 @@ function apiPlugin() {
         }
 
         const plansDir = PATHS.PLANS
-        const artifactsDir = PATHS.ARTIFACTS
-        const logsDir = PATHS.LOGS
 
         try {
           if (!fs.existsSync(plansDir)) {
@@ -1709,14 +2005,7 @@ function apiPlugin() {
             return
           }
 
-          // Get list of reports and logs for linking
-          const reportFiles = fs.existsSync(artifactsDir)
-            ? fs.readdirSync(artifactsDir).filter(f => f.endsWith('.html'))
-            : []
-          const logFiles = fs.existsSync(logsDir)
-            ? fs.readdirSync(logsDir).filter(f => f.endsWith('.log'))
-            : []
-
+          const artifactIndex = await loadArtifactIndex()
           const files = fs.readdirSync(plansDir).filter(f => f.endsWith('.json') && f !== 'latest-test-plan.json')
 
           const plans = files.map(file => {
@@ -1726,39 +2015,10 @@ function apiPlugin() {
               const stats = fs.statSync(filePath)
               const planId = file.replace('.json', '')
 
-              // Extract timestamp from plan ID (test-plan-TIMESTAMP)
-              const timestamp = extractTimestamp(planId, 'testPlan')
-
-              // Find linked report and log by timestamp
-              let linkedReport = null
-              let linkedLog = null
-
-              if (timestamp) {
-                const matchingReport = reportFiles.find(r => r.includes(timestamp))
-                if (matchingReport) {
-                  const reportPath = path.join(artifactsDir, matchingReport)
-                  const reportStats = fs.statSync(reportPath)
-                  const reportContent = fs.readFileSync(reportPath, 'utf-8')
-                  const statusMatch = reportContent.match(/data-status="([^"]+)"/)
-                  linkedReport = {
-                    id: matchingReport.replace('.html', ''),
-                    file: matchingReport,
-                    status: statusMatch ? statusMatch[1] : 'unknown',
-                    createdAt: reportStats.birthtime
-                  }
-                }
-
-                const matchingLog = logFiles.find(l => l.includes(timestamp))
-                if (matchingLog) {
-                  linkedLog = {
-                    file: matchingLog
-                  }
-                }
-              }
-
               return {
                 id: planId,
                 file,
+                runId: artifactIndex[file] || null,
                 createdAt: content.createdAt || stats.birthtime,
                 testPlanId: content.testPlanId,
                 templateContext: content.templateContext,
@@ -1766,9 +2026,7 @@ function apiPlugin() {
                 riskAssessment: content.riskAssessment,
                 summary: content.summary,
                 parseError: content.parseError,
-                rawResponse: content.rawResponse,
-                linkedReport,
-                linkedLog
+                rawResponse: content.rawResponse
               }
             } catch (e) {
               return { id: file.replace('.json', ''), file, error: e.message }
@@ -1783,7 +2041,7 @@ function apiPlugin() {
         }
       })
 
-      // API endpoint to delete a test plan (with cascading delete of linked log and report)
+      // API endpoint to delete a test plan (with cascading delete of the other artifacts of its run)
       server.middlewares.use('/api/delete-test-plan', (req, res) => {
         if (req.method !== 'POST') {
           res.statusCode = 405
@@ -1793,7 +2051,7 @@ function apiPlugin() {
 
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           try {
             const { id } = JSON.parse(body)
 
@@ -1803,20 +2061,10 @@ function apiPlugin() {
               return
             }
 
-            // Delete the test plan file
-            const planPath = path.join(PATHS.PLANS, `${id}.json`)
-            const deleted = { testPlan: deleteIfExists(planPath), log: false, report: false }
-
-            // Extract timestamp and delete linked files
-            const timestamp = extractTimestamp(id, 'testPlan')
-            if (timestamp) {
-              const linkedDeleted = deleteLinkedFiles(timestamp, 'testPlan')
-              deleted.log = linkedDeleted.log
-              deleted.report = linkedDeleted.report
-            }
+            const { runId, deleted } = await deleteArtifact('testPlan', path.join(PATHS.PLANS, `${id}.json`))
 
             res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({ success: true, deleted }))
+            res.end(JSON.stringify({ success: true, runId, deleted }))
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
@@ -1824,7 +2072,7 @@ function apiPlugin() {
         })
       })
 
-      // API endpoint to delete a log file (with cascading delete of linked report and test plan)
+      // API endpoint to delete a log file (with cascading delete of the other artifacts of its run)
       server.middlewares.use('/api/delete-log', (req, res) => {
         if (req.method !== 'POST') {
           res.statusCode = 405
@@ -1834,7 +2082,7 @@ function apiPlugin() {
 
         let body = ''
         req.on('data', chunk => { body += chunk })
-        req.on('end', () => {
+        req.on('end', async () => {
           try {
             const { file } = JSON.parse(body)
 
@@ -1852,25 +2100,154 @@ function apiPlugin() {
               return
             }
 
-            const deleted = { testPlan: false, log: deleteIfExists(logPath), report: false }
+            const { runId, deleted } = await deleteArtifact('log', logPath)
+
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify({ success: true, runId, deleted }))
+          } catch (error) {
+            res.statusCode = 500
+            res.end(JSON.stringify({ error: error.message }))
+          }
+        })
+      })
 
-            // Extract timestamp and delete linked files
-            const timestamp = extractTimestamp(file, 'log')
-            if (timestamp) {
-              const linkedDeleted = deleteLinkedFiles(timestamp, 'log')
-              deleted.testPlan = linkedDeleted.testPlan
-              deleted.report = linkedDeleted.report
+      // API endpoint for the run history (/api/runs), a single run (/api/runs/:id)
+      // and resuming a failed or cancelled run (POST /api/runs/:id/resume, queued like a test run)
+      server.middlewares.use('/api/runs', async (req, res) => {
+        const resumeMatch = req.url.split('?')[0].match(/^\/([^/]+)\/resume$/)
+        if (req.method === 'POST' && resumeMatch) {
+          res.setHeader('Content-Type', 'application/json')
+          try {
+            const { RunStore, describeRun } = await loadRunsModule()
+            const run = new RunStore().get(decodeURIComponent(resumeMatch[1]))
+            if (!run) {
+              res.statusCode = 404
+              res.end(JSON.stringify({ error: 'Run not found' }))
+              return
+            }
+            if (!describeRun(run).resumable) {
+              res.statusCode = 409
+              res.end(JSON.stringify({ error: 'Run cannot be resumed: only runs that errored or were cancelled keep checkpoints' }))
+              return
             }
 
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify({ success: true, deleted }))
+            const result = await requestTestRun({ templates: run.templates, trigger: 'manual', resume: run.id })
+            res.statusCode = result.status === 'queued' ? 202 : 200
+            res.end(JSON.stringify({
+              ...result,
+              message: result.status === 'queued' ? `Queued at position ${result.position}` : `Resuming run ${run.id}`
+            }))
           } catch (error) {
             res.statusCode = 500
             res.end(JSON.stringify({ error: error.message }))
           }
+          return
+        }
+
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        try {
+          const { RunStore, describeRun } = await loadRunsModule()
+          const runStore = new RunStore()
+          const runId = decodeURIComponent(req.url.split('?')[0].slice(1))
+
+          if (!runId) {
+            res.end(JSON.stringify({ runs: runStore.list().map(describeRun) }))
+            return
+          }
+
+          const run = runStore.get(runId)
+          if (!run) {
+            res.statusCode = 404
+            res.end(JSON.stringify({ error: 'Run not found' }))
+            return
+          }
+          res.end(JSON.stringify(describeRun(run)))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
+      // API endpoint for trends across recent runs (Dashboard)
+      server.middlewares.use('/api/trends', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        try {
+          const { buildTrends, DEFAULT_TREND_RUNS } = await loadTrendsModule()
+          const params = new URLSearchParams(req.url.split('?')[1] || '')
+          const limit = parseInt(params.get('limit'), 10) || DEFAULT_TREND_RUNS
+          res.end(JSON.stringify(buildTrends({ limit })))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
+      // Approve the captured screenshots of a run as the new baselines
+      // (registered before /api/baselines, which would also match this path)
+      server.middlewares.use('/api/baselines/approve', (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        if (testState.isRunning) {
+          res.statusCode = 409
+          res.end(JSON.stringify({ status: 'busy', message: 'Test in progress, screenshots are still being captured' }))
+          return
+        }
+
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', async () => {
+          try {
+            const { templates, runId } = JSON.parse(body || '{}')
+            if (templates !== undefined && !Array.isArray(templates)) {
+              res.statusCode = 400
+              res.end(JSON.stringify({ error: 'templates must be an array' }))
+              return
+            }
+            const { BaselineStore } = await loadBaselinesModule()
+            const result = new BaselineStore().approve(templates?.length ? templates : null, { runId })
+            res.end(JSON.stringify({ success: true, ...result }))
+          } catch (error) {
+            res.statusCode = 400
+            res.end(JSON.stringify({ error: error.message }))
+          }
         })
       })
 
+      // API endpoint for approved visual baselines and pending captures
+      server.middlewares.use('/api/baselines', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/json')
+        try {
+          const { BaselineStore } = await loadBaselinesModule()
+          res.end(JSON.stringify(new BaselineStore().list()))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
       // Clear API error (after user acknowledges)
       server.middlewares.use('/api/settings/clear-error', (req, res) => {
         if (req.method !== 'POST') {
@@ -1885,6 +2262,43 @@ function apiPlugin() {
         res.end(JSON.stringify({ success: true }))
       })
 
+      // API endpoint for agent response cache stats
+      server.middlewares.use('/api/settings/cache', async (req, res) => {
+        if (req.method !== 'GET') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        try {
+          const { ResponseCache } = await loadCacheModule()
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(new ResponseCache().stats()))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ error: error.message }))
+        }
+      })
+
+      // Clear the agent response cache
+      server.middlewares.use('/api/settings/clear-cache', async (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          res.end(JSON.stringify({ error: 'Method not allowed' }))
+          return
+        }
+
+        try {
+          const { ResponseCache } = await loadCacheModule()
+          const cleared = new ResponseCache().clear()
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify({ success: true, cleared }))
+        } catch (error) {
+          res.statusCode = 500
+          res.end(JSON.stringify({ success: false, error: error.message }))
+        }
+      })
+
       // API endpoint for auto-test settings
       server.middlewares.use('/api/settings/auto-test', (req, res) => {
         if (req.method === 'GET') {
@@ -1914,6 +2328,83 @@ function apiPlugin() {
         res.statusCode = 405
         res.end(JSON.stringify({ error: 'Method not allowed' }))
       })
+
+      // API endpoint for test mode settings (regression/variation)
+      server.middlewares.use('/api/settings/test-mode', (req, res) => {
+        if (req.method === 'GET') {
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify({ mode: testMode, modes: TEST_MODES }))
+          return
+        }
+
+        if (req.method === 'POST') {
+          let body = ''
+          req.on('data', chunk => { body += chunk })
+          req.on('end', () => {
+            try {
+              const { mode } = JSON.parse(body)
+              const normalized = LEGACY_TEST_MODES[mode] || mode
+              if (!TEST_MODES.includes(normalized)) {
+                res.statusCode = 400
+                res.end(JSON.stringify({ error: 'Invalid mode. Must be "regression" or "variation".' }))
+                return
+              }
+              testMode = normalized
+              saveSettings()
+              res.setHeader('Content-Type', 'application/json')
+              res.end(JSON.stringify({ success: true, mode: testMode }))
+            } catch (error) {
+              res.statusCode = 500
+              res.end(JSON.stringify({ error: error.message }))
+            }
+          })
+          return
+        }
+
+        res.statusCode = 405
+        res.end(JSON.stringify({ error: 'Method not allowed' }))
+      })
+
+      // API endpoint to get/set the AI provider (anthropic/openai/replay/none)
+      server.middlewares.use('/api/settings/ai-provider', (req, res) => {
+        if (req.method === 'GET') {
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify({ ...aiProviderSettings, providers: Object.keys(AI_PROVIDERS) }))
+          return
+        }
+
+        if (req.method === 'POST') {
+          let body = ''
+          req.on('data', chunk => { body += chunk })
+          req.on('end', () => {
+            try {
+              const { provider, baseUrl = '', model = '' } = JSON.parse(body)
+              if (!AI_PROVIDERS[provider]) {
+                res.statusCode = 400
+                res.end(JSON.stringify({ error: `Invalid provider. Must be one of: ${Object.keys(AI_PROVIDERS).join(', ')}.` }))
+                return
+              }
+              if (baseUrl && !/^https?:\/\//.test(baseUrl)) {
+                res.statusCode = 400
+                res.end(JSON.stringify({ error: 'Base URL must start with http:// or https://' }))
+                return
+              }
+              aiProviderSettings = { provider, baseUrl: baseUrl.trim(), model: model.trim() }
+              apiState.lastError = null
+              saveSettings()
+              res.setHeader('Content-Type', 'application/json')
+              res.end(JSON.stringify({ success: true, ...aiProviderSettings }))
+            } catch (error) {
+              res.statusCode = 500
+              res.end(JSON.stringify({ error: error.message }))
+            }
+          })
+          return
+        }
+
+        res.statusCode = 405
+        res.end(JSON.stringify({ error: 'Method not allowed' }))
+      })
     }
   }
 }